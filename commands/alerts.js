@@ -0,0 +1,97 @@
+const {
+  NOTIFICATION_CATEGORIES,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../services/notificationOutbox');
+
+const CATEGORY_LABELS = {
+  marketplace: 'Marketplace offers',
+  sacco: 'SACCO & bulk orders',
+  price_alerts: 'Price alerts & market insights',
+  weather: 'Weather alerts',
+  announcements: 'AgriAI announcements'
+};
+
+// Words farmers are likely to type for each category
+const CATEGORY_ALIASES = {
+  marketplace: 'marketplace', market: 'marketplace', soko: 'marketplace',
+  sacco: 'sacco', bulk: 'sacco',
+  prices: 'price_alerts', price: 'price_alerts', price_alerts: 'price_alerts', bei: 'price_alerts',
+  weather: 'weather', hali: 'weather',
+  announcements: 'announcements', news: 'announcements', habari: 'announcements'
+};
+
+/**
+ * Describe the current preferences
+ * @param {Object} preferences - Notification preferences
+ * @returns {string} Reply text
+ */
+function formatPreferences(preferences) {
+  let message = `🔔 *Your notification settings*\n\n`;
+
+  for (const category of NOTIFICATION_CATEGORIES) {
+    message += `${preferences[category] ? '✅' : '🚫'} ${CATEGORY_LABELS[category]}\n`;
+  }
+
+  if (preferences.quiet_hours_start && preferences.quiet_hours_end) {
+    message += `\n🌙 Quiet hours: ${preferences.quiet_hours_start.slice(0, 5)} - ${preferences.quiet_hours_end.slice(0, 5)}\n`;
+  } else {
+    message += `\n🌙 Quiet hours: off\n`;
+  }
+
+  message += `\nChange with:\n• */alerts off weather*\n• */alerts on sacco*\n• */alerts quiet 21:00 06:00*\n• */alerts quiet off*`;
+
+  return message;
+}
+
+/**
+ * alerts - view and change which notifications the bot sends, and quiet hours
+ */
+module.exports = {
+  name: 'alerts',
+  aliases: ['notifications', 'arifa'],
+  description: 'Turn notification types on or off and set quiet hours',
+  usage: '/alerts [on|off <type>] [quiet <start> <end>|quiet off]  (e.g. /alerts off weather)',
+  args: [
+    { name: 'action', description: 'on, off or quiet' },
+    { name: 'target', description: 'marketplace, sacco, prices or weather; or the quiet hours start (HH:MM) / off' },
+    { name: 'end', description: 'Quiet hours end (HH:MM)' }
+  ],
+
+  async execute({ user }, { action, target, end }) {
+    if (!action) {
+      return formatPreferences(await getNotificationPreferences(user.id));
+    }
+
+    const verb = action.toLowerCase();
+
+    if (verb === 'on' || verb === 'off') {
+      const category = CATEGORY_ALIASES[(target || '').toLowerCase()];
+
+      if (!category) {
+        return `❓ Which notifications? Use one of: marketplace, sacco, prices, weather.\n\nExample: *alerts ${verb} weather*`;
+      }
+
+      const preferences = await updateNotificationPreferences(user.id, { [category]: verb === 'on' });
+      return `${verb === 'on' ? '✅' : '🚫'} ${CATEGORY_LABELS[category]} turned ${verb}.\n\n${formatPreferences(preferences)}`;
+    }
+
+    if (verb === 'quiet') {
+      try {
+        const updates = (target || '').toLowerCase() === 'off'
+          ? { quiet_hours_start: null, quiet_hours_end: null }
+          : { quiet_hours_start: target, quiet_hours_end: end };
+
+        const preferences = await updateNotificationPreferences(user.id, updates);
+        return formatPreferences(preferences);
+      } catch (error) {
+        if (error.message.includes('Invalid') || error.message.includes('No valid')) {
+          return `❌ Set quiet hours as two 24-hour times, e.g. *alerts quiet 21:00 06:00* (Kenya time).`;
+        }
+        throw error;
+      }
+    }
+
+    return `❓ Unknown option: ${action}\n\nType */alerts* to see your settings.`;
+  }
+};
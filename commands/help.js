@@ -0,0 +1,47 @@
+/**
+ * help - list available commands or show details for one command
+ * Generated from the command registry so new commands appear automatically
+ */
+module.exports = {
+  name: 'help',
+  aliases: ['menu', 'commands'],
+  description: 'Show available commands',
+  args: [
+    { name: 'command', description: 'Command to show details for' }
+  ],
+
+  async execute({ user }, { command: commandName }) {
+    const { COMMAND_PREFIX, findCommand, listCommands, canExecute, getUsage } = require('./index');
+
+    if (commandName) {
+      const command = findCommand(commandName.replace(COMMAND_PREFIX, ''));
+
+      if (!command || !canExecute(command, user)) {
+        return `❓ Unknown command: ${commandName}\n\nType */help* to see all commands.`;
+      }
+
+      let message = `ℹ️ *${command.name}*\n\n${command.description}\n\n`;
+      message += `Usage: ${getUsage(command)}\n`;
+
+      if (command.args.length > 0) {
+        message += `\nArguments:\n`;
+        message += command.args
+          .map(arg => `• ${arg.name}${arg.required ? '' : ' (optional)'} - ${arg.description}`)
+          .join('\n');
+        message += '\n';
+      }
+
+      if (command.aliases.length > 0) {
+        message += `\nAlso works as: ${command.aliases.map(alias => `${COMMAND_PREFIX}${alias}`).join(', ')}`;
+      }
+
+      return message.trim();
+    }
+
+    const lines = listCommands(user)
+      .map(command => `• *${getUsage(command)}* - ${command.description}`);
+
+    return `🤖 *AgriaiBot Commands*\n\n${lines.join('\n')}\n\n` +
+      `Type */help <command>* for details, or just ask me any farming question!`;
+  }
+};
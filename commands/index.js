@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * WhatsApp Command Registry
+ * Loads command modules from this directory and dispatches non-admin bot commands.
+ * Commands are typed with a leading slash (/weather) so ordinary questions that
+ * happen to start with a command word ("help me with my maize") still reach the AI.
+ *
+ * Each command module exports:
+ * - name: primary command word (lowercase)
+ * - aliases: optional alternative words
+ * - description: one-line help text
+ * - usage: optional usage example (with the / prefix) shown in help and on argument errors
+ * - args: optional argument schema [{ name, description, required, type, rest }]
+ * - roles: optional list of user types allowed to run the command (omit for everyone)
+ * - execute(context, args): resolves to the reply text
+ */
+
+const COMMAND_PREFIX = '/';
+
+const commands = new Map();
+const aliases = new Map();
+
+/**
+ * Register a command module
+ * @param {Object} command - Command definition
+ */
+function registerCommand(command) {
+  if (!command || !command.name || typeof command.execute !== 'function') {
+    throw new Error('Commands must have a name and an execute function');
+  }
+
+  const name = command.name.toLowerCase();
+
+  if (commands.has(name) || aliases.has(name)) {
+    throw new Error(`Command already registered: ${name}`);
+  }
+
+  commands.set(name, { aliases: [], args: [], ...command, name });
+
+  for (const alias of command.aliases || []) {
+    const aliasName = alias.toLowerCase();
+    if (commands.has(aliasName) || aliases.has(aliasName)) {
+      throw new Error(`Command alias already registered: ${aliasName}`);
+    }
+    aliases.set(aliasName, name);
+  }
+}
+
+/**
+ * Load every command module in a directory
+ * @param {string} dir - Directory containing command modules
+ */
+function loadCommands(dir = __dirname) {
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort();
+
+  for (const file of files) {
+    registerCommand(require(path.join(dir, file)));
+  }
+}
+
+/**
+ * Find a command by name or alias
+ * @param {string} name - Command word typed by the user
+ * @returns {Object|null} Command definition or null if not registered
+ */
+function findCommand(name) {
+  if (!name) return null;
+
+  const key = name.toLowerCase();
+  return commands.get(key) || commands.get(aliases.get(key)) || null;
+}
+
+/**
+ * Split a chat message into a command word and its arguments
+ * @param {string} messageText - Message typed by the user
+ * @returns {Object|null} { name, args }, or null if the message is not a command
+ */
+function parseCommand(messageText) {
+  const text = (messageText || '').trim();
+
+  if (!text.startsWith(COMMAND_PREFIX)) {
+    return null;
+  }
+
+  const [word, ...args] = text.slice(COMMAND_PREFIX.length).split(/\s+/);
+  const name = word.toLowerCase();
+
+  return findCommand(name) ? { name, args } : null;
+}
+
+/**
+ * List registered commands
+ * @param {Object} user - Optional user to filter commands by role
+ * @returns {Array} Command definitions sorted by name
+ */
+function listCommands(user = null) {
+  return Array.from(commands.values())
+    .filter(command => !user || canExecute(command, user))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check whether a user may run a command
+ * @param {Object} command - Command definition
+ * @param {Object} user - User object
+ * @returns {boolean} True if allowed
+ */
+function canExecute(command, user) {
+  if (!command.roles || command.roles.length === 0) {
+    return true;
+  }
+
+  return !!user && command.roles.includes(user.user_type || 'farmer');
+}
+
+/**
+ * Get the usage line for a command
+ * @param {Object} command - Command definition
+ * @returns {string} Usage text
+ */
+function getUsage(command) {
+  if (command.usage) {
+    return command.usage;
+  }
+
+  const argList = command.args
+    .map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`))
+    .join(' ');
+
+  return `${COMMAND_PREFIX}${argList ? `${command.name} ${argList}` : command.name}`;
+}
+
+/**
+ * Parse raw message words against a command's argument schema
+ * @param {Object} command - Command definition
+ * @param {Array<string>} rawArgs - Words following the command name
+ * @returns {Object} Parsed arguments keyed by name
+ */
+function parseArguments(command, rawArgs) {
+  const words = rawArgs.filter(word => word.trim().length > 0);
+  const parsed = {};
+
+  command.args.forEach((arg, index) => {
+    let value = arg.rest ? words.slice(index).join(' ') : words[index];
+
+    if (value === undefined || value === '') {
+      if (arg.required) {
+        throw new Error(`Missing ${arg.name}`);
+      }
+      parsed[arg.name] = arg.default !== undefined ? arg.default : null;
+      return;
+    }
+
+    if (arg.type === 'number') {
+      const numeric = Number(value);
+      if (isNaN(numeric)) {
+        throw new Error(`${arg.name} must be a number`);
+      }
+      value = numeric;
+    }
+
+    parsed[arg.name] = value;
+  });
+
+  return parsed;
+}
+
+/**
+ * Execute a registered command
+ * @param {string} name - Command word typed by the user
+ * @param {Object} context - Execution context ({ user, senderPhone, chatId })
+ * @param {Array<string>} rawArgs - Words following the command name
+ * @returns {Promise<string|null>} Reply text, or null if no such command exists
+ */
+async function executeCommand(name, context, rawArgs = []) {
+  const command = findCommand(name);
+
+  if (!command) {
+    return null;
+  }
+
+  if (!canExecute(command, context.user)) {
+    return `🚫 The *${command.name}* command is not available for your account type.`;
+  }
+
+  let args;
+  try {
+    args = parseArguments(command, rawArgs);
+  } catch (error) {
+    return `❌ ${error.message}\n\nUsage: ${getUsage(command)}\nType *${COMMAND_PREFIX}help ${command.name}* for details.`;
+  }
+
+  return command.execute(context, args);
+}
+
+loadCommands();
+
+module.exports = {
+  COMMAND_PREFIX,
+  registerCommand,
+  loadCommands,
+  findCommand,
+  parseCommand,
+  listCommands,
+  canExecute,
+  getUsage,
+  parseArguments,
+  executeCommand
+};
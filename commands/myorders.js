@@ -0,0 +1,48 @@
+const { getOrdersByUser } = require('../services/orders');
+
+/**
+ * myorders - show the sender's most recent marketplace orders
+ */
+module.exports = {
+  name: 'myorders',
+  aliases: ['orders'],
+  description: 'Show your recent marketplace orders',
+  args: [
+    { name: 'status', description: 'Only show orders with this status (pending, confirmed, shipped, delivered, cancelled)' }
+  ],
+
+  async execute({ user }, { status }) {
+    const orders = await getOrdersByUser(user.id, {
+      status: status ? status.toLowerCase() : undefined,
+      limit: 5
+    });
+
+    if (orders.length === 0) {
+      return status
+        ? `📦 You have no ${status.toLowerCase()} orders.`
+        : `📦 You have no orders yet.\n\nType */prices <product>* to browse the marketplace.`;
+    }
+
+    const statusIcons = {
+      pending: '⏳',
+      confirmed: '✅',
+      shipped: '🚚',
+      delivered: '📬',
+      cancelled: '❌'
+    };
+
+    let message = `📦 *Your Recent Orders*\n\n`;
+
+    orders.forEach((order, index) => {
+      // Checkout orders with several products have no single product
+      const productName = order.product?.name || (order.items?.length > 1 ? `${order.items.length} products` : 'Product');
+      const unit = order.product?.unit_type || (order.items?.length > 1 ? 'units' : '');
+
+      message += `${index + 1}. *${productName}* - ${order.quantity} ${unit}\n`;
+      message += `   ${statusIcons[order.status] || '•'} ${order.status} • 💳 ${order.payment_status}\n`;
+      message += `   KSh ${order.total_amount} • ${new Date(order.created_at).toLocaleDateString()}\n`;
+    });
+
+    return message.trim();
+  }
+};
@@ -0,0 +1,16 @@
+const { createSession } = require('../services/conversations');
+
+/**
+ * newchat - start a fresh conversation so earlier messages no longer shape answers
+ */
+module.exports = {
+  name: 'newchat',
+  aliases: ['reset', 'mpya'],
+  description: 'Start a new conversation (forget earlier messages)',
+
+  async execute({ user }) {
+    await createSession(user.id, 'whatsapp');
+
+    return `🆕 Started a new conversation.\n\nAsk me anything about your crops, livestock or the market.`;
+  }
+};
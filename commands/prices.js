@@ -0,0 +1,49 @@
+const { searchProducts } = require('../services/marketplace');
+
+/**
+ * prices - search marketplace listings for a crop or farm input
+ */
+module.exports = {
+  name: 'prices',
+  aliases: ['price', 'bei'],
+  description: 'Check marketplace prices for a crop or farm input',
+  usage: '/prices <product>  (e.g. /prices maize)',
+  args: [
+    { name: 'product', description: 'Crop or input to search for', required: true, rest: true }
+  ],
+
+  async execute(context, { product }) {
+    const products = await searchProducts(product, {
+      limit: 5,
+      sort_by: 'unit_price',
+      sort_order: 'asc'
+    });
+
+    if (products.length === 0) {
+      return `🔍 No marketplace listings found for "${product}".\n\nTry a different name, e.g. *prices fertilizer*.`;
+    }
+
+    let message = `💰 *Marketplace prices for "${product}"*\n\n`;
+
+    products.forEach((item, index) => {
+      message += `${index + 1}. *${item.name}*\n`;
+      message += `   KSh ${item.unit_price}/${item.unit_type}`;
+      if (item.location) {
+        message += ` • 📍 ${item.location}`;
+      }
+      message += '\n';
+
+      const tiers = Object.entries(item.bulk_pricing || {})
+        .map(([qty, price]) => ({ quantity: parseInt(qty), price: parseFloat(price) }))
+        .sort((a, b) => a.quantity - b.quantity);
+
+      if (tiers.length > 0) {
+        message += `   📦 Bulk: KSh ${tiers[0].price} from ${tiers[0].quantity} ${item.unit_type}\n`;
+      }
+    });
+
+    message += `\n🛒 Order on the web marketplace or through your SACCO for bulk prices.`;
+
+    return message;
+  }
+};
@@ -0,0 +1,48 @@
+const { getUserSACCOs, getSACCOsByRegion } = require('../services/sacco');
+
+/**
+ * saccos - list the sender's SACCO groups, or SACCO groups in a region
+ */
+module.exports = {
+  name: 'saccos',
+  aliases: ['sacco', 'groups'],
+  description: 'List your SACCO groups, or find SACCOs in a region',
+  usage: '/saccos [region]  (e.g. /saccos Nakuru)',
+  args: [
+    { name: 'region', description: 'Region to search for SACCO groups', rest: true }
+  ],
+
+  async execute({ user }, { region }) {
+    if (region) {
+      const saccos = await getSACCOsByRegion(region);
+
+      if (saccos.length === 0) {
+        return `👥 No SACCO groups found in ${region}.\n\nYou can start one from the web dashboard.`;
+      }
+
+      let message = `👥 *SACCO Groups in ${region}*\n\n`;
+      saccos.slice(0, 10).forEach((sacco, index) => {
+        message += `${index + 1}. *${sacco.name}*\n`;
+        message += `   📍 ${sacco.region} • 👤 ${sacco.member_count}/${sacco.member_limit} members\n`;
+      });
+      message += `\n🌐 Join a group from the web dashboard to access bulk pricing.`;
+
+      return message;
+    }
+
+    const saccos = await getUserSACCOs(user.id);
+
+    if (saccos.length === 0) {
+      return `👥 You are not a member of any SACCO group yet.\n\nType */saccos <region>* to find groups near you.`;
+    }
+
+    let message = `👥 *Your SACCO Groups*\n\n`;
+    saccos.forEach((sacco, index) => {
+      const isAdmin = sacco.admin?.id === user.id;
+      message += `${index + 1}. *${sacco.name}*${isAdmin ? ' (admin)' : ''}\n`;
+      message += `   📍 ${sacco.region} • Joined ${new Date(sacco.joined_at).toLocaleDateString()}\n`;
+    });
+
+    return message.trim();
+  }
+};
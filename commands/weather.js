@@ -0,0 +1,21 @@
+const { getWeatherForecast, getReadableForecast } = require('../services/weather');
+
+/**
+ * weather - show the forecast for the sender's saved farm location
+ */
+module.exports = {
+  name: 'weather',
+  aliases: ['forecast', 'hali'],
+  description: 'Get the weather forecast for your farm location',
+
+  async execute({ user }) {
+    if (!user.latitude || !user.longitude) {
+      return `📍 I don't have your farm location yet.\n\n` +
+        `Set your location on your web profile and I'll send forecasts for your farm.`;
+    }
+
+    const forecast = await getWeatherForecast(user.latitude, user.longitude);
+
+    return `🌦️ *Weather for your farm*\n\n${getReadableForecast(forecast)}`;
+  }
+};
@@ -7,19 +7,22 @@ const bodyParser = require("body-parser");
 const cors = require("cors");
 const { processWithGemini } = require("./services/gemini");
 const { createClient } = require('@supabase/supabase-js');
-const { 
-  makeWASocket, 
-  DisconnectReason, 
-  useMultiFileAuthState,
-  downloadMediaMessage,
-  fetchLatestBaileysVersion
-} = require("@whiskeysockets/baileys");
-const { 
-  sendMarketplaceNotification, 
-  getMarketplaceProducts 
+const {
+  getMarketplaceProducts
 } = require("./services/marketplace");
+const {
+  sendMarketplaceNotification
+} = require("./services/notifications");
+const { recordDeliveryReceipt } = require("./services/notificationOutbox");
+const {
+  configureGateway,
+  onMessage,
+  onStatus,
+  startGateway,
+  sendMessage,
+  getWebhookRouters
+} = require("./services/messaging");
 const fs = require('fs').promises;
-const qrcode = require('qrcode');
 const {
   findOrCreateUser,
   getUserProfileByWhatsApp,
@@ -32,17 +35,31 @@ const {
   autoLinkWhatsAppAccount
 } = require("./services/whatsapp");
 const {
-  checkFeatureLimit,
-  trackAIUsage
-} = require("./middleware/usageLimits");
+  getActiveSession,
+  buildConversationContext,
+  recordTurn,
+  compactSession
+} = require("./services/conversations");
+const {
+  getWeatherContextForMessage
+} = require("./services/weather");
 const {
-  authenticateToken
-} = require("./middleware/auth");
+  runJob,
+  startScheduler
+} = require("./services/scheduler");
+const {
+  loadJobs
+} = require("./jobs");
+const {
+  parseCommand,
+  executeCommand
+} = require("./commands");
 const {
   getUserSubscription,
-  assignFreePlanToUser,
-  incrementUsage
+  assignFreePlanToUser
 } = require("./services/subscription");
+const { broadcastMessage } = require("./services/admin");
+const { recordAuditEvent } = require("./services/auditLog");
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -79,7 +96,15 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(bodyParser.json({ limit: '10mb' })); // Increase limit for image uploads
+app.use(bodyParser.json({
+  limit: '10mb', // Increase limit for image uploads
+  // Webhook signatures are computed over the exact bytes the provider sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
 // Security headers
@@ -93,6 +118,11 @@ app.use((req, res, next) => {
 
 app.use(express.static("web"));
 
+// Uploaded product images when they are kept on local disk
+if ((process.env.STORAGE_BACKEND || 'disk').toLowerCase() === 'disk') {
+  app.use('/uploads', express.static(process.env.UPLOAD_DIR || 'uploads', { immutable: true, maxAge: '365d' }));
+}
+
 // Home route
 app.get('/', (req, res) => {
   res.json({
@@ -138,6 +168,22 @@ app.use('/api/marketplace', marketplaceRoutes);
 const orderRoutes = require('./routes/orders');
 app.use('/api/orders', orderRoutes);
 
+// Shopping cart and checkout routes
+const cartRoutes = require('./routes/cart');
+app.use('/api/cart', cartRoutes);
+
+// Product reviews, replies and moderation
+const reviewRoutes = require('./routes/reviews');
+app.use('/api/reviews', reviewRoutes);
+
+// Seller verification (KYC) for wholesalers
+const verificationRoutes = require('./routes/verification');
+app.use('/api/verification', verificationRoutes);
+
+// Delivery management routes (wholesalers)
+const deliveryRoutes = require('./routes/deliveries');
+app.use('/api/deliveries', deliveryRoutes);
+
 // Market Intelligence routes
 const marketIntelligenceRoutes = require('./routes/marketIntelligence');
 app.use('/api/market', marketIntelligenceRoutes);
@@ -146,6 +192,30 @@ app.use('/api/market', marketIntelligenceRoutes);
 const subscriptionRoutes = require('./routes/subscriptions');
 app.use('/api/subscriptions', subscriptionRoutes);
 
+// Import and use AI chat routes (conversation sessions)
+const chatRoutes = require('./routes/chat');
+app.use('/api/chat', chatRoutes);
+
+// Import and use weather routes
+const weatherRoutes = require('./routes/weather');
+app.use('/api/weather', weatherRoutes);
+
+// Import and use background job admin routes
+const jobRoutes = require('./routes/jobs');
+app.use('/api/admin/jobs', jobRoutes);
+
+// Import and use admin routes (users, broadcasts, audit log)
+const adminRoutes = require('./routes/admin');
+app.use('/api/admin', adminRoutes);
+
+// Import and use payment routes
+const paymentRoutes = require('./routes/payments');
+app.use('/api/payments', paymentRoutes);
+
+// Import and use USSD routes (Africa's Talking callback)
+const ussdRoutes = require('./routes/ussd');
+app.use('/api/ussd', ussdRoutes);
+
 // Debug endpoint for database connection testing
 app.get('/api/debug/health', async (req, res) => {
   try {
@@ -213,15 +283,6 @@ app.post('/api/debug/test-user', async (req, res) => {
   }
 });
 
-/**
- * Utility function to delay execution
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise} Promise that resolves after delay
- */
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Rate limiter class for managing per-user request limits
  */
@@ -354,34 +415,51 @@ class RateLimiter {
 // Initialize rate limiter
 const rateLimiter = new RateLimiter(8, 60000); // 8 requests per minute
 
+/**
+ * Count a message against the sender's rate limit
+ * @param {string} senderPhone - User's phone number
+ * @returns {string|null} Message to send back when the sender is over the limit
+ */
+function checkRateLimit(senderPhone) {
+  if (rateLimiter.isAllowed(senderPhone)) {
+    return null;
+  }
+
+  const timeUntilReset = rateLimiter.getTimeUntilReset(senderPhone);
+  const minutesUntilReset = Math.ceil(timeUntilReset / 60000);
+
+  return `⏳ Please wait, I am still processing earlier requests.\n\n` +
+    `You can send ${rateLimiter.maxRequests} messages per minute.\n` +
+    `Try again in ${minutesUntilReset} minute${minutesUntilReset !== 1 ? 's' : ''}.`;
+}
+
 /**
  * Process user message with rate limiting and AI integration
  * @param {string} senderPhone - User's phone number
  * @param {string} messageText - User's message text
  * @param {Function} sendMessageCallback - Callback to send response
  * @param {Buffer} imageBuffer - Optional image data
+ * @param {string} channel - Channel the message arrived on ('whatsapp', 'sms')
  */
 async function processUserMessage(
   senderPhone,
   messageText,
   sendMessageCallback,
-  imageBuffer = null
+  imageBuffer = null,
+  channel = 'whatsapp'
 ) {
   // Check rate limiting
-  if (!rateLimiter.isAllowed(senderPhone)) {
-    const timeUntilReset = rateLimiter.getTimeUntilReset(senderPhone);
-    const minutesUntilReset = Math.ceil(timeUntilReset / 60000);
-    
-    const rateLimitMessage = `⏳ Please wait, I am still processing earlier requests.\n\n` +
-      `You can send ${rateLimiter.maxRequests} messages per minute.\n` +
-      `Try again in ${minutesUntilReset} minute${minutesUntilReset !== 1 ? 's' : ''}.`;
-    
+  const rateLimitMessage = checkRateLimit(senderPhone);
+  if (rateLimitMessage) {
     return sendMessageCallback(rateLimitMessage);
   }
 
   try {
     // Find or create user in database
     const user = await findOrCreateUser(senderPhone);
+    if (user.status === 'suspended') {
+      return sendMessageCallback(SUSPENDED_ACCOUNT_MESSAGE);
+    }
     
     // Try to get enhanced user profile if WhatsApp is linked
     let userProfile = null;
@@ -391,14 +469,37 @@ async function processUserMessage(
       logger.info('No linked profile found for WhatsApp user:', senderPhone);
     }
     
+    // Load conversation memory so follow-up questions keep their context
+    let session = null;
+    let conversationContext = null;
+    try {
+      session = await getActiveSession(user.id, channel);
+      conversationContext = await buildConversationContext(session.id);
+    } catch (error) {
+      logger.error('Failed to load conversation memory:', error);
+    }
+    
+    // Add the farm's forecast for planting, spraying and harvesting questions
+    const weatherContext = await getWeatherContextForMessage(messageText, user);
+    
     // Process message with Gemini AI (with personalization if profile exists)
-    const botResponse = await processWithGemini(messageText, imageBuffer, userProfile);
+    const botResponse = await processWithGemini(messageText, imageBuffer, userProfile, conversationContext, weatherContext);
     
     // Save query to database
     await saveQuery(user.id, messageText, botResponse);
+    if (session) {
+      await recordTurn(session.id, messageText, botResponse, { hasImage: !!imageBuffer })
+        .catch(error => logger.error('Failed to save conversation turn:', error));
+    }
     
     // Send response to user
     sendMessageCallback(botResponse);
+
+    // Summarize older turns after replying; a failed summary only means a longer context next time
+    if (session) {
+      compactSession(session.id)
+        .catch(error => logger.error('Conversation compaction failed:', error));
+    }
     
   } catch (error) {
     logger.error("Error processing user message:", error);
@@ -411,60 +512,6 @@ async function processUserMessage(
   }
 }
 
-app.post("/api/chat", authenticateToken, checkFeatureLimit('ai_query'), trackAIUsage, async (req, res) => {
-  try {
-    const { message, image } = req.body;
-    
-    if (!message && !image) {
-      return res.status(400).json({
-        success: false,
-        message: 'Message or image is required'
-      });
-    }
-
-    // Get user profile for personalization
-    const user = req.user;
-    const userProfile = {
-      name: user.name,
-      location: user.location,
-      farm_size: user.farm_size,
-      crops_grown: user.crops_grown,
-      created_at: user.created_at
-    };
-
-    // Convert base64 image to buffer if provided
-    let imageBuffer = null;
-    if (image) {
-      imageBuffer = Buffer.from(image, 'base64');
-    }
-
-    // Process message with Gemini AI
-    const botResponse = await processWithGemini(message || "Analyze this image", imageBuffer, userProfile);
-    
-    // Save query to database
-    await saveQuery(user.id, message || "Image analysis", botResponse);
-    
-    // Increment usage after successful AI response
-    await incrementUsage(user.id, 'ai_query');
-    
-    res.json({
-      success: true,
-      message: botResponse,
-      usage: {
-        remaining: req.usageInfo.remaining - 1,
-        limit: req.usageInfo.limit
-      }
-    });
-  } catch (error) {
-    console.error("Error in chat endpoint:", error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to process your message. Please try again.',
-      error: error.message
-    });
-  }
-});
-
 app.get("/api/history", async (req, res) => {
   const userPhone = req.query.user;
   if (!userPhone) {
@@ -480,9 +527,10 @@ app.get("/api/history", async (req, res) => {
   }
 });
 
-let sock;
 let admins = [];
 
+const SUSPENDED_ACCOUNT_MESSAGE = "🚫 Your AgriAI account has been suspended. Please contact support if you think this is a mistake.";
+
 async function loadAdmins() {
   try {
     const adminData = await fs.readFile("./admins.json", "utf-8");
@@ -495,127 +543,69 @@ async function loadAdmins() {
 }
 
 /**
- * Handle incoming WhatsApp messages (main webhook endpoint)
- * @param {Object} messageUpdate - WhatsApp message update object
+ * Handle incoming chat messages delivered by the messaging gateway
+ * @param {Object} message - Normalized inbound message { channel, from, chatId, text, imageBuffer }
  */
-async function handleIncomingWhatsAppMessage(messageUpdate) {
-  const msg = messageUpdate.messages[0];
-  logger.error({ rawWhatsAppMessage: msg }, "Processing incoming WhatsApp message"); // Changed to logger.error
-  
-  // Skip if no message content or if message is from bot itself
-  if (!msg.message || msg.key.fromMe) {
-    logger.info("Skipping message: no content or from bot itself.");
-    return;
-  }
+async function handleIncomingMessage(message) {
+  const senderPhone = message.from;
+  const messageText = message.text || "";
+  const imageBuffer = message.imageBuffer || null;
 
-  // Extract sender information
-  const senderPhone = (msg.key.remoteJid || '').split("@")[0];
-  const chatId = msg.key.remoteJid;
-  
-  // Parse message content
-  const { messageText, imageBuffer } = await parseWhatsAppMessage(msg);
-  logger.info({ parsedMessageText: messageText, parsedImageBuffer: !!imageBuffer }, "Parsed WhatsApp message content");
-  
-  if (!messageText && !imageBuffer) {
-    logger.info(`Unsupported message type from ${senderPhone}`);
-    return;
-  }
+  // Replies go back through the adapter the message arrived on
+  const reply = (text) => sendMessage(message.chatId, text, { channel: message.channel });
 
-  logger.info(`Received message from ${senderPhone}: ${messageText.substring(0, 50)}${messageText.length > 50 ? '...' : ''}`);
+  logger.info(`Received ${message.channel} message from ${senderPhone}: ${messageText.substring(0, 50)}${messageText.length > 50 ? '...' : ''}`);
 
   // Handle admin commands
   if (messageText.startsWith("!")) {
-    await handleAdminCommand(messageText, senderPhone, chatId);
+    await handleAdminCommand(messageText, senderPhone, reply);
     return;
   }
 
-  // Load non-admin commands
-  const commands = require('./commands');
+  // Check if it's a registered non-admin command (/weather, /help ...)
+  const parsedCommand = imageBuffer ? null : parseCommand(messageText);
 
-  // Parse command and arguments
-  const args = messageText.split(' ');
-  const commandName = args[0].toLowerCase();
-  const commandArgs = args.slice(1);
+  if (parsedCommand) {
+    const { name: commandName, args: commandArgs } = parsedCommand;
+
+    const rateLimitMessage = checkRateLimit(senderPhone);
+    if (rateLimitMessage) {
+      await reply(rateLimitMessage);
+      return;
+    }
 
-  // Check if it's a registered non-admin command
-  if (commands[commandName]) {
     try {
-      await commands[commandName].execute({ chat: chatId }, sock, commandArgs);
+      const user = await findOrCreateUser(senderPhone);
+      if (user.status === 'suspended') {
+        await reply(SUSPENDED_ACCOUNT_MESSAGE);
+        return;
+      }
+      const response = await executeCommand(commandName, { user, senderPhone, chatId: message.chatId }, commandArgs);
+      await reply(response);
     } catch (error) {
       logger.error(`Error executing command ${commandName}:`, error);
-      await sock.sendMessage(chatId, { text: `❌ Error executing command: ${commandName}. Please try again later.` });
+      await reply(`❌ Error executing command: ${commandName}. Please try again later.`);
     }
     return; // Command handled, exit
   }
 
   // Auto-link WhatsApp account if user exists in database
-  await handleAutoWhatsAppLink(senderPhone, chatId);
+  if (message.channel === 'whatsapp') {
+    await handleAutoWhatsAppLink(senderPhone, reply);
+  }
 
   // Process regular user messages
   if (messageText || imageBuffer) {
-    await processUserMessage(senderPhone, messageText, async (response) => {
-      await sock.sendMessage(chatId, { text: response });
-    }, imageBuffer);
-  }
-}
-
-/**
- * Parse WhatsApp message to extract text and image data
- * @param {Object} msg - WhatsApp message object
- * @returns {Object} Object containing messageText and imageBuffer
- */
-async function parseWhatsAppMessage(msg) {
-  const messageType = Object.keys(msg.message)[0];
-  let messageText = "";
-  let imageBuffer = null;
-
-  try {
-    // Handle image messages
-    if (msg.message.imageMessage) {
-      try {
-        const buffer = await downloadMediaMessage(msg, 'buffer', {}, { sock });
-        imageBuffer = buffer;
-        messageText = msg.message.imageMessage.caption || "Analyze this agricultural image";
-        logger.info(`Image message received with caption: ${messageText}`);
-      } catch (error) {
-        logger.error("Error downloading image:", error);
-        await sock.sendMessage(msg.key.remoteJid, {
-          text: "❌ Sorry, I couldn't process that image. Please try sending it again or check if the image is too large."
-        });
-        return { messageText: "", imageBuffer: null };
-      }
-    }
-    // Handle text messages
-    else if (messageType === "conversation") {
-      messageText = msg.message.conversation;
-    }
-    // Handle extended text messages (with formatting, links, etc.)
-    else if (messageType === "extendedTextMessage") {
-      messageText = msg.message.extendedTextMessage.text;
-    }
-    // Handle other message types
-    else {
-      logger.info(`Unsupported message type: ${messageType}`);
-      return { messageText: "", imageBuffer: null };
-    }
-
-    // Sanitize message text
-    messageText = messageText.trim();
-    
-    return { messageText, imageBuffer };
-    
-  } catch (error) {
-    logger.error("Error parsing WhatsApp message:", error);
-    return { messageText: "", imageBuffer: null };
+    await processUserMessage(senderPhone, messageText, reply, imageBuffer, message.channel);
   }
 }
 
 /**
  * Auto-link WhatsApp account based on phone number from registration
  * @param {string} senderPhone - Phone number of the sender
- * @param {string} chatId - WhatsApp chat ID for response
+ * @param {Function} reply - Sends a text reply to the sender
  */
-async function handleAutoWhatsAppLink(senderPhone, chatId) {
+async function handleAutoWhatsAppLink(senderPhone, reply) {
   try {
     const result = await autoLinkWhatsAppAccount(senderPhone);
     
@@ -630,7 +620,7 @@ async function handleAutoWhatsAppLink(senderPhone, chatId) {
         `💡 Smart recommendations tailored to your crops\n\n` +
         `Try asking me about your crops or farming challenges!`;
       
-      await sock.sendMessage(chatId, { text: welcomeMessage });
+      await reply(welcomeMessage);
       logger.info(`Auto-linked WhatsApp for user: ${result.user.name} (${senderPhone})`);
     }
     
@@ -644,9 +634,9 @@ async function handleAutoWhatsAppLink(senderPhone, chatId) {
  * Handle admin commands with authentication
  * @param {string} messageText - The full command message
  * @param {string} senderPhone - Phone number of the sender
- * @param {string} chatId - WhatsApp chat ID for response
+ * @param {Function} reply - Sends a text reply to the admin
  */
-async function handleAdminCommand(messageText, senderPhone, chatId) {
+async function handleAdminCommand(messageText, senderPhone, reply) {
   // Check admin authentication
   if (!admins.includes(senderPhone)) {
     // Silently ignore non-admin commands (as per requirement 3.5)
@@ -672,7 +662,7 @@ async function handleAdminCommand(messageText, senderPhone, chatId) {
           });
         }
         
-        await sock.sendMessage(chatId, { text: usersList });
+        await reply(usersList);
         break;
 
       case "!stats":
@@ -682,48 +672,32 @@ async function handleAdminCommand(messageText, senderPhone, chatId) {
           `💬 Total Queries: ${stats.totalQueries}\n` +
           `📅 Generated: ${new Date().toLocaleString()}`;
         
-        await sock.sendMessage(chatId, { text: statsMessage });
+        await reply(statsMessage);
         break;
 
       case "!broadcast":
         if (!args.trim()) {
-          await sock.sendMessage(chatId, {
-            text: "❌ Usage: !broadcast <message>\n\nExample: !broadcast Hello farmers! New weather update available."
-          });
+          await reply("❌ Usage: !broadcast <message>\n\nExample: !broadcast Hello farmers! New weather update available.");
           return;
         }
 
-        const allUsers = await getAllUsers();
-        if (allUsers.length === 0) {
-          await sock.sendMessage(chatId, {
-            text: "❌ No users to broadcast to."
-          });
-          return;
-        }
+        // Queued through the outbox like other notifications (rate limits, opt-outs)
+        const broadcast = await broadcastMessage({ message: args });
+        await recordAuditEvent({
+          action: 'broadcast.send',
+          targetType: 'broadcast',
+          details: { admin_phone: senderPhone, channel: 'whatsapp', message: args.trim(), ...broadcast },
+          metadata: { channel: 'whatsapp' }
+        });
 
-        let successCount = 0;
-        let failCount = 0;
-
-        for (const user of allUsers) {
-          try {
-            await sock.sendMessage(`${user.phone}@s.whatsapp.net`, {
-              text: `📢 *Broadcast Message:*\n\n${args}`
-            });
-            successCount++;
-                        await delay(1000); // Delay to avoid rate limiting
-                      } catch (error) {
-                        logger.error(`Failed to send broadcast to ${user.phone}:`, error);
-                        failCount++;
-                      }
-                    }
-            
-                    const broadcastResult = `✅ *Broadcast Complete*\n\n` +
-                      `📤 Sent to: ${successCount} users\n` +
-                      `❌ Failed: ${failCount} users\n` +
-                      `📝 Message: "${args.substring(0, 50)}${args.length > 50 ? '...' : ''}"`;
-                    
-                    await sock.sendMessage(chatId, { text: broadcastResult });
-                    break;
+        const broadcastResult = `✅ *Broadcast Queued*\n\n` +
+          `👥 Recipients: ${broadcast.recipients}\n` +
+          `📤 Queued: ${broadcast.queued}\n` +
+          `🔕 Opted out: ${broadcast.skipped}\n` +
+          `📝 Message: "${args.substring(0, 50)}${args.length > 50 ? '...' : ''}"`;
+
+        await reply(broadcastResult);
+        break;
             
                   case "!ratelimit":
                     const rateLimitStats = rateLimiter.getStats();
@@ -732,7 +706,7 @@ async function handleAdminCommand(messageText, senderPhone, chatId) {
                       `🚦 Max Requests: ${rateLimitStats.maxRequests} per minute\n` +
                       `⏰ Window: ${rateLimitStats.windowMs / 1000} seconds`;
                     
-                    await sock.sendMessage(chatId, { text: rateLimitMessage });
+                    await reply(rateLimitMessage);
                     break;
             
                   case "!testnotify":
@@ -747,20 +721,29 @@ async function handleAdminCommand(messageText, senderPhone, chatId) {
                     };
                     
                     try {
-                      await sendMarketplaceNotification(testNotification, async (phone, message) => {
-                        await sock.sendMessage(phone, { text: message });
-                      });
+                      await sendMarketplaceNotification(testNotification);
                       
-                      await sock.sendMessage(chatId, { 
-                        text: "✅ Test marketplace notification sent to linked users" 
-                      });
+                      await reply("✅ Test marketplace notification sent to linked users");
                     } catch (error) {
-                      await sock.sendMessage(chatId, { 
-                        text: `❌ Failed to send test notification: ${error.message}` 
-                      });
+                      await reply(`❌ Failed to send test notification: ${error.message}`);
                     }
                     break;
             
+                  case "!weatheralerts":
+                    await reply("⏳ Checking forecasts for weather alerts...");
+                    const alertRun = await runJob("weather-alerts", { trigger: "manual", triggeredBy: senderPhone });
+                    if (alertRun.status !== "success") {
+                      await reply(`❌ Weather alerts run ${alertRun.status}: ${alertRun.reason || alertRun.error}`);
+                      break;
+                    }
+                    const alertStats = alertRun.result;
+                    await reply(`🌦️ *Weather Alerts Run*\n\n` +
+                      `👥 Farmers checked: ${alertStats.usersChecked}\n` +
+                      `📤 Alerts sent: ${alertStats.alertsSent}\n` +
+                      `🔁 Duplicates skipped: ${alertStats.duplicatesSkipped}\n` +
+                      `❌ Errors: ${alertStats.errors}`);
+                    break;
+            
                   case "!testsacco":
                     // Test SACCO group update (using a mock SACCO ID)
                     const testUpdate = {
@@ -771,123 +754,63 @@ async function handleAdminCommand(messageText, senderPhone, chatId) {
                       agenda: 'Discuss bulk fertilizer purchase'
                     };
                     
-                    await sock.sendMessage(chatId, { 
-                      text: "ℹ️ SACCO test requires a valid SACCO ID. Use: !testsacco <sacco_id>" 
-                    });
+                    await reply("ℹ️ SACCO test requires a valid SACCO ID. Use: !testsacco <sacco_id>");
                     break;
             
                   default:
-                    await sock.sendMessage(chatId, {
-                      text: `❌ Unknown admin command: ${command}\n\n` +
+                    await reply(
+                      `❌ Unknown admin command: ${command}\n\n` +
                         `Available commands:\n` +
                         `• !users - List all registered users\n` +
                         `• !stats - Show bot statistics\n` +
                         `• !broadcast <message> - Send message to all users\n` +
                         `• !ratelimit - Show rate limiting status\n` +
                         `• !testnotify - Test marketplace notification\n` +
+                        `• !weatheralerts - Run weather alert checks now\n` +
                         `• !testsacco - Test SACCO group update`
-                    });
+                    );
                     break;
                 }
               } catch (error) {
                 logger.error(`Error executing admin command ${command}:`, error);
-                await sock.sendMessage(chatId, {
-                  text: `❌ Error executing command: ${command}\nPlease try again later.`
-                });
+                await reply(`❌ Error executing command: ${command}\nPlease try again later.`);
               }
             }
-// QR code functionality removed - using direct phone number linking
-
-async function connectToWhatsApp() {
-  await loadAdmins(); // Load admins on startup
-  const { state, saveCreds } = await useMultiFileAuthState("./auth_info");
-  const { version, isLatest } = await fetchLatestBaileysVersion();
-  logger.info(`using WA v${version.join(".")}, isLatest: ${isLatest}`);
-
-  sock = makeWASocket({
-    logger: logger,
-    auth: state,
-    browser: ["AgriAIBot", "Safari", "1.0.0"],
-  });
 
-  logger.info("Registering messages.upsert event listener...");
-  // WhatsApp message handler - main webhook endpoint
-  sock.ev.on("messages.upsert", async (m) => {
-    try {
-      await handleIncomingWhatsAppMessage(m);
-    } catch (error) {
-      logger.error("Error handling WhatsApp message:", error);
-    }
-  });
+logger.info("Starting application...");
 
-  sock.ev.on("connection.update", (update) => {
-    const { connection, lastDisconnect, qr } = update;
-    
-    if (qr) {
-      logger.info('\n📱 WhatsApp QR Code:');
-      logger.info('Please scan this QR code with your WhatsApp to connect the bot:\n');
-      qrcode.toFile("qr.png", qr, (err) => {
-        if (err) {
-          logger.error("Error generating QR code image:", err);
-        } else {
-          logger.info("✅ QR code image saved as qr.png");
-        }
-      });
-      logger.info('\n📋 Instructions:');
-      logger.info('1. Open WhatsApp on your phone');
-      logger.info('2. Go to Settings > Linked Devices');
-      logger.info('3. Tap "Link a Device"');
-      logger.info('4. Scan the QR code above');
-      logger.info('5. Once connected, the bot will be ready to receive messages\n');
-    }
-    
-    if (connection === "close") {
-      const shouldReconnect =
-        lastDisconnect.error?.output?.statusCode !== DisconnectReason.loggedOut;
-      logger.info(
-        "connection closed due to ",
-        lastDisconnect.error,
-        ", reconnecting ",
-        shouldReconnect
-      );
+// Messaging gateway - MESSAGING_ADAPTER selects baileys, cloud_api or loopback
+configureGateway({ logger });
+onMessage(handleIncomingMessage);
+onStatus(recordDeliveryReceipt);
 
-      if (
-        lastDisconnect.error?.output?.statusCode === DisconnectReason.loggedOut
-      ) {
-        logger.info(
-          "Connection closed due to being logged out. Deleting auth_info directory."
-        );
-        (async () => {
-          await fs.rm("./auth_info", { recursive: true, force: true });
-        })();
-      }
+// Webhook-based adapters (e.g. WhatsApp Cloud API) expose their own routers
+getWebhookRouters().forEach(({ channel, router }) => {
+  app.use(`/webhooks/${channel}`, router);
+});
 
-      // reconnect if not logged out
-      if (shouldReconnect) {
-        connectToWhatsApp();
-      }
-    } else if (connection === "open") {
-      logger.info("✅ WhatsApp connection established successfully!");
-      logger.info("🤖 Bot is now ready to receive messages");
-      logger.info("📞 Users can now send messages to link their accounts automatically");
-    }
-  });
+// Background jobs (market data, token cleanup, bulk order reminders, weather alerts)
+loadJobs();
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  startScheduler()
+    .then(() => logger.info("Job scheduler started."))
+    .catch(err => logger.error({ err }, "Failed to start job scheduler"));
 }
 
-logger.info("Starting application...");
-
-// WhatsApp feature disabled - will be re-enabled later
-// connectToWhatsApp().then(() => {
-//   logger.info("WhatsApp connection successful.");
-// }).catch(err => {
-//   logger.error({ err }, "An error occurred during WhatsApp connection:");
-//   process.exit(1); // Exit the process with an error code
-// });
+loadAdmins()
+  .then(() => startGateway())
+  .then(() => {
+    logger.info("Messaging gateway started.");
+  })
+  .catch(err => {
+    logger.error({ err }, "An error occurred while starting the messaging gateway:");
+    process.exit(1); // Exit the process with an error code
+  });
 
 logger.info("Attempting to start server...");
 app.listen(port, () => {
   logger.info(`Server is running on port ${port}`);
   logger.info("AI Integration: ✅ Active");
-  logger.info("SACCO Creation: ✅ Active");  
-  logger.info("WhatsApp: ⏸️ Disabled (will be enabled later)");
+  logger.info("SACCO Creation: ✅ Active");
+  logger.info(`Messaging: ✅ ${process.env.MESSAGING_ADAPTER} adapter`);
 });
@@ -0,0 +1,15 @@
+const { cleanupSessions } = require('../services/authSessions');
+
+/**
+ * auth-session-cleanup - delete long-expired and revoked sign-in sessions
+ */
+module.exports = {
+  name: 'auth-session-cleanup',
+  schedule: '45 3 * * *',
+  description: 'Delete sign-in sessions that expired or were revoked more than 30 days ago',
+
+  async run() {
+    const deleted = await cleanupSessions();
+    return { deleted };
+  }
+};
@@ -0,0 +1,14 @@
+const { sendBulkOrderDeadlineReminders } = require('../services/bulkOrders');
+
+/**
+ * bulk-order-deadline-reminders - remind SACCO members before a bulk order closes
+ */
+module.exports = {
+  name: 'bulk-order-deadline-reminders',
+  schedule: '0 * * * *',
+  description: 'Remind SACCO members about bulk orders closing within 24 hours',
+
+  async run() {
+    return sendBulkOrderDeadlineReminders(24);
+  }
+};
@@ -0,0 +1,14 @@
+const { processExpiredBulkOrders } = require('../services/bulkOrders');
+
+/**
+ * bulk-order-deadlines - finalize or cancel bulk orders whose deadline has passed
+ */
+module.exports = {
+  name: 'bulk-order-deadlines',
+  schedule: '*/15 * * * *',
+  description: 'Finalize bulk orders that met the SACCO minimum at their deadline and cancel the rest',
+
+  async run() {
+    return processExpiredBulkOrders();
+  }
+};
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const { registerJob } = require('../services/scheduler');
+
+/**
+ * Background Job Registry
+ * Loads job modules from this directory into the scheduler (services/scheduler.js)
+ *
+ * Each job module exports:
+ * - name: unique job name (kebab-case)
+ * - schedule: 5-field cron expression in server local time
+ * - description: one-line summary shown in the admin job list
+ * - lockMs: optional lock duration for long-running jobs
+ * - run(): resolves to a JSON-serialisable result stored with the run
+ */
+
+/**
+ * Load every job module in a directory and register it with the scheduler
+ * @param {string} dir - Directory containing job modules
+ * @returns {Array<string>} Registered job names
+ */
+function loadJobs(dir = __dirname) {
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort();
+
+  return files.map(file => registerJob(require(path.join(dir, file))).name);
+}
+
+module.exports = {
+  loadJobs
+};
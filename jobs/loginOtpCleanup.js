@@ -0,0 +1,15 @@
+const { cleanupLoginOtps } = require('../services/loginOtp');
+
+/**
+ * login-otp-cleanup - delete old phone login codes
+ */
+module.exports = {
+  name: 'login-otp-cleanup',
+  schedule: '15 3 * * *',
+  description: 'Delete phone login codes older than a day',
+
+  async run() {
+    const deleted = await cleanupLoginOtps();
+    return { deleted };
+  }
+};
@@ -0,0 +1,14 @@
+const { collectMarketData } = require('../services/marketIntelligence');
+
+/**
+ * market-data-collection - aggregate recent orders and listings into market_data
+ */
+module.exports = {
+  name: 'market-data-collection',
+  schedule: process.env.JOB_MARKET_DATA_SCHEDULE || '0 */6 * * *',
+  description: 'Aggregate recent orders and product prices into market data',
+
+  async run() {
+    return collectMarketData();
+  }
+};
@@ -0,0 +1,14 @@
+const { processOutbox } = require('../services/notificationOutbox');
+
+/**
+ * notification-outbox - send queued notifications and retry failed ones
+ */
+module.exports = {
+  name: 'notification-outbox',
+  schedule: '* * * * *',
+  description: 'Send due notifications from the outbox with per-channel rate limits and retry backoff',
+
+  async run() {
+    return processOutbox();
+  }
+};
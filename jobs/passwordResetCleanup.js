@@ -0,0 +1,15 @@
+const { cleanupExpiredTokens } = require('../services/passwordReset');
+
+/**
+ * password-reset-cleanup - delete expired password reset tokens
+ */
+module.exports = {
+  name: 'password-reset-cleanup',
+  schedule: '30 3 * * *',
+  description: 'Delete expired password reset tokens',
+
+  async run() {
+    const deleted = await cleanupExpiredTokens();
+    return { deleted };
+  }
+};
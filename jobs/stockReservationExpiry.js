@@ -0,0 +1,14 @@
+const { expireUnpaidReservations } = require('../services/orders');
+
+/**
+ * stock-reservation-expiry - cancel unpaid orders whose stock reservation ran out
+ */
+module.exports = {
+  name: 'stock-reservation-expiry',
+  schedule: '*/5 * * * *',
+  description: 'Cancel pending unpaid orders whose stock reservation expired and release the stock',
+
+  async run() {
+    return expireUnpaidReservations();
+  }
+};
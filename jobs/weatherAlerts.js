@@ -0,0 +1,14 @@
+const { runWeatherAlerts } = require('../services/weatherAlerts');
+
+/**
+ * weather-alerts - warn farmers about heavy rain, highland frost and dry spells
+ */
+module.exports = {
+  name: 'weather-alerts',
+  schedule: process.env.JOB_WEATHER_ALERTS_SCHEDULE || '0 5,11,17 * * *',
+  description: 'Check farm forecasts and send heavy rain, frost and dry spell alerts',
+
+  async run() {
+    return runWeatherAlerts();
+  }
+};
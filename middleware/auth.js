@@ -1,23 +1,29 @@
 const jwt = require('jsonwebtoken');
 const { getUserById } = require('../services/supabase');
+const { isSessionActive } = require('../services/authSessions');
+const { getUserPermissions } = require('../services/permissions');
 
 // JWT secret key - should be in environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; clients renew them with a refresh token (POST /api/auth/refresh)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
 
 /**
- * Generate JWT token for user
+ * Generate JWT access token for user
  * @param {Object} user - User object
+ * @param {Object} session - Auth session the token belongs to ({ id, token_version })
  * @returns {string} JWT token
  */
-function generateToken(user) {
+function generateToken(user, session = null) {
     const payload = {
         userId: user.id,
         email: user.email,
-        userType: user.user_type
+        userType: user.user_type,
+        sessionId: session?.id,
+        tokenVersion: session?.token_version ?? user.token_version ?? 0
     };
     
-    return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
 }
 
 /**
@@ -29,10 +35,44 @@ function verifyToken(token) {
     try {
         return jwt.verify(token, JWT_SECRET);
     } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw new Error('Token expired');
+        }
         throw new Error('Invalid or expired token');
     }
 }
 
+/**
+ * Resolve the user behind an access token, rejecting tokens from revoked sessions
+ * or issued before the user's last password change
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} { user, sessionId }
+ */
+async function getUserFromToken(token) {
+    const decoded = verifyToken(token);
+    
+    // Get full user data
+    const user = await getUserById(decoded.userId);
+    if (!user) {
+        throw new Error('User not found');
+    }
+    
+    if (user.status === 'suspended') {
+        throw new Error('Account suspended');
+    }
+    
+    if ((decoded.tokenVersion ?? 0) !== (user.token_version || 0)) {
+        throw new Error('Session has been revoked');
+    }
+    
+    if (decoded.sessionId && !(await isSessionActive(decoded.sessionId))) {
+        throw new Error('Session has been revoked');
+    }
+    
+    const { token_version, ...userData } = user;
+    return { user: userData, sessionId: decoded.sessionId || null };
+}
+
 /**
  * Authentication middleware - verifies JWT token
  * @param {Object} req - Express request object
@@ -51,20 +91,27 @@ async function authenticateToken(req, res, next) {
             });
         }
         
-        const decoded = verifyToken(token);
+        const { user, sessionId } = await getUserFromToken(token);
         
-        // Get full user data
-        const user = await getUserById(decoded.userId);
-        if (!user) {
+        req.user = user;
+        req.sessionId = sessionId;
+        next();
+    } catch (error) {
+        if (error.message.includes('Account suspended')) {
+            return res.status(403).json({ 
+                error: 'Account suspended',
+                message: 'This account has been suspended. Please contact support.'
+            });
+        }
+        
+        // Expired and revoked tokens get a 401 so clients know to refresh or sign in again
+        if (error.message.includes('Token expired') || error.message.includes('revoked') || error.message.includes('User not found')) {
             return res.status(401).json({ 
                 error: 'Invalid token',
-                message: 'User not found'
+                message: error.message
             });
         }
         
-        req.user = user;
-        next();
-    } catch (error) {
         console.error('Authentication error:', error);
         return res.status(403).json({ 
             error: 'Invalid token',
@@ -98,6 +145,76 @@ function requireRole(allowedRoles) {
     };
 }
 
+/**
+ * Permission-based authorization middleware. SACCO-scoped permissions need to
+ * know which SACCO the request is about; pass a resolver for it. Routes about a
+ * single user can pass a self resolver so that user gets through without the permission.
+ * @param {string} permission - Permission name (see services/permissions PERMISSIONS)
+ * @param {Object} options - { sacco: (req) => saccoId | Promise<saccoId>, self: (req) => userId }
+ * @returns {Function} Express middleware function
+ */
+function requirePermission(permission, options = {}) {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ 
+                error: 'Authentication required',
+                message: 'Please authenticate first'
+            });
+        }
+        
+        if (options.self && options.self(req) === req.user.id) {
+            return next();
+        }
+        
+        try {
+            const saccoId = options.sacco ? await options.sacco(req) : null;
+            const { permissions, platformRoles, saccoRole } = await getUserPermissions(req.user, { saccoId });
+            
+            if (!permissions.has(permission)) {
+                return res.status(403).json({ 
+                    error: 'Insufficient permissions',
+                    message: `Access denied. Required permission: ${permission}`
+                });
+            }
+            
+            req.platformRoles = platformRoles;
+            req.saccoRole = saccoRole;
+            next();
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ 
+                    error: 'Not found',
+                    message: error.message
+                });
+            }
+            
+            console.error('Permission check error:', error);
+            return res.status(500).json({ 
+                error: 'Permission check failed',
+                message: 'An error occurred while checking permissions'
+            });
+        }
+    };
+}
+
+/**
+ * SACCO resolver for requirePermission: the SACCO ID is a route parameter
+ * @param {string} paramName - Route parameter holding the SACCO ID
+ * @returns {Function} (req) => saccoId
+ */
+function saccoFromParam(paramName = 'id') {
+    return req => req.params[paramName];
+}
+
+/**
+ * Self resolver for requirePermission: the user ID is a route parameter
+ * @param {string} paramName - Route parameter holding the user ID
+ * @returns {Function} (req) => userId
+ */
+function selfFromParam(paramName = 'id') {
+    return req => req.params[paramName];
+}
+
 /**
  * Optional authentication middleware - doesn't fail if no token provided
  * @param {Object} req - Express request object
@@ -110,11 +227,9 @@ async function optionalAuth(req, res, next) {
         const token = authHeader && authHeader.split(' ')[1];
         
         if (token) {
-            const decoded = verifyToken(token);
-            const user = await getUserById(decoded.userId);
-            if (user) {
-                req.user = user;
-            }
+            const { user, sessionId } = await getUserFromToken(token);
+            req.user = user;
+            req.sessionId = sessionId;
         }
         
         next();
@@ -173,6 +288,9 @@ module.exports = {
     verifyToken,
     authenticateToken,
     requireRole,
+    requirePermission,
+    saccoFromParam,
+    selfFromParam,
     optionalAuth,
     requireAdmin,
     requireFarmerOrAdmin,
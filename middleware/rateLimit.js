@@ -0,0 +1,76 @@
+/**
+ * Request rate limiting middleware
+ * Sliding-window limits kept in memory, keyed per IP, per email or anything else
+ * derived from the request. Limits are per process, which is enough for a single
+ * instance; requests over the limit get a 429 with a Retry-After header.
+ */
+
+const limiters = new Set();
+
+// Drop expired entries every 5 minutes so the maps don't grow without bound
+setInterval(() => {
+  for (const limiter of limiters) {
+    limiter.cleanup();
+  }
+}, 5 * 60 * 1000).unref();
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options - Limiter options
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} options.keyGenerator - (req) => key; requests without a key are not limited
+ * @param {string} options.message - Message returned when the limit is hit
+ * @returns {Function} Express middleware (with a reset() helper)
+ */
+function createRateLimiter({ max, windowMs, keyGenerator = req => req.ip, message = 'Too many requests. Please try again later.' }) {
+  const hits = new Map();
+
+  const limiter = {
+    cleanup() {
+      const now = Date.now();
+      for (const [key, timestamps] of hits.entries()) {
+        const recent = timestamps.filter(timestamp => now - timestamp < windowMs);
+        if (recent.length === 0) {
+          hits.delete(key);
+        } else {
+          hits.set(key, recent);
+        }
+      }
+    }
+  };
+  limiters.add(limiter);
+
+  function middleware(req, res, next) {
+    const key = keyGenerator(req);
+    if (!key) {
+      return next();
+    }
+
+    const now = Date.now();
+    const recent = (hits.get(key) || []).filter(timestamp => now - timestamp < windowMs);
+
+    if (recent.length >= max) {
+      const retryAfterSeconds = Math.ceil((recent[0] + windowMs - now) / 1000);
+      hits.set(key, recent);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message,
+        retryAfter: retryAfterSeconds
+      });
+    }
+
+    recent.push(now);
+    hits.set(key, recent);
+    next();
+  }
+
+  middleware.reset = () => hits.clear();
+
+  return middleware;
+}
+
+module.exports = {
+  createRateLimiter
+};
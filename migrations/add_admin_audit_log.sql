@@ -0,0 +1,35 @@
+-- Admin API
+-- Account status for suspensions, an audit log of every admin action, and an
+-- announcements notification category for admin broadcasts.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'suspended'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_users_status ON users(status);
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for WhatsApp admin commands
+    action VARCHAR(50) NOT NULL, -- e.g. user.suspend, user.change_type, broadcast.send
+    target_type VARCHAR(30), -- user, subscription, broadcast
+    target_id VARCHAR(100),
+    details JSONB DEFAULT '{}',
+    ip_address VARCHAR(64),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor ON admin_audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
+
+-- Broadcasts go through the notification outbox; farmers can opt out of them
+ALTER TABLE notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_category_check;
+ALTER TABLE notification_outbox ADD CONSTRAINT notification_outbox_category_check
+    CHECK (category IN ('marketplace', 'sacco', 'price_alerts', 'weather', 'announcements'));
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS announcements BOOLEAN NOT NULL DEFAULT true;
+
+-- Enable Row Level Security
+ALTER TABLE admin_audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on admin_audit_log" ON admin_audit_log FOR ALL USING (true);
@@ -0,0 +1,9 @@
+-- Announcement Notifications
+-- Admin broadcasts go through the notification outbox under their own
+-- announcements category, and farmers can opt out of them. Safe to run on
+-- databases that already picked this up from add_admin_audit_log.sql.
+ALTER TABLE notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_category_check;
+ALTER TABLE notification_outbox ADD CONSTRAINT notification_outbox_category_check
+    CHECK (category IN ('marketplace', 'sacco', 'price_alerts', 'weather', 'announcements'));
+
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS announcements BOOLEAN NOT NULL DEFAULT true;
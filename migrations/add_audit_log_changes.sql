@@ -0,0 +1,46 @@
+-- Audit Log for Sensitive Actions
+-- The admin audit log becomes the audit log for every sensitive action (order status
+-- changes, SACCO chair transfers, bulk order finalization, AI product edits, plan
+-- changes). Entries carry a before/after diff and request metadata, and cannot be
+-- changed once written.
+ALTER TABLE IF EXISTS admin_audit_log RENAME TO audit_log;
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'admin_audit_log_actor_id_fkey') THEN
+        ALTER TABLE audit_log RENAME CONSTRAINT admin_audit_log_actor_id_fkey TO audit_log_actor_id_fkey;
+    END IF;
+END $$;
+
+ALTER INDEX IF EXISTS idx_admin_audit_log_created RENAME TO idx_audit_log_created;
+ALTER INDEX IF EXISTS idx_admin_audit_log_actor RENAME TO idx_audit_log_actor;
+ALTER INDEX IF EXISTS idx_admin_audit_log_target RENAME TO idx_audit_log_target;
+
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS changes JSONB DEFAULT '{}'; -- { field: { from, to } }
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'; -- channel, user agent, method, path
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at DESC);
+
+-- Append-only: rows can be inserted but not edited or removed. The one exception is
+-- the foreign key clearing actor_id when the acting user is deleted.
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes() RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.actor_id IS NULL
+        AND to_jsonb(NEW) - 'actor_id' = to_jsonb(OLD) - 'actor_id' THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- Row Level Security: read and insert only
+DROP POLICY IF EXISTS "Allow all operations on admin_audit_log" ON audit_log;
+DROP POLICY IF EXISTS "Allow reading audit_log" ON audit_log;
+DROP POLICY IF EXISTS "Allow inserting into audit_log" ON audit_log;
+CREATE POLICY "Allow reading audit_log" ON audit_log FOR SELECT USING (true);
+CREATE POLICY "Allow inserting into audit_log" ON audit_log FOR INSERT WITH CHECK (true);
@@ -0,0 +1,27 @@
+-- Auth Sessions
+-- Short-lived access tokens are paired with a rotating refresh token per signed-in device.
+-- Bumping users.token_version (password change or reset) invalidates every existing session.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL, -- SHA-256 of the current refresh token
+    previous_token_hash VARCHAR(64), -- Last rotated-out token, presenting it again revokes the session
+    token_version INTEGER NOT NULL DEFAULT 0, -- users.token_version when the session was created
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_reason VARCHAR(50) -- logout, revoked, password_changed, refresh_token_reuse
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id, revoked_at);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires ON auth_sessions(expires_at);
+
+-- Enable Row Level Security
+ALTER TABLE auth_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on auth_sessions" ON auth_sessions FOR ALL USING (true);
@@ -0,0 +1,15 @@
+-- Minimum total quantity a SACCO requires before a bulk order is placed at its deadline
+-- NULL means any order with at least one participation is finalized
+ALTER TABLE sacco_groups ADD COLUMN IF NOT EXISTS min_bulk_order_quantity INTEGER CHECK (min_bulk_order_quantity > 0);
+
+-- Bulk orders that miss the minimum at their deadline are cancelled
+ALTER TABLE bulk_orders DROP CONSTRAINT IF EXISTS bulk_orders_status_check;
+ALTER TABLE bulk_orders ADD CONSTRAINT bulk_orders_status_check
+    CHECK (status IN ('collecting', 'finalized', 'ordered', 'delivered', 'cancelled'));
+
+ALTER TABLE bulk_orders ADD COLUMN IF NOT EXISTS finalized_at TIMESTAMPTZ;
+ALTER TABLE bulk_orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+ALTER TABLE bulk_orders ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- Deadline sweep looks up collecting orders past their deadline
+CREATE INDEX IF NOT EXISTS idx_bulk_orders_status_deadline ON bulk_orders(status, deadline);
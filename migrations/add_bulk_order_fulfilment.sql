@@ -0,0 +1,14 @@
+-- Finalized bulk orders are placed with the wholesaler as a linked 'bulk' order
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS bulk_order_id UUID REFERENCES bulk_orders(id) ON DELETE SET NULL;
+-- updateOrderStatus stamps delivered_at when the wholesaler marks an order delivered
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ;
+
+-- One wholesaler order per bulk order
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_bulk_order_id ON orders(bulk_order_id) WHERE bulk_order_id IS NOT NULL;
+
+-- Stock held for finalized bulk orders until the wholesaler confirms them
+ALTER TABLE products ADD COLUMN IF NOT EXISTS reserved_quantity INTEGER DEFAULT 0 CHECK (reserved_quantity >= 0);
+
+-- Track when the wholesaler order moved the bulk order along
+ALTER TABLE bulk_orders ADD COLUMN IF NOT EXISTS ordered_at TIMESTAMPTZ;
+ALTER TABLE bulk_orders ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ;
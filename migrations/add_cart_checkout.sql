@@ -0,0 +1,67 @@
+-- Shopping Cart and Multi-Item Checkout
+-- A server-side cart per user. Checking out creates a parent order for the whole
+-- cart and one order per wholesaler, each with its own line items priced at the
+-- bulk tier the line's quantity qualifies for.
+CREATE TABLE IF NOT EXISTS cart_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cart_items_user ON cart_items(user_id);
+
+-- One parent order per checkout; the orders placed with each wholesaler hang off it
+CREATE TABLE IF NOT EXISTS parent_orders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    buyer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    total_amount DECIMAL(10,2) NOT NULL,
+    item_count INTEGER NOT NULL,
+    seller_count INTEGER NOT NULL,
+    delivery_address TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_parent_orders_buyer ON parent_orders(buyer_id, created_at DESC);
+
+-- Orders record their seller directly: an order with several products has no product_id
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS wholesaler_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS parent_order_id UUID REFERENCES parent_orders(id) ON DELETE SET NULL;
+-- Multi-item orders are priced per line
+ALTER TABLE orders ALTER COLUMN unit_price DROP NOT NULL;
+
+UPDATE orders
+SET wholesaler_id = products.wholesaler_id
+FROM products
+WHERE orders.product_id = products.id
+  AND orders.wholesaler_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_wholesaler ON orders(wholesaler_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_orders_parent ON orders(parent_order_id) WHERE parent_order_id IS NOT NULL;
+
+-- Line items of checkout orders
+CREATE TABLE IF NOT EXISTS order_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10,2) NOT NULL,
+    total_amount DECIMAL(10,2) NOT NULL,
+    bulk_tier_quantity INTEGER, -- minimum quantity of the bulk tier applied, NULL for the regular price
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_product ON order_items(product_id);
+
+-- Enable Row Level Security
+ALTER TABLE cart_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE parent_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on cart_items" ON cart_items FOR ALL USING (true);
+CREATE POLICY "Allow all operations on parent_orders" ON parent_orders FOR ALL USING (true);
+CREATE POLICY "Allow all operations on order_items" ON order_items FOR ALL USING (true);
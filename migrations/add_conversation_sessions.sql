@@ -0,0 +1,40 @@
+-- Conversation Sessions Table
+-- One row per conversation thread; older turns are folded into summary once they exceed the token budget
+CREATE TABLE IF NOT EXISTS conversation_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL DEFAULT 'web', -- 'web', 'whatsapp'
+    title VARCHAR(255),
+    summary TEXT, -- Rolling summary of turns that no longer fit in the context window
+    message_count INTEGER DEFAULT 0,
+    last_message_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Conversation Messages Table
+-- A turn's question and reply are inserted together and share created_at, so
+-- messages are ordered by sequence, which follows insertion order
+CREATE TABLE IF NOT EXISTS conversation_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sequence BIGINT GENERATED ALWAYS AS IDENTITY,
+    session_id UUID NOT NULL REFERENCES conversation_sessions(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    has_image BOOLEAN DEFAULT false,
+    token_estimate INTEGER DEFAULT 0,
+    summarized BOOLEAN DEFAULT false, -- true once the turn has been folded into the session summary
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_user_channel ON conversation_sessions(user_id, channel, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_session ON conversation_messages(session_id, sequence);
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_unsummarized ON conversation_messages(session_id) WHERE summarized = false;
+
+-- Enable Row Level Security
+ALTER TABLE conversation_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on conversation_sessions" ON conversation_sessions FOR ALL USING (true);
+CREATE POLICY "Allow all operations on conversation_messages" ON conversation_messages FOR ALL USING (true);
@@ -0,0 +1,45 @@
+-- Scheduled Jobs Table
+-- One row per registered background job: last-run state and the overlap lock
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name VARCHAR(100) PRIMARY KEY,
+    schedule VARCHAR(100) NOT NULL, -- 5-field cron expression
+    description TEXT,
+    enabled BOOLEAN DEFAULT true,
+    last_run_at TIMESTAMPTZ,
+    last_status VARCHAR(20), -- 'success', 'failed'
+    last_duration_ms INTEGER,
+    last_error TEXT,
+    next_run_at TIMESTAMPTZ,
+    locked_by VARCHAR(100), -- Instance currently running the job
+    locked_until TIMESTAMPTZ, -- Lock expiry, so a crashed instance doesn't block the job forever
+    last_scheduled_for TIMESTAMPTZ NOT NULL DEFAULT 'epoch', -- Cron minute last claimed, so each scheduled run happens once
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Job Runs Table (history)
+CREATE TABLE IF NOT EXISTS job_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_name VARCHAR(100) NOT NULL REFERENCES scheduled_jobs(name) ON DELETE CASCADE,
+    trigger VARCHAR(20) NOT NULL DEFAULT 'schedule', -- 'schedule', 'manual'
+    triggered_by VARCHAR(255), -- User ID or admin phone for manual runs
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'success', 'failed')),
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    result JSONB,
+    error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_status ON job_runs(status);
+
+-- Bulk order deadline reminders are sent once per order
+ALTER TABLE bulk_orders ADD COLUMN IF NOT EXISTS deadline_reminder_sent_at TIMESTAMPTZ;
+
+-- Enable Row Level Security
+ALTER TABLE scheduled_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE job_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on scheduled_jobs" ON scheduled_jobs FOR ALL USING (true);
+CREATE POLICY "Allow all operations on job_runs" ON job_runs FOR ALL USING (true);
@@ -0,0 +1,20 @@
+-- Phone OTP Login
+-- One-time codes sent over WhatsApp or SMS so farmers without an email can sign in on the web
+CREATE TABLE IF NOT EXISTS login_otps (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL for unregistered numbers (nothing is sent)
+    phone VARCHAR(20) NOT NULL, -- Normalized international digits, e.g. 254712345678
+    code_hash VARCHAR(64) NOT NULL, -- HMAC-SHA256 of phone and code, the code itself is never stored
+    channel VARCHAR(20) NOT NULL DEFAULT 'whatsapp',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    consumed_at TIMESTAMPTZ, -- Set when used, superseded by a newer code or locked after too many attempts
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_otps_phone ON login_otps(phone, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE login_otps ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on login_otps" ON login_otps FOR ALL USING (true);
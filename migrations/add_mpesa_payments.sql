@@ -0,0 +1,16 @@
+-- M-Pesa STK Push tracking on the payments table
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS phone_number VARCHAR(20);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS merchant_request_id VARCHAR(100);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS checkout_request_id VARCHAR(100);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS result_code INTEGER;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS result_desc TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS callback_payload JSONB;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Callbacks are matched on the checkout request, and an M-Pesa receipt can only settle one payment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_checkout_request_id ON payments(checkout_request_id) WHERE checkout_request_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_transaction_id ON payments(transaction_id) WHERE transaction_id IS NOT NULL;
+
+-- Orders record when they were paid
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS paid_at TIMESTAMPTZ;
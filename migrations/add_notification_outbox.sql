@@ -0,0 +1,45 @@
+-- Notification Outbox
+-- Every outbound notification is queued here and sent by the notification-outbox job
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL DEFAULT 'whatsapp',
+    recipient VARCHAR(100) NOT NULL, -- Phone number or chat ID on the channel
+    category VARCHAR(30) NOT NULL CHECK (category IN ('marketplace', 'sacco', 'price_alerts', 'weather')),
+    message TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'delivered', 'read', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- Retry backoff and quiet-hours deferral
+    last_error TEXT,
+    provider_message_id VARCHAR(255), -- Used to match delivery receipts
+    sent_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_user ON notification_outbox(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_provider_id ON notification_outbox(provider_message_id);
+
+-- Notification Preferences (a missing row means the defaults: everything on, no quiet hours)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    marketplace BOOLEAN NOT NULL DEFAULT true,
+    sacco BOOLEAN NOT NULL DEFAULT true,
+    price_alerts BOOLEAN NOT NULL DEFAULT true,
+    weather BOOLEAN NOT NULL DEFAULT true,
+    quiet_hours_start TIME, -- East Africa Time; both NULL disables quiet hours
+    quiet_hours_end TIME,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE notification_outbox ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on notification_outbox" ON notification_outbox FOR ALL USING (true);
+CREATE POLICY "Allow all operations on notification_preferences" ON notification_preferences FOR ALL USING (true);
@@ -0,0 +1,35 @@
+-- Order Deliveries
+-- Delivery records for orders: who carries the goods (carrier, boda-boda rider or
+-- buyer pickup), dates, proof of delivery and the confirmation code the buyer
+-- enters on receipt to mark the order delivered.
+CREATE TABLE IF NOT EXISTS deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    wholesaler_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    method VARCHAR(20) NOT NULL DEFAULT 'rider' CHECK (method IN ('carrier', 'rider', 'pickup')),
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+        CHECK (status IN ('scheduled', 'in_transit', 'delivered', 'failed')),
+    carrier_name VARCHAR(100),
+    tracking_number VARCHAR(100),
+    rider_name VARCHAR(100),
+    rider_phone VARCHAR(20),
+    pickup_point TEXT,
+    estimated_delivery_at TIMESTAMPTZ,
+    dispatched_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    proof_of_delivery_url TEXT,
+    notes TEXT,
+    confirmation_code VARCHAR(6) NOT NULL, -- handed over with the goods; never shown to the buyer
+    confirmation_attempts INTEGER NOT NULL DEFAULT 0,
+    confirmed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deliveries_wholesaler ON deliveries(wholesaler_id, status);
+CREATE INDEX IF NOT EXISTS idx_deliveries_estimated ON deliveries(estimated_delivery_at) WHERE status IN ('scheduled', 'in_transit');
+
+-- Enable Row Level Security
+ALTER TABLE deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on deliveries" ON deliveries FOR ALL USING (true);
@@ -0,0 +1,41 @@
+-- Order Status History
+-- One row per order event (placed, status change, payment status change) with who
+-- made it, optional notes and shipment tracking details. Replaces the timeline that
+-- was pieced together from the order's own timestamps.
+CREATE TABLE IF NOT EXISTS order_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('created', 'status', 'payment')),
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for system events (M-Pesa callbacks, bulk order finalization)
+    actor_role VARCHAR(20) CHECK (actor_role IN ('buyer', 'wholesaler', 'admin', 'system')),
+    notes TEXT,
+    tracking_info JSONB, -- { carrier, tracking_number, estimated_delivery }
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id, created_at);
+
+-- Existing orders keep the events we have real timestamps for
+INSERT INTO order_events (order_id, event_type, to_status, actor_id, actor_role, created_at)
+SELECT id, 'created', 'pending', buyer_id, 'buyer', created_at
+FROM orders
+WHERE NOT EXISTS (SELECT 1 FROM order_events e WHERE e.order_id = orders.id);
+
+INSERT INTO order_events (order_id, event_type, to_status, actor_role, created_at)
+SELECT id, 'payment', 'paid', 'system', paid_at
+FROM orders
+WHERE paid_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM order_events e WHERE e.order_id = orders.id AND e.event_type = 'payment');
+
+INSERT INTO order_events (order_id, event_type, to_status, created_at)
+SELECT id, 'status', 'delivered', delivered_at
+FROM orders
+WHERE delivered_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM order_events e WHERE e.order_id = orders.id AND e.to_status = 'delivered');
+
+-- Enable Row Level Security
+ALTER TABLE order_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on order_events" ON order_events FOR ALL USING (true);
@@ -0,0 +1,22 @@
+-- Payment Safeguards
+-- One M-Pesa prompt per order at a time, enforced by the database so two
+-- parallel requests cannot both send an STK push. Payments that complete after
+-- their order was cancelled are flagged for a refund instead of marking the
+-- order paid.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refund_required BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_payments_refund_required ON payments(created_at) WHERE refund_required;
+
+-- Keep only the newest pending payment per order before adding the unique index
+UPDATE payments p
+SET status = 'failed', result_desc = 'Superseded by a newer payment request', updated_at = NOW()
+WHERE p.status = 'pending'
+  AND p.order_id IS NOT NULL
+  AND EXISTS (
+      SELECT 1 FROM payments newer
+      WHERE newer.order_id = p.order_id
+        AND newer.status = 'pending'
+        AND (newer.created_at, newer.id) > (p.created_at, p.id)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_one_pending_per_order ON payments(order_id) WHERE status = 'pending';
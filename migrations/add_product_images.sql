@@ -0,0 +1,29 @@
+-- Product Images
+-- Uploaded product photos. Each upload is stored as WebP thumbnail and medium
+-- renditions (EXIF stripped); the original file is not kept. products.image_url
+-- mirrors the medium rendition of the primary image for existing clients.
+CREATE TABLE IF NOT EXISTS product_images (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    thumbnail_key TEXT NOT NULL,
+    thumbnail_url TEXT NOT NULL,
+    medium_key TEXT NOT NULL,
+    medium_url TEXT NOT NULL,
+    width INTEGER, -- of the medium rendition
+    height INTEGER,
+    original_size_bytes INTEGER,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_primary BOOLEAN NOT NULL DEFAULT false,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_images_product ON product_images(product_id, position);
+
+-- At most one primary image per product
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_images_primary ON product_images(product_id) WHERE is_primary;
+
+-- Enable Row Level Security
+ALTER TABLE product_images ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on product_images" ON product_images FOR ALL USING (true);
@@ -0,0 +1,97 @@
+-- Product Reviews
+-- Verified-purchase reviews: a buyer can rate each product of a paid, delivered
+-- order once. Wholesalers can reply, anyone signed in can report a review, and
+-- content moderators hide or restore reported ones. Only published reviews
+-- count toward the product rating and the wholesaler's seller score, which are
+-- kept on products and users so the marketplace can sort and filter by them.
+CREATE TABLE IF NOT EXISTS product_reviews (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    wholesaler_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    reviewer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title VARCHAR(120),
+    comment TEXT,
+    -- flagged: hidden automatically after enough reports, waiting for a moderator
+    status VARCHAR(20) NOT NULL DEFAULT 'published' CHECK (status IN ('published', 'flagged', 'hidden')),
+    reply TEXT,
+    replied_at TIMESTAMPTZ,
+    report_count INTEGER NOT NULL DEFAULT 0,
+    moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMPTZ,
+    moderation_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(order_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product ON product_reviews(product_id, created_at DESC) WHERE status = 'published';
+CREATE INDEX IF NOT EXISTS idx_product_reviews_wholesaler ON product_reviews(wholesaler_id, created_at DESC) WHERE status = 'published';
+CREATE INDEX IF NOT EXISTS idx_product_reviews_reviewer ON product_reviews(reviewer_id);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_moderation ON product_reviews(status, report_count DESC) WHERE report_count > 0 OR status <> 'published';
+
+CREATE TABLE IF NOT EXISTS review_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    review_id UUID NOT NULL REFERENCES product_reviews(id) ON DELETE CASCADE,
+    reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('abusive', 'spam', 'off_topic', 'fake', 'other')),
+    details TEXT,
+    -- actioned: the review was hidden; dismissed: the moderator kept it
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'actioned', 'dismissed')),
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(review_id, reporter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_reports_open ON review_reports(review_id) WHERE status = 'open';
+
+-- Rating aggregates over published reviews
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_average NUMERIC(3,2) NOT NULL DEFAULT 0;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS seller_rating_average NUMERIC(3,2) NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS seller_rating_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_products_rating ON products(rating_average DESC, rating_count DESC) WHERE is_active = true;
+
+-- Recompute the product and wholesaler aggregates whenever a review is added,
+-- edited, moderated or deleted
+CREATE OR REPLACE FUNCTION refresh_review_ratings() RETURNS TRIGGER AS $$
+DECLARE
+    v_product_id UUID := COALESCE(NEW.product_id, OLD.product_id);
+    v_wholesaler_id UUID := COALESCE(NEW.wholesaler_id, OLD.wholesaler_id);
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.rating = OLD.rating AND NEW.status = OLD.status THEN
+        RETURN NEW;
+    END IF;
+
+    UPDATE products SET
+        rating_average = COALESCE((SELECT ROUND(AVG(rating), 2) FROM product_reviews
+                                   WHERE product_id = v_product_id AND status = 'published'), 0),
+        rating_count = (SELECT COUNT(*) FROM product_reviews
+                        WHERE product_id = v_product_id AND status = 'published')
+    WHERE id = v_product_id;
+
+    UPDATE users SET
+        seller_rating_average = COALESCE((SELECT ROUND(AVG(rating), 2) FROM product_reviews
+                                          WHERE wholesaler_id = v_wholesaler_id AND status = 'published'), 0),
+        seller_rating_count = (SELECT COUNT(*) FROM product_reviews
+                               WHERE wholesaler_id = v_wholesaler_id AND status = 'published')
+    WHERE id = v_wholesaler_id;
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS product_reviews_refresh_ratings ON product_reviews;
+CREATE TRIGGER product_reviews_refresh_ratings
+    AFTER INSERT OR UPDATE OR DELETE ON product_reviews
+    FOR EACH ROW EXECUTE FUNCTION refresh_review_ratings();
+
+-- Enable Row Level Security
+ALTER TABLE product_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE review_reports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on product_reviews" ON product_reviews FOR ALL USING (true);
+CREATE POLICY "Allow all operations on review_reports" ON review_reports FOR ALL USING (true);
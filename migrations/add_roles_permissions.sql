@@ -0,0 +1,30 @@
+-- Roles and Permissions
+-- SACCO members hold a role within their group (chair, treasurer, secretary, member), and
+-- platform staff can be granted roles (support agent, content moderator) on top of user_type.
+-- Permissions for each role are defined in services/permissions.js.
+ALTER TABLE sacco_memberships ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'member'
+    CHECK (role IN ('chair', 'treasurer', 'secretary', 'member'));
+
+-- The existing SACCO admin becomes the chair
+UPDATE sacco_memberships m
+SET role = 'chair'
+FROM sacco_groups g
+WHERE m.sacco_id = g.id AND m.user_id = g.admin_id AND m.role = 'member';
+
+CREATE INDEX IF NOT EXISTS idx_sacco_memberships_role ON sacco_memberships(sacco_id, role);
+
+CREATE TABLE IF NOT EXISTS user_roles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(30) NOT NULL CHECK (role IN ('support_agent', 'content_moderator')),
+    granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_user ON user_roles(user_id);
+
+-- Enable Row Level Security
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on user_roles" ON user_roles FOR ALL USING (true);
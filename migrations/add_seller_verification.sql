@@ -0,0 +1,54 @@
+-- Seller Verification (KYC)
+-- Wholesalers apply for verification with their business permit and KRA PIN, plus
+-- an agro-dealer registration if they sell pesticides. An admin reviews the
+-- documents and approves or rejects the application. Until they are verified,
+-- sellers cannot list seed, fertilizer or crop-protection products and have a cap
+-- on active listings; pesticides also need an approved agro-dealer registration.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20) NOT NULL DEFAULT 'unverified'
+    CHECK (verification_status IN ('unverified', 'pending', 'verified', 'rejected'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS agro_dealer_verified BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_users_verification_status ON users(verification_status) WHERE user_type = 'wholesaler';
+
+CREATE TABLE IF NOT EXISTS seller_verifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    wholesaler_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    business_name VARCHAR(200) NOT NULL,
+    business_permit_number VARCHAR(100) NOT NULL,
+    kra_pin VARCHAR(11) NOT NULL,
+    agro_dealer_number VARCHAR(100), -- only for pesticide sellers
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    agro_dealer_approved BOOLEAN NOT NULL DEFAULT false,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_notes TEXT, -- shown to the wholesaler when rejected
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_seller_verifications_wholesaler ON seller_verifications(wholesaler_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_seller_verifications_status ON seller_verifications(status, created_at);
+
+-- One application under review per wholesaler
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seller_verifications_one_pending ON seller_verifications(wholesaler_id) WHERE status = 'pending';
+
+-- Uploaded documents live in private storage; storage_key is never exposed to clients
+CREATE TABLE IF NOT EXISTS seller_verification_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    verification_id UUID NOT NULL REFERENCES seller_verifications(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL
+        CHECK (document_type IN ('business_permit', 'kra_pin_certificate', 'agro_dealer_certificate')),
+    storage_key TEXT NOT NULL,
+    file_name VARCHAR(255),
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(verification_id, document_type)
+);
+
+-- Enable Row Level Security
+ALTER TABLE seller_verifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE seller_verification_documents ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on seller_verifications" ON seller_verifications FOR ALL USING (true);
+CREATE POLICY "Allow all operations on seller_verification_documents" ON seller_verification_documents FOR ALL USING (true);
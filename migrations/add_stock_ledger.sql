@@ -0,0 +1,127 @@
+-- Stock Ledger
+-- Every change to a product's stock or reserved quantity goes through
+-- apply_stock_movement(), which locks the product row, refuses to oversell or to
+-- release more than is reserved, and records the movement with its reason.
+-- Orders reserve stock when they are placed, commit it when the wholesaler
+-- confirms and release it when they are cancelled or their reservation expires
+-- unpaid.
+CREATE TABLE IF NOT EXISTS stock_movements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    movement_type VARCHAR(20) NOT NULL
+        CHECK (movement_type IN ('adjustment', 'reserve', 'release', 'commit', 'sale', 'return')),
+    stock_change INTEGER NOT NULL DEFAULT 0,
+    reserved_change INTEGER NOT NULL DEFAULT 0,
+    stock_after INTEGER NOT NULL,
+    reserved_after INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    bulk_order_id UUID REFERENCES bulk_orders(id) ON DELETE SET NULL,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for system movements
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements(product_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_order ON stock_movements(order_id) WHERE order_id IS NOT NULL;
+
+-- Where an order's stock stands: held for it, taken out of stock, or given back
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS stock_status VARCHAR(20)
+    CHECK (stock_status IN ('reserved', 'committed', 'released'));
+-- Unpaid orders give their reservation back after this time
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reservation_expires_at TIMESTAMPTZ;
+
+-- Confirmed orders already took their stock; pending bulk orders hold a reservation
+UPDATE orders SET stock_status = 'committed'
+WHERE stock_status IS NULL AND status IN ('confirmed', 'shipped', 'delivered');
+
+UPDATE orders SET stock_status = 'reserved'
+WHERE stock_status IS NULL AND status = 'pending' AND bulk_order_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_reservation_expiry ON orders(reservation_expires_at)
+    WHERE stock_status = 'reserved' AND reservation_expires_at IS NOT NULL;
+
+ALTER TABLE products ALTER COLUMN reserved_quantity SET DEFAULT 0;
+UPDATE products SET reserved_quantity = 0 WHERE reserved_quantity IS NULL;
+
+-- Apply one stock movement atomically. p_quantity is the number of units moved,
+-- except for 'adjustment' where it is the new stock level.
+CREATE OR REPLACE FUNCTION apply_stock_movement(
+    p_product_id UUID,
+    p_movement_type VARCHAR,
+    p_quantity INTEGER,
+    p_reason TEXT,
+    p_order_id UUID DEFAULT NULL,
+    p_bulk_order_id UUID DEFAULT NULL,
+    p_actor_id UUID DEFAULT NULL
+) RETURNS products AS $$
+DECLARE
+    v_product products;
+    v_stock_change INTEGER := 0;
+    v_reserved_change INTEGER := 0;
+BEGIN
+    IF p_quantity IS NULL OR p_quantity < 0 OR (p_quantity = 0 AND p_movement_type <> 'adjustment') THEN
+        RAISE EXCEPTION 'INVALID_QUANTITY';
+    END IF;
+
+    -- Concurrent movements on the same product queue up behind this lock
+    SELECT * INTO v_product FROM products WHERE id = p_product_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'PRODUCT_NOT_FOUND';
+    END IF;
+
+    CASE p_movement_type
+        WHEN 'reserve' THEN
+            v_reserved_change := p_quantity;
+        WHEN 'release', 'commit' THEN
+            -- Giving back more than is held means the reservation was already
+            -- released or committed; fail instead of hiding the double movement
+            IF p_quantity > v_product.reserved_quantity THEN
+                RAISE EXCEPTION 'RESERVATION_EXCEEDED';
+            END IF;
+            v_reserved_change := -p_quantity;
+            IF p_movement_type = 'commit' THEN
+                v_stock_change := -p_quantity;
+            END IF;
+        WHEN 'sale' THEN
+            v_stock_change := -p_quantity;
+        WHEN 'return' THEN
+            v_stock_change := p_quantity;
+        WHEN 'adjustment' THEN
+            v_stock_change := p_quantity - v_product.stock_quantity;
+        ELSE
+            RAISE EXCEPTION 'INVALID_MOVEMENT_TYPE';
+    END CASE;
+
+    IF v_product.stock_quantity + v_stock_change < 0
+        OR (v_product.stock_quantity + v_stock_change) - (v_product.reserved_quantity + v_reserved_change) < 0 THEN
+        RAISE EXCEPTION 'INSUFFICIENT_STOCK';
+    END IF;
+
+    IF v_stock_change = 0 AND v_reserved_change = 0 THEN
+        RETURN v_product;
+    END IF;
+
+    UPDATE products
+    SET stock_quantity = stock_quantity + v_stock_change,
+        reserved_quantity = reserved_quantity + v_reserved_change
+    WHERE id = p_product_id
+    RETURNING * INTO v_product;
+
+    INSERT INTO stock_movements (
+        product_id, movement_type, stock_change, reserved_change, stock_after, reserved_after,
+        reason, order_id, bulk_order_id, actor_id
+    ) VALUES (
+        p_product_id, p_movement_type, v_stock_change, v_reserved_change,
+        v_product.stock_quantity, v_product.reserved_quantity,
+        p_reason, p_order_id, p_bulk_order_id, p_actor_id
+    );
+
+    RETURN v_product;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Enable Row Level Security
+ALTER TABLE stock_movements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on stock_movements" ON stock_movements FOR ALL USING (true);
@@ -0,0 +1,17 @@
+-- Weather Alerts Table
+-- Log of proactive weather alerts, used to avoid repeating the same alert within the de-duplication window
+CREATE TABLE IF NOT EXISTS weather_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    alert_type VARCHAR(30) NOT NULL, -- 'heavy_rain', 'frost', 'dry_spell'
+    alert_date DATE NOT NULL, -- First forecast day the rule matched
+    grid_cell VARCHAR(30),
+    details JSONB,
+    sent_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_weather_alerts_user_type_sent ON weather_alerts(user_id, alert_type, sent_at DESC);
+
+ALTER TABLE weather_alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all operations on weather_alerts" ON weather_alerts FOR ALL USING (true);
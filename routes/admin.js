@@ -0,0 +1,511 @@
+const express = require('express');
+const router = express.Router();
+const {
+  searchUsers,
+  getUserForAdmin,
+  getAdminStats,
+  setUserStatus,
+  changeUserType,
+  forcePasswordReset,
+  broadcastMessage
+} = require('../services/admin');
+const { getUserSubscription, overrideSubscription } = require('../services/subscription');
+const {
+  PERMISSIONS,
+  getPlatformRoles,
+  grantPlatformRole,
+  revokePlatformRole
+} = require('../services/permissions');
+const {
+  getRequestMetadata,
+  recordAuditEvent,
+  listAuditEvents,
+  exportAuditEventsCsv
+} = require('../services/auditLog');
+const {
+  listApplications,
+  getApplication,
+  getApplicationDocument,
+  reviewApplication
+} = require('../services/sellerVerification');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+router.use(authenticateToken);
+
+/**
+ * Record an admin action made through this API
+ * @param {Object} req - Express request (actor and request metadata)
+ * @param {string} action - Action name, e.g. user.suspend
+ * @param {string} targetType - Target type
+ * @param {string} targetId - Target ID
+ * @param {Object} entry - { before, after, details }
+ */
+function audit(req, action, targetType, targetId, entry = {}) {
+  return recordAuditEvent({
+    actorId: req.user.id,
+    action,
+    targetType,
+    targetId,
+    before: entry.before,
+    after: entry.after,
+    details: entry.details,
+    metadata: getRequestMetadata(req)
+  });
+}
+
+/**
+ * Read the audit log filters from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} Filters for listAuditEvents
+ */
+function auditFilters(query) {
+  const { actor_id, target_type, target_id, action, from, to } = query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(new Date(value).getTime())) {
+      throw new Error(`Invalid ${name} date`);
+    }
+  }
+
+  return {
+    actorId: actor_id,
+    targetType: target_type,
+    targetId: target_id,
+    action,
+    from: from ? new Date(from).toISOString() : null,
+    to: to ? new Date(to).toISOString() : null
+  };
+}
+
+/**
+ * Map service errors to a response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+
+  if (error.message.includes('Invalid') || error.message.includes('cannot') || error.message.includes('required')) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+}
+
+/**
+ * GET /api/admin/stats
+ * User counts for the admin dashboard
+ */
+router.get('/stats', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const stats = await getAdminStats();
+
+    res.json({
+      success: true,
+      data: stats,
+      message: 'Statistics retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting admin stats:', error);
+    sendError(res, error, 'Failed to retrieve statistics');
+  }
+});
+
+/**
+ * GET /api/admin/users
+ * Search users
+ * Query: search, user_type, status, limit, offset
+ */
+router.get('/users', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { search, user_type, status, limit, offset } = req.query;
+    const result = await searchUsers({ search, userType: user_type, status, limit, offset });
+
+    res.json({
+      success: true,
+      data: result.users,
+      pagination: {
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset
+      },
+      message: 'Users retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error searching users:', error);
+    sendError(res, error, 'Failed to search users');
+  }
+});
+
+/**
+ * GET /api/admin/users/:id
+ * User details with subscription and platform roles
+ */
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const [user, subscription, roles] = await Promise.all([
+      getUserForAdmin(req.params.id),
+      getUserSubscription(req.params.id),
+      getPlatformRoles(req.params.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...user, subscription, roles },
+      message: 'User retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting user:', error);
+    sendError(res, error, 'Failed to retrieve user');
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/status
+ * Suspend or reactivate an account
+ * Body: { status: 'active' | 'suspended', reason }
+ */
+router.put('/users/:id/status', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const { user, previousStatus } = await setUserStatus(req.user.id, req.params.id, status, reason || null);
+
+    await audit(req, status === 'suspended' ? 'user.suspend' : 'user.reactivate', 'user', user.id, {
+      before: { status: previousStatus },
+      after: { status: user.status },
+      details: { reason: reason || null }
+    });
+
+    res.json({
+      success: true,
+      data: user,
+      message: status === 'suspended' ? 'User suspended' : 'User reactivated'
+    });
+  } catch (error) {
+    console.error('Error updating user status:', error);
+    sendError(res, error, 'Failed to update user status');
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/user-type
+ * Change a user's account type
+ * Body: { user_type: 'farmer' | 'wholesaler' | 'admin' }
+ */
+router.put('/users/:id/user-type', requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const { user, previousType } = await changeUserType(req.user.id, req.params.id, req.body.user_type);
+
+    await audit(req, 'user.change_type', 'user', user.id, {
+      before: { user_type: previousType },
+      after: { user_type: user.user_type }
+    });
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'User type updated'
+    });
+  } catch (error) {
+    console.error('Error changing user type:', error);
+    sendError(res, error, 'Failed to change user type');
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/roles
+ * Grant a platform role
+ * Body: { role: 'support_agent' | 'content_moderator' }
+ */
+router.post('/users/:id/roles', requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const roles = await grantPlatformRole(req.params.id, req.body.role, req.user.id);
+
+    await audit(req, 'user.grant_role', 'user', req.params.id, { details: { role: req.body.role } });
+
+    res.status(201).json({
+      success: true,
+      data: roles,
+      message: 'Role granted'
+    });
+  } catch (error) {
+    console.error('Error granting role:', error);
+    sendError(res, error, 'Failed to grant role');
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/roles/:role
+ * Revoke a platform role
+ */
+router.delete('/users/:id/roles/:role', requirePermission(PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const roles = await revokePlatformRole(req.params.id, req.params.role);
+
+    await audit(req, 'user.revoke_role', 'user', req.params.id, { details: { role: req.params.role } });
+
+    res.json({
+      success: true,
+      data: roles,
+      message: 'Role revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking role:', error);
+    sendError(res, error, 'Failed to revoke role');
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/force-password-reset
+ * Sign the user out everywhere and email them a reset link
+ */
+router.post('/users/:id/force-password-reset', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { user, emailSent } = await forcePasswordReset(req.params.id);
+
+    await audit(req, 'user.force_password_reset', 'user', user.id, { details: { email_sent: emailSent } });
+
+    res.json({
+      success: true,
+      data: { emailSent },
+      message: emailSent
+        ? 'User signed out and a reset link was emailed'
+        : 'User signed out. They have no email address, so they must sign in with a phone code'
+    });
+  } catch (error) {
+    console.error('Error forcing password reset:', error);
+    sendError(res, error, 'Failed to force password reset');
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/subscription
+ * Put a user on a plan without payment
+ * Body: { plan_id, end_date (optional ISO date), reason }
+ */
+router.put('/users/:id/subscription', requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE), async (req, res) => {
+  try {
+    const { plan_id, end_date, reason } = req.body;
+
+    if (!plan_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'plan_id is required'
+      });
+    }
+
+    if (end_date && isNaN(new Date(end_date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'end_date must be a valid date'
+      });
+    }
+
+    await getUserForAdmin(req.params.id);
+    const previous = await getUserSubscription(req.params.id);
+    const subscription = await overrideSubscription(req.params.id, plan_id, {
+      endDate: end_date ? new Date(end_date).toISOString() : null
+    });
+
+    await audit(req, 'subscription.override', 'user', req.params.id, {
+      before: { plan_id: previous?.plan_id || null, end_date: previous?.end_date || null },
+      after: { plan_id: subscription.plan_id, end_date: subscription.end_date },
+      details: { reason: reason || null }
+    });
+
+    res.json({
+      success: true,
+      data: subscription,
+      message: `User moved to ${subscription.plan?.name || 'the selected'} plan`
+    });
+  } catch (error) {
+    console.error('Error overriding subscription:', error);
+    sendError(res, error, 'Failed to override subscription');
+  }
+});
+
+/**
+ * POST /api/admin/broadcast
+ * Queue an announcement to all active users
+ * Body: { message, user_type (optional), channel: 'whatsapp' | 'sms' }
+ */
+router.post('/broadcast', requirePermission(PERMISSIONS.BROADCAST_SEND), async (req, res) => {
+  try {
+    const { message, user_type, channel } = req.body;
+    const result = await broadcastMessage({ message, userType: user_type || null, channel: channel || 'whatsapp' });
+
+    await audit(req, 'broadcast.send', 'broadcast', null, {
+      details: {
+        channel: channel || 'whatsapp',
+        user_type: user_type || null,
+        message: message.trim(),
+        ...result
+      }
+    });
+
+    res.status(202).json({
+      success: true,
+      data: result,
+      message: `Broadcast queued for ${result.queued} users`
+    });
+  } catch (error) {
+    console.error('Error sending broadcast:', error);
+    sendError(res, error, 'Failed to send broadcast');
+  }
+});
+
+/**
+ * GET /api/admin/verifications
+ * Seller verification applications; pending ones oldest first
+ * Query: status (pending, approved, rejected), limit, offset
+ */
+router.get('/verifications', requirePermission(PERMISSIONS.SELLERS_VERIFY), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const result = await listApplications({ status: req.query.status || 'pending', limit, offset });
+
+    res.json({
+      success: true,
+      data: result.applications,
+      pagination: { total: result.total, limit, offset },
+      message: 'Verification applications retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting verification applications:', error);
+    sendError(res, error, 'Failed to retrieve verification applications');
+  }
+});
+
+/**
+ * GET /api/admin/verifications/:id
+ * One application with the wholesaler and document list
+ */
+router.get('/verifications/:id', requirePermission(PERMISSIONS.SELLERS_VERIFY), async (req, res) => {
+  try {
+    const application = await getApplication(req.params.id);
+
+    res.json({
+      success: true,
+      data: application,
+      message: 'Verification application retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting verification application:', error);
+    sendError(res, error, 'Failed to retrieve verification application');
+  }
+});
+
+/**
+ * GET /api/admin/verifications/:id/documents/:documentId
+ * Download a KYC document. Every download is audited.
+ */
+router.get('/verifications/:id/documents/:documentId', requirePermission(PERMISSIONS.SELLERS_VERIFY), async (req, res) => {
+  try {
+    const { document, body } = await getApplicationDocument(req.params.id, req.params.documentId);
+
+    await audit(req, 'seller_verification.document_view', 'seller_verification', req.params.id, {
+      details: { document_id: document.id, document_type: document.document_type }
+    });
+
+    const filename = (document.file_name || document.document_type).replace(/["\\\r\n]/g, '');
+    res.set({
+      'Content-Type': document.content_type,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(body);
+  } catch (error) {
+    console.error('Error downloading verification document:', error);
+    sendError(res, error, 'Failed to download document');
+  }
+});
+
+/**
+ * PUT /api/admin/verifications/:id
+ * Approve or reject an application; the wholesaler is notified
+ * Body: { decision: 'approve' | 'reject', notes, approve_agro_dealer }
+ * notes are required to reject; approve_agro_dealer: false approves the business
+ * without its agro-dealer registration
+ */
+router.put('/verifications/:id', requirePermission(PERMISSIONS.SELLERS_VERIFY), async (req, res) => {
+  try {
+    const { application, previousStatus, status } = await reviewApplication(req.user.id, req.params.id, req.body);
+
+    await audit(req, req.body.decision === 'approve' ? 'seller.verify' : 'seller.reject_verification', 'user', application.wholesaler_id, {
+      before: { verification_status: previousStatus },
+      after: { verification_status: status },
+      details: {
+        application_id: application.id,
+        agro_dealer_approved: application.agro_dealer_approved,
+        notes: application.review_notes
+      }
+    });
+
+    res.json({
+      success: true,
+      data: application,
+      message: req.body.decision === 'approve' ? 'Seller verified' : 'Verification rejected'
+    });
+  } catch (error) {
+    console.error('Error reviewing verification application:', error);
+    sendError(res, error, 'Failed to review verification application');
+  }
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Audited actions, newest first
+ * Query: actor_id, target_type, target_id, action (or a prefix such as "order."), from, to, limit, offset
+ */
+router.get('/audit-log', requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    const result = await listAuditEvents({ ...auditFilters(req.query), limit, offset });
+
+    res.json({
+      success: true,
+      data: result.entries,
+      pagination: { total: result.total, limit, offset },
+      message: 'Audit log retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    sendError(res, error, 'Failed to retrieve audit log');
+  }
+});
+
+/**
+ * GET /api/admin/audit-log/export
+ * Download the audit log as CSV. Takes the same filters as GET /audit-log.
+ */
+router.get('/audit-log/export', requirePermission(PERMISSIONS.AUDIT_VIEW), async (req, res) => {
+  try {
+    const { csv, count, truncated } = await exportAuditEventsCsv(auditFilters(req.query));
+
+    await audit(req, 'audit_log.export', 'audit_log', null, {
+      details: { filters: req.query, rows: count, truncated }
+    });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'X-Audit-Log-Truncated': String(truncated)
+    });
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    sendError(res, error, 'Failed to export audit log');
+  }
+});
+
+module.exports = router;
@@ -4,17 +4,91 @@ const {
     authenticateUser, 
     getUserById, 
     updateUserProfile, 
-    updateUserPassword 
+    updateUserPassword,
+    claimAccount
 } = require('../services/supabase');
 const { generateToken, authenticateToken } = require('../middleware/auth');
+const {
+    createSession,
+    rotateRefreshToken,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions
+} = require('../services/authSessions');
 const { 
-    generatePasswordResetToken, 
+    requestPasswordReset, 
     verifyPasswordResetToken, 
     resetPassword 
 } = require('../services/passwordReset');
+const { normalizePhone, requestLoginOtp, verifyLoginOtp } = require('../services/loginOtp');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { validateCoordinates } = require('../services/weather');
 
 const router = express.Router();
 
+const RESET_WINDOW_MS = 60 * 60 * 1000;
+
+// Password reset requests are limited per IP and per email address so the endpoint
+// can't be used to flood someone's inbox
+const resetLimitPerIp = createRateLimiter({
+    max: parseInt(process.env.PASSWORD_RESET_LIMIT_PER_IP) || 10,
+    windowMs: RESET_WINDOW_MS,
+    message: 'Too many password reset requests. Please try again later.'
+});
+
+const resetLimitPerEmail = createRateLimiter({
+    max: parseInt(process.env.PASSWORD_RESET_LIMIT_PER_EMAIL) || 3,
+    windowMs: RESET_WINDOW_MS,
+    keyGenerator: req => typeof req.body?.email === 'string' ? req.body.email.toLowerCase().trim() : null,
+    message: 'Too many password reset requests for this email. Please try again later.'
+});
+
+// Login code requests per IP; each phone number is also limited in the OTP service
+const otpLimitPerIp = createRateLimiter({
+    max: parseInt(process.env.OTP_LIMIT_PER_IP) || 20,
+    windowMs: RESET_WINDOW_MS,
+    message: 'Too many login code requests. Please try again later.'
+});
+
+// Login code guesses per IP and per phone number, on top of the per-code attempt
+// cap, so a code can't be brute-forced by spreading guesses over new codes
+const otpVerifyLimitPerIp = createRateLimiter({
+    max: parseInt(process.env.OTP_VERIFY_LIMIT_PER_IP) || 30,
+    windowMs: RESET_WINDOW_MS,
+    message: 'Too many login attempts. Please try again later.'
+});
+
+const otpVerifyLimitPerPhone = createRateLimiter({
+    max: parseInt(process.env.OTP_VERIFY_LIMIT_PER_PHONE) || 10,
+    windowMs: RESET_WINDOW_MS,
+    keyGenerator: req => {
+        try {
+            return normalizePhone(req.body?.phone);
+        } catch (error) {
+            return null;
+        }
+    },
+    message: 'Too many login attempts for this number. Please try again later.'
+});
+
+/**
+ * Start a session for the device making the request
+ * @param {Object} user - Signed-in user
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+async function issueTokens(user, req) {
+    const { session, refreshToken } = await createSession(user.id, {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+    });
+    
+    return {
+        token: generateToken(user, session),
+        refreshToken
+    };
+}
+
 /**
  * User registration endpoint
  * POST /api/auth/register
@@ -80,13 +154,14 @@ router.post('/register', async (req, res) => {
         
         const newUser = await createUser(userData);
         
-        // Generate JWT token
-        const token = generateToken(newUser);
+        // Sign the new user in on this device
+        const { token, refreshToken } = await issueTokens(newUser, req);
         
         res.status(201).json({
             message: 'User registered successfully',
             user: newUser,
-            token
+            token,
+            refreshToken
         });
         
     } catch (error) {
@@ -125,13 +200,14 @@ router.post('/login', async (req, res) => {
         // Authenticate user
         const user = await authenticateUser(email.toLowerCase().trim(), password);
         
-        // Generate JWT token
-        const token = generateToken(user);
+        // Start a session for this device
+        const { token, refreshToken } = await issueTokens(user, req);
         
         res.json({
             message: 'Login successful',
             user,
-            token
+            token,
+            refreshToken
         });
         
     } catch (error) {
@@ -144,6 +220,121 @@ router.post('/login', async (req, res) => {
             });
         }
         
+        if (error.message.includes('Account suspended')) {
+            return res.status(403).json({
+                error: 'Account suspended',
+                message: 'This account has been suspended. Please contact support.'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Login failed',
+            message: 'An error occurred during login'
+        });
+    }
+});
+
+/**
+ * Send a one-time login code to a phone number over WhatsApp or SMS
+ * POST /api/auth/otp/request
+ * Body: { phone, channel ('whatsapp' | 'sms', default 'whatsapp') }
+ */
+router.post('/otp/request', otpLimitPerIp, async (req, res) => {
+    try {
+        const { phone, channel } = req.body;
+        
+        if (!phone) {
+            return res.status(400).json({
+                error: 'Missing phone',
+                message: 'Phone number is required'
+            });
+        }
+        
+        const result = await requestLoginOtp(phone, { channel });
+        
+        // Same response whether or not the number is registered
+        res.json({
+            message: `If the number is registered, a login code has been sent by ${result.channel === 'sms' ? 'SMS' : 'WhatsApp'}`,
+            channel: result.channel,
+            expiresInMinutes: result.expires_in_minutes
+        });
+        
+    } catch (error) {
+        if (error.message.includes('Too many')) {
+            return res.status(429).json({
+                error: 'Too many requests',
+                message: error.message
+            });
+        }
+        
+        if (error.message.includes('Invalid') || error.message.includes('not available')) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: error.message
+            });
+        }
+        
+        console.error('Login code request error:', error);
+        res.status(500).json({
+            error: 'Login code request failed',
+            message: 'An error occurred while sending the login code'
+        });
+    }
+});
+
+/**
+ * Sign in with a login code
+ * POST /api/auth/otp/verify
+ * Body: { phone, code }
+ */
+router.post('/otp/verify', otpVerifyLimitPerIp, otpVerifyLimitPerPhone, async (req, res) => {
+    try {
+        const { phone, code } = req.body;
+        
+        if (!phone || !code) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                message: 'Phone number and code are required'
+            });
+        }
+        
+        const user = await verifyLoginOtp(phone, code);
+        
+        // Start a session for this device
+        const { token, refreshToken } = await issueTokens(user, req);
+        
+        res.json({
+            message: 'Login successful',
+            user,
+            token,
+            refreshToken,
+            // Phone-only accounts can add an email and password with POST /api/auth/claim-account
+            canClaimAccount: !user.email
+        });
+        
+    } catch (error) {
+        if (error.message.includes('Too many attempts')) {
+            return res.status(429).json({
+                error: 'Too many attempts',
+                message: error.message
+            });
+        }
+        
+        if (error.message.includes('Invalid')) {
+            return res.status(401).json({
+                error: 'Authentication failed',
+                message: error.message
+            });
+        }
+        
+        if (error.message.includes('Account suspended')) {
+            return res.status(403).json({
+                error: 'Account suspended',
+                message: 'This account has been suspended. Please contact support.'
+            });
+        }
+        
+        console.error('Login code verification error:', error);
         res.status(500).json({
             error: 'Login failed',
             message: 'An error occurred during login'
@@ -151,6 +342,69 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * Add an email and password to a phone-only account (created on WhatsApp) after
+ * signing in with a login code
+ * POST /api/auth/claim-account
+ * Body: { email, password, name (optional) }
+ */
+router.post('/claim-account', authenticateToken, async (req, res) => {
+    try {
+        const { email, password, name } = req.body;
+        
+        if (!email || !password) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                message: 'Email and password are required'
+            });
+        }
+        
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({
+                error: 'Invalid email format',
+                message: 'Please provide a valid email address'
+            });
+        }
+        
+        if (password.length < 8) {
+            return res.status(400).json({
+                error: 'Weak password',
+                message: 'Password must be at least 8 characters long'
+            });
+        }
+        
+        const user = await claimAccount(req.user.id, { email, password, name });
+        
+        res.json({
+            message: 'Account claimed successfully. You can now also log in with your email and password.',
+            user
+        });
+        
+    } catch (error) {
+        console.error('Claim account error:', error);
+        
+        if (error.message.includes('already has a password')) {
+            return res.status(409).json({
+                error: 'Account already claimed',
+                message: 'This account already has a password. Use the password change instead.'
+            });
+        }
+        
+        if (error.message.includes('already exists')) {
+            return res.status(409).json({
+                error: 'Email in use',
+                message: error.message
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Claim account failed',
+            message: 'An error occurred while claiming the account'
+        });
+    }
+});
+
 /**
  * Get current user profile
  * GET /api/auth/profile
@@ -180,6 +434,8 @@ router.put('/profile', authenticateToken, async (req, res) => {
             name, 
             phone, 
             location, 
+            latitude,
+            longitude,
             farm_size, 
             crops_grown 
         } = req.body;
@@ -189,6 +445,17 @@ router.put('/profile', authenticateToken, async (req, res) => {
         if (name !== undefined) updates.name = name.trim();
         if (phone !== undefined) updates.phone = phone.trim();
         if (location !== undefined) updates.location = location.trim();
+        if (latitude !== undefined || longitude !== undefined) {
+            const coordinates = validateCoordinates(latitude, longitude);
+            if (coordinates.error) {
+                return res.status(400).json({
+                    error: 'Invalid location',
+                    message: coordinates.error
+                });
+            }
+            updates.latitude = coordinates.latitude;
+            updates.longitude = coordinates.longitude;
+        }
         if (farm_size !== undefined) updates.farm_size = parseFloat(farm_size) || null;
         if (crops_grown !== undefined) updates.crops_grown = Array.isArray(crops_grown) ? crops_grown : [];
         
@@ -239,11 +506,16 @@ router.put('/password', authenticateToken, async (req, res) => {
             });
         }
         
-        // Update password
+        // Update password (this signs out every device)
         await updateUserPassword(req.user.id, currentPassword, newPassword);
         
+        // Keep the device that changed the password signed in
+        const { token, refreshToken } = await issueTokens(req.user, req);
+        
         res.json({
-            message: 'Password updated successfully'
+            message: 'Password updated successfully. Other devices have been signed out.',
+            token,
+            refreshToken
         });
         
     } catch (error) {
@@ -264,16 +536,154 @@ router.put('/password', authenticateToken, async (req, res) => {
 });
 
 /**
- * Logout endpoint (client-side token removal)
+ * Exchange a refresh token for a new access token and refresh token
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        if (!refreshToken) {
+            return res.status(400).json({
+                error: 'Missing refresh token',
+                message: 'Refresh token is required'
+            });
+        }
+        
+        const rotated = await rotateRefreshToken(refreshToken, {
+            userAgent: req.get('user-agent'),
+            ipAddress: req.ip
+        });
+        
+        const { token_version, ...user } = rotated.user;
+        
+        res.json({
+            message: 'Token refreshed successfully',
+            user,
+            token: generateToken(rotated.user, rotated.session),
+            refreshToken: rotated.refreshToken
+        });
+        
+    } catch (error) {
+        if (error.message.includes('refresh token') || error.message.includes('Refresh token') || error.message.includes('revoked')) {
+            return res.status(401).json({
+                error: 'Invalid refresh token',
+                message: 'Your session has ended. Please log in again.'
+            });
+        }
+        
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            error: 'Token refresh failed',
+            message: 'An error occurred while refreshing the session'
+        });
+    }
+});
+
+/**
+ * Logout endpoint - ends the current device's session
  * POST /api/auth/logout
  */
-router.post('/logout', authenticateToken, (req, res) => {
-    // In a JWT-based system, logout is typically handled client-side
-    // by removing the token from storage
-    res.json({
-        message: 'Logout successful',
-        note: 'Please remove the token from client storage'
-    });
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        if (req.sessionId) {
+            await revokeSession(req.user.id, req.sessionId, 'logout');
+        }
+        
+        res.json({
+            message: 'Logout successful'
+        });
+        
+    } catch (error) {
+        if (error.message.includes('Session not found')) {
+            return res.json({
+                message: 'Logout successful'
+            });
+        }
+        
+        console.error('Logout error:', error);
+        res.status(500).json({
+            error: 'Logout failed',
+            message: 'An error occurred while logging out'
+        });
+    }
+});
+
+/**
+ * List the user's signed-in devices
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.id);
+        
+        res.json({
+            message: 'Sessions retrieved successfully',
+            sessions: sessions.map(session => ({
+                ...session,
+                current: session.id === req.sessionId
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Session list error:', error);
+        res.status(500).json({
+            error: 'Session retrieval failed',
+            message: 'An error occurred while retrieving sessions'
+        });
+    }
+});
+
+/**
+ * Sign out every other device
+ * DELETE /api/auth/sessions
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await revokeOtherSessions(req.user.id, req.sessionId);
+        
+        res.json({
+            message: `Signed out ${revoked} other device${revoked === 1 ? '' : 's'}`,
+            revoked
+        });
+        
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({
+            error: 'Session revoke failed',
+            message: 'An error occurred while signing out other devices'
+        });
+    }
+});
+
+/**
+ * Sign out one device
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        await revokeSession(req.user.id, req.params.id, req.params.id === req.sessionId ? 'logout' : 'revoked');
+        
+        res.json({
+            message: 'Session revoked successfully'
+        });
+        
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        
+        if (error.message.includes('Session not found')) {
+            return res.status(404).json({
+                error: 'Session not found',
+                message: 'No active session with that ID'
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Session revoke failed',
+            message: 'An error occurred while revoking the session'
+        });
+    }
 });
 
 /**
@@ -291,7 +701,13 @@ router.get('/validate', authenticateToken, (req, res) => {
  * Request password reset
  * POST /api/auth/forgot-password
  */
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', resetLimitPerIp, resetLimitPerEmail, async (req, res) => {
+    // Same response whether or not the account exists, so the endpoint can't be used
+    // to discover registered emails
+    const genericResponse = {
+        message: 'If the email exists, a password reset link has been sent'
+    };
+    
     try {
         const { email } = req.body;
         
@@ -302,25 +718,15 @@ router.post('/forgot-password', async (req, res) => {
             });
         }
         
-        // Generate reset token
-        const resetToken = await generatePasswordResetToken(email);
+        await requestPasswordReset(email);
         
-        // In a real application, you would send this token via email
-        // For now, we'll return it in the response (NOT recommended for production)
-        res.json({
-            message: 'Password reset token generated',
-            resetToken, // Remove this in production
-            note: 'In production, this token would be sent via email'
-        });
+        res.json(genericResponse);
         
     } catch (error) {
         console.error('Password reset request error:', error);
         
         if (error.message.includes('User not found')) {
-            // Don't reveal if user exists or not for security
-            return res.json({
-                message: 'If the email exists, a reset token has been sent'
-            });
+            return res.json(genericResponse);
         }
         
         res.status(500).json({
@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart,
+  checkoutCart
+} = require('../services/cart');
+
+/**
+ * Shopping Cart Routes
+ * The authenticated user's cart and checkout. Checkout places one order per
+ * wholesaler under a parent order (see GET /api/orders/parents/:id).
+ */
+
+router.use(authenticateToken);
+
+/**
+ * Map a cart error to an HTTP status
+ * @param {Error} error - Error thrown by the cart service
+ * @returns {number} HTTP status code
+ */
+function cartErrorStatus(error) {
+  if (error.message === 'Product not found' || error.message.includes('not in your cart')) {
+    return 404;
+  }
+
+  if (error.message.startsWith('Failed')) {
+    return 500;
+  }
+
+  return 400;
+}
+
+/**
+ * GET /api/cart
+ * Get the cart, priced per line and grouped by wholesaler
+ */
+router.get('/', async (req, res) => {
+  try {
+    const cart = await getCart(req.user.id);
+
+    res.json({
+      success: true,
+      data: cart,
+      message: 'Cart retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve cart',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/cart/items
+ * Add a product to the cart
+ * Body: { product_id, quantity }
+ */
+router.post('/items', async (req, res) => {
+  try {
+    const { product_id, quantity = 1 } = req.body;
+    const cart = await addToCart(req.user.id, product_id, quantity);
+
+    res.status(201).json({
+      success: true,
+      data: cart,
+      message: 'Product added to cart'
+    });
+  } catch (error) {
+    console.error('Error adding to cart:', error);
+    res.status(cartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/cart/items/:productId
+ * Change the quantity of a product in the cart (0 removes it)
+ * Body: { quantity }
+ */
+router.put('/items/:productId', async (req, res) => {
+  try {
+    const cart = await updateCartItem(req.user.id, req.params.productId, req.body.quantity);
+
+    res.json({
+      success: true,
+      data: cart,
+      message: 'Cart updated'
+    });
+  } catch (error) {
+    console.error('Error updating cart:', error);
+    res.status(cartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/cart/items/:productId
+ * Remove a product from the cart
+ */
+router.delete('/items/:productId', async (req, res) => {
+  try {
+    const cart = await removeFromCart(req.user.id, req.params.productId);
+
+    res.json({
+      success: true,
+      data: cart,
+      message: 'Product removed from cart'
+    });
+  } catch (error) {
+    console.error('Error removing from cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update cart',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/cart
+ * Empty the cart
+ */
+router.delete('/', async (req, res) => {
+  try {
+    await clearCart(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Cart cleared'
+    });
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear cart',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/cart/checkout
+ * Place the orders for everything in the cart, one per wholesaler
+ * Body: { delivery_address }
+ */
+router.post('/checkout', async (req, res) => {
+  try {
+    const parentOrder = await checkoutCart(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: parentOrder,
+      message: parentOrder.seller_count > 1
+        ? `Checkout complete: ${parentOrder.seller_count} orders placed, one per seller`
+        : 'Checkout complete: order placed'
+    });
+  } catch (error) {
+    console.error('Error checking out cart:', error);
+    res.status(cartErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const { processWithGemini } = require('../services/gemini');
+const { saveQuery } = require('../services/supabase');
+const { incrementUsage } = require('../services/subscription');
+const { getWeatherContextForMessage } = require('../services/weather');
+const {
+  createSession,
+  getSession,
+  getActiveSession,
+  listSessions,
+  getSessionMessages,
+  resumeSession,
+  clearSession,
+  clearAllSessions,
+  buildConversationContext,
+  recordTurn,
+  compactSession
+} = require('../services/conversations');
+const { authenticateToken } = require('../middleware/auth');
+const { checkFeatureLimit, trackAIUsage } = require('../middleware/usageLimits');
+
+/**
+ * Map conversation service errors to HTTP responses
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function handleSessionError(res, error, fallbackMessage) {
+  if (error.message === 'Conversation session not found') {
+    return res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+}
+
+/**
+ * POST /api/chat
+ * Send a message to the AI assistant. Continues the given session_id, or the
+ * user's latest web session; pass new_session: true to start a fresh one.
+ */
+router.post('/', authenticateToken, checkFeatureLimit('ai_query'), trackAIUsage, async (req, res) => {
+  try {
+    const { message, image, session_id, new_session } = req.body;
+
+    if (!message && !image) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message or image is required'
+      });
+    }
+
+    // Get user profile for personalization
+    const user = req.user;
+    const userProfile = {
+      name: user.name,
+      location: user.location,
+      farm_size: user.farm_size,
+      crops_grown: user.crops_grown,
+      created_at: user.created_at
+    };
+
+    let session;
+    if (session_id) {
+      session = await getSession(session_id, user.id);
+    } else if (new_session) {
+      session = await createSession(user.id, 'web');
+    } else {
+      session = await getActiveSession(user.id, 'web');
+    }
+
+    const conversationContext = await buildConversationContext(session.id);
+
+    // Convert base64 image to buffer if provided
+    let imageBuffer = null;
+    if (image) {
+      imageBuffer = Buffer.from(image, 'base64');
+    }
+
+    const userMessage = message || 'Analyze this image';
+
+    // Add the farm's forecast for planting, spraying and harvesting questions
+    const weatherContext = await getWeatherContextForMessage(userMessage, user);
+
+    // Process message with Gemini AI
+    const botResponse = await processWithGemini(userMessage, imageBuffer, userProfile, conversationContext, weatherContext);
+
+    // Save query to database
+    await saveQuery(user.id, message || 'Image analysis', botResponse);
+    await recordTurn(session.id, message || 'Image analysis', botResponse, { hasImage: !!imageBuffer });
+
+    // Increment usage after successful AI response
+    await incrementUsage(user.id, 'ai_query');
+
+    res.json({
+      success: true,
+      message: botResponse,
+      session_id: session.id,
+      usage: {
+        remaining: req.usageInfo.remaining - 1,
+        limit: req.usageInfo.limit
+      }
+    });
+
+    // Summarize older turns after replying; a failed summary only means a longer context next time
+    compactSession(session.id)
+      .catch(error => console.error('Conversation compaction failed:', error.message));
+  } catch (error) {
+    console.error('Error in chat endpoint:', error);
+    handleSessionError(res, error, 'Failed to process your message. Please try again.');
+  }
+});
+
+/**
+ * GET /api/chat/sessions
+ * List the current user's conversations
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { channel, limit, offset } = req.query;
+    const sessions = await listSessions(req.user.id, { channel, limit, offset });
+
+    res.json({
+      success: true,
+      data: sessions,
+      message: 'Conversations retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    handleSessionError(res, error, 'Failed to retrieve conversations');
+  }
+});
+
+/**
+ * GET /api/chat/sessions/:sessionId
+ * Get a conversation with its messages
+ */
+router.get('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await getSessionMessages(req.params.sessionId, req.user.id, parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      data: session,
+      message: 'Conversation retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting conversation:', error);
+    handleSessionError(res, error, 'Failed to retrieve conversation');
+  }
+});
+
+/**
+ * POST /api/chat/sessions/:sessionId/resume
+ * Make a conversation the active one for its channel
+ */
+router.post('/sessions/:sessionId/resume', authenticateToken, async (req, res) => {
+  try {
+    const session = await resumeSession(req.params.sessionId, req.user.id);
+
+    res.json({
+      success: true,
+      data: session,
+      message: 'Conversation resumed'
+    });
+  } catch (error) {
+    console.error('Error resuming conversation:', error);
+    handleSessionError(res, error, 'Failed to resume conversation');
+  }
+});
+
+/**
+ * DELETE /api/chat/sessions/:sessionId
+ * Clear a conversation and its messages
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await clearSession(req.params.sessionId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Conversation cleared'
+    });
+  } catch (error) {
+    console.error('Error clearing conversation:', error);
+    handleSessionError(res, error, 'Failed to clear conversation');
+  }
+});
+
+/**
+ * DELETE /api/chat/sessions
+ * Clear all of the current user's conversations (optionally ?channel=web|whatsapp)
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const cleared = await clearAllSessions(req.user.id, req.query.channel || null);
+
+    res.json({
+      success: true,
+      data: { cleared },
+      message: 'Conversations cleared'
+    });
+  } catch (error) {
+    console.error('Error clearing conversations:', error);
+    handleSessionError(res, error, 'Failed to clear conversations');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getRequestMetadata } = require('../services/auditLog');
+const {
+  getWholesalerDeliveries,
+  bulkUpdateDeliveries,
+  MAX_BULK_DELIVERIES
+} = require('../services/deliveries');
+
+/**
+ * Delivery Routes
+ * A wholesaler's deliveries across all their orders. Single-order delivery
+ * actions live under /api/orders/:id/delivery.
+ */
+
+router.use(authenticateToken);
+
+router.use((req, res, next) => {
+  if (req.user.user_type !== 'wholesaler') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only wholesalers can manage deliveries'
+    });
+  }
+
+  next();
+});
+
+/**
+ * GET /api/deliveries
+ * List the wholesaler's deliveries, soonest expected first
+ * Query: status ('scheduled' | 'in_transit' | 'delivered' | 'failed'), limit, offset
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, limit, offset } = req.query;
+    const deliveries = await getWholesalerDeliveries(req.user.id, {
+      status,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      message: 'Deliveries retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve deliveries',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/deliveries/bulk
+ * Schedule, update or dispatch deliveries for many orders at once
+ * Body: { deliveries: [{ order_id, dispatch: true|false, ...delivery details }] }
+ */
+router.put('/bulk', async (req, res) => {
+  try {
+    const { deliveries } = req.body;
+
+    if (!Array.isArray(deliveries) || deliveries.length === 0 || deliveries.length > MAX_BULK_DELIVERIES) {
+      return res.status(400).json({
+        success: false,
+        message: `deliveries must be a list of 1 to ${MAX_BULK_DELIVERIES} updates`
+      });
+    }
+
+    const result = await bulkUpdateDeliveries(req.user.id, deliveries, getRequestMetadata(req));
+
+    res.status(result.failed.length > 0 && result.updated.length === 0 ? 400 : 200).json({
+      success: result.updated.length > 0,
+      data: result,
+      message: `${result.updated.length} deliveries updated, ${result.failed.length} failed`
+    });
+  } catch (error) {
+    console.error('Error updating deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update deliveries',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
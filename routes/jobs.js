@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getJobStatuses,
+  getJobRuns,
+  runJob,
+  setJobEnabled
+} = require('../services/scheduler');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/permissions');
+
+// All job endpoints are admin only
+router.use(authenticateToken, requirePermission(PERMISSIONS.JOBS_MANAGE));
+
+/**
+ * GET /api/admin/jobs
+ * List background jobs with schedule, last run and next run
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await getJobStatuses();
+
+    res.json({
+      success: true,
+      data: jobs,
+      message: 'Jobs retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve jobs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/runs
+ * Job run history across all jobs
+ * Query: job, status, limit, offset
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const { job, status, limit, offset } = req.query;
+    const runs = await getJobRuns({ jobName: job, status, limit, offset });
+
+    res.json({
+      success: true,
+      data: runs,
+      message: 'Job runs retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting job runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve job runs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/:name/runs
+ * Run history for one job
+ */
+router.get('/:name/runs', async (req, res) => {
+  try {
+    const { status, limit, offset } = req.query;
+    const runs = await getJobRuns({ jobName: req.params.name, status, limit, offset });
+
+    res.json({
+      success: true,
+      data: runs,
+      message: 'Job runs retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting job runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve job runs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Run a job immediately
+ */
+router.post('/:name/run', async (req, res) => {
+  try {
+    const run = await runJob(req.params.name, {
+      trigger: 'manual',
+      triggeredBy: req.user.id
+    });
+
+    if (run.status === 'skipped') {
+      return res.status(409).json({
+        success: false,
+        message: run.reason
+      });
+    }
+
+    res.json({
+      success: run.status === 'success',
+      data: run,
+      message: run.status === 'success' ? 'Job completed successfully' : 'Job failed'
+    });
+  } catch (error) {
+    console.error('Error running job:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/jobs/:name
+ * Enable or disable scheduled runs of a job
+ * Body: { enabled: boolean }
+ */
+router.put('/:name', async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be true or false'
+      });
+    }
+
+    const job = await setJobEnabled(req.params.name, req.body.enabled);
+
+    res.json({
+      success: true,
+      data: job,
+      message: `Job ${job.enabled ? 'enabled' : 'disabled'}`
+    });
+  } catch (error) {
+    console.error('Error updating job:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update job',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/permissions');
+const { runJob } = require('../services/scheduler');
 const {
-    collectMarketData,
     getMarketTrends,
     getDemandForecast,
     generateUserRecommendations,
@@ -196,21 +197,28 @@ router.post('/price-alerts', authenticateToken, async (req, res) => {
  * POST /api/market-intelligence/collect-data
  * Collect and analyze market data (admin only)
  */
-router.post('/collect-data', authenticateToken, async (req, res) => {
+router.post('/collect-data', authenticateToken, requirePermission(PERMISSIONS.MARKET_DATA_COLLECT), async (req, res) => {
     try {
-        // Check if user is admin
-        if (req.user.user_type !== 'admin') {
-            return res.status(403).json({
+        // Run through the scheduler so manual runs share the job lock and history
+        const run = await runJob('market-data-collection', {
+            trigger: 'manual',
+            triggeredBy: req.user.id
+        });
+        
+        if (run.status === 'skipped') {
+            return res.status(409).json({
                 success: false,
-                message: 'Admin access required'
+                message: 'Market data collection is already running'
             });
         }
         
-        const result = await collectMarketData();
+        if (run.status === 'failed') {
+            throw new Error(run.error);
+        }
         
         res.json({
             success: true,
-            data: result,
+            data: run.result,
             message: 'Market data collected successfully'
         });
     } catch (error) {
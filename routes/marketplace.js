@@ -1,4 +1,5 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const {
@@ -14,15 +15,69 @@ const {
   searchProducts,
   getLowStockProducts
 } = require('../services/marketplace');
+const { getRequestMetadata } = require('../services/auditLog');
+const { getStockMovements } = require('../services/stockLedger');
+const {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_PRODUCT,
+  getProductImages,
+  addProductImages,
+  setPrimaryImage,
+  deleteProductImage
+} = require('../services/productImages');
 
 /**
  * Marketplace Routes
  * Handles product catalog management, search, filtering, and inventory operations
  */
 
+// Product images are held in memory only long enough to produce their renditions
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_BYTES,
+    files: MAX_IMAGES_PER_PRODUCT
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new Error(`Unsupported image type for ${file.originalname}. Use JPEG, PNG or WebP`));
+    }
+    cb(null, true);
+  }
+}).array('images', MAX_IMAGES_PER_PRODUCT);
+
+/**
+ * Parse multipart image uploads, answering upload errors before the route runs
+ */
+function uploadImages(req, res, next) {
+  imageUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    let message = error.message;
+    let statusCode = 400;
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      message = `Images must be ${MAX_IMAGE_BYTES / 1024 / 1024}MB or smaller`;
+      statusCode = 413;
+    } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      message = `Upload up to ${MAX_IMAGES_PER_PRODUCT} images in the "images" field`;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message
+    });
+  });
+}
+
 /**
  * GET /api/marketplace/products
  * Get products with filtering and search
+ * Ratings: min_rating (product), min_seller_rating (wholesaler score), sort_by=rating
+ * verified_only=true limits results to verified sellers
  */
 router.get('/products', async (req, res) => {
   try {
@@ -32,6 +87,9 @@ router.get('/products', async (req, res) => {
       location: req.query.location,
       min_price: req.query.min_price,
       max_price: req.query.max_price,
+      min_rating: req.query.min_rating,
+      min_seller_rating: req.query.min_seller_rating,
+      verified_only: req.query.verified_only === 'true',
       wholesaler_id: req.query.wholesaler_id,
       is_active: req.query.is_active !== undefined ? req.query.is_active === 'true' : true,
       limit: parseInt(req.query.limit) || 50,
@@ -270,7 +328,7 @@ router.post('/products', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating product:', error);
-    res.status(400).json({
+    res.status(error.message.startsWith('Verification required') ? 403 : 400).json({
       success: false,
       message: error.message
     });
@@ -304,7 +362,7 @@ router.put('/products/:id', authenticateToken, async (req, res) => {
   } catch (error) {
     console.error('Error updating product:', error);
     const statusCode = error.message.includes('not found') ? 404 : 
-                      error.message.includes('Unauthorized') ? 403 : 400;
+                      error.message.includes('Unauthorized') || error.message.startsWith('Verification required') ? 403 : 400;
     res.status(statusCode).json({
       success: false,
       message: error.message
@@ -315,6 +373,7 @@ router.put('/products/:id', authenticateToken, async (req, res) => {
 /**
  * PUT /api/marketplace/products/:id/stock
  * Update product stock quantity (wholesaler only)
+ * Body: { quantity, reason } - the reason is recorded in the stock ledger
  */
 router.put('/products/:id/stock', authenticateToken, async (req, res) => {
   try {
@@ -327,7 +386,7 @@ router.put('/products/:id/stock', authenticateToken, async (req, res) => {
     }
 
     const { id } = req.params;
-    const { quantity } = req.body;
+    const { quantity, reason } = req.body;
 
     if (quantity === undefined || quantity < 0) {
       return res.status(400).json({
@@ -336,7 +395,7 @@ router.put('/products/:id/stock', authenticateToken, async (req, res) => {
       });
     }
 
-    const product = await updateStock(id, parseInt(quantity), req.user.id);
+    const product = await updateStock(id, parseInt(quantity), req.user.id, reason ? String(reason).trim() : undefined);
 
     res.json({
       success: true,
@@ -354,6 +413,145 @@ router.put('/products/:id/stock', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/marketplace/products/:id/stock-movements
+ * Stock ledger for one of the wholesaler's products: reservations, confirmations,
+ * cancellations and manual adjustments, newest first
+ */
+router.get('/products/:id/stock-movements', authenticateToken, async (req, res) => {
+  try {
+    const product = await getProductById(req.params.id);
+
+    if (product.wholesaler_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view stock movements for your own products'
+      });
+    }
+
+    const movements = await getStockMovements(req.params.id, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: movements,
+      message: 'Stock movements retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting stock movements:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/marketplace/products/:id/images
+ * Get a product's images in display order
+ */
+router.get('/products/:id/images', async (req, res) => {
+  try {
+    const images = await getProductImages(req.params.id);
+
+    res.json({
+      success: true,
+      data: images,
+      message: 'Product images retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting product images:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/marketplace/products/:id/images
+ * Upload product images (wholesaler only, own products)
+ * Multipart form with one or more files in the "images" field (JPEG, PNG or WebP).
+ * Each is stored as WebP thumbnail and medium renditions with EXIF removed.
+ */
+router.post('/products/:id/images', authenticateToken, (req, res, next) => {
+  // Check before reading the upload so other users' files are never buffered
+  if (req.user.user_type !== 'wholesaler') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only wholesalers can upload product images'
+    });
+  }
+  next();
+}, uploadImages, async (req, res) => {
+  try {
+    const images = await addProductImages(req.params.id, req.user.id, req.files);
+
+    res.status(201).json({
+      success: true,
+      data: images,
+      message: `${images.length} image${images.length === 1 ? '' : 's'} uploaded successfully`
+    });
+  } catch (error) {
+    console.error('Error uploading product images:', error);
+    const statusCode = error.message.includes('not found') ? 404 :
+                      error.message.includes('Unauthorized') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/marketplace/products/:id/images/:imageId/primary
+ * Make an image the product's main image (wholesaler only, own products)
+ */
+router.put('/products/:id/images/:imageId/primary', authenticateToken, async (req, res) => {
+  try {
+    const image = await setPrimaryImage(req.params.id, req.params.imageId, req.user.id);
+
+    res.json({
+      success: true,
+      data: image,
+      message: 'Primary image updated successfully'
+    });
+  } catch (error) {
+    console.error('Error setting primary image:', error);
+    const statusCode = error.message.includes('not found') ? 404 :
+                      error.message.includes('Unauthorized') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/marketplace/products/:id/images/:imageId
+ * Delete a product image and its stored renditions (wholesaler only, own products)
+ */
+router.delete('/products/:id/images/:imageId', authenticateToken, async (req, res) => {
+  try {
+    await deleteProductImage(req.params.id, req.params.imageId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting product image:', error);
+    const statusCode = error.message.includes('not found') ? 404 :
+                      error.message.includes('Unauthorized') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/marketplace/my-products
  * Get products for the authenticated wholesaler
@@ -588,11 +786,17 @@ router.post('/ai/apply-suggestions', authenticateToken, async (req, res) => {
     }
 
     const { applyAISuggestions } = require('../services/sellerAI');
-    const result = await applyAISuggestions(req.user.id, product_id, suggestions);
+    const result = await applyAISuggestions(req.user.id, product_id, suggestions, getRequestMetadata(req));
 
     res.json(result);
   } catch (error) {
     console.error('Error applying AI suggestions:', error);
+    if (error.message.startsWith('Verification required')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to apply AI suggestions',
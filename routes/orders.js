@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../services/permissions');
+const { getRequestMetadata } = require('../services/auditLog');
 const {
   createOrder,
+  getParentOrder,
   updateOrderStatus,
   updatePaymentStatus,
   getOrdersByUser,
@@ -13,6 +16,7 @@ const {
   getDeliveryInfo,
   updateDeliveryAddress
 } = require('../services/orders');
+const { saveDelivery, dispatchDelivery, confirmDelivery } = require('../services/deliveries');
 
 /**
  * Order Management Routes
@@ -110,6 +114,29 @@ router.get('/my-orders', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/orders/parents/:id
+ * Get a cart checkout with the orders it was split into, one per wholesaler
+ */
+router.get('/parents/:id', authenticateToken, async (req, res) => {
+  try {
+    const parentOrder = await getParentOrder(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: parentOrder
+    });
+  } catch (error) {
+    console.error('Error fetching checkout order:', error);
+    const statusCode = error.message === 'Order not found' ? 404 : 
+                      error.message.includes('Unauthorized') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/orders/:id
  * Get a specific order by ID
@@ -136,7 +163,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
 /**
  * GET /api/orders/:id/history
- * Get order status history
+ * Get the order's event history: status and payment changes with who made them,
+ * notes and tracking details
  */
 router.get('/:id/history', authenticateToken, async (req, res) => {
   try {
@@ -161,11 +189,12 @@ router.get('/:id/history', authenticateToken, async (req, res) => {
 /**
  * PUT /api/orders/:id/status
  * Update order status
+ * Body: { status, notes, carrier, tracking_number, estimated_delivery }
  */
 router.put('/:id/status', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, notes, carrier, tracking_number, estimated_delivery } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -174,7 +203,10 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
       });
     }
 
-    const order = await updateOrderStatus(id, status, req.user.id);
+    const order = await updateOrderStatus(id, status, req.user.id, getRequestMetadata(req), {
+      notes,
+      tracking: { carrier, tracking_number, estimated_delivery }
+    });
 
     res.json({
       success: true,
@@ -185,6 +217,7 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
     console.error('Error updating order status:', error);
     const statusCode = error.message === 'Order not found' ? 404 : 
                       error.message.includes('Unauthorized') ? 403 : 
+                      error.message.includes('changed in the meantime') ? 409 :
                       error.message.includes('Invalid') || error.message.includes('Cannot change') ? 400 : 500;
     res.status(statusCode).json({
       success: false,
@@ -195,12 +228,14 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
 
 /**
  * PUT /api/orders/:id/payment-status
- * Update payment status (internal use, typically called by payment service)
+ * Manually override payment status (admin only; M-Pesa payments are
+ * reconciled automatically through /api/payments)
+ * Body: { payment_status, notes }
  */
-router.put('/:id/payment-status', authenticateToken, async (req, res) => {
+router.put('/:id/payment-status', authenticateToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), async (req, res) => {
   try {
     const { id } = req.params;
-    const { payment_status } = req.body;
+    const { payment_status, notes } = req.body;
 
     if (!payment_status) {
       return res.status(400).json({
@@ -209,7 +244,11 @@ router.put('/:id/payment-status', authenticateToken, async (req, res) => {
       });
     }
 
-    const order = await updatePaymentStatus(id, payment_status);
+    const order = await updatePaymentStatus(id, payment_status, {
+      actorId: req.user.id,
+      actorRole: 'admin',
+      notes
+    });
 
     res.json({
       success: true,
@@ -219,6 +258,7 @@ router.put('/:id/payment-status', authenticateToken, async (req, res) => {
   } catch (error) {
     console.error('Error updating payment status:', error);
     const statusCode = error.message === 'Order not found' ? 404 : 
+                      error.message.includes('cancelled order') ? 409 :
                       error.message.includes('Invalid') ? 400 : 500;
     res.status(statusCode).json({
       success: false,
@@ -236,7 +276,7 @@ router.post('/:id/cancel', authenticateToken, async (req, res) => {
     const { id } = req.params;
     const { reason } = req.body;
 
-    const order = await cancelOrder(id, req.user.id, reason);
+    const order = await cancelOrder(id, req.user.id, reason, getRequestMetadata(req));
 
     res.json({
       success: true,
@@ -247,6 +287,7 @@ router.post('/:id/cancel', authenticateToken, async (req, res) => {
     console.error('Error cancelling order:', error);
     const statusCode = error.message === 'Order not found' ? 404 : 
                       error.message.includes('Unauthorized') ? 403 : 
+                      error.message.includes('changed in the meantime') ? 409 :
                       error.message.includes('Cannot cancel') ? 400 : 500;
     res.status(statusCode).json({
       success: false,
@@ -279,6 +320,99 @@ router.get('/:id/delivery', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Status code for a delivery service error
+ * @param {Error} error - Error thrown by services/deliveries.js
+ * @returns {number} HTTP status
+ */
+function deliveryErrorStatus(error) {
+  if (error.message === 'Order not found') return 404;
+  if (error.message.includes('Unauthorized')) return 403;
+  if (error.message.includes('Too many incorrect codes')) return 429;
+  if (error.message.includes('Invalid') || error.message.includes('Cannot') || error.message.includes('not been dispatched')) return 400;
+  return 500;
+}
+
+/**
+ * PUT /api/orders/:id/delivery
+ * Schedule the delivery for an order or update its details (seller only)
+ * Body: { method: 'carrier' | 'rider' | 'pickup', carrier_name, tracking_number, rider_name,
+ *         rider_phone, pickup_point, estimated_delivery_at, proof_of_delivery_url, notes }
+ */
+router.put('/:id/delivery', authenticateToken, async (req, res) => {
+  try {
+    const delivery = await saveDelivery(req.user.id, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: delivery,
+      message: 'Delivery saved successfully'
+    });
+  } catch (error) {
+    console.error('Error saving delivery:', error);
+    res.status(deliveryErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:id/delivery/dispatch
+ * Send the order out for delivery (seller only). Marks the order shipped and
+ * returns the confirmation code to hand over with the goods.
+ * Body: optional delivery details, as for PUT /:id/delivery
+ */
+router.post('/:id/delivery/dispatch', authenticateToken, async (req, res) => {
+  try {
+    const delivery = await dispatchDelivery(req.user.id, req.params.id, req.body, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      data: delivery,
+      message: `Order dispatched. Give the buyer delivery code ${delivery.confirmation_code} with the goods.`
+    });
+  } catch (error) {
+    console.error('Error dispatching delivery:', error);
+    res.status(deliveryErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:id/delivery/confirm
+ * Buyer confirms receipt with the delivery code, marking the order delivered
+ * Body: { code }
+ */
+router.post('/:id/delivery/confirm', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery code is required'
+      });
+    }
+
+    const delivery = await confirmDelivery(req.user.id, req.params.id, code, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      data: delivery,
+      message: 'Delivery confirmed. Thank you!'
+    });
+  } catch (error) {
+    console.error('Error confirming delivery:', error);
+    res.status(deliveryErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 /**
  * PUT /api/orders/:id/delivery-address
  * Update delivery address (buyers only, pending orders only)
@@ -350,10 +484,10 @@ router.get('/status/:status', authenticateToken, async (req, res) => {
  */
 router.get('/buyer/:buyerId', authenticateToken, async (req, res) => {
   try {
-    // Check if user is admin or the buyer themselves
+    // Buyers see their own orders; admins and support agents see anyone's
     const { buyerId } = req.params;
     
-    if (req.user.user_type !== 'admin' && req.user.id !== buyerId) {
+    if (req.user.id !== buyerId && !(await hasPermission(req.user, PERMISSIONS.ORDERS_VIEW_ALL))) {
       return res.status(403).json({
         success: false,
         message: 'Unauthorized access'
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  isValidCallbackSecret,
+  initiateOrderPayment,
+  handleStkCallback,
+  getPaymentStatus,
+  getUserPayments
+} = require('../services/payments');
+
+/**
+ * Payment Routes
+ * M-Pesa STK Push for orders and the Daraja callback
+ */
+
+/**
+ * POST /api/payments/mpesa/stk-push
+ * Send an M-Pesa payment prompt to the buyer's phone
+ * Body: { order_id, phone_number (optional, defaults to the account phone) }
+ */
+router.post('/mpesa/stk-push', authenticateToken, async (req, res) => {
+  try {
+    const { order_id, phone_number } = req.body;
+
+    if (!order_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'order_id is required'
+      });
+    }
+
+    const payment = await initiateOrderPayment(req.user.id, order_id, phone_number);
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+      message: payment.customer_message || 'Check your phone to complete the M-Pesa payment'
+    });
+  } catch (error) {
+    console.error('Error initiating M-Pesa payment:', error);
+    const statusCode = error.message === 'Order not found' ? 404 :
+                      error.message.includes('Unauthorized') ? 403 :
+                      error.message.includes('already') ? 409 :
+                      error.message.includes('Invalid') || error.message.includes('Cannot pay') ? 400 :
+                      error.message.includes('not configured') ? 503 :
+                      error.message.includes('M-Pesa') ? 502 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payments/mpesa/callback
+ * Daraja STK Push result callback. The callback URL must carry ?secret=<MPESA_CALLBACK_SECRET>
+ * (added automatically to the URL sent with each STK push); without a configured secret every
+ * callback is rejected. Valid callbacks are always acknowledged so Daraja stops retrying.
+ */
+router.post('/mpesa/callback', async (req, res) => {
+  if (!isValidCallbackSecret(req.query.secret)) {
+    console.warn('Rejected M-Pesa callback with a missing or invalid secret');
+    return res.status(401).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+  }
+
+  try {
+    const { payment, duplicate } = await handleStkCallback(req.body);
+    console.log(`M-Pesa callback for payment ${payment.id}: ${payment.status}${duplicate ? ' (duplicate)' : ''}`);
+  } catch (error) {
+    console.error('Error processing M-Pesa callback:', error.message);
+  }
+
+  res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+});
+
+/**
+ * GET /api/payments
+ * Payments made by the authenticated user
+ * Query: order_id, status, limit, offset
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filters = {
+      order_id: req.query.order_id,
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    const payments = await getUserPayments(req.user.id, filters);
+
+    res.json({
+      success: true,
+      data: payments,
+      count: payments.length,
+      message: 'Payments retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/payments/:id
+ * Payment status; checks with M-Pesa if the callback is overdue
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const payment = await getPaymentStatus(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: payment,
+      message: 'Payment retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching payment:', error);
+    const statusCode = error.message === 'Payment not found' ? 404 :
+                      error.message.includes('Unauthorized') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/permissions');
+const { getRequestMetadata } = require('../services/auditLog');
+const {
+  createReview,
+  updateReview,
+  deleteReview,
+  getProductReviews,
+  getWholesalerReviews,
+  replyToReview,
+  reportReview,
+  getModerationQueue,
+  moderateReview
+} = require('../services/reviews');
+
+/**
+ * Review Routes
+ * Verified-purchase product reviews, wholesaler replies, reporting and
+ * moderation. Reading reviews needs no account.
+ */
+
+/**
+ * Map a review error to an HTTP status
+ * @param {Error} error - Error thrown by the reviews service
+ * @returns {number} HTTP status code
+ */
+function reviewErrorStatus(error) {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+
+  if (error.message.includes('Unauthorized') || error.message.includes('Access denied')) {
+    return 403;
+  }
+
+  if (error.message.includes('already')) {
+    return 409;
+  }
+
+  if (error.message.startsWith('Failed')) {
+    return 500;
+  }
+
+  return 400;
+}
+
+/**
+ * Pagination and rating filter from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} { rating, limit, offset }
+ */
+function listOptions(query) {
+  return {
+    rating: query.rating,
+    limit: Math.min(parseInt(query.limit) || 20, 100),
+    offset: parseInt(query.offset) || 0
+  };
+}
+
+/**
+ * GET /api/reviews/products/:productId
+ * A product's published reviews with its average rating and star distribution
+ */
+router.get('/products/:productId', async (req, res) => {
+  try {
+    const result = await getProductReviews(req.params.productId, listOptions(req.query));
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Reviews retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting product reviews:', error);
+    res.status(reviewErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/reviews/wholesalers/:wholesalerId
+ * A wholesaler's seller score and the published reviews of their products
+ */
+router.get('/wholesalers/:wholesalerId', async (req, res) => {
+  try {
+    const result = await getWholesalerReviews(req.params.wholesalerId, listOptions(req.query));
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Reviews retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting wholesaler reviews:', error);
+    res.status(reviewErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/reviews/moderation
+ * Reviews waiting for a moderator, most reported first (content moderators)
+ * Query: status (published, flagged, hidden), limit, offset
+ */
+router.get('/moderation', authenticateToken, requirePermission(PERMISSIONS.CONTENT_MODERATE), async (req, res) => {
+  try {
+    const reviews = await getModerationQueue({
+      status: req.query.status,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: reviews,
+      message: 'Moderation queue retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting moderation queue:', error);
+    res.status(reviewErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/reviews
+ * Review a product from one of the buyer's paid, delivered orders
+ * Body: { order_id, product_id, rating (1-5), title, comment }
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const review = await createReview(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: review,
+      message: 'Review posted successfully'
+    });
+  } catch (error) {
+    console.error('Error creating review:', error);
+    res.status(reviewErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/reviews/:id
+ * Edit your review
+ * Body: { rating, title, comment }
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const review = await updateReview(req.user.id, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: review,
+      message: 'Review updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating review:', error);
+    res.status(reviewErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/reviews/:id
+ * Delete your review
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    await deleteReview(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(reviewErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/reviews/:id/reply
+ * Reply to a review of one of your products (wholesalers)
+ * Body: { reply } - an empty reply removes the existing one
+ */
+router.post('/:id/reply', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.user_type !== 'wholesaler') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only wholesalers can reply to reviews'
+      });
+    }
+
+    const review = await replyToReview(req.user.id, req.params.id, req.body.reply);
+
+    res.json({
+      success: true,
+      data: review,
+      message: review.reply ? 'Reply saved successfully' : 'Reply removed successfully'
+    });
+  } catch (error) {
+    console.error('Error replying to review:', error);
+    res.status(reviewErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/reviews/:id/report
+ * Report a review to the moderators
+ * Body: { reason: abusive | spam | off_topic | fake | other, details }
+ */
+router.post('/:id/report', authenticateToken, async (req, res) => {
+  try {
+    const result = await reportReview(req.user.id, req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Thanks, a moderator will look at this review'
+    });
+  } catch (error) {
+    console.error('Error reporting review:', error);
+    res.status(reviewErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/reviews/:id/moderation
+ * Hide a review or restore it (content moderators)
+ * Body: { action: hide | restore, reason } - a reason is required to hide
+ */
+router.put('/:id/moderation', authenticateToken, requirePermission(PERMISSIONS.CONTENT_MODERATE), async (req, res) => {
+  try {
+    const review = await moderateReview(req.user.id, req.params.id, req.body, getRequestMetadata(req));
+
+    res.json({
+      success: true,
+      data: review,
+      message: review.status === 'hidden' ? 'Review hidden' : 'Review restored'
+    });
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    res.status(reviewErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
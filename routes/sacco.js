@@ -9,7 +9,8 @@ const {
     getUserSACCOs,
     getSACCOMembers,
     getSACCOStats,
-    transferSACCOAdmin
+    transferSACCOAdmin,
+    updateSACCOSettings
 } = require('../services/sacco');
 const { 
     createBulkOrder,
@@ -18,23 +19,31 @@ const {
     removeMemberParticipation,
     getSACCOBulkOrders,
     getBulkOrderById,
+    getBulkOrderSaccoId,
     finalizeBulkOrder,
     getUserBulkOrderParticipations
 } = require('../services/bulkOrders');
+const { PERMISSIONS, assignSaccoRole } = require('../services/permissions');
+const { getRequestMetadata } = require('../services/auditLog');
 const { 
     authenticateToken, 
-    requireFarmerOrAdmin 
+    requireFarmerOrAdmin,
+    requirePermission,
+    saccoFromParam
 } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Bulk order routes are scoped to the SACCO that owns the order
+const saccoFromBulkOrder = req => getBulkOrderSaccoId(req.params.bulkOrderId);
+
 /**
  * Create a new SACCO group
  * POST /api/sacco
  */
 router.post('/', authenticateToken, requireFarmerOrAdmin, async (req, res) => {
     try {
-        const { name, description, region, member_limit } = req.body;
+        const { name, description, region, member_limit, min_bulk_order_quantity } = req.body;
         
         // Validate required fields
         if (!name || !region) {
@@ -45,10 +54,19 @@ router.post('/', authenticateToken, requireFarmerOrAdmin, async (req, res) => {
         }
         
         // Validate member limit
-        if (member_limit && (member_limit < 5 || member_limit > 200)) {
+        if (member_limit && (!Number.isInteger(Number(member_limit)) || member_limit < 5 || member_limit > 200)) {
             return res.status(400).json({
                 error: 'Invalid member limit',
-                message: 'Member limit must be between 5 and 200'
+                message: 'Member limit must be a whole number between 5 and 200'
+            });
+        }
+        
+        // Validate bulk order minimum
+        if (min_bulk_order_quantity !== undefined && min_bulk_order_quantity !== null &&
+            (!Number.isInteger(min_bulk_order_quantity) || min_bulk_order_quantity < 1)) {
+            return res.status(400).json({
+                error: 'Invalid minimum quantity',
+                message: 'Minimum bulk order quantity must be a whole number of at least 1'
             });
         }
         
@@ -56,7 +74,8 @@ router.post('/', authenticateToken, requireFarmerOrAdmin, async (req, res) => {
             name: name.trim(),
             description: description?.trim(),
             region: region.trim(),
-            member_limit: member_limit || 50
+            member_limit: Number(member_limit) || 50,
+            min_bulk_order_quantity
         };
         
         const newSACCO = await createSACCO(req.user.id, saccoData);
@@ -214,7 +233,7 @@ router.post('/:id/leave', authenticateToken, async (req, res) => {
             });
         }
         
-        if (error.message.includes('admin cannot leave')) {
+        if (error.message.includes('chair cannot leave')) {
             return res.status(400).json({
                 error: 'Admin restriction',
                 message: error.message
@@ -255,23 +274,10 @@ router.get('/user/my-saccos', authenticateToken, async (req, res) => {
  * Get SACCO group members
  * GET /api/sacco/:id/members
  */
-router.get('/:id/members', authenticateToken, async (req, res) => {
+router.get('/:id/members', authenticateToken, requirePermission(PERMISSIONS.SACCO_VIEW_MEMBERS, { sacco: saccoFromParam() }), async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Verify user is a member of this SACCO or admin
-        if (req.user.user_type !== 'admin') {
-            const userSACCOs = await getUserSACCOs(req.user.id);
-            const isMember = userSACCOs.some(sacco => sacco.id === id);
-            
-            if (!isMember) {
-                return res.status(403).json({
-                    error: 'Access denied',
-                    message: 'Only SACCO members can view member list'
-                });
-            }
-        }
-        
         const members = await getSACCOMembers(id);
         
         res.json({
@@ -289,6 +295,53 @@ router.get('/:id/members', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Change a member's role (chair only)
+ * PUT /api/sacco/:id/members/:userId/role
+ */
+router.put('/:id/members/:userId/role', authenticateToken, requirePermission(PERMISSIONS.SACCO_ASSIGN_ROLES, { sacco: saccoFromParam() }), async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+        const { role } = req.body;
+        
+        if (!role) {
+            return res.status(400).json({
+                error: 'Missing role',
+                message: 'Role is required'
+            });
+        }
+        
+        const membership = await assignSaccoRole(req.user.id, id, userId, role);
+        
+        res.json({
+            message: 'Member role updated successfully',
+            membership
+        });
+        
+    } catch (error) {
+        console.error('Assign SACCO role error:', error);
+        
+        if (error.message.includes('Invalid role') || error.message.includes('not an active member') || error.message.includes('cannot be reassigned')) {
+            return res.status(400).json({
+                error: 'Invalid role change',
+                message: error.message
+            });
+        }
+        
+        if (error.message.includes('Permission denied')) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: error.message
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Failed to update member role',
+            message: 'An error occurred while updating the member role'
+        });
+    }
+});
+
 /**
  * Get SACCO group statistics
  * GET /api/sacco/:id/stats
@@ -325,7 +378,7 @@ router.get('/:id/stats', authenticateToken, async (req, res) => {
  * Transfer SACCO admin rights
  * POST /api/sacco/:id/transfer-admin
  */
-router.post('/:id/transfer-admin', authenticateToken, async (req, res) => {
+router.post('/:id/transfer-admin', authenticateToken, requirePermission(PERMISSIONS.SACCO_TRANSFER_CHAIR, { sacco: saccoFromParam() }), async (req, res) => {
     try {
         const { id } = req.params;
         const { new_admin_id } = req.body;
@@ -337,7 +390,7 @@ router.post('/:id/transfer-admin', authenticateToken, async (req, res) => {
             });
         }
         
-        const updatedSACCO = await transferSACCOAdmin(req.user.id, new_admin_id, id);
+        const updatedSACCO = await transferSACCOAdmin(req.user.id, new_admin_id, id, getRequestMetadata(req));
         
         res.json({
             message: 'Admin rights transferred successfully',
@@ -347,7 +400,14 @@ router.post('/:id/transfer-admin', authenticateToken, async (req, res) => {
     } catch (error) {
         console.error('Transfer SACCO admin error:', error);
         
-        if (error.message.includes('Only the current admin')) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'SACCO not found',
+                message: error.message
+            });
+        }
+        
+        if (error.message.includes('Permission denied')) {
             return res.status(403).json({
                 error: 'Access denied',
                 message: error.message
@@ -368,13 +428,82 @@ router.post('/:id/transfer-admin', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Update SACCO group settings (chair or secretary)
+ * PUT /api/sacco/:id
+ */
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.SACCO_UPDATE_SETTINGS, { sacco: saccoFromParam() }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { description, member_limit, min_bulk_order_quantity } = req.body || {};
+        
+        if (description === undefined && member_limit === undefined && min_bulk_order_quantity === undefined) {
+            return res.status(400).json({
+                error: 'Nothing to update',
+                message: 'Provide a description, member_limit or min_bulk_order_quantity'
+            });
+        }
+        
+        // Validate member limit
+        if (member_limit !== undefined &&
+            (!Number.isInteger(Number(member_limit)) || member_limit < 5 || member_limit > 200)) {
+            return res.status(400).json({
+                error: 'Invalid member limit',
+                message: 'Member limit must be a whole number between 5 and 200'
+            });
+        }
+        
+        // Validate bulk order minimum (null removes it)
+        if (min_bulk_order_quantity !== undefined && min_bulk_order_quantity !== null &&
+            (!Number.isInteger(Number(min_bulk_order_quantity)) || min_bulk_order_quantity < 1)) {
+            return res.status(400).json({
+                error: 'Invalid minimum quantity',
+                message: 'Minimum bulk order quantity must be a whole number of at least 1'
+            });
+        }
+        
+        const updatedSACCO = await updateSACCOSettings(req.user.id, id, {
+            description,
+            member_limit: member_limit === undefined ? undefined : Number(member_limit),
+            min_bulk_order_quantity: min_bulk_order_quantity == null ? min_bulk_order_quantity : Number(min_bulk_order_quantity)
+        });
+        
+        res.json({
+            message: 'SACCO settings updated successfully',
+            sacco: updatedSACCO
+        });
+        
+    } catch (error) {
+        console.error('Update SACCO settings error:', error);
+        
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'SACCO not found',
+                message: error.message
+            });
+        }
+        
+        if (error.message.includes('Permission denied')) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: error.message
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Failed to update SACCO settings',
+            message: 'An error occurred while updating the SACCO group'
+        });
+    }
+});
+
 // ===== BULK ORDER ENDPOINTS =====
 
 /**
  * Create a bulk order for a SACCO group
  * POST /api/sacco/:id/bulk-orders
  */
-router.post('/:id/bulk-orders', authenticateToken, requireFarmerOrAdmin, async (req, res) => {
+router.post('/:id/bulk-orders', authenticateToken, requirePermission(PERMISSIONS.BULK_ORDERS_CREATE, { sacco: saccoFromParam() }), async (req, res) => {
     try {
         const { id: saccoId } = req.params;
         const { product_id, total_quantity, deadline } = req.body;
@@ -442,24 +571,11 @@ router.post('/:id/bulk-orders', authenticateToken, requireFarmerOrAdmin, async (
  * Get bulk orders for a SACCO group
  * GET /api/sacco/:id/bulk-orders
  */
-router.get('/:id/bulk-orders', authenticateToken, async (req, res) => {
+router.get('/:id/bulk-orders', authenticateToken, requirePermission(PERMISSIONS.BULK_ORDERS_VIEW, { sacco: saccoFromParam() }), async (req, res) => {
     try {
         const { id: saccoId } = req.params;
         const { status } = req.query;
         
-        // Verify user is a member of this SACCO or admin
-        if (req.user.user_type !== 'admin') {
-            const userSACCOs = await getUserSACCOs(req.user.id);
-            const isMember = userSACCOs.some(sacco => sacco.id === saccoId);
-            
-            if (!isMember) {
-                return res.status(403).json({
-                    error: 'Access denied',
-                    message: 'Only SACCO members can view bulk orders'
-                });
-            }
-        }
-        
         const filters = {};
         if (status) filters.status = status;
         
@@ -483,25 +599,12 @@ router.get('/:id/bulk-orders', authenticateToken, async (req, res) => {
  * Get bulk order details
  * GET /api/sacco/bulk-orders/:bulkOrderId
  */
-router.get('/bulk-orders/:bulkOrderId', authenticateToken, async (req, res) => {
+router.get('/bulk-orders/:bulkOrderId', authenticateToken, requirePermission(PERMISSIONS.BULK_ORDERS_VIEW, { sacco: saccoFromBulkOrder }), async (req, res) => {
     try {
         const { bulkOrderId } = req.params;
         
         const bulkOrder = await getBulkOrderById(bulkOrderId);
         
-        // Verify user is a member of the SACCO or admin
-        if (req.user.user_type !== 'admin') {
-            const userSACCOs = await getUserSACCOs(req.user.id);
-            const isMember = userSACCOs.some(sacco => sacco.id === bulkOrder.sacco_id);
-            
-            if (!isMember) {
-                return res.status(403).json({
-                    error: 'Access denied',
-                    message: 'Only SACCO members can view this bulk order'
-                });
-            }
-        }
-        
         res.json({
             message: 'Bulk order retrieved successfully',
             bulk_order: bulkOrder
@@ -698,17 +801,17 @@ router.delete('/bulk-orders/participations/:participationId', authenticateToken,
 });
 
 /**
- * Finalize a bulk order (SACCO admin only)
+ * Finalize a bulk order (chair or treasurer)
  * POST /api/sacco/bulk-orders/:bulkOrderId/finalize
  */
-router.post('/bulk-orders/:bulkOrderId/finalize', authenticateToken, async (req, res) => {
+router.post('/bulk-orders/:bulkOrderId/finalize', authenticateToken, requirePermission(PERMISSIONS.BULK_ORDERS_FINALIZE, { sacco: saccoFromBulkOrder }), async (req, res) => {
     try {
         const { bulkOrderId } = req.params;
         
-        const finalizedOrder = await finalizeBulkOrder(bulkOrderId, req.user.id);
+        const finalizedOrder = await finalizeBulkOrder(bulkOrderId, req.user.id, getRequestMetadata(req));
         
         res.json({
-            message: 'Bulk order finalized successfully',
+            message: 'Bulk order finalized and placed with the wholesaler',
             bulk_order: finalizedOrder
         });
         
@@ -722,7 +825,7 @@ router.post('/bulk-orders/:bulkOrderId/finalize', authenticateToken, async (req,
             });
         }
         
-        if (error.message.includes('Only SACCO admin')) {
+        if (error.message.includes('Permission denied')) {
             return res.status(403).json({
                 error: 'Access denied',
                 message: error.message
@@ -743,6 +846,13 @@ router.post('/bulk-orders/:bulkOrderId/finalize', authenticateToken, async (req,
             });
         }
         
+        if (error.message.includes('Insufficient stock')) {
+            return res.status(409).json({
+                error: 'Insufficient stock',
+                message: error.message
+            });
+        }
+        
         res.status(500).json({
             error: 'Failed to finalize bulk order',
             message: 'An error occurred while finalizing the bulk order'
@@ -8,6 +8,7 @@ const {
   assignFreePlanToUser
 } = require('../services/subscription');
 const { authenticateToken } = require('../middleware/auth');
+const { getRequestMetadata } = require('../services/auditLog');
 const { checkFeatureLimit, trackAIUsage } = require('../middleware/usageLimits');
 
 /**
@@ -104,7 +105,7 @@ router.post('/upgrade', authenticateToken, async (req, res) => {
       });
     }
     
-    const subscription = await upgradeSubscription(req.user.id, plan_id);
+    const subscription = await upgradeSubscription(req.user.id, plan_id, getRequestMetadata(req));
     
     res.json({
       success: true,
@@ -7,9 +7,21 @@ const {
 } = require('../services/supabase');
 const { 
     authenticateToken, 
+    requirePermission,
+    selfFromParam,
     requireFarmerOrAdmin, 
     requireWholesalerOrAdmin 
 } = require('../middleware/auth');
+const {
+    PERMISSIONS,
+    getUserPermissions
+} = require('../services/permissions');
+const { validateCoordinates } = require('../services/weather');
+const {
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    getUserNotifications
+} = require('../services/notificationOutbox');
 
 const router = express.Router();
 
@@ -17,18 +29,10 @@ const router = express.Router();
  * Get user profile by ID
  * GET /api/users/:id
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission(PERMISSIONS.USERS_VIEW, { self: selfFromParam() }), async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Users can only access their own profile unless they're admin
-        if (req.user.id !== id && req.user.user_type !== 'admin') {
-            return res.status(403).json({
-                error: 'Access denied',
-                message: 'You can only access your own profile'
-            });
-        }
-        
         const user = await getUserById(id);
         
         if (!user) {
@@ -56,22 +60,16 @@ router.get('/:id', authenticateToken, async (req, res) => {
  * Update user profile
  * PUT /api/users/:id
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.USERS_MANAGE, { self: selfFromParam() }), async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Users can only update their own profile unless they're admin
-        if (req.user.id !== id && req.user.user_type !== 'admin') {
-            return res.status(403).json({
-                error: 'Access denied',
-                message: 'You can only update your own profile'
-            });
-        }
-        
         const { 
             name, 
             phone, 
             location, 
+            latitude,
+            longitude,
             farm_size, 
             crops_grown 
         } = req.body;
@@ -81,6 +79,17 @@ router.put('/:id', authenticateToken, async (req, res) => {
         if (name !== undefined) updates.name = name.trim();
         if (phone !== undefined) updates.phone = phone.trim();
         if (location !== undefined) updates.location = location.trim();
+        if (latitude !== undefined || longitude !== undefined) {
+            const coordinates = validateCoordinates(latitude, longitude);
+            if (coordinates.error) {
+                return res.status(400).json({
+                    error: 'Invalid location',
+                    message: coordinates.error
+                });
+            }
+            updates.latitude = coordinates.latitude;
+            updates.longitude = coordinates.longitude;
+        }
         if (farm_size !== undefined) updates.farm_size = parseFloat(farm_size) || null;
         if (crops_grown !== undefined) updates.crops_grown = Array.isArray(crops_grown) ? crops_grown : [];
         
@@ -105,18 +114,10 @@ router.put('/:id', authenticateToken, async (req, res) => {
  * Get farmer-specific profile data
  * GET /api/users/:id/farmer-profile
  */
-router.get('/:id/farmer-profile', authenticateToken, requireFarmerOrAdmin, async (req, res) => {
+router.get('/:id/farmer-profile', authenticateToken, requireFarmerOrAdmin, requirePermission(PERMISSIONS.USERS_VIEW, { self: selfFromParam() }), async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Users can only access their own profile unless they're admin
-        if (req.user.id !== id && req.user.user_type !== 'admin') {
-            return res.status(403).json({
-                error: 'Access denied',
-                message: 'You can only access your own farmer profile'
-            });
-        }
-        
         const user = await getUserById(id);
         
         if (!user) {
@@ -139,6 +140,8 @@ router.get('/:id/farmer-profile', authenticateToken, requireFarmerOrAdmin, async
             name: user.name,
             phone: user.phone,
             location: user.location,
+            latitude: user.latitude,
+            longitude: user.longitude,
             farm_size: user.farm_size,
             crops_grown: user.crops_grown,
             whatsapp_linked: user.whatsapp_linked,
@@ -164,18 +167,10 @@ router.get('/:id/farmer-profile', authenticateToken, requireFarmerOrAdmin, async
  * Update farmer-specific profile data
  * PUT /api/users/:id/farmer-profile
  */
-router.put('/:id/farmer-profile', authenticateToken, requireFarmerOrAdmin, async (req, res) => {
+router.put('/:id/farmer-profile', authenticateToken, requireFarmerOrAdmin, requirePermission(PERMISSIONS.USERS_MANAGE, { self: selfFromParam() }), async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Users can only update their own profile unless they're admin
-        if (req.user.id !== id && req.user.user_type !== 'admin') {
-            return res.status(403).json({
-                error: 'Access denied',
-                message: 'You can only update your own farmer profile'
-            });
-        }
-        
         const user = await getUserById(id);
         
         if (!user || user.user_type !== 'farmer') {
@@ -187,6 +182,8 @@ router.put('/:id/farmer-profile', authenticateToken, requireFarmerOrAdmin, async
         
         const { 
             location, 
+            latitude,
+            longitude,
             farm_size, 
             crops_grown 
         } = req.body;
@@ -194,6 +191,17 @@ router.put('/:id/farmer-profile', authenticateToken, requireFarmerOrAdmin, async
         // Prepare farmer-specific updates
         const updates = {};
         if (location !== undefined) updates.location = location.trim();
+        if (latitude !== undefined || longitude !== undefined) {
+            const coordinates = validateCoordinates(latitude, longitude);
+            if (coordinates.error) {
+                return res.status(400).json({
+                    error: 'Invalid location',
+                    message: coordinates.error
+                });
+            }
+            updates.latitude = coordinates.latitude;
+            updates.longitude = coordinates.longitude;
+        }
         if (farm_size !== undefined) updates.farm_size = parseFloat(farm_size) || null;
         if (crops_grown !== undefined) updates.crops_grown = Array.isArray(crops_grown) ? crops_grown : [];
         
@@ -207,6 +215,8 @@ router.put('/:id/farmer-profile', authenticateToken, requireFarmerOrAdmin, async
                 name: updatedUser.name,
                 phone: updatedUser.phone,
                 location: updatedUser.location,
+                latitude: updatedUser.latitude,
+                longitude: updatedUser.longitude,
                 farm_size: updatedUser.farm_size,
                 crops_grown: updatedUser.crops_grown,
                 whatsapp_linked: updatedUser.whatsapp_linked,
@@ -227,18 +237,10 @@ router.put('/:id/farmer-profile', authenticateToken, requireFarmerOrAdmin, async
  * Get wholesaler-specific profile data
  * GET /api/users/:id/wholesaler-profile
  */
-router.get('/:id/wholesaler-profile', authenticateToken, requireWholesalerOrAdmin, async (req, res) => {
+router.get('/:id/wholesaler-profile', authenticateToken, requireWholesalerOrAdmin, requirePermission(PERMISSIONS.USERS_VIEW, { self: selfFromParam() }), async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Users can only access their own profile unless they're admin
-        if (req.user.id !== id && req.user.user_type !== 'admin') {
-            return res.status(403).json({
-                error: 'Access denied',
-                message: 'You can only access your own wholesaler profile'
-            });
-        }
-        
         const user = await getUserById(id);
         
         if (!user) {
@@ -285,19 +287,11 @@ router.get('/:id/wholesaler-profile', authenticateToken, requireWholesalerOrAdmi
  * Link WhatsApp account to user profile
  * POST /api/users/:id/link-whatsapp
  */
-router.post('/:id/link-whatsapp', authenticateToken, async (req, res) => {
+router.post('/:id/link-whatsapp', authenticateToken, requirePermission(PERMISSIONS.USERS_MANAGE, { self: selfFromParam() }), async (req, res) => {
     try {
         const { id } = req.params;
         const { whatsapp_phone } = req.body;
         
-        // Users can only link their own WhatsApp unless they're admin
-        if (req.user.id !== id && req.user.user_type !== 'admin') {
-            return res.status(403).json({
-                error: 'Access denied',
-                message: 'You can only link your own WhatsApp account'
-            });
-        }
-        
         if (!whatsapp_phone) {
             return res.status(400).json({
                 error: 'Missing WhatsApp phone',
@@ -335,18 +329,10 @@ router.post('/:id/link-whatsapp', authenticateToken, async (req, res) => {
  * Unlink WhatsApp account from user profile
  * DELETE /api/users/:id/link-whatsapp
  */
-router.delete('/:id/link-whatsapp', authenticateToken, async (req, res) => {
+router.delete('/:id/link-whatsapp', authenticateToken, requirePermission(PERMISSIONS.USERS_MANAGE, { self: selfFromParam() }), async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Users can only unlink their own WhatsApp unless they're admin
-        if (req.user.id !== id && req.user.user_type !== 'admin') {
-            return res.status(403).json({
-                error: 'Access denied',
-                message: 'You can only unlink your own WhatsApp account'
-            });
-        }
-        
         // Unlink WhatsApp account
         const updatedUser = await updateUserProfile(id, {
             whatsapp_linked: false,
@@ -367,4 +353,123 @@ router.delete('/:id/link-whatsapp', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Get notification preferences
+ * GET /api/users/:id/notification-preferences
+ */
+router.get('/:id/notification-preferences', authenticateToken, requirePermission(PERMISSIONS.NOTIFICATIONS_VIEW, { self: selfFromParam() }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const preferences = await getNotificationPreferences(id);
+        
+        res.json({
+            message: 'Notification preferences retrieved successfully',
+            preferences
+        });
+        
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({
+            error: 'Preferences retrieval failed',
+            message: 'An error occurred while retrieving notification preferences'
+        });
+    }
+});
+
+/**
+ * Update notification preferences
+ * PUT /api/users/:id/notification-preferences
+ * Body: { marketplace, sacco, price_alerts, weather, announcements (booleans), quiet_hours_start, quiet_hours_end ("HH:MM" EAT or null) }
+ */
+router.put('/:id/notification-preferences', authenticateToken, requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE, { self: selfFromParam() }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const preferences = await updateNotificationPreferences(id, req.body || {});
+        
+        res.json({
+            message: 'Notification preferences updated successfully',
+            preferences
+        });
+        
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        
+        if (error.message.includes('Invalid') || error.message.includes('No valid preferences')) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: error.message
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Preferences update failed',
+            message: 'An error occurred while updating notification preferences'
+        });
+    }
+});
+
+/**
+ * Get notifications sent to a user with their delivery status
+ * GET /api/users/:id/notifications
+ */
+router.get('/:id/notifications', authenticateToken, requirePermission(PERMISSIONS.NOTIFICATIONS_VIEW, { self: selfFromParam() }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const notifications = await getUserNotifications(id, {
+            category: req.query.category,
+            status: req.query.status,
+            limit: parseInt(req.query.limit) || 50,
+            offset: parseInt(req.query.offset) || 0
+        });
+        
+        res.json({
+            message: 'Notifications retrieved successfully',
+            notifications
+        });
+        
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            error: 'Notifications retrieval failed',
+            message: 'An error occurred while retrieving notifications'
+        });
+    }
+});
+
+/**
+ * Get a user's platform roles and permissions
+ * GET /api/users/:id/roles
+ */
+router.get('/:id/roles', authenticateToken, requirePermission(PERMISSIONS.USERS_VIEW, { self: selfFromParam() }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const { permissions, platformRoles } = await getUserPermissions(id);
+        
+        res.json({
+            message: 'Roles retrieved successfully',
+            roles: platformRoles,
+            permissions: [...permissions]
+        });
+        
+    } catch (error) {
+        console.error('Get user roles error:', error);
+        
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: error.message
+            });
+        }
+        
+        res.status(500).json({
+            error: 'Roles retrieval failed',
+            message: 'An error occurred while retrieving roles'
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
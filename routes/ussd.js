@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { handleUssdRequest } = require('../services/ussd');
+const { isValidCallbackSecret } = require('../services/messaging/africasTalkingAdapter');
+
+/**
+ * USSD Routes
+ * Africa's Talking USSD callback for farmers on feature phones
+ */
+
+// Africa's Talking posts USSD requests form-encoded
+router.use(express.urlencoded({ extended: false }));
+
+/**
+ * POST /api/ussd
+ * Body: { sessionId, serviceCode, phoneNumber, text }
+ * Responds with plain text starting with "CON " or "END ". The callback URL must
+ * carry ?secret=<AT_CALLBACK_SECRET>; without a configured secret USSD is disabled.
+ */
+router.post('/', async (req, res) => {
+  if (!isValidCallbackSecret(req.query.secret)) {
+    console.warn('Rejected USSD callback with a missing or invalid secret');
+    return res.status(401).type('text/plain').send('END Unauthorized');
+  }
+
+  const { sessionId, serviceCode, phoneNumber, text } = req.body || {};
+  const response = await handleUssdRequest({ sessionId, serviceCode, phoneNumber, text });
+
+  res.type('text/plain').send(response);
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  DOCUMENT_TYPES,
+  ALLOWED_DOCUMENT_TYPES,
+  MAX_DOCUMENT_BYTES,
+  getVerificationStatus,
+  submitVerification
+} = require('../services/sellerVerification');
+
+/**
+ * Seller Verification Routes
+ * Wholesalers check their verification status and apply with their KYC
+ * documents. Admins review applications through /api/admin/verifications.
+ */
+
+router.use(authenticateToken);
+
+router.use((req, res, next) => {
+  if (req.user.user_type !== 'wholesaler') {
+    return res.status(403).json({
+      success: false,
+      message: 'Seller verification is only for wholesalers'
+    });
+  }
+  next();
+});
+
+// One file per document type, held in memory until it is written to private storage
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DOCUMENT_BYTES,
+    files: Object.keys(DOCUMENT_TYPES).length
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_DOCUMENT_TYPES[file.mimetype]) {
+      return cb(new Error(`${DOCUMENT_TYPES[file.fieldname] || file.fieldname} must be a PDF, JPEG or PNG file`));
+    }
+    cb(null, true);
+  }
+}).fields(Object.keys(DOCUMENT_TYPES).map(name => ({ name, maxCount: 1 })));
+
+/**
+ * Parse the multipart application, answering upload errors before the route runs
+ */
+function uploadDocuments(req, res, next) {
+  documentUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    let message = error.message;
+    let statusCode = 400;
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      message = `Documents must be ${MAX_DOCUMENT_BYTES / 1024 / 1024}MB or smaller`;
+      statusCode = 413;
+    } else if (error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT') {
+      message = `Upload one file each in: ${Object.keys(DOCUMENT_TYPES).join(', ')}`;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message
+    });
+  });
+}
+
+/**
+ * GET /api/verification
+ * Verification status, what the seller may list, and their latest application
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await getVerificationStatus(req.user.id);
+
+    res.json({
+      success: true,
+      data: status,
+      message: 'Verification status retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting verification status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve verification status',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/verification
+ * Apply for seller verification
+ * Multipart form: business_name, business_permit_number, kra_pin, agro_dealer_number
+ * (pesticide sellers), and files business_permit, kra_pin_certificate,
+ * agro_dealer_certificate (PDF, JPEG or PNG)
+ */
+router.post('/', uploadDocuments, async (req, res) => {
+  try {
+    const files = Object.fromEntries(
+      Object.entries(req.files || {}).map(([field, uploaded]) => [field, uploaded[0]])
+    );
+
+    const application = await submitVerification(req.user.id, req.body, files);
+
+    res.status(201).json({
+      success: true,
+      data: application,
+      message: 'Verification submitted. We will review your documents shortly.'
+    });
+  } catch (error) {
+    console.error('Error submitting verification:', error);
+    res.status(error.message.startsWith('Failed') ? 500 : 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
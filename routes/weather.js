@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const {
+  toGridCell,
+  getWeatherForecast,
+  getReadableForecast,
+  getRainOutlook
+} = require('../services/weather');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * GET /api/weather
+ * Get the forecast for the logged-in user's saved farm coordinates
+ * Query: days (1-7, default 3) - number of daily entries to return
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { latitude, longitude } = req.user;
+
+    if (!latitude || !longitude) {
+      return res.status(400).json({
+        success: false,
+        message: 'No farm location saved. Add latitude and longitude to your profile to get forecasts.'
+      });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days) || 3, 1), 7);
+    const forecast = await getWeatherForecast(latitude, longitude);
+    const { daily } = forecast;
+
+    res.json({
+      success: true,
+      data: {
+        location: {
+          latitude,
+          longitude,
+          grid_cell: toGridCell(latitude, longitude).key,
+          timezone: forecast.timezone
+        },
+        daily: daily.time.slice(0, days).map((date, index) => ({
+          date,
+          temperature_min: daily.temperature_2m_min[index],
+          temperature_max: daily.temperature_2m_max[index],
+          precipitation_sum: daily.precipitation_sum[index],
+          precipitation_probability: daily.precipitation_probability_max[index],
+          weathercode: daily.weathercode[index]
+        })),
+        summary: getReadableForecast(forecast),
+        rain_outlook: getRainOutlook(forecast, days)
+      },
+      message: 'Weather forecast retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error getting weather forecast:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Failed to retrieve weather forecast',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
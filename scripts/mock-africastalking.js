@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for Africa's Talking, for developing the SMS and USSD channels
+ * without an account.
+ *
+ * Run the bot with SMS_ADAPTER=africastalking and AT_BASE_URL=http://localhost:4010, then:
+ *   curl -X POST localhost:4010/simulate/sms -d 'from=+254712345678&text=prices maize'
+ *   curl -X POST localhost:4010/simulate/ussd -d 'phoneNumber=+254712345678&text=1*maize'
+ *   curl localhost:4010/messages
+ *
+ * MOCK_AT_PORT sets the port (default 4010), BOT_URL where the bot runs (default
+ * http://localhost:3000). AT_CALLBACK_SECRET must match the bot's and is forwarded as ?secret=.
+ */
+
+require('dotenv').config();
+const express = require('express');
+const axios = require('axios');
+
+const port = parseInt(process.env.MOCK_AT_PORT) || 4010;
+const botUrl = (process.env.BOT_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const secretQuery = process.env.AT_CALLBACK_SECRET
+  ? `?secret=${encodeURIComponent(process.env.AT_CALLBACK_SECRET)}`
+  : '';
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+// Outbound SMS sent by the bot, newest last
+const sentMessages = [];
+let nextId = 1;
+
+/**
+ * Forward a form-encoded callback to the bot, the way Africa's Talking does
+ * @param {string} path - Bot path
+ * @param {Object} fields - Form fields
+ * @returns {Promise<Object>} axios response
+ */
+function postToBot(path, fields) {
+  return axios.post(`${botUrl}${path}${secretQuery}`, new URLSearchParams(fields).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 30000,
+    responseType: 'text'
+  });
+}
+
+// Messaging API: record the SMS, reply like the real API and report delivery shortly after
+app.post('/version1/messaging', (req, res) => {
+  const { username, to, message, from } = req.body || {};
+
+  if (!req.get('apiKey') || !username) {
+    return res.status(401).send('The supplied authentication is invalid');
+  }
+
+  const recipients = String(to || '').split(',').filter(Boolean).map(number => {
+    const messageId = `ATXid_mock_${nextId++}`;
+    sentMessages.push({ messageId, to: number, from: from || null, message, sentAt: new Date().toISOString() });
+    console.log(`📤 SMS to ${number} (${messageId}):\n${message}\n`);
+    return { statusCode: 101, number, status: 'Success', cost: 'KES 0.8000', messageId };
+  });
+
+  res.status(201).json({
+    SMSMessageData: {
+      Message: `Sent to ${recipients.length}/${recipients.length} Total Cost: KES ${(0.8 * recipients.length).toFixed(4)}`,
+      Recipients: recipients
+    }
+  });
+
+  setTimeout(() => {
+    for (const recipient of recipients) {
+      postToBot('/webhooks/sms/delivery', {
+        id: recipient.messageId,
+        status: 'Success',
+        phoneNumber: recipient.number,
+        networkCode: '63902'
+      }).catch(error => console.warn(`Delivery report for ${recipient.messageId} failed: ${error.message}`));
+    }
+  }, 1000);
+});
+
+// Inspect what the bot has sent
+app.get('/messages', (req, res) => {
+  const to = req.query.to;
+  res.json(to ? sentMessages.filter(m => m.to.replace(/\D/g, '') === String(to).replace(/\D/g, '')) : sentMessages);
+});
+
+app.delete('/messages', (req, res) => {
+  sentMessages.length = 0;
+  res.sendStatus(204);
+});
+
+// Simulate a farmer texting the shortcode
+app.post('/simulate/sms', async (req, res) => {
+  const { from, text, to = process.env.AT_SENDER_ID || '40404' } = req.body || {};
+
+  if (!from || !text) {
+    return res.status(400).json({ error: 'from and text are required' });
+  }
+
+  try {
+    await postToBot('/webhooks/sms', {
+      from,
+      to,
+      text,
+      id: `mock_inbound_${nextId++}`,
+      date: new Date().toISOString(),
+      linkId: ''
+    });
+    res.json({ forwarded: true, hint: 'Replies appear at GET /messages' });
+  } catch (error) {
+    res.status(502).json({ error: `Bot rejected the SMS: ${error.message}` });
+  }
+});
+
+// Simulate one USSD step; text is the accumulated input, e.g. "2*1*10"
+app.post('/simulate/ussd', async (req, res) => {
+  const {
+    phoneNumber,
+    text = '',
+    sessionId = `mock_session_${phoneNumber}`,
+    serviceCode = '*384*1#'
+  } = req.body || {};
+
+  if (!phoneNumber) {
+    return res.status(400).json({ error: 'phoneNumber is required' });
+  }
+
+  try {
+    const { data } = await postToBot('/api/ussd', { sessionId, serviceCode, phoneNumber, text, networkCode: '63902' });
+    res.type('text/plain').send(data);
+  } catch (error) {
+    res.status(502).json({ error: `Bot rejected the USSD request: ${error.message}` });
+  }
+});
+
+app.listen(port, () => {
+  console.log(`📡 Mock Africa's Talking listening on http://localhost:${port} (forwarding to ${botUrl})`);
+});
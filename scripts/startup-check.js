@@ -8,7 +8,8 @@ console.log('🚀 AgriAI Bot Startup Check\n');
 const requiredEnvVars = [
     'SUPABASE_URL',
     'SUPABASE_ANON_KEY',
-    'JWT_SECRET'
+    'JWT_SECRET',
+    'MESSAGING_ADAPTER'
 ];
 
 const optionalEnvVars = [
@@ -0,0 +1,314 @@
+const { supabase, incrementTokenVersion } = require('./supabase');
+const { requestPasswordReset } = require('./passwordReset');
+const { enqueueNotifications } = require('./notificationOutbox');
+
+/**
+ * Admin Service
+ * User search and account actions behind the admin API and the WhatsApp admin
+ * commands. Routes are responsible for permission checks and audit logging.
+ */
+
+const USER_TYPES = ['farmer', 'wholesaler', 'admin'];
+const USER_STATUSES = ['active', 'suspended'];
+const BROADCAST_CHANNELS = ['whatsapp', 'sms'];
+
+const ADMIN_USER_FIELDS = 'id, email, phone, name, user_type, status, suspended_at, suspended_reason, location, farm_size, crops_grown, whatsapp_linked, whatsapp_phone, created_at, last_seen';
+
+/**
+ * Search users with pagination
+ * @param {Object} filters - { search, userType, status, limit, offset }
+ * @returns {Promise<Object>} { users, total, limit, offset }
+ */
+async function searchUsers(filters = {}) {
+    try {
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 200);
+        const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+        let query = supabase
+            .from('users')
+            .select(ADMIN_USER_FIELDS, { count: 'exact' });
+
+        if (filters.search) {
+            // Commas and parentheses would break the or() filter syntax
+            const term = String(filters.search).replace(/[,()]/g, ' ').trim();
+            if (term) {
+                query = query.or(`name.ilike.%${term}%,email.ilike.%${term}%,phone.ilike.%${term}%,whatsapp_phone.ilike.%${term}%`);
+            }
+        }
+
+        if (filters.userType) {
+            query = query.eq('user_type', filters.userType);
+        }
+
+        if (filters.status) {
+            query = query.eq('status', filters.status);
+        }
+
+        const { data: users, error, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw new Error(`Failed to search users: ${error.message}`);
+        }
+
+        return { users: users || [], total: count || 0, limit, offset };
+    } catch (error) {
+        console.error('Error in searchUsers:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a user with the fields the admin panel shows
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User
+ */
+async function getUserForAdmin(userId) {
+    const { data: user, error } = await supabase
+        .from('users')
+        .select(ADMIN_USER_FIELDS)
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch user: ${error.message}`);
+    }
+
+    if (!user) {
+        throw new Error('User not found');
+    }
+
+    return user;
+}
+
+/**
+ * Count users by type and status for the dashboard
+ * @returns {Promise<Object>} Platform statistics
+ */
+async function getAdminStats() {
+    try {
+        const countUsers = async (column, value) => {
+            let query = supabase.from('users').select('*', { count: 'exact', head: true });
+            if (column) {
+                query = column === 'created_at' ? query.gte(column, value) : query.eq(column, value);
+            }
+            const { count, error } = await query;
+            if (error) {
+                throw new Error(`Failed to count users: ${error.message}`);
+            }
+            return count || 0;
+        };
+
+        const startOfDay = new Date();
+        startOfDay.setHours(0, 0, 0, 0);
+
+        const [totalUsers, farmers, wholesalers, admins, suspended, newToday] = await Promise.all([
+            countUsers(),
+            countUsers('user_type', 'farmer'),
+            countUsers('user_type', 'wholesaler'),
+            countUsers('user_type', 'admin'),
+            countUsers('status', 'suspended'),
+            countUsers('created_at', startOfDay.toISOString())
+        ]);
+
+        const { count: queriesToday, error: queryError } = await supabase
+            .from('queries')
+            .select('*', { count: 'exact', head: true })
+            .gte('timestamp', startOfDay.toISOString());
+
+        if (queryError) {
+            throw new Error(`Failed to count queries: ${queryError.message}`);
+        }
+
+        return {
+            totalUsers,
+            farmers,
+            wholesalers,
+            admins,
+            suspended,
+            newToday,
+            queriesToday: queriesToday || 0
+        };
+    } catch (error) {
+        console.error('Error in getAdminStats:', error);
+        throw error;
+    }
+}
+
+/**
+ * Suspend or reactivate an account. Suspending signs the user out everywhere.
+ * @param {string} actorId - Admin making the change
+ * @param {string} userId - User ID
+ * @param {string} status - 'active' or 'suspended'
+ * @param {string} reason - Why (shown to other admins)
+ * @returns {Promise<Object>} { user, previousStatus }
+ */
+async function setUserStatus(actorId, userId, status, reason = null) {
+    try {
+        if (!USER_STATUSES.includes(status)) {
+            throw new Error(`Invalid status. Use one of: ${USER_STATUSES.join(', ')}`);
+        }
+
+        if (actorId === userId) {
+            throw new Error('You cannot change the status of your own account');
+        }
+
+        const current = await getUserForAdmin(userId);
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .update({
+                status,
+                suspended_at: status === 'suspended' ? new Date().toISOString() : null,
+                suspended_reason: status === 'suspended' ? reason : null
+            })
+            .eq('id', userId)
+            .select(ADMIN_USER_FIELDS)
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to update user status: ${error.message}`);
+        }
+
+        if (status === 'suspended') {
+            await incrementTokenVersion(userId, 'suspended');
+        }
+
+        return { user, previousStatus: current.status };
+    } catch (error) {
+        console.error('Error in setUserStatus:', error);
+        throw error;
+    }
+}
+
+/**
+ * Change a user's account type
+ * @param {string} actorId - Admin making the change
+ * @param {string} userId - User ID
+ * @param {string} userType - 'farmer', 'wholesaler' or 'admin'
+ * @returns {Promise<Object>} { user, previousType }
+ */
+async function changeUserType(actorId, userId, userType) {
+    try {
+        if (!USER_TYPES.includes(userType)) {
+            throw new Error(`Invalid user type. Use one of: ${USER_TYPES.join(', ')}`);
+        }
+
+        if (actorId === userId) {
+            throw new Error('You cannot change the type of your own account');
+        }
+
+        const current = await getUserForAdmin(userId);
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .update({ user_type: userType })
+            .eq('id', userId)
+            .select(ADMIN_USER_FIELDS)
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to change user type: ${error.message}`);
+        }
+
+        return { user, previousType: current.user_type };
+    } catch (error) {
+        console.error('Error in changeUserType:', error);
+        throw error;
+    }
+}
+
+/**
+ * Sign a user out everywhere and email them a reset link. Users without an email
+ * (WhatsApp-only accounts) can sign back in with a phone login code.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { user, emailSent }
+ */
+async function forcePasswordReset(userId) {
+    try {
+        const user = await getUserForAdmin(userId);
+
+        await incrementTokenVersion(userId, 'forced_password_reset');
+
+        let emailSent = false;
+        if (user.email) {
+            try {
+                emailSent = await requestPasswordReset(user.email);
+            } catch (mailError) {
+                console.error(`Failed to email reset link to ${user.email}:`, mailError.message);
+            }
+        }
+
+        return { user, emailSent };
+    } catch (error) {
+        console.error('Error in forcePasswordReset:', error);
+        throw error;
+    }
+}
+
+/**
+ * Queue an announcement for every active user reachable on a channel.
+ * Users who opted out of announcements are skipped by the outbox.
+ * @param {Object} options - { message, userType, channel }
+ * @returns {Promise<Object>} { recipients, queued, skipped }
+ */
+async function broadcastMessage({ message, userType = null, channel = 'whatsapp' }) {
+    try {
+        if (!message || !message.trim()) {
+            throw new Error('Broadcast message is required');
+        }
+
+        if (!BROADCAST_CHANNELS.includes(channel)) {
+            throw new Error(`Invalid channel. Use one of: ${BROADCAST_CHANNELS.join(', ')}`);
+        }
+
+        if (userType && !USER_TYPES.includes(userType)) {
+            throw new Error(`Invalid user type. Use one of: ${USER_TYPES.join(', ')}`);
+        }
+
+        const recipientField = channel === 'whatsapp' ? 'whatsapp_phone' : 'phone';
+
+        let query = supabase
+            .from('users')
+            .select(`id, ${recipientField}`)
+            .eq('status', 'active')
+            .not(recipientField, 'is', null);
+
+        if (userType) {
+            query = query.eq('user_type', userType);
+        }
+
+        const { data: users, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to load broadcast recipients: ${error.message}`);
+        }
+
+        const result = await enqueueNotifications((users || []).map(user => ({
+            userId: user.id,
+            recipient: user[recipientField],
+            category: 'announcements',
+            channel,
+            message: `📢 *AgriAI Announcement*\n\n${message.trim()}`
+        })));
+
+        return { recipients: (users || []).length, ...result };
+    } catch (error) {
+        console.error('Error in broadcastMessage:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    USER_TYPES,
+    USER_STATUSES,
+    BROADCAST_CHANNELS,
+    searchUsers,
+    getUserForAdmin,
+    getAdminStats,
+    setUserStatus,
+    changeUserType,
+    forcePasswordReset,
+    broadcastMessage
+};
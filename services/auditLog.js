@@ -0,0 +1,225 @@
+const { supabase } = require('./supabase');
+
+/**
+ * Audit Log Service
+ * Records who did what to which record: admin actions from the admin API and the
+ * WhatsApp admin commands, plus sensitive user actions such as order status
+ * changes and SACCO chair transfers. Entries are written after the action
+ * succeeds, and the table is append-only.
+ */
+
+// Upper bound on rows in a single CSV export
+const AUDIT_EXPORT_LIMIT = 5000;
+
+const AUDIT_CSV_COLUMNS = [
+    'created_at',
+    'action',
+    'actor_id',
+    'actor_name',
+    'target_type',
+    'target_id',
+    'changes',
+    'details',
+    'ip_address',
+    'channel',
+    'user_agent'
+];
+
+/**
+ * Request metadata to store with an audit entry
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent, channel, method, path }
+ */
+function getRequestMetadata(req) {
+    return {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') || null,
+        channel: 'web',
+        method: req.method,
+        path: req.originalUrl
+    };
+}
+
+/**
+ * Field-by-field differences between two snapshots of a record
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Object} { field: { from, to } } for every field that changed
+ */
+function diffRecords(before = {}, after = {}) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Record an action. A failed write is logged rather than thrown: the action has
+ * already happened and the caller needs to see its result.
+ * @param {Object} entry - { actorId, action, targetType, targetId, before, after, details, metadata }
+ * @returns {Promise<Object|null>} Audit entry, or null if it could not be saved
+ */
+async function recordAuditEvent(entry) {
+    try {
+        const { ipAddress, ...metadata } = entry.metadata || {};
+
+        const { data, error } = await supabase
+            .from('audit_log')
+            .insert([{
+                actor_id: entry.actorId || null,
+                action: entry.action,
+                target_type: entry.targetType || null,
+                target_id: entry.targetId ? String(entry.targetId) : null,
+                changes: diffRecords(entry.before, entry.after),
+                details: entry.details || {},
+                metadata,
+                ip_address: ipAddress || null
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            throw new Error(error.message);
+        }
+
+        return data;
+    } catch (error) {
+        console.error(`Failed to record audit event ${entry.action}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * List audit entries, newest first
+ * @param {Object} filters - { actorId, targetType, targetId, action, from, to, limit, offset }
+ * @returns {Promise<Object>} { entries, total }
+ */
+async function listAuditEvents(filters = {}) {
+    try {
+        const limit = Math.min(filters.limit || 50, filters.maxLimit || 200);
+        const offset = filters.offset || 0;
+
+        let query = supabase
+            .from('audit_log')
+            .select('*, actor:users!audit_log_actor_id_fkey(id, name, email)', { count: 'exact' });
+
+        if (filters.actorId) {
+            query = query.eq('actor_id', filters.actorId);
+        }
+
+        if (filters.targetType) {
+            query = query.eq('target_type', filters.targetType);
+        }
+
+        if (filters.targetId) {
+            query = query.eq('target_id', String(filters.targetId));
+        }
+
+        if (filters.action) {
+            // "order." matches every order action
+            query = filters.action.endsWith('.')
+                ? query.like('action', `${filters.action}%`)
+                : query.eq('action', filters.action);
+        }
+
+        if (filters.from) {
+            query = query.gte('created_at', filters.from);
+        }
+
+        if (filters.to) {
+            query = query.lte('created_at', filters.to);
+        }
+
+        const { data, error, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            throw new Error(`Failed to fetch audit log: ${error.message}`);
+        }
+
+        return { entries: data || [], total: count || 0 };
+    } catch (error) {
+        console.error('Error in listAuditEvents:', error);
+        throw error;
+    }
+}
+
+/**
+ * Quote a value for a CSV cell
+ * @param {*} value - Cell value (objects are written as JSON)
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    // Stop spreadsheets from running user-supplied text (e.g. a name) as a formula,
+    // including formulas behind leading spaces and cells starting with a tab or CR
+    if (/^\s*[=+\-@]|^[\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export audit entries matching the filters as CSV
+ * @param {Object} filters - Same filters as listAuditEvents (limit and offset are ignored)
+ * @returns {Promise<Object>} { csv, count, truncated }
+ */
+async function exportAuditEventsCsv(filters = {}) {
+    try {
+        const { entries, total } = await listAuditEvents({
+            ...filters,
+            limit: AUDIT_EXPORT_LIMIT,
+            maxLimit: AUDIT_EXPORT_LIMIT,
+            offset: 0
+        });
+
+        const rows = entries.map(entry => [
+            entry.created_at,
+            entry.action,
+            entry.actor_id,
+            entry.actor?.name,
+            entry.target_type,
+            entry.target_id,
+            entry.changes,
+            entry.details,
+            entry.ip_address,
+            entry.metadata?.channel,
+            entry.metadata?.userAgent
+        ].map(toCsvCell).join(','));
+
+        return {
+            csv: [AUDIT_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n',
+            count: entries.length,
+            truncated: total > entries.length
+        };
+    } catch (error) {
+        console.error('Error in exportAuditEventsCsv:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    AUDIT_EXPORT_LIMIT,
+    getRequestMetadata,
+    diffRecords,
+    recordAuditEvent,
+    listAuditEvents,
+    exportAuditEventsCsv,
+    toCsvCell
+};
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const { supabase, getUserById } = require('./supabase');
+
+/**
+ * Auth Session Service
+ * One session per signed-in device. Each session holds a refresh token (stored as a
+ * SHA-256 hash) that is rotated on every use; presenting an already rotated token
+ * means it was copied, so the whole session is revoked.
+ *
+ * Refresh tokens look like "<session id>.<random secret>".
+ */
+
+// How long a device stays signed in without using the app
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const SESSION_FIELDS = 'id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Token secret
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Compare two hex digests in constant time
+ * @param {string} a - Digest
+ * @param {string} b - Digest
+ * @returns {boolean} True if equal
+ */
+function hashesMatch(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+/**
+ * Split a refresh token into session ID and secret
+ * @param {string} refreshToken - Refresh token
+ * @returns {Object} { sessionId, secret }
+ */
+function parseRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+
+    if (!sessionId || !secret) {
+        throw new Error('Invalid refresh token');
+    }
+
+    return { sessionId, secret };
+}
+
+/**
+ * Calculate a new refresh token expiry
+ * @returns {string} ISO timestamp
+ */
+function getRefreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @param {string} userId - User ID
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+async function createSession(userId, meta = {}) {
+    try {
+        const { data: user, error: userError } = await supabase
+            .from('users')
+            .select('token_version')
+            .eq('id', userId)
+            .single();
+
+        if (userError || !user) {
+            throw new Error('User not found');
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+
+        const { data: session, error } = await supabase
+            .from('auth_sessions')
+            .insert([{
+                user_id: userId,
+                refresh_token_hash: hashToken(secret),
+                token_version: user.token_version || 0,
+                user_agent: meta.userAgent ? String(meta.userAgent).slice(0, 500) : null,
+                ip_address: meta.ipAddress || null,
+                expires_at: getRefreshExpiry()
+            }])
+            .select(`${SESSION_FIELDS}, user_id, token_version`)
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to create session: ${error.message}`);
+        }
+
+        return { session, refreshToken: `${session.id}.${secret}` };
+    } catch (error) {
+        console.error('Error in createSession:', error);
+        throw error;
+    }
+}
+
+/**
+ * Revoke a session by ID (no ownership check)
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why it was revoked
+ */
+async function markSessionRevoked(sessionId, reason) {
+    const { error } = await supabase
+        .from('auth_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('id', sessionId)
+        .is('revoked_at', null);
+
+    if (error) {
+        console.error('Error revoking session:', error);
+    }
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * @param {string} refreshToken - Current refresh token
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Promise<Object>} { session, refreshToken, user }
+ */
+async function rotateRefreshToken(refreshToken, meta = {}) {
+    try {
+        const { sessionId, secret } = parseRefreshToken(refreshToken);
+        const presentedHash = hashToken(secret);
+
+        const { data: session, error } = await supabase
+            .from('auth_sessions')
+            .select('*')
+            .eq('id', sessionId)
+            .maybeSingle();
+
+        if (error || !session || session.revoked_at) {
+            throw new Error('Invalid refresh token');
+        }
+
+        if (hashesMatch(presentedHash, session.previous_token_hash)) {
+            // An old token came back: someone else holds a copy. End the session for both.
+            await markSessionRevoked(session.id, 'refresh_token_reuse');
+            console.warn(`Refresh token reuse detected for session ${session.id}, session revoked`);
+            throw new Error('Refresh token reuse detected');
+        }
+
+        if (!hashesMatch(presentedHash, session.refresh_token_hash)) {
+            throw new Error('Invalid refresh token');
+        }
+
+        if (new Date(session.expires_at) <= new Date()) {
+            throw new Error('Refresh token expired');
+        }
+
+        const user = await getUserById(session.user_id);
+        if (!user || (user.token_version || 0) !== session.token_version) {
+            await markSessionRevoked(session.id, 'password_changed');
+            throw new Error('Session has been revoked');
+        }
+
+        const newSecret = crypto.randomBytes(32).toString('hex');
+
+        // Only rotate if nobody else rotated this token in the meantime
+        const { data: updated, error: updateError } = await supabase
+            .from('auth_sessions')
+            .update({
+                refresh_token_hash: hashToken(newSecret),
+                previous_token_hash: session.refresh_token_hash,
+                last_used_at: new Date().toISOString(),
+                expires_at: getRefreshExpiry(),
+                user_agent: meta.userAgent ? String(meta.userAgent).slice(0, 500) : session.user_agent,
+                ip_address: meta.ipAddress || session.ip_address
+            })
+            .eq('id', session.id)
+            .eq('refresh_token_hash', session.refresh_token_hash)
+            .is('revoked_at', null)
+            .select(`${SESSION_FIELDS}, user_id, token_version`);
+
+        if (updateError) {
+            throw new Error(`Failed to rotate refresh token: ${updateError.message}`);
+        }
+
+        if (!updated || updated.length === 0) {
+            throw new Error('Invalid refresh token');
+        }
+
+        return { session: updated[0], refreshToken: `${session.id}.${newSecret}`, user };
+    } catch (error) {
+        console.error('Error in rotateRefreshToken:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Check whether a session can still be used
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if not revoked or expired
+ */
+async function isSessionActive(sessionId) {
+    const { data: session, error } = await supabase
+        .from('auth_sessions')
+        .select('revoked_at, expires_at')
+        .eq('id', sessionId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to check session: ${error.message}`);
+    }
+
+    return !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+}
+
+/**
+ * List a user's signed-in devices
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Active sessions, most recently used first
+ */
+async function listSessions(userId) {
+    try {
+        const { data: sessions, error } = await supabase
+            .from('auth_sessions')
+            .select(SESSION_FIELDS)
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('last_used_at', { ascending: false });
+
+        if (error) {
+            throw new Error(`Failed to fetch sessions: ${error.message}`);
+        }
+
+        return sessions || [];
+    } catch (error) {
+        console.error('Error in listSessions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Sign out one of the user's devices
+ * @param {string} userId - User ID (must own the session)
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - 'logout' or 'revoked'
+ * @returns {Promise<boolean>} Success status
+ */
+async function revokeSession(userId, sessionId, reason = 'revoked') {
+    try {
+        const { data, error } = await supabase
+            .from('auth_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+            .eq('id', sessionId)
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .select('id');
+
+        if (error) {
+            throw new Error(`Failed to revoke session: ${error.message}`);
+        }
+
+        if (!data || data.length === 0) {
+            throw new Error('Session not found');
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error in revokeSession:', error);
+        throw error;
+    }
+}
+
+/**
+ * Sign out every device except the current one
+ * @param {string} userId - User ID
+ * @param {string} exceptSessionId - Session to keep (may be null to sign out everywhere)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeOtherSessions(userId, exceptSessionId = null) {
+    try {
+        let query = supabase
+            .from('auth_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: 'revoked' })
+            .eq('user_id', userId)
+            .is('revoked_at', null);
+
+        if (exceptSessionId) {
+            query = query.neq('id', exceptSessionId);
+        }
+
+        const { data, error } = await query.select('id');
+
+        if (error) {
+            throw new Error(`Failed to revoke sessions: ${error.message}`);
+        }
+
+        return data ? data.length : 0;
+    } catch (error) {
+        console.error('Error in revokeOtherSessions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete sessions that expired or were revoked more than 30 days ago
+ * @returns {Promise<number>} Number of sessions removed
+ */
+async function cleanupSessions() {
+    try {
+        const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+
+        const { data, error } = await supabase
+            .from('auth_sessions')
+            .delete()
+            .or(`expires_at.lt.${cutoff},revoked_at.lt.${cutoff}`)
+            .select('id');
+
+        if (error) {
+            throw new Error(`Failed to clean up sessions: ${error.message}`);
+        }
+
+        return data ? data.length : 0;
+    } catch (error) {
+        console.error('Error in cleanupSessions:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    REFRESH_TOKEN_TTL_DAYS,
+    createSession,
+    rotateRefreshToken,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+    cleanupSessions
+};
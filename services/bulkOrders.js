@@ -1,10 +1,17 @@
 const { supabase } = require('./supabase');
+const { getAvailableStock, reserveStock, releaseReservedStock } = require('./marketplace');
+const { PERMISSIONS, assertPermission } = require('./permissions');
+const { recordAuditEvent } = require('./auditLog');
+const { recordOrderEvent } = require('./orderEvents');
 
 /**
  * Bulk Order Management Service
  * Handles bulk order creation, member participation, and order coordination
  */
 
+// Finalization errors that mean the supplier cannot fill the order, as opposed to transient failures
+const UNFILLABLE_ERRORS = ['Insufficient stock available', 'Product not found'];
+
 /**
  * Create a new bulk order for a SACCO group
  * @param {string} saccoId - SACCO group ID
@@ -21,10 +28,10 @@ async function createBulkOrder(saccoId, productId, orderData) {
             throw new Error('Total quantity must be greater than 0');
         }
         
-        // Verify SACCO exists and user is admin or member
+        // Verify SACCO exists and user is a member
         const { data: sacco } = await supabase
             .from('sacco_groups')
-            .select('id, name, admin_id')
+            .select('id, name')
             .eq('id', saccoId)
             .single();
             
@@ -48,7 +55,7 @@ async function createBulkOrder(saccoId, productId, orderData) {
         // Get product information
         const { data: product, error: productError } = await supabase
             .from('products')
-            .select('id, name, unit_price, bulk_pricing, stock_quantity, wholesaler_id')
+            .select('id, name, unit_price, bulk_pricing, stock_quantity, reserved_quantity, wholesaler_id')
             .eq('id', productId)
             .eq('is_active', true)
             .single();
@@ -58,12 +65,13 @@ async function createBulkOrder(saccoId, productId, orderData) {
         }
         
         // Check if there's enough stock
-        if (product.stock_quantity < total_quantity) {
-            throw new Error(`Insufficient stock. Available: ${product.stock_quantity}, Requested: ${total_quantity}`);
+        if (getAvailableStock(product) < total_quantity) {
+            throw new Error(`Insufficient stock. Available: ${getAvailableStock(product)}, Requested: ${total_quantity}`);
         }
         
-        // Calculate bulk pricing
-        const unitPrice = calculateBulkPrice(product, total_quantity);
+        // Price starts at the tier for what members have committed (none yet) and
+        // moves down the product's bulk_pricing tiers as they join
+        const unitPrice = calculateBulkPrice(product, 0);
         const totalAmount = unitPrice * total_quantity;
         
         // Set default deadline if not provided (7 days from now)
@@ -128,6 +136,115 @@ function calculateBulkPrice(product, quantity) {
     return product.unit_price;
 }
 
+/**
+ * Describe where a quantity sits on the product's bulk pricing tiers
+ * @param {Object} product - Product with unit_price and bulk_pricing
+ * @param {number} quantity - Quantity committed so far
+ * @returns {Object} Current unit price, savings and the next tier target (null at the top tier)
+ */
+function getTierProgress(product, quantity) {
+    const unitPrice = parseFloat(calculateBulkPrice(product, quantity));
+    const regularPrice = parseFloat(product.unit_price);
+    
+    const tiers = product.bulk_pricing && typeof product.bulk_pricing === 'object'
+        ? Object.entries(product.bulk_pricing)
+            .map(([qty, price]) => ({ quantity: parseInt(qty), price: parseFloat(price) }))
+            .sort((a, b) => a.quantity - b.quantity)
+        : [];
+    
+    const nextTier = tiers.find(tier => tier.quantity > quantity && tier.price < unitPrice);
+    
+    return {
+        unit_price: unitPrice,
+        regular_unit_price: regularPrice,
+        savings_per_unit: Math.max(regularPrice - unitPrice, 0),
+        next_tier: nextTier ? {
+            min_quantity: nextTier.quantity,
+            unit_price: nextTier.price,
+            quantity_needed: nextTier.quantity - quantity,
+            savings_per_unit: unitPrice - nextTier.price
+        } : null
+    };
+}
+
+/**
+ * Re-price a bulk order against its product's tiers using the quantity members
+ * have committed, and bring every participation's amount in line with the new price
+ * @param {string} bulkOrderId - Bulk order ID
+ * @returns {Object} { bulk_order, participations, pricing }
+ */
+async function repriceBulkOrder(bulkOrderId) {
+    try {
+        const { data: bulkOrder, error: orderError } = await supabase
+            .from('bulk_orders')
+            .select(`
+                *,
+                product:products(id, unit_price, bulk_pricing),
+                participations:bulk_order_participations(id, quantity, amount)
+            `)
+            .eq('id', bulkOrderId)
+            .single();
+            
+        if (orderError || !bulkOrder) {
+            throw new Error('Bulk order not found');
+        }
+        
+        const participations = bulkOrder.participations || [];
+        const totalParticipated = participations.reduce((sum, p) => sum + p.quantity, 0);
+        const pricing = getTierProgress(bulkOrder.product, totalParticipated);
+        const unitPrice = pricing.unit_price;
+        
+        if (unitPrice !== parseFloat(bulkOrder.unit_price)) {
+            const { error } = await supabase
+                .from('bulk_orders')
+                .update({
+                    unit_price: unitPrice,
+                    total_amount: unitPrice * bulkOrder.total_quantity
+                })
+                .eq('id', bulkOrderId);
+                
+            if (error) {
+                console.error('Error repricing bulk order:', error);
+                throw new Error('Failed to reprice bulk order');
+            }
+        }
+        
+        // Only touch participations whose amount is out of date
+        const updatedParticipations = [];
+        for (const participation of participations) {
+            const amount = unitPrice * participation.quantity;
+            
+            if (amount !== parseFloat(participation.amount)) {
+                const { error } = await supabase
+                    .from('bulk_order_participations')
+                    .update({ amount })
+                    .eq('id', participation.id);
+                    
+                if (error) {
+                    console.error('Error repricing participation:', error);
+                    throw new Error('Failed to reprice bulk order participations');
+                }
+            }
+            
+            updatedParticipations.push({ ...participation, amount });
+        }
+        
+        return {
+            bulk_order: {
+                ...bulkOrder,
+                unit_price: unitPrice,
+                total_amount: unitPrice * bulkOrder.total_quantity
+            },
+            participations: updatedParticipations,
+            pricing
+        };
+        
+    } catch (error) {
+        console.error('Error in repriceBulkOrder:', error);
+        throw error;
+    }
+}
+
 /**
  * Add member participation to a bulk order
  * @param {string} bulkOrderId - Bulk order ID
@@ -147,7 +264,7 @@ async function addMemberToOrder(bulkOrderId, userId, quantity) {
             .select(`
                 *,
                 sacco:sacco_groups(id, name),
-                product:products(id, name, unit_type)
+                product:products(id, name, unit_type, unit_price, bulk_pricing)
             `)
             .eq('id', bulkOrderId)
             .single();
@@ -205,8 +322,8 @@ async function addMemberToOrder(bulkOrderId, userId, quantity) {
             throw new Error(`Only ${remaining} ${bulkOrder.product.unit_type} remaining for this bulk order`);
         }
         
-        // Calculate amount for this participation
-        const amount = bulkOrder.unit_price * quantity;
+        // Calculate amount at the tier the order reaches with this participation
+        const amount = calculateBulkPrice(bulkOrder.product, currentTotal + quantity) * quantity;
         
         // Add participation
         const { data: participation, error } = await supabase
@@ -236,7 +353,18 @@ async function addMemberToOrder(bulkOrderId, userId, quantity) {
             throw new Error('Failed to add participation to bulk order');
         }
         
-        return participation;
+        // Everyone's price moves with the new total
+        const { pricing } = await repriceBulkOrder(bulkOrderId);
+        
+        return {
+            ...participation,
+            amount: pricing.unit_price * participation.quantity,
+            bulk_order: participation.bulk_order && {
+                ...participation.bulk_order,
+                unit_price: pricing.unit_price
+            },
+            pricing
+        };
         
     } catch (error) {
         console.error('Error in addMemberToOrder:', error);
@@ -301,15 +429,12 @@ async function updateMemberParticipation(participationId, userId, newQuantity) {
             throw new Error(`Maximum quantity you can order is ${maxAllowed}`);
         }
         
-        // Calculate new amount
-        const newAmount = participation.bulk_order.unit_price * newQuantity;
-        
-        // Update participation
+        // Update participation (amount is settled by the reprice below)
         const { data: updatedParticipation, error } = await supabase
             .from('bulk_order_participations')
             .update({
                 quantity: newQuantity,
-                amount: newAmount
+                amount: participation.bulk_order.unit_price * newQuantity
             })
             .eq('id', participationId)
             .select(`
@@ -329,7 +454,17 @@ async function updateMemberParticipation(participationId, userId, newQuantity) {
             throw new Error('Failed to update participation');
         }
         
-        return updatedParticipation;
+        const { pricing } = await repriceBulkOrder(participation.bulk_order_id);
+        
+        return {
+            ...updatedParticipation,
+            amount: pricing.unit_price * newQuantity,
+            bulk_order: updatedParticipation.bulk_order && {
+                ...updatedParticipation.bulk_order,
+                unit_price: pricing.unit_price
+            },
+            pricing
+        };
         
     } catch (error) {
         console.error('Error in updateMemberParticipation:', error);
@@ -385,6 +520,9 @@ async function removeMemberParticipation(participationId, userId) {
             throw new Error('Failed to remove participation');
         }
         
+        // Remaining members may drop back a tier
+        await repriceBulkOrder(participation.bulk_order_id);
+        
         return true;
         
     } catch (error) {
@@ -410,6 +548,8 @@ async function getSACCOBulkOrders(saccoId, filters = {}) {
                     name,
                     unit_type,
                     category,
+                    unit_price,
+                    bulk_pricing,
                     wholesaler:users(id, name, phone, location)
                 ),
                 participations:bulk_order_participations(
@@ -451,7 +591,8 @@ async function getSACCOBulkOrders(saccoId, filters = {}) {
                     member_count: totalMembers,
                     total_collected: totalAmount,
                     completion_percentage: ((totalParticipated / order.total_quantity) * 100).toFixed(1)
-                }
+                },
+                pricing: order.product ? getTierProgress(order.product, totalParticipated) : null
             };
         });
         
@@ -475,12 +616,14 @@ async function getBulkOrderById(bulkOrderId) {
             .select(`
                 *,
                 sacco:sacco_groups(id, name, region, admin_id),
+                wholesaler_orders:orders(id, status, payment_status, created_at),
                 product:products(
                     id,
                     name,
                     description,
                     unit_type,
                     category,
+                    unit_price,
                     bulk_pricing,
                     wholesaler:users(id, name, phone, location)
                 ),
@@ -514,7 +657,8 @@ async function getBulkOrderById(bulkOrderId) {
                 total_collected: totalAmount,
                 completion_percentage: ((totalParticipated / bulkOrder.total_quantity) * 100).toFixed(1),
                 is_fully_subscribed: totalParticipated >= bulkOrder.total_quantity
-            }
+            },
+            pricing: getTierProgress(bulkOrder.product, totalParticipated)
         };
         
     } catch (error) {
@@ -523,20 +667,255 @@ async function getBulkOrderById(bulkOrderId) {
     }
 }
 
+/**
+ * Undo a finalization that failed part-way: give the reservation back and,
+ * if the bulk order was already marked finalized, return it to collecting.
+ * Failures are logged rather than thrown so the caller reports the original error.
+ * @param {Object} bulkOrder - Bulk order row
+ * @param {number} quantity - Reserved quantity
+ * @param {Object} options - { resetStatus }
+ */
+async function rollBackFinalization(bulkOrder, quantity, options = {}) {
+    if (options.resetStatus) {
+        const { error: resetError } = await supabase
+            .from('bulk_orders')
+            .update({ status: 'collecting', finalized_at: null })
+            .eq('id', bulkOrder.id)
+            .eq('status', 'finalized');
+            
+        if (resetError) {
+            console.error(`Failed to return bulk order ${bulkOrder.id} to collecting:`, resetError);
+        }
+    }
+    
+    try {
+        await releaseReservedStock(bulkOrder.product_id, quantity, {
+            bulkOrderId: bulkOrder.id,
+            reason: 'Bulk order finalization failed'
+        });
+    } catch (releaseError) {
+        console.error(`Failed to release stock reserved for bulk order ${bulkOrder.id}:`, releaseError.message);
+    }
+}
+
+/**
+ * Move a collecting bulk order to finalized with its participated totals,
+ * reserve the stock and place the order with the wholesaler.
+ * Shared by the admin finalize action and the deadline sweep
+ * @param {Object} bulkOrder - Bulk order row with sacco (admin_id, region)
+ * @returns {Object} Updated bulk order with its wholesaler order
+ */
+async function completeBulkOrderFinalization(bulkOrder) {
+    // Settle the tier price on what members actually committed and recompute their amounts
+    const { participations, pricing } = await repriceBulkOrder(bulkOrder.id);
+    
+    const totalParticipated = participations.reduce((sum, p) => sum + p.quantity, 0);
+    
+    if (totalParticipated === 0) {
+        throw new Error('Cannot finalize bulk order with no participations');
+    }
+    
+    // Hold the stock until the wholesaler confirms the order
+    const product = await reserveStock(bulkOrder.product_id, totalParticipated, {
+        bulkOrderId: bulkOrder.id,
+        reason: 'Reserved for SACCO bulk order'
+    });
+    
+    // Update bulk order status (only if still collecting, so concurrent finalizes don't both win)
+    const { data: updatedOrder, error } = await supabase
+        .from('bulk_orders')
+        .update({
+            status: 'finalized',
+            total_quantity: totalParticipated, // Update to actual participated quantity
+            unit_price: pricing.unit_price,
+            total_amount: pricing.unit_price * totalParticipated,
+            finalized_at: new Date().toISOString()
+        })
+        .eq('id', bulkOrder.id)
+        .eq('status', 'collecting')
+        .select()
+        .single();
+        
+    if (error || !updatedOrder) {
+        console.error('Error finalizing bulk order:', error);
+        await rollBackFinalization(bulkOrder, totalParticipated, { resetStatus: false });
+        throw new Error('Failed to finalize bulk order');
+    }
+    
+    // Place the order with the wholesaler on behalf of the SACCO
+    const { data: wholesalerOrder, error: placeError } = await supabase
+        .from('orders')
+        .insert({
+            buyer_id: bulkOrder.sacco.admin_id,
+            product_id: bulkOrder.product_id,
+            wholesaler_id: product.wholesaler_id,
+            quantity: totalParticipated,
+            unit_price: updatedOrder.unit_price,
+            total_amount: updatedOrder.total_amount,
+            order_type: 'bulk',
+            sacco_id: bulkOrder.sacco_id,
+            bulk_order_id: bulkOrder.id,
+            status: 'pending',
+            payment_status: 'pending',
+            delivery_address: [bulkOrder.sacco.name, bulkOrder.sacco.region].filter(Boolean).join(', '),
+            // The reservation made above carries over; SACCO orders are not expired unpaid
+            stock_status: 'reserved'
+        })
+        .select()
+        .single();
+        
+    if (placeError) {
+        console.error('Error placing wholesaler order for bulk order:', placeError);
+        
+        // Put the bulk order back so it can be finalized again
+        await rollBackFinalization(bulkOrder, totalParticipated, { resetStatus: true });
+        
+        throw new Error('Failed to place order with wholesaler');
+    }
+    
+    await recordOrderEvent({
+        orderId: wholesalerOrder.id,
+        eventType: 'created',
+        toStatus: 'pending',
+        notes: `Placed for SACCO bulk order ${bulkOrder.id}`
+    });
+    
+    return { ...updatedOrder, order: wholesalerOrder };
+}
+
+/**
+ * Roll a wholesaler order's status up to its bulk order
+ * confirmed/shipped -> ordered, delivered -> delivered, cancelled -> cancelled
+ * @param {Object} order - Updated order row with bulk_order_id
+ * @returns {Object|null} Updated bulk order, or null when nothing changed
+ */
+async function syncBulkOrderStatus(order) {
+    try {
+        if (!order.bulk_order_id) {
+            return null;
+        }
+        
+        const rollups = {
+            confirmed: { status: 'ordered', from: ['finalized'], stamp: 'ordered_at', notify: 'ordered' },
+            shipped: { status: 'ordered', from: ['finalized'], stamp: 'ordered_at', notify: 'ordered' },
+            delivered: { status: 'delivered', from: ['finalized', 'ordered'], stamp: 'delivered_at', notify: 'delivered' },
+            cancelled: { status: 'cancelled', from: ['finalized', 'ordered'], stamp: 'cancelled_at', notify: 'cancelled' }
+        };
+        
+        const rollup = rollups[order.status];
+        if (!rollup) {
+            return null;
+        }
+        
+        const updates = {
+            status: rollup.status,
+            [rollup.stamp]: new Date().toISOString()
+        };
+        
+        if (rollup.status === 'cancelled') {
+            updates.cancellation_reason = 'The order with the supplier was cancelled';
+        }
+        
+        const { data: bulkOrder, error } = await supabase
+            .from('bulk_orders')
+            .update(updates)
+            .eq('id', order.bulk_order_id)
+            .in('status', rollup.from)
+            .select()
+            .maybeSingle();
+            
+        if (error) {
+            console.error('Error syncing bulk order status:', error);
+            throw new Error('Failed to update bulk order status');
+        }
+        
+        if (bulkOrder) {
+            await notifyParticipants(bulkOrder.id, rollup.notify);
+        }
+        
+        return bulkOrder;
+        
+    } catch (error) {
+        console.error('Error in syncBulkOrderStatus:', error);
+        throw error;
+    }
+}
+
+/**
+ * Notify a bulk order's participants, without failing the caller if delivery fails
+ * @param {string} bulkOrderId - Bulk order ID
+ * @param {string} notificationType - Notification type (finalized, cancelled, ordered, delivered)
+ */
+async function notifyParticipants(bulkOrderId, notificationType) {
+    try {
+        const { sendBulkOrderNotification } = require('./notifications');
+        await sendBulkOrderNotification(bulkOrderId, notificationType, { participantsOnly: true });
+    } catch (error) {
+        console.error(`Failed to send ${notificationType} notification for bulk order ${bulkOrderId}:`, error.message);
+    }
+}
+
+/**
+ * Look up which SACCO a bulk order belongs to
+ * @param {string} bulkOrderId - Bulk order ID
+ * @returns {string} SACCO group ID
+ */
+async function getBulkOrderSaccoId(bulkOrderId) {
+    const { data: bulkOrder } = await supabase
+        .from('bulk_orders')
+        .select('sacco_id')
+        .eq('id', bulkOrderId)
+        .maybeSingle();
+        
+    if (!bulkOrder) {
+        throw new Error('Bulk order not found');
+    }
+    
+    return bulkOrder.sacco_id;
+}
+
+/**
+ * Audit a bulk order status change
+ * @param {string} action - Audit action (bulk_order.finalize, bulk_order.cancel)
+ * @param {Object} before - Bulk order before the change
+ * @param {Object} after - Bulk order after the change
+ * @param {Object} options - { actorId (null for the deadline sweep), details, metadata }
+ */
+async function recordBulkOrderAudit(action, before, after, options = {}) {
+    const snapshot = order => ({
+        status: order.status,
+        total_quantity: order.total_quantity,
+        unit_price: order.unit_price,
+        total_amount: order.total_amount
+    });
+    
+    await recordAuditEvent({
+        actorId: options.actorId || null,
+        action,
+        targetType: 'bulk_order',
+        targetId: before.id,
+        before: snapshot(before),
+        after: snapshot(after),
+        details: { sacco_id: before.sacco_id, ...options.details },
+        metadata: options.metadata || {}
+    });
+}
+
 /**
  * Finalize a bulk order (move from collecting to finalized)
  * @param {string} bulkOrderId - Bulk order ID
- * @param {string} userId - User ID (must be SACCO admin)
+ * @param {string} userId - User ID (SACCO chair or treasurer)
+ * @param {Object} requestMetadata - Request details for the audit log
  * @returns {Object} Updated bulk order
  */
-async function finalizeBulkOrder(bulkOrderId, userId) {
+async function finalizeBulkOrder(bulkOrderId, userId, requestMetadata = {}) {
     try {
         // Get bulk order with SACCO info
         const { data: bulkOrder, error: orderError } = await supabase
             .from('bulk_orders')
             .select(`
                 *,
-                sacco:sacco_groups(id, name, admin_id)
+                sacco:sacco_groups(id, name, region, admin_id)
             `)
             .eq('id', bulkOrderId)
             .single();
@@ -545,49 +924,137 @@ async function finalizeBulkOrder(bulkOrderId, userId) {
             throw new Error('Bulk order not found');
         }
         
-        // Verify user is SACCO admin
-        if (bulkOrder.sacco.admin_id !== userId) {
-            throw new Error('Only SACCO admin can finalize bulk orders');
-        }
+        await assertPermission(userId, PERMISSIONS.BULK_ORDERS_FINALIZE, { saccoId: bulkOrder.sacco_id });
         
         // Check if order is in collecting status
         if (bulkOrder.status !== 'collecting') {
             throw new Error('Only collecting orders can be finalized');
         }
         
-        // Get total participation
-        const { data: participations } = await supabase
-            .from('bulk_order_participations')
-            .select('quantity')
-            .eq('bulk_order_id', bulkOrderId);
-            
-        const totalParticipated = participations?.reduce((sum, p) => sum + p.quantity, 0) || 0;
+        const updatedOrder = await completeBulkOrderFinalization(bulkOrder);
         
-        if (totalParticipated === 0) {
-            throw new Error('Cannot finalize bulk order with no participations');
-        }
+        await recordBulkOrderAudit('bulk_order.finalize', bulkOrder, updatedOrder, {
+            actorId: userId,
+            details: { order_id: updatedOrder.order?.id || null },
+            metadata: requestMetadata
+        });
+        
+        await notifyParticipants(bulkOrderId, 'finalized');
+        
+        return updatedOrder;
         
-        // Update bulk order status
-        const { data: updatedOrder, error } = await supabase
+    } catch (error) {
+        console.error('Error in finalizeBulkOrder:', error);
+        throw error;
+    }
+}
+
+/**
+ * Cancel a collecting bulk order
+ * @param {string} bulkOrderId - Bulk order ID
+ * @param {string} reason - Cancellation reason shown to participants
+ * @returns {Object} Updated bulk order
+ */
+async function cancelBulkOrder(bulkOrderId, reason) {
+    try {
+        const { data: cancelledOrder, error } = await supabase
             .from('bulk_orders')
             .update({
-                status: 'finalized',
-                total_quantity: totalParticipated, // Update to actual participated quantity
-                total_amount: bulkOrder.unit_price * totalParticipated
+                status: 'cancelled',
+                cancelled_at: new Date().toISOString(),
+                cancellation_reason: reason
             })
             .eq('id', bulkOrderId)
+            .eq('status', 'collecting')
             .select()
             .single();
             
+        if (error || !cancelledOrder) {
+            console.error('Error cancelling bulk order:', error);
+            throw new Error('Failed to cancel bulk order');
+        }
+        
+        return cancelledOrder;
+        
+    } catch (error) {
+        console.error('Error in cancelBulkOrder:', error);
+        throw error;
+    }
+}
+
+/**
+ * Close collecting bulk orders whose deadline has passed.
+ * Orders that reached the SACCO's minimum quantity are finalized, the rest cancelled;
+ * orders the supplier can no longer fill are cancelled too. Participants are notified
+ * and the outcome is audited either way. Other failures are left collecting and retried.
+ * @returns {Object} { processed, finalized, cancelled, failed }
+ */
+async function processExpiredBulkOrders() {
+    try {
+        const { data: expiredOrders, error } = await supabase
+            .from('bulk_orders')
+            .select(`
+                *,
+                sacco:sacco_groups(id, name, region, admin_id, min_bulk_order_quantity),
+                bulk_order_participations(quantity)
+            `)
+            .eq('status', 'collecting')
+            .lt('deadline', new Date().toISOString());
+            
         if (error) {
-            console.error('Error finalizing bulk order:', error);
-            throw new Error('Failed to finalize bulk order');
+            throw new Error(`Failed to get expired bulk orders: ${error.message}`);
         }
         
-        return updatedOrder;
+        const result = { processed: 0, finalized: 0, cancelled: 0, failed: 0 };
+        
+        for (const bulkOrder of expiredOrders || []) {
+            result.processed++;
+            
+            try {
+                const totalParticipated = (bulkOrder.bulk_order_participations || [])
+                    .reduce((sum, p) => sum + p.quantity, 0);
+                const minimumQuantity = bulkOrder.sacco?.min_bulk_order_quantity || 1;
+                
+                let cancellationReason = null;
+                
+                if (totalParticipated >= minimumQuantity) {
+                    try {
+                        const finalizedOrder = await completeBulkOrderFinalization(bulkOrder);
+                        await recordBulkOrderAudit('bulk_order.finalize', bulkOrder, finalizedOrder, {
+                            details: { order_id: finalizedOrder.order?.id || null, trigger: 'deadline' }
+                        });
+                        await notifyParticipants(bulkOrder.id, 'finalized');
+                        result.finalized++;
+                        continue;
+                    } catch (finalizeError) {
+                        // Retrying won't help if the supplier cannot fill the order
+                        if (!UNFILLABLE_ERRORS.includes(finalizeError.message)) {
+                            throw finalizeError;
+                        }
+                        cancellationReason = 'The supplier did not have enough stock to fill the order at the deadline';
+                    }
+                } else {
+                    cancellationReason = totalParticipated === 0
+                        ? 'No members joined before the deadline'
+                        : `Only ${totalParticipated} of the minimum ${minimumQuantity} units were ordered before the deadline`;
+                }
+                
+                const cancelledOrder = await cancelBulkOrder(bulkOrder.id, cancellationReason);
+                await recordBulkOrderAudit('bulk_order.cancel', bulkOrder, cancelledOrder, {
+                    details: { reason: cancellationReason, trigger: 'deadline' }
+                });
+                await notifyParticipants(bulkOrder.id, 'cancelled');
+                result.cancelled++;
+            } catch (orderError) {
+                result.failed++;
+                console.error(`Failed to process expired bulk order ${bulkOrder.id}:`, orderError.message);
+            }
+        }
+        
+        return result;
         
     } catch (error) {
-        console.error('Error in finalizeBulkOrder:', error);
+        console.error('Error in processExpiredBulkOrders:', error);
         throw error;
     }
 }
@@ -630,6 +1097,61 @@ async function getUserBulkOrderParticipations(userId) {
     }
 }
 
+/**
+ * Send deadline reminders for collecting bulk orders that close soon
+ * Each order is reminded once (tracked in deadline_reminder_sent_at)
+ * @param {number} hoursAhead - Remind orders whose deadline is within this many hours
+ * @returns {Object} { checked, reminded, failed }
+ */
+async function sendBulkOrderDeadlineReminders(hoursAhead = 24) {
+    try {
+        const now = new Date();
+        const windowEnd = new Date(now.getTime() + hoursAhead * 60 * 60 * 1000);
+        
+        const { data: bulkOrders, error } = await supabase
+            .from('bulk_orders')
+            .select('id')
+            .eq('status', 'collecting')
+            .is('deadline_reminder_sent_at', null)
+            .gt('deadline', now.toISOString())
+            .lte('deadline', windowEnd.toISOString());
+            
+        if (error) {
+            throw new Error(`Failed to get bulk orders for reminders: ${error.message}`);
+        }
+        
+        const { sendBulkOrderNotification } = require('./notifications');
+        let reminded = 0;
+        let failed = 0;
+        
+        for (const bulkOrder of bulkOrders || []) {
+            try {
+                await sendBulkOrderNotification(bulkOrder.id, 'deadline');
+                
+                await supabase
+                    .from('bulk_orders')
+                    .update({ deadline_reminder_sent_at: new Date().toISOString() })
+                    .eq('id', bulkOrder.id);
+                    
+                reminded++;
+            } catch (reminderError) {
+                failed++;
+                console.error(`Failed to send deadline reminder for bulk order ${bulkOrder.id}:`, reminderError.message);
+            }
+        }
+        
+        return {
+            checked: (bulkOrders || []).length,
+            reminded,
+            failed
+        };
+        
+    } catch (error) {
+        console.error('Error in sendBulkOrderDeadlineReminders:', error);
+        throw error;
+    }
+}
+
 module.exports = {
     createBulkOrder,
     calculateBulkPrice,
@@ -638,6 +1160,13 @@ module.exports = {
     removeMemberParticipation,
     getSACCOBulkOrders,
     getBulkOrderById,
+    getBulkOrderSaccoId,
+    getTierProgress,
+    repriceBulkOrder,
     finalizeBulkOrder,
-    getUserBulkOrderParticipations
+    cancelBulkOrder,
+    processExpiredBulkOrders,
+    syncBulkOrderStatus,
+    getUserBulkOrderParticipations,
+    sendBulkOrderDeadlineReminders
 };
\ No newline at end of file
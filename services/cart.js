@@ -0,0 +1,335 @@
+const { supabase, getUserById } = require('./supabase');
+const { getProductById, getTierPrice, getAvailableStock } = require('./marketplace');
+const { createCheckoutOrders } = require('./orders');
+const { sendCheckoutConfirmationEmail } = require('./mail');
+
+/**
+ * Shopping Cart Service
+ * A server-side cart per user. Lines are priced at the bulk tier their quantity
+ * qualifies for and grouped by wholesaler, which is how checkout splits the cart
+ * into orders.
+ */
+
+const MAX_CART_ITEMS = 50;
+
+/**
+ * Validate a cart quantity
+ * @param {number|string} quantity - Requested quantity
+ * @returns {number} Quantity as an integer
+ */
+function parseQuantity(quantity) {
+  const parsed = Number(quantity);
+
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new Error('Quantity must be a whole number greater than 0');
+  }
+
+  return parsed;
+}
+
+/**
+ * Check a product can be bought in the given quantity
+ * @param {Object} product - Product
+ * @param {number} quantity - Quantity in the cart
+ */
+function assertPurchasable(product, quantity) {
+  if (!product.is_active) {
+    throw new Error(`${product.name} is not available for purchase`);
+  }
+
+  if (getAvailableStock(product) < quantity) {
+    throw new Error(`Insufficient stock for ${product.name}. Only ${getAvailableStock(product)} ${product.unit_type} available`);
+  }
+}
+
+/**
+ * Get the raw cart rows for a user with their products
+ * @param {string} userId - User ID
+ * @returns {Array} Cart items with product and wholesaler
+ */
+async function getCartItems(userId) {
+  const { data, error } = await supabase
+    .from('cart_items')
+    .select(`
+      id, product_id, quantity, created_at, updated_at,
+      product:products!cart_items_product_id_fkey(
+        id, name, unit_type, unit_price, bulk_pricing, stock_quantity, reserved_quantity,
+        is_active, image_url, location, wholesaler_id,
+        wholesaler:users!products_wholesaler_id_fkey(id, name, location)
+      )
+    `)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch cart: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Get a user's cart, priced and grouped by wholesaler
+ * @param {string} userId - User ID
+ * @returns {Object} { items, sellers: [{ wholesaler, items, subtotal }], item_count, total_amount, savings }
+ */
+async function getCart(userId) {
+  try {
+    const rows = await getCartItems(userId);
+
+    const items = rows
+      .filter(row => row.product)
+      .map(row => {
+        const { unit_price: unitPrice, applied_tier: appliedTier } = getTierPrice(row.product, row.quantity);
+        const available = getAvailableStock(row.product);
+
+        return {
+          id: row.id,
+          product_id: row.product_id,
+          quantity: row.quantity,
+          product: row.product,
+          unit_price: unitPrice,
+          original_unit_price: row.product.unit_price,
+          total_amount: unitPrice * row.quantity,
+          savings: Math.max(0, (row.product.unit_price - unitPrice) * row.quantity),
+          applied_tier: appliedTier,
+          available: row.product.is_active && available >= row.quantity,
+          available_quantity: Math.max(available, 0)
+        };
+      });
+
+    const sellers = new Map();
+    for (const item of items) {
+      const wholesalerId = item.product.wholesaler_id;
+      if (!sellers.has(wholesalerId)) {
+        sellers.set(wholesalerId, { wholesaler: item.product.wholesaler || { id: wholesalerId }, items: [], subtotal: 0 });
+      }
+      const seller = sellers.get(wholesalerId);
+      seller.items.push(item);
+      seller.subtotal += item.total_amount;
+    }
+
+    return {
+      items,
+      sellers: [...sellers.values()],
+      item_count: items.length,
+      total_amount: items.reduce((sum, item) => sum + item.total_amount, 0),
+      savings: items.reduce((sum, item) => sum + item.savings, 0)
+    };
+  } catch (error) {
+    console.error('Error in getCart:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a product to the cart, or add to its quantity if it is already there
+ * @param {string} userId - User ID
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Quantity to add
+ * @returns {Object} Updated cart
+ */
+async function addToCart(userId, productId, quantity = 1) {
+  try {
+    if (!productId) {
+      throw new Error('product_id is required');
+    }
+
+    const toAdd = parseQuantity(quantity);
+    const product = await getProductById(productId);
+
+    if (product.wholesaler_id === userId) {
+      throw new Error('You cannot buy your own products');
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('cart_items')
+      .select('id, quantity')
+      .eq('user_id', userId)
+      .eq('product_id', productId)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Failed to fetch cart: ${fetchError.message}`);
+    }
+
+    const newQuantity = (existing ? existing.quantity : 0) + toAdd;
+    assertPurchasable(product, newQuantity);
+
+    if (existing) {
+      const { error } = await supabase
+        .from('cart_items')
+        .update({ quantity: newQuantity, updated_at: new Date().toISOString() })
+        .eq('id', existing.id);
+
+      if (error) {
+        throw new Error(`Failed to update cart: ${error.message}`);
+      }
+    } else {
+      const { count, error: countError } = await supabase
+        .from('cart_items')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId);
+
+      if (countError) {
+        throw new Error(`Failed to fetch cart: ${countError.message}`);
+      }
+
+      if ((count || 0) >= MAX_CART_ITEMS) {
+        throw new Error(`Your cart can hold at most ${MAX_CART_ITEMS} products`);
+      }
+
+      const { error } = await supabase
+        .from('cart_items')
+        .insert([{ user_id: userId, product_id: productId, quantity: newQuantity }]);
+
+      if (error) {
+        throw new Error(`Failed to update cart: ${error.message}`);
+      }
+    }
+
+    return await getCart(userId);
+  } catch (error) {
+    console.error('Error in addToCart:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the quantity of a product in the cart (0 removes it)
+ * @param {string} userId - User ID
+ * @param {string} productId - Product ID
+ * @param {number} quantity - New quantity
+ * @returns {Object} Updated cart
+ */
+async function updateCartItem(userId, productId, quantity) {
+  try {
+    if (Number(quantity) === 0) {
+      return await removeFromCart(userId, productId);
+    }
+
+    const newQuantity = parseQuantity(quantity);
+    const product = await getProductById(productId);
+    assertPurchasable(product, newQuantity);
+
+    const { data, error } = await supabase
+      .from('cart_items')
+      .update({ quantity: newQuantity, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('product_id', productId)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to update cart: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      throw new Error('Product is not in your cart');
+    }
+
+    return await getCart(userId);
+  } catch (error) {
+    console.error('Error in updateCartItem:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a product from the cart
+ * @param {string} userId - User ID
+ * @param {string} productId - Product ID
+ * @returns {Object} Updated cart
+ */
+async function removeFromCart(userId, productId) {
+  try {
+    const { error } = await supabase
+      .from('cart_items')
+      .delete()
+      .eq('user_id', userId)
+      .eq('product_id', productId);
+
+    if (error) {
+      throw new Error(`Failed to update cart: ${error.message}`);
+    }
+
+    return await getCart(userId);
+  } catch (error) {
+    console.error('Error in removeFromCart:', error);
+    throw error;
+  }
+}
+
+/**
+ * Empty the cart
+ * @param {string} userId - User ID
+ */
+async function clearCart(userId) {
+  try {
+    const { error } = await supabase
+      .from('cart_items')
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Failed to clear cart: ${error.message}`);
+    }
+  } catch (error) {
+    console.error('Error in clearCart:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check out the cart: place one order per wholesaler under a parent order and
+ * empty the cart. Every line must still be active and in stock.
+ * @param {string} userId - Buyer ID
+ * @param {Object} checkoutData - { delivery_address }
+ * @returns {Object} Parent order with its orders and their items
+ */
+async function checkoutCart(userId, checkoutData = {}) {
+  const { delivery_address } = checkoutData;
+
+  if (!delivery_address || !delivery_address.trim()) {
+    throw new Error('Missing required fields: delivery_address is required');
+  }
+
+  try {
+    const rows = (await getCartItems(userId)).filter(row => row.product);
+
+    if (rows.length === 0) {
+      throw new Error('Your cart is empty');
+    }
+
+    for (const row of rows) {
+      assertPurchasable(row.product, row.quantity);
+    }
+
+    const parentOrder = await createCheckoutOrders(
+      userId,
+      rows.map(row => ({ product: row.product, quantity: row.quantity })),
+      delivery_address
+    );
+
+    await clearCart(userId);
+
+    // Not awaited: the orders stand even if the email is slow or fails
+    getUserById(userId)
+      .then(buyer => sendCheckoutConfirmationEmail(buyer, parentOrder))
+      .catch(error => console.error('Failed to send checkout confirmation:', error.message));
+
+    return parentOrder;
+  } catch (error) {
+    console.error('Error in checkoutCart:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  MAX_CART_ITEMS,
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart,
+  checkoutCart
+};
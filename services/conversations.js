@@ -0,0 +1,467 @@
+const { supabase } = require('./supabase');
+
+/**
+ * Conversation Memory Service
+ * Stores recent chat turns per user so follow-up questions keep their context.
+ * Turns beyond the token budget are folded into a rolling session summary.
+ */
+
+// Approximate token budget for the summary plus recent turns sent to Gemini
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONVERSATION_TOKEN_BUDGET) || 1500;
+// Always keep this many of the latest messages verbatim, even when over budget
+const MIN_RECENT_MESSAGES = 4;
+// WhatsApp chats start a fresh session after this much inactivity
+const SESSION_IDLE_TIMEOUT_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+/**
+ * Rough token estimate (~4 characters per token)
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Create a new conversation session
+ * @param {string} userId - User ID
+ * @param {string} channel - Channel ('web', 'whatsapp', 'sms')
+ * @returns {Object} Created session
+ */
+async function createSession(userId, channel = 'web') {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_sessions')
+      .insert({
+        user_id: userId,
+        channel
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error('Failed to create conversation session');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in createSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a session owned by a user
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID
+ * @returns {Object} Session
+ */
+async function getSession(sessionId, userId) {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !data) {
+      throw new Error('Conversation session not found');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in getSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's most recent session on a channel, starting a new one if
+ * there is none or the last one has been idle for too long
+ * @param {string} userId - User ID
+ * @param {string} channel - Channel ('web', 'whatsapp', 'sms')
+ * @returns {Object} Active session
+ */
+async function getActiveSession(userId, channel = 'web') {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_sessions')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('channel', channel)
+      .order('last_message_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error('Failed to fetch conversation session');
+    }
+
+    const latest = data && data[0];
+    const idleFor = latest ? Date.now() - new Date(latest.last_message_at).getTime() : Infinity;
+
+    // Chat channels (WhatsApp, SMS) have no "new chat" button, so idle sessions expire
+    if (latest && (channel === 'web' || idleFor < SESSION_IDLE_TIMEOUT_MS)) {
+      return latest;
+    }
+
+    return await createSession(userId, channel);
+  } catch (error) {
+    console.error('Error in getActiveSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a user's conversation sessions, most recent first
+ * @param {string} userId - User ID
+ * @param {Object} options - { channel, limit, offset }
+ * @returns {Array} Sessions
+ */
+async function listSessions(userId, options = {}) {
+  try {
+    const limit = Math.min(parseInt(options.limit) || 20, 100);
+    const offset = parseInt(options.offset) || 0;
+
+    let query = supabase
+      .from('conversation_sessions')
+      .select('id, channel, title, message_count, last_message_at, created_at')
+      .eq('user_id', userId)
+      .order('last_message_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (options.channel) {
+      query = query.eq('channel', options.channel);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error('Failed to fetch conversation sessions');
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in listSessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the messages of a session in chronological order
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID (ownership check)
+ * @param {number} limit - Maximum number of latest messages
+ * @returns {Object} Session with messages
+ */
+async function getSessionMessages(sessionId, userId, limit = 50) {
+  try {
+    const session = await getSession(sessionId, userId);
+
+    const { data, error } = await supabase
+      .from('conversation_messages')
+      .select('id, role, content, has_image, created_at')
+      .eq('session_id', sessionId)
+      .order('sequence', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error('Failed to fetch conversation messages');
+    }
+
+    return {
+      ...session,
+      messages: (data || []).reverse()
+    };
+  } catch (error) {
+    console.error('Error in getSessionMessages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resume a session so new messages on its channel continue it
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID
+ * @returns {Object} Session with messages
+ */
+async function resumeSession(sessionId, userId) {
+  try {
+    await getSession(sessionId, userId);
+
+    const { error } = await supabase
+      .from('conversation_sessions')
+      .update({
+        last_message_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', sessionId);
+
+    if (error) {
+      throw new Error('Failed to resume conversation session');
+    }
+
+    return await getSessionMessages(sessionId, userId);
+  } catch (error) {
+    console.error('Error in resumeSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a session and its messages
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID
+ * @returns {boolean} Success status
+ */
+async function clearSession(sessionId, userId) {
+  try {
+    await getSession(sessionId, userId);
+
+    const { error } = await supabase
+      .from('conversation_sessions')
+      .delete()
+      .eq('id', sessionId)
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error('Failed to clear conversation session');
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error in clearSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete all of a user's sessions, optionally limited to one channel
+ * @param {string} userId - User ID
+ * @param {string} channel - Optional channel filter
+ * @returns {number} Number of sessions cleared
+ */
+async function clearAllSessions(userId, channel = null) {
+  try {
+    let query = supabase
+      .from('conversation_sessions')
+      .delete()
+      .eq('user_id', userId);
+
+    if (channel) {
+      query = query.eq('channel', channel);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      throw new Error('Failed to clear conversation sessions');
+    }
+
+    return (data || []).length;
+  } catch (error) {
+    console.error('Error in clearAllSessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch the turns that have not yet been folded into the summary
+ * @param {string} sessionId - Session ID
+ * @returns {Array} Messages in chronological order
+ */
+async function getUnsummarizedMessages(sessionId) {
+  const { data, error } = await supabase
+    .from('conversation_messages')
+    .select('id, role, content, token_estimate, created_at')
+    .eq('session_id', sessionId)
+    .eq('summarized', false)
+    .order('sequence', { ascending: true });
+
+  if (error) {
+    throw new Error('Failed to fetch conversation messages');
+  }
+
+  return data || [];
+}
+
+/**
+ * Build the context passed to Gemini: the session summary plus the most
+ * recent turns that fit in the token budget
+ * @param {string} sessionId - Session ID
+ * @returns {Object} { summary, turns: [{ role, content }] }
+ */
+async function buildConversationContext(sessionId) {
+  try {
+    const { data: session, error } = await supabase
+      .from('conversation_sessions')
+      .select('summary')
+      .eq('id', sessionId)
+      .single();
+
+    if (error) {
+      throw new Error('Conversation session not found');
+    }
+
+    const messages = await getUnsummarizedMessages(sessionId);
+
+    // Walk backwards from the newest turn until the budget is used up
+    let remaining = CONTEXT_TOKEN_BUDGET - estimateTokens(session.summary);
+    const turns = [];
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const tokens = messages[i].token_estimate || estimateTokens(messages[i].content);
+      if (turns.length >= MIN_RECENT_MESSAGES && tokens > remaining) {
+        break;
+      }
+      remaining -= tokens;
+      turns.unshift({ role: messages[i].role, content: messages[i].content });
+    }
+
+    return {
+      summary: session.summary || null,
+      turns
+    };
+  } catch (error) {
+    console.error('Error in buildConversationContext:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fold older turns into the session summary once the unsummarized turns
+ * exceed the token budget. The latest MIN_RECENT_MESSAGES stay verbatim.
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} Whether the session was compacted
+ */
+async function compactSession(sessionId) {
+  try {
+    const messages = await getUnsummarizedMessages(sessionId);
+    const totalTokens = messages.reduce((sum, message) => sum + (message.token_estimate || 0), 0);
+
+    if (totalTokens <= CONTEXT_TOKEN_BUDGET || messages.length <= MIN_RECENT_MESSAGES) {
+      return false;
+    }
+
+    const { data: session, error: sessionError } = await supabase
+      .from('conversation_sessions')
+      .select('summary')
+      .eq('id', sessionId)
+      .single();
+
+    if (sessionError) {
+      throw new Error('Conversation session not found');
+    }
+
+    const olderMessages = messages.slice(0, messages.length - MIN_RECENT_MESSAGES);
+
+    const { summarizeConversation } = require('./gemini');
+    const summary = await summarizeConversation(session.summary, olderMessages);
+
+    const { error: updateError } = await supabase
+      .from('conversation_sessions')
+      .update({
+        summary,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', sessionId);
+
+    if (updateError) {
+      throw new Error('Failed to update conversation summary');
+    }
+
+    const { error: markError } = await supabase
+      .from('conversation_messages')
+      .update({ summarized: true })
+      .in('id', olderMessages.map(message => message.id));
+
+    if (markError) {
+      throw new Error('Failed to mark summarized messages');
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error in compactSession:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a user message and the bot's reply. Callers run compactSession once
+ * the reply has been sent, so summarizing never delays the user.
+ * @param {string} sessionId - Session ID
+ * @param {string} userMessage - User's message
+ * @param {string} botResponse - Bot's reply
+ * @param {Object} options - { hasImage }
+ * @returns {boolean} Success status
+ */
+async function recordTurn(sessionId, userMessage, botResponse, options = {}) {
+  try {
+    const { data: session, error: sessionError } = await supabase
+      .from('conversation_sessions')
+      .select('title, message_count')
+      .eq('id', sessionId)
+      .single();
+
+    if (sessionError) {
+      throw new Error('Conversation session not found');
+    }
+
+    const { error } = await supabase
+      .from('conversation_messages')
+      .insert([
+        {
+          session_id: sessionId,
+          role: 'user',
+          content: userMessage,
+          has_image: !!options.hasImage,
+          token_estimate: estimateTokens(userMessage)
+        },
+        {
+          session_id: sessionId,
+          role: 'assistant',
+          content: botResponse,
+          token_estimate: estimateTokens(botResponse)
+        }
+      ]);
+
+    if (error) {
+      throw new Error('Failed to save conversation messages');
+    }
+
+    const now = new Date().toISOString();
+    const { error: updateError } = await supabase
+      .from('conversation_sessions')
+      .update({
+        title: session.title || userMessage.substring(0, 80),
+        message_count: (session.message_count || 0) + 2,
+        last_message_at: now,
+        updated_at: now
+      })
+      .eq('id', sessionId);
+
+    if (updateError) {
+      throw new Error('Failed to update conversation session');
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error in recordTurn:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  CONTEXT_TOKEN_BUDGET,
+  estimateTokens,
+  createSession,
+  getSession,
+  getActiveSession,
+  listSessions,
+  getSessionMessages,
+  resumeSession,
+  clearSession,
+  clearAllSessions,
+  buildConversationContext,
+  compactSession,
+  recordTurn
+};
@@ -0,0 +1,516 @@
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+const { updateOrderStatus } = require('./orders');
+const { enqueueNotifications } = require('./notificationOutbox');
+
+/**
+ * Delivery Service
+ * Delivery records for orders. The wholesaler schedules and dispatches a delivery
+ * (carrier, boda-boda rider or pickup point); dispatching marks the order shipped.
+ * A confirmation code travels with the goods and the buyer enters it on receipt,
+ * which marks the order delivered.
+ */
+
+const DELIVERY_METHODS = ['carrier', 'rider', 'pickup'];
+const MAX_CONFIRMATION_ATTEMPTS = 5;
+const MAX_BULK_DELIVERIES = 100;
+
+// Fields the wholesaler can set on a delivery
+const DELIVERY_FIELDS = [
+  'method',
+  'carrier_name',
+  'tracking_number',
+  'rider_name',
+  'rider_phone',
+  'pickup_point',
+  'estimated_delivery_at',
+  'proof_of_delivery_url',
+  'notes'
+];
+
+// Still editable after the delivery is complete
+const POST_DELIVERY_FIELDS = ['proof_of_delivery_url', 'notes'];
+
+/**
+ * Load an order with what delivery checks need
+ * @param {string} orderId - Order ID
+ * @returns {Object} Order with its product or line items and buyer contact details
+ */
+async function getOrderForDelivery(orderId) {
+  const { data: order, error } = await supabase
+    .from('orders')
+    .select(`
+      id, status, buyer_id, wholesaler_id, quantity, delivery_address,
+      product:products!orders_product_id_fkey(id, name, unit_type),
+      items:order_items(quantity, product:products!order_items_product_id_fkey(name, unit_type)),
+      buyer:users!orders_buyer_id_fkey(id, name, phone, whatsapp_phone)
+    `)
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch order: ${error.message}`);
+  }
+
+  if (!order) {
+    throw new Error('Order not found');
+  }
+
+  return order;
+}
+
+/**
+ * Get the delivery record for an order
+ * @param {string} orderId - Order ID
+ * @returns {Object|null} Delivery, or null if none has been scheduled
+ */
+async function findDelivery(orderId) {
+  const { data, error } = await supabase
+    .from('deliveries')
+    .select('*')
+    .eq('order_id', orderId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch delivery: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Hide the confirmation code from everyone but the wholesaler
+ * @param {Object} delivery - Delivery row
+ * @param {string} viewerId - User viewing the delivery
+ * @returns {Object} Delivery safe to return to the viewer
+ */
+function presentDelivery(delivery, viewerId) {
+  if (!delivery) {
+    return null;
+  }
+
+  if (delivery.wholesaler_id === viewerId) {
+    return delivery;
+  }
+
+  const { confirmation_code, confirmation_attempts, ...visible } = delivery;
+  return visible;
+}
+
+/**
+ * Validate and pick the delivery fields from a request
+ * @param {Object} details - Raw delivery details
+ * @returns {Object} Fields to save
+ */
+function normalizeDeliveryDetails(details = {}) {
+  const fields = {};
+
+  for (const field of DELIVERY_FIELDS) {
+    if (details[field] !== undefined) {
+      const value = details[field];
+      fields[field] = value === null || value === '' ? null : typeof value === 'string' ? value.trim() : value;
+    }
+  }
+
+  if (fields.method !== undefined && !DELIVERY_METHODS.includes(fields.method)) {
+    throw new Error(`Invalid delivery method. Use one of: ${DELIVERY_METHODS.join(', ')}`);
+  }
+
+  if (fields.estimated_delivery_at) {
+    const estimated = new Date(fields.estimated_delivery_at);
+    if (isNaN(estimated.getTime())) {
+      throw new Error('Invalid estimated delivery date');
+    }
+    fields.estimated_delivery_at = estimated.toISOString();
+  }
+
+  return fields;
+}
+
+/**
+ * Schedule a delivery for an order, or update its details
+ * @param {string} wholesalerId - Wholesaler ID (must own the ordered product)
+ * @param {string} orderId - Order ID
+ * @param {Object} details - { method, carrier_name, tracking_number, rider_name, rider_phone, pickup_point, estimated_delivery_at, proof_of_delivery_url, notes }
+ * @returns {Object} Delivery, including the confirmation code
+ */
+async function saveDelivery(wholesalerId, orderId, details = {}) {
+  try {
+    const order = await getOrderForDelivery(orderId);
+
+    if (order.wholesaler_id !== wholesalerId) {
+      throw new Error('Unauthorized: Only the seller can manage this delivery');
+    }
+
+    const fields = normalizeDeliveryDetails(details);
+    const existing = await findDelivery(orderId);
+
+    if (!existing) {
+      if (!['confirmed', 'shipped'].includes(order.status)) {
+        throw new Error(`Cannot schedule a delivery for a ${order.status} order`);
+      }
+
+      const { data, error } = await supabase
+        .from('deliveries')
+        .insert([{
+          order_id: orderId,
+          wholesaler_id: wholesalerId,
+          ...fields,
+          status: 'scheduled',
+          confirmation_code: crypto.randomInt(0, 1000000).toString().padStart(6, '0')
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create delivery: ${error.message}`);
+      }
+
+      return data;
+    }
+
+    if (existing.status === 'delivered') {
+      const locked = Object.keys(fields).filter(field => !POST_DELIVERY_FIELDS.includes(field));
+      if (locked.length > 0) {
+        throw new Error(`Cannot change ${locked.join(', ')} after delivery`);
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('deliveries')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update delivery: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in saveDelivery:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send the goods on their way: saves any delivery details, marks the order shipped
+ * and tells the buyer how to confirm receipt
+ * @param {string} wholesalerId - Wholesaler ID
+ * @param {string} orderId - Order ID
+ * @param {Object} details - Delivery details (see saveDelivery)
+ * @param {Object} requestMetadata - Request details for the audit log
+ * @returns {Object} Delivery, including the confirmation code
+ */
+async function dispatchDelivery(wholesalerId, orderId, details = {}, requestMetadata = {}) {
+  try {
+    const delivery = await saveDelivery(wholesalerId, orderId, details);
+
+    if (delivery.status !== 'scheduled') {
+      throw new Error(`Cannot dispatch a delivery that is ${delivery.status.replace('_', ' ')}`);
+    }
+
+    const order = await getOrderForDelivery(orderId);
+
+    // Claim the delivery before touching the order, so a dispatch that loses a
+    // race leaves the order as it was
+    const { data: dispatched, error } = await supabase
+      .from('deliveries')
+      .update({
+        status: 'in_transit',
+        dispatched_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', delivery.id)
+      .eq('status', 'scheduled')
+      .select()
+      .maybeSingle();
+
+    if (error || !dispatched) {
+      throw new Error('Failed to dispatch delivery');
+    }
+
+    if (order.status === 'confirmed') {
+      try {
+        await updateOrderStatus(orderId, 'shipped', wholesalerId, requestMetadata, {
+          notes: delivery.notes,
+          tracking: {
+            carrier: delivery.carrier_name || delivery.rider_name,
+            tracking_number: delivery.tracking_number,
+            estimated_delivery: delivery.estimated_delivery_at
+          }
+        });
+      } catch (orderError) {
+        // Put the delivery back so it can be dispatched again
+        const { error: rollbackError } = await supabase
+          .from('deliveries')
+          .update({ status: 'scheduled', dispatched_at: null, updated_at: new Date().toISOString() })
+          .eq('id', delivery.id)
+          .eq('status', 'in_transit');
+
+        if (rollbackError) {
+          console.error(`Failed to put delivery ${delivery.id} back to scheduled:`, rollbackError.message);
+        }
+        throw orderError;
+      }
+    }
+
+    try {
+      await notifyBuyerOfDispatch(order, dispatched);
+    } catch (notifyError) {
+      console.error(`Failed to notify buyer of delivery for order ${orderId}:`, notifyError.message);
+    }
+
+    return dispatched;
+  } catch (error) {
+    console.error('Error in dispatchDelivery:', error);
+    throw error;
+  }
+}
+
+/**
+ * Tell the buyer their order is on the way
+ * @param {Object} order - Order from getOrderForDelivery
+ * @param {Object} delivery - Dispatched delivery
+ */
+async function notifyBuyerOfDispatch(order, delivery) {
+  const recipient = order.buyer?.whatsapp_phone || order.buyer?.phone;
+  if (!recipient) {
+    return;
+  }
+
+  const goods = order.product
+    ? [`${order.product.name} (${order.quantity} ${order.product.unit_type})`]
+    : (order.items || []).map(item => `${item.product?.name || 'Product'} (${item.quantity} ${item.product?.unit_type || 'units'})`);
+  const lines = [`🚚 *Your order is on the way*`, '', ...goods];
+
+  if (delivery.method === 'pickup') {
+    lines.push(`📍 Ready for pickup at: ${delivery.pickup_point || 'the seller\'s location'}`);
+  } else if (delivery.rider_name) {
+    lines.push(`🏍️ Rider: ${delivery.rider_name}${delivery.rider_phone ? ` (${delivery.rider_phone})` : ''}`);
+  } else if (delivery.carrier_name) {
+    lines.push(`📦 Carrier: ${delivery.carrier_name}${delivery.tracking_number ? ` - ${delivery.tracking_number}` : ''}`);
+  }
+
+  if (delivery.estimated_delivery_at) {
+    lines.push(`🗓️ Expected: ${new Date(delivery.estimated_delivery_at).toLocaleDateString('en-KE')}`);
+  }
+
+  lines.push('', 'When you receive the goods, ask for the 6-digit delivery code and enter it in the app to confirm receipt.');
+
+  await enqueueNotifications([{
+    userId: order.buyer.id,
+    recipient,
+    category: 'marketplace',
+    channel: order.buyer.whatsapp_phone ? 'whatsapp' : 'sms',
+    message: lines.join('\n')
+  }]);
+}
+
+/**
+ * Count a confirmation code guess before it is checked. The increment only
+ * applies if nobody else changed the count since it was read, so parallel
+ * guesses can't share an attempt; losers re-read and retry.
+ * @param {string} orderId - Order ID
+ * @returns {Object} Delivery with this guess counted
+ */
+async function claimConfirmationAttempt(orderId) {
+  for (let retry = 0; retry < MAX_CONFIRMATION_ATTEMPTS * 2; retry++) {
+    const delivery = await findDelivery(orderId);
+
+    if (!delivery || delivery.status === 'scheduled') {
+      throw new Error('This order has not been dispatched yet');
+    }
+
+    if (delivery.status !== 'in_transit') {
+      throw new Error(`Cannot confirm a delivery that is ${delivery.status}`);
+    }
+
+    if (delivery.confirmation_attempts >= MAX_CONFIRMATION_ATTEMPTS) {
+      throw new Error('Too many incorrect codes. Please contact the seller.');
+    }
+
+    const { data: claimed, error } = await supabase
+      .from('deliveries')
+      .update({ confirmation_attempts: delivery.confirmation_attempts + 1 })
+      .eq('id', delivery.id)
+      .eq('confirmation_attempts', delivery.confirmation_attempts)
+      .eq('status', 'in_transit')
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to record confirmation attempt: ${error.message}`);
+    }
+
+    if (claimed && claimed.length > 0) {
+      return claimed[0];
+    }
+  }
+
+  throw new Error('Too many incorrect codes. Please contact the seller.');
+}
+
+/**
+ * Buyer confirms receipt with the code handed over with the goods. Marks the
+ * delivery and the order delivered.
+ * @param {string} buyerId - Buyer ID
+ * @param {string} orderId - Order ID
+ * @param {string} code - Confirmation code
+ * @param {Object} requestMetadata - Request details for the audit log
+ * @returns {Object} Delivered delivery (without the code)
+ */
+async function confirmDelivery(buyerId, orderId, code, requestMetadata = {}) {
+  try {
+    const order = await getOrderForDelivery(orderId);
+
+    if (order.buyer_id !== buyerId) {
+      throw new Error('Unauthorized: Only the buyer can confirm receipt');
+    }
+
+    const delivery = await claimConfirmationAttempt(orderId);
+
+    const presented = String(code || '').trim();
+    const matches = /^\d{6}$/.test(presented) &&
+      crypto.timingSafeEqual(Buffer.from(presented), Buffer.from(delivery.confirmation_code));
+
+    if (!matches) {
+      const remaining = MAX_CONFIRMATION_ATTEMPTS - delivery.confirmation_attempts;
+      throw new Error(remaining > 0
+        ? `Invalid confirmation code. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`
+        : 'Too many incorrect codes. Please contact the seller.');
+    }
+
+    const { data: delivered, error } = await supabase
+      .from('deliveries')
+      .update({
+        status: 'delivered',
+        delivered_at: new Date().toISOString(),
+        confirmed_by: buyerId,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', delivery.id)
+      .eq('status', 'in_transit')
+      .select()
+      .single();
+
+    if (error || !delivered) {
+      throw new Error('Failed to confirm delivery');
+    }
+
+    if (order.status === 'shipped') {
+      await updateOrderStatus(orderId, 'delivered', buyerId, requestMetadata, {
+        notes: 'Receipt confirmed with the delivery code'
+      });
+    }
+
+    return presentDelivery(delivered, buyerId);
+  } catch (error) {
+    console.error('Error in confirmDelivery:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the delivery for an order as the given user may see it
+ * @param {string} orderId - Order ID
+ * @param {string} userId - Viewer (buyer or wholesaler; access is checked by the caller)
+ * @returns {Object|null} Delivery
+ */
+async function getDeliveryForOrder(orderId, userId) {
+  return presentDelivery(await findDelivery(orderId), userId);
+}
+
+/**
+ * List a wholesaler's deliveries, soonest expected first
+ * @param {string} wholesalerId - Wholesaler ID
+ * @param {Object} filters - { status, limit, offset }
+ * @returns {Array} Deliveries with their orders
+ */
+async function getWholesalerDeliveries(wholesalerId, filters = {}) {
+  const { status, limit = 50, offset = 0 } = filters;
+
+  try {
+    let query = supabase
+      .from('deliveries')
+      .select(`
+        *,
+        order:orders!deliveries_order_id_fkey(
+          id, status, quantity, delivery_address, created_at,
+          product:products!orders_product_id_fkey(id, name, unit_type),
+          items:order_items(quantity, product:products!order_items_product_id_fkey(id, name, unit_type)),
+          buyer:users!orders_buyer_id_fkey(id, name, phone)
+        )
+      `)
+      .eq('wholesaler_id', wholesalerId);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query
+      .order('estimated_delivery_at', { ascending: true, nullsFirst: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch deliveries: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getWholesalerDeliveries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Schedule, update or dispatch deliveries for many orders at once. Each order is
+ * handled on its own, so one failure does not stop the rest.
+ * @param {string} wholesalerId - Wholesaler ID
+ * @param {Array<Object>} updates - [{ order_id, dispatch, ...delivery details }]
+ * @param {Object} requestMetadata - Request details for the audit log
+ * @returns {Object} { updated: [delivery], failed: [{ order_id, error }] }
+ */
+async function bulkUpdateDeliveries(wholesalerId, updates, requestMetadata = {}) {
+  if (!Array.isArray(updates) || updates.length === 0) {
+    throw new Error('At least one delivery update is required');
+  }
+
+  if (updates.length > MAX_BULK_DELIVERIES) {
+    throw new Error(`A maximum of ${MAX_BULK_DELIVERIES} deliveries can be updated at once`);
+  }
+
+  const result = { updated: [], failed: [] };
+
+  for (const update of updates) {
+    const { order_id, dispatch, ...details } = update || {};
+
+    try {
+      if (!order_id) {
+        throw new Error('order_id is required');
+      }
+
+      const delivery = dispatch
+        ? await dispatchDelivery(wholesalerId, order_id, details, requestMetadata)
+        : await saveDelivery(wholesalerId, order_id, details);
+
+      result.updated.push(delivery);
+    } catch (error) {
+      result.failed.push({ order_id: order_id || null, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  DELIVERY_METHODS,
+  MAX_CONFIRMATION_ATTEMPTS,
+  MAX_BULK_DELIVERIES,
+  saveDelivery,
+  dispatchDelivery,
+  confirmDelivery,
+  getDeliveryForOrder,
+  getWholesalerDeliveries,
+  bulkUpdateDeliveries
+};
@@ -28,13 +28,69 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Format conversation memory for inclusion in a prompt
+ * @param {Object} conversationContext - { summary, turns: [{ role, content }] }
+ * @returns {string} Prompt section, or empty string when there is no history
+ */
+function formatConversationContext(conversationContext) {
+  if (
+    !conversationContext ||
+    (!conversationContext.summary &&
+      (!conversationContext.turns || conversationContext.turns.length === 0))
+  ) {
+    return "";
+  }
+
+  let section = "\nCONVERSATION SO FAR:\n";
+
+  if (conversationContext.summary) {
+    section += `Summary of earlier messages: ${conversationContext.summary}\n`;
+  }
+
+  (conversationContext.turns || []).forEach((turn) => {
+    const speaker = turn.role === "assistant" ? "AgriaiBot" : "Farmer";
+    section += `${speaker}: ${turn.content}\n`;
+  });
+
+  section +=
+    "\nUse this conversation to understand follow-up questions (e.g. \"what about for beans?\" refers to the topic above). Do not repeat earlier answers unless asked.\n";
+
+  return section;
+}
+
+/**
+ * Format the farm's short-range forecast for inclusion in a prompt
+ * @param {string} weatherContext - Forecast text (see services/weather.js getRainOutlook)
+ * @returns {string} Prompt section, or empty string when no forecast is available
+ */
+function formatWeatherContext(weatherContext) {
+  if (!weatherContext) {
+    return "";
+  }
+
+  return `
+WEATHER FORECAST FOR THE FARMER'S LOCATION (next 3 days):
+${weatherContext}
+
+Factor this forecast into timing advice: avoid recommending spraying or fertiliser application before heavy rain, suggest planting when enough rain is expected, and warn about harvesting or drying produce in wet weather.
+`;
+}
+
 /**
  * Process text message with Gemini AI using structured agricultural prompt
  * @param {string} userMessage - User's text message
  * @param {Object} userProfile - Optional user profile for personalization
+ * @param {Object} conversationContext - Optional conversation memory { summary, turns }
+ * @param {string} weatherContext - Optional short-range forecast for the farm
  * @returns {Promise<string>} AI response
  */
-async function processTextMessage(userMessage, userProfile = null) {
+async function processTextMessage(
+  userMessage,
+  userProfile = null,
+  conversationContext = null,
+  weatherContext = null
+) {
   let personalizedContext = "";
 
   if (userProfile) {
@@ -67,7 +123,8 @@ Keep answers short and focused. Use common Kenyan crops and market conditions.
 Prefer actionable steps instead of long explanations.
 
 ${personalizedContext}
-
+${formatWeatherContext(weatherContext)}
+${formatConversationContext(conversationContext)}
 USER MESSAGE: ${userMessage}
 
 RESPONSE FORMAT (ALWAYS):
@@ -118,12 +175,16 @@ ${
  * @param {string} userMessage - User's text message accompanying the image
  * @param {Buffer} imageBuffer - Image data as buffer
  * @param {Object} userProfile - Optional user profile for personalization
+ * @param {Object} conversationContext - Optional conversation memory { summary, turns }
+ * @param {string} weatherContext - Optional short-range forecast for the farm
  * @returns {Promise<string>} AI response with image analysis
  */
 async function processImageMessage(
   userMessage,
   imageBuffer,
-  userProfile = null
+  userProfile = null,
+  conversationContext = null,
+  weatherContext = null
 ) {
   let personalizedContext = "";
 
@@ -151,7 +212,8 @@ You are analyzing an agricultural image (crop, disease, pest, etc.).
 Provide clear, actionable advice for Kenyan farming conditions.
 
 ${personalizedContext}
-
+${formatWeatherContext(weatherContext)}
+${formatConversationContext(conversationContext)}
 USER QUESTION: ${userMessage}
 
 RESPONSE FORMAT (ALWAYS):
@@ -216,12 +278,16 @@ ${
  * @param {string} userMessage - User's message
  * @param {Buffer} imageData - Optional image data
  * @param {Object} userProfile - Optional user profile for personalization
+ * @param {Object} conversationContext - Optional conversation memory { summary, turns }
+ * @param {string} weatherContext - Optional short-range forecast for the farm
  * @returns {Promise<string>} AI response
  */
 async function processWithGemini(
   userMessage,
   imageData = null,
-  userProfile = null
+  userProfile = null,
+  conversationContext = null,
+  weatherContext = null
 ) {
   let lastError;
 
@@ -233,10 +299,17 @@ async function processWithGemini(
         response = await processImageMessage(
           userMessage,
           imageData,
-          userProfile
+          userProfile,
+          conversationContext,
+          weatherContext
         );
       } else {
-        response = await processTextMessage(userMessage, userProfile);
+        response = await processTextMessage(
+          userMessage,
+          userProfile,
+          conversationContext,
+          weatherContext
+        );
       }
 
       // Validate response is not empty
@@ -318,6 +391,53 @@ Sorry for the inconvenience! 🙏`;
   }
 }
 
+/**
+ * Summarise older conversation turns so they can be dropped from the prompt
+ * @param {string} previousSummary - Existing session summary (if any)
+ * @param {Array} turns - Messages to fold in [{ role, content }]
+ * @returns {Promise<string>} Updated summary
+ */
+async function summarizeConversation(previousSummary, turns) {
+  const transcript = turns
+    .map(
+      (turn) =>
+        `${turn.role === "assistant" ? "AgriaiBot" : "Farmer"}: ${turn.content}`
+    )
+    .join("\n");
+
+  const prompt = `
+You are summarising a conversation between a Kenyan farmer and AgriaiBot, an agricultural assistant.
+Write a concise summary (under 120 words) that keeps the facts needed to answer follow-up questions:
+crops, animals, locations, problems described, products or quantities mentioned, and advice already given.
+
+${previousSummary ? `EXISTING SUMMARY:\n${previousSummary}\n` : ""}
+NEW MESSAGES:
+${transcript}
+
+Return only the updated summary as plain text.
+  `;
+
+  try {
+    const model = genAI.getGenerativeModel({ model: "models/gemini-2.5-flash" });
+
+    const generatePromise = model.generateContent(prompt);
+    const timeoutPromise = createTimeout(REQUEST_TIMEOUT);
+
+    const result = await Promise.race([generatePromise, timeoutPromise]);
+    const response = await result.response;
+    const text = response.text().trim();
+
+    if (!text) {
+      throw new Error("Empty summary from Gemini");
+    }
+
+    return text;
+  } catch (error) {
+    console.error("Error in summarizeConversation:", error);
+    throw error;
+  }
+}
+
 /**
  * Convert image buffer to base64 (utility function)
  * @param {Buffer} imageBuffer - Image data as buffer
@@ -494,13 +614,15 @@ Use specific data points from historical data when available.
  * @param {Object} marketData - Current market data
  * @param {Object} saccoData - SACCO group information
  * @param {Array} availableProducts - Available products in marketplace
+ * @param {string} weatherOutlook - Optional rain outlook for the farm's location
  * @returns {Promise<Object>} Personalized recommendations
  */
 async function generatePersonalizedRecommendations(
   userProfile,
   marketData,
   saccoData = null,
-  availableProducts = []
+  availableProducts = [],
+  weatherOutlook = null
 ) {
   const prompt = `
 You are AgriaiBot's Personal Agricultural Advisor for ${userProfile.name}.
@@ -544,6 +666,15 @@ ${availableProducts
   .map((p) => `- ${p.name}: ${p.unit_price}/${p.unit_type} (${p.category})`)
   .join("\n")}
 
+WEATHER OUTLOOK (farm location):
+${
+  weatherOutlook
+    ? `${weatherOutlook}
+
+Base planting, spraying, fertiliser and harvest timing on this rain outlook.`
+    : "Not available - give timing advice based on the usual season for the location"
+}
+
 Generate recommendations in this EXACT format:
 
 👋 **Hello ${userProfile.name}!**
@@ -615,6 +746,7 @@ Keep recommendations specific to ${userProfile.location} conditions and ${
       generated_at: new Date().toISOString(),
       sacco_member: !!saccoData,
       crops_count: userProfile.crops_grown ? userProfile.crops_grown.length : 0,
+      weather_aware: !!weatherOutlook,
     };
   } catch (error) {
     console.error("Error in generatePersonalizedRecommendations:", error);
@@ -1336,6 +1468,9 @@ module.exports = {
   processWithGemini,
   processTextMessage,
   processImageMessage,
+  formatConversationContext,
+  formatWeatherContext,
+  summarizeConversation,
   convertImageToBase64,
   getFallbackResponse,
   // Market Intelligence Functions
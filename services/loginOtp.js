@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const { supabase, getUserById } = require('./supabase');
+const { sendMessage, getAdapter } = require('./messaging');
+
+/**
+ * Login OTP Service
+ * One-time codes sent to the farmer's phone over WhatsApp or SMS, so accounts
+ * created on WhatsApp (phone only, no email or password) can sign in on the web.
+ */
+
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+// Codes a phone can request per OTP_WINDOW_MINUTES, and the wait between two codes
+const OTP_MAX_PER_WINDOW = parseInt(process.env.OTP_MAX_PER_WINDOW) || 3;
+const OTP_WINDOW_MINUTES = 15;
+const OTP_RESEND_SECONDS = 60;
+
+const OTP_CHANNELS = ['whatsapp', 'sms'];
+
+/**
+ * Normalize a phone number to international digits (Kenyan local formats get 254)
+ * @param {string} phone - Phone number as typed
+ * @returns {string} Digits, e.g. 254712345678
+ */
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+
+    let normalized = digits;
+    if (/^0[17]\d{8}$/.test(digits)) {
+        normalized = `254${digits.slice(1)}`;
+    } else if (/^[17]\d{8}$/.test(digits)) {
+        normalized = `254${digits}`;
+    }
+
+    if (!/^\d{10,15}$/.test(normalized)) {
+        throw new Error('Invalid phone number');
+    }
+
+    return normalized;
+}
+
+/**
+ * Hash a code for storage, bound to the phone it was sent to
+ * @param {string} phone - Normalized phone
+ * @param {string} code - OTP code
+ * @returns {string} Hex HMAC
+ */
+function hashCode(phone, code) {
+    const secret = process.env.OTP_SECRET || process.env.JWT_SECRET || 'agriai-otp';
+    return crypto.createHmac('sha256', secret).update(`${phone}:${code}`).digest('hex');
+}
+
+/**
+ * Find the account that owns a phone number. Web users may have typed their number
+ * in local format, and WhatsApp-linked accounts also match on whatsapp_phone.
+ * A whatsapp_phone match wins over a typed phone: it is the number the account
+ * messages us from, while a phone typed on the web was never verified.
+ * @param {string} phone - Normalized phone
+ * @returns {Promise<Object|null>} User or null
+ */
+async function findUserByPhone(phone) {
+    const variants = [phone, `+${phone}`];
+    if (phone.startsWith('254')) {
+        variants.push(`0${phone.slice(3)}`);
+    }
+
+    const { data: users, error } = await supabase
+        .from('users')
+        .select('id, email, phone, whatsapp_phone, created_at')
+        .or(`phone.in.(${variants.map(v => `"${v}"`).join(',')}),whatsapp_phone.eq.${phone}`);
+
+    if (error) {
+        throw new Error(`Failed to look up phone number: ${error.message}`);
+    }
+
+    if (!users || users.length === 0) {
+        return null;
+    }
+
+    users.sort((a, b) => (b.whatsapp_phone === phone ? 1 : 0) - (a.whatsapp_phone === phone ? 1 : 0) ||
+        new Date(a.created_at) - new Date(b.created_at));
+
+    return users[0];
+}
+
+/**
+ * Send a login code to a phone number.
+ * Unknown numbers get the same result as known ones (no code is sent), so the
+ * endpoint can't be used to find out who is registered.
+ * @param {string} phone - Phone number
+ * @param {Object} options - { channel: 'whatsapp' | 'sms' }
+ * @returns {Promise<Object>} { channel, expires_in_minutes }
+ */
+async function requestLoginOtp(phone, options = {}) {
+    try {
+        const normalized = normalizePhone(phone);
+        const channel = options.channel || 'whatsapp';
+
+        if (!OTP_CHANNELS.includes(channel)) {
+            throw new Error(`Invalid channel. Use one of: ${OTP_CHANNELS.join(', ')}`);
+        }
+
+        if (!getAdapter(channel)) {
+            throw new Error(`Login codes over ${channel} are not available right now`);
+        }
+
+        // Per-phone limits, counted whether or not the number is registered
+        const windowStart = new Date(Date.now() - OTP_WINDOW_MINUTES * 60000).toISOString();
+        const { data: recent, error: recentError } = await supabase
+            .from('login_otps')
+            .select('id, created_at')
+            .eq('phone', normalized)
+            .gte('created_at', windowStart)
+            .order('created_at', { ascending: false });
+
+        if (recentError) {
+            throw new Error(`Failed to check recent codes: ${recentError.message}`);
+        }
+
+        if (recent.length > 0 && Date.now() - new Date(recent[0].created_at).getTime() < OTP_RESEND_SECONDS * 1000) {
+            throw new Error(`Too many codes requested. Please wait ${OTP_RESEND_SECONDS} seconds before asking for another`);
+        }
+
+        if (recent.length >= OTP_MAX_PER_WINDOW) {
+            throw new Error(`Too many codes requested. Please try again in ${OTP_WINDOW_MINUTES} minutes`);
+        }
+
+        const user = await findUserByPhone(normalized);
+
+        // Only the newest code works
+        await supabase
+            .from('login_otps')
+            .update({ consumed_at: new Date().toISOString() })
+            .eq('phone', normalized)
+            .is('consumed_at', null);
+
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+        // Unregistered numbers get a row too, so they hit the same limits, but no message
+        const { error: insertError } = await supabase
+            .from('login_otps')
+            .insert([{
+                user_id: user ? user.id : null,
+                phone: normalized,
+                code_hash: hashCode(normalized, code),
+                channel,
+                expires_at: new Date(Date.now() + OTP_TTL_MINUTES * 60000).toISOString()
+            }]);
+
+        if (insertError) {
+            throw new Error(`Failed to create login code: ${insertError.message}`);
+        }
+
+        if (user) {
+            await sendMessage(
+                normalized,
+                `🔐 Your AgriAI login code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.\n\nNever share this code with anyone. AgriAI staff will never ask for it.`,
+                { channel }
+            );
+        }
+
+        return { channel, expires_in_minutes: OTP_TTL_MINUTES };
+    } catch (error) {
+        console.error('Error in requestLoginOtp:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Count a guess against the phone's latest login code before it is checked
+ * The increment only applies if nobody else changed the attempt count since it
+ * was read, so parallel guesses can't share an attempt; losers re-read and retry.
+ * @param {string} phone - Normalized phone number
+ * @returns {Promise<Object>} The login code row with this guess counted
+ */
+async function claimAttempt(phone) {
+    for (let retry = 0; retry < OTP_MAX_ATTEMPTS * 2; retry++) {
+        const { data: otps, error } = await supabase
+            .from('login_otps')
+            .select('*')
+            .eq('phone', phone)
+            .is('consumed_at', null)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            throw new Error(`Failed to fetch login code: ${error.message}`);
+        }
+
+        const otp = otps && otps[0];
+        if (!otp || !otp.user_id || new Date(otp.expires_at) <= new Date()) {
+            throw new Error('Invalid or expired code');
+        }
+
+        if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+            await supabase
+                .from('login_otps')
+                .update({ consumed_at: new Date().toISOString() })
+                .eq('id', otp.id);
+            throw new Error('Too many attempts. Please request a new code');
+        }
+
+        const { data: claimed, error: claimError } = await supabase
+            .from('login_otps')
+            .update({ attempts: otp.attempts + 1 })
+            .eq('id', otp.id)
+            .eq('attempts', otp.attempts)
+            .is('consumed_at', null)
+            .select('*');
+
+        if (claimError) {
+            throw new Error(`Failed to record login attempt: ${claimError.message}`);
+        }
+
+        if (claimed && claimed.length > 0) {
+            return claimed[0];
+        }
+    }
+
+    throw new Error('Too many attempts. Please request a new code');
+}
+
+/**
+ * Check a login code and return the account it signs in to
+ * @param {string} phone - Phone number the code was sent to
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<Object>} User
+ */
+async function verifyLoginOtp(phone, code) {
+    try {
+        const normalized = normalizePhone(phone);
+
+        const otp = await claimAttempt(normalized);
+
+        const presented = hashCode(normalized, String(code || '').trim());
+        const matches = crypto.timingSafeEqual(Buffer.from(presented, 'hex'), Buffer.from(otp.code_hash, 'hex'));
+
+        if (!matches) {
+            if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+                await supabase
+                    .from('login_otps')
+                    .update({ consumed_at: new Date().toISOString() })
+                    .eq('id', otp.id);
+                throw new Error('Too many attempts. Please request a new code');
+            }
+            throw new Error('Invalid or expired code');
+        }
+
+        // Consume the code; if a parallel request got there first, this one loses
+        const { data: consumed, error: consumeError } = await supabase
+            .from('login_otps')
+            .update({ consumed_at: new Date().toISOString() })
+            .eq('id', otp.id)
+            .is('consumed_at', null)
+            .select('id');
+
+        if (consumeError) {
+            throw new Error(`Failed to use login code: ${consumeError.message}`);
+        }
+
+        if (!consumed || consumed.length === 0) {
+            throw new Error('Invalid or expired code');
+        }
+
+        await supabase
+            .from('users')
+            .update({ last_seen: new Date().toISOString() })
+            .eq('id', otp.user_id);
+
+        const { token_version, ...user } = await getUserById(otp.user_id);
+        if (user.status === 'suspended') {
+            throw new Error('Account suspended');
+        }
+
+        return user;
+    } catch (error) {
+        console.error('Error in verifyLoginOtp:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Delete login codes older than a day
+ * @returns {Promise<number>} Number of codes removed
+ */
+async function cleanupLoginOtps() {
+    try {
+        const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+        const { data, error } = await supabase
+            .from('login_otps')
+            .delete()
+            .lt('created_at', cutoff)
+            .select('id');
+
+        if (error) {
+            throw new Error(`Failed to clean up login codes: ${error.message}`);
+        }
+
+        return data ? data.length : 0;
+    } catch (error) {
+        console.error('Error in cleanupLoginOtps:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    OTP_CHANNELS,
+    normalizePhone,
+    requestLoginOtp,
+    verifyLoginOtp,
+    cleanupLoginOtps
+};
@@ -0,0 +1,37 @@
+/**
+ * Console Transport
+ * Logs the text version of each email instead of sending it. The default when no
+ * SMTP server is configured, so development setups never email real people.
+ * Sent messages are also kept in memory in `sent`.
+ */
+
+/**
+ * Create a console mail transport
+ * @param {Object} options - { logger }
+ * @returns {Object} Mail transport
+ */
+function createConsoleTransport(options = {}) {
+  const logger = options.logger || console;
+  const sent = [];
+  let counter = 0;
+
+  return {
+    name: 'console',
+    sent,
+
+    async send(message) {
+      const messageId = `console-${++counter}`;
+      sent.push({ messageId, ...message, date: new Date() });
+      logger.info(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId };
+    },
+
+    reset() {
+      sent.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  createConsoleTransport
+};
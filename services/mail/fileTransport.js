@@ -0,0 +1,38 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * File Transport
+ * Writes each email to a JSON file instead of sending it, for local development
+ * and tests (open the file to follow a reset link).
+ */
+
+/**
+ * Create a file mail transport
+ * @param {Object} options - { directory }
+ * @returns {Object} Mail transport
+ */
+function createFileTransport(options = {}) {
+  const directory = options.directory || process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'agriai-mail');
+  let counter = 0;
+
+  return {
+    name: 'file',
+    directory,
+
+    async send(message) {
+      const messageId = `file-${Date.now()}-${++counter}`;
+      const file = path.join(directory, `${messageId}.json`);
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2));
+
+      return { messageId, file };
+    }
+  };
+}
+
+module.exports = {
+  createFileTransport
+};
@@ -0,0 +1,232 @@
+/**
+ * Mail Service
+ * Templated transactional email (password reset, order confirmation, bulk order
+ * finalized, subscription receipt) over a pluggable transport.
+ *
+ * Transports must implement:
+ * - send({ from, to, subject, text, html }): resolves to { messageId }
+ *
+ * MAIL_TRANSPORT selects the transport: smtp, file or console. It defaults to smtp
+ * when SMTP_HOST is set and to console otherwise.
+ */
+
+const { renderTemplate } = require('./templates');
+
+const transportFactories = {
+  smtp: options => require('./smtpTransport').createSmtpTransport(options),
+  file: options => require('./fileTransport').createFileTransport(options),
+  console: options => require('./consoleTransport').createConsoleTransport(options)
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let transport = null;
+
+/**
+ * Create a transport by type name
+ * @param {string} type - Transport type ('smtp', 'file', 'console')
+ * @param {Object} options - Transport options
+ * @returns {Object} Transport instance
+ */
+function createTransport(type, options = {}) {
+  const factory = transportFactories[type];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${type}. Use one of: ${Object.keys(transportFactories).join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Use a specific transport (e.g. a console transport in tests)
+ * @param {Object} mailTransport - Transport instance
+ * @returns {Object} The transport
+ */
+function setTransport(mailTransport) {
+  if (!mailTransport || typeof mailTransport.send !== 'function') {
+    throw new Error('Mail transports must implement send');
+  }
+
+  transport = mailTransport;
+  return transport;
+}
+
+/**
+ * Get the configured transport, creating it from the environment on first use
+ * @returns {Object} Transport instance
+ */
+function getTransport() {
+  if (!transport) {
+    const type = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+    transport = createTransport(type);
+  }
+
+  return transport;
+}
+
+/**
+ * Base URL of the web app, used in links inside emails
+ * @returns {string} URL without a trailing slash
+ */
+function getAppBaseUrl() {
+  return (process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+}
+
+/**
+ * Check whether an address looks deliverable
+ * @param {string} email - Email address
+ * @returns {boolean} True if it looks like an email address
+ */
+function isValidEmail(email) {
+  return typeof email === 'string' && EMAIL_PATTERN.test(email.trim());
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html, replyTo }
+ * @returns {Promise<Object>} { messageId }
+ */
+async function sendMail(message) {
+  if (!isValidEmail(message.to)) {
+    throw new Error(`Invalid email address: ${message.to}`);
+  }
+
+  if (!message.subject || !message.text) {
+    throw new Error('Email subject and text are required');
+  }
+
+  try {
+    const mailTransport = getTransport();
+    const result = await mailTransport.send({
+      from: process.env.MAIL_FROM || 'AgriAI Bot <no-reply@agriai.co.ke>',
+      ...message,
+      to: message.to.trim()
+    });
+
+    console.log(`📧 Sent "${message.subject}" to ${message.to} via ${mailTransport.name}`);
+    return result;
+  } catch (error) {
+    console.error('Error in sendMail:', error);
+    throw error;
+  }
+}
+
+/**
+ * Render a template and send it
+ * @param {string} templateName - Template name (see templates.js)
+ * @param {string} to - Recipient email address
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} { messageId }
+ */
+async function sendTemplate(templateName, to, data = {}) {
+  const { subject, text, html } = renderTemplate(templateName, data);
+  return await sendMail({ to, subject, text, html });
+}
+
+/**
+ * Send a transactional email as a side effect of another operation: skipped when
+ * the user has no email address, and failures are logged rather than thrown so
+ * the order or subscription itself is never rolled back over an email
+ * @param {string} templateName - Template name
+ * @param {string} to - Recipient email address (may be empty)
+ * @param {Object} data - Template data
+ * @returns {Promise<Object|null>} { messageId } or null if not sent
+ */
+async function sendTransactionalEmail(templateName, to, data = {}) {
+  if (!isValidEmail(to)) {
+    return null;
+  }
+
+  try {
+    return await sendTemplate(templateName, to, data);
+  } catch (error) {
+    console.error(`Failed to send ${templateName} email to ${to}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Email a password reset link
+ * @param {Object} user - { email, name }
+ * @param {string} token - Reset token
+ * @param {number} expiresInMinutes - Token lifetime
+ * @returns {Promise<Object>} { messageId }
+ */
+async function sendPasswordResetEmail(user, token, expiresInMinutes = 60) {
+  return await sendTemplate('password_reset', user.email, {
+    name: user.name,
+    resetUrl: `${getAppBaseUrl()}/login.html?reset_token=${encodeURIComponent(token)}`,
+    expiresInMinutes
+  });
+}
+
+/**
+ * Email the buyer a confirmation for a new order
+ * @param {Object} order - Order with buyer and product
+ * @returns {Promise<Object|null>} { messageId } or null if not sent
+ */
+async function sendOrderConfirmationEmail(order) {
+  return await sendTransactionalEmail('order_confirmation', order.buyer?.email, {
+    name: order.buyer?.name,
+    order
+  });
+}
+
+/**
+ * Email the buyer a confirmation for a cart checkout
+ * @param {Object} buyer - { email, name }
+ * @param {Object} parentOrder - Parent order with its sub-orders and line items
+ * @returns {Promise<Object|null>} { messageId } or null if not sent
+ */
+async function sendCheckoutConfirmationEmail(buyer, parentOrder) {
+  return await sendTransactionalEmail('checkout_confirmation', buyer?.email, {
+    name: buyer?.name,
+    parentOrder
+  });
+}
+
+/**
+ * Email a bulk order participant that the order has been finalized
+ * @param {Object} user - { email, name }
+ * @param {Object} details - { saccoName, productName, unitType, quantity, unitPrice, amount, totalQuantity }
+ * @returns {Promise<Object|null>} { messageId } or null if not sent
+ */
+async function sendBulkOrderFinalizedEmail(user, details) {
+  return await sendTransactionalEmail('bulk_order_finalized', user.email, {
+    name: user.name,
+    ...details
+  });
+}
+
+/**
+ * Email a receipt for a paid subscription
+ * @param {Object} user - { email, name }
+ * @param {Object} subscription - Subscription with plan
+ * @returns {Promise<Object|null>} { messageId } or null if not sent
+ */
+async function sendSubscriptionReceiptEmail(user, subscription) {
+  return await sendTransactionalEmail('subscription_receipt', user.email, {
+    name: user.name,
+    planName: subscription.plan?.name,
+    amount: subscription.plan?.price_monthly,
+    receiptNumber: `SUB-${String(subscription.id).slice(0, 8).toUpperCase()}`,
+    startDate: subscription.start_date,
+    renews: subscription.auto_renew
+  });
+}
+
+module.exports = {
+  createTransport,
+  setTransport,
+  getTransport,
+  getAppBaseUrl,
+  isValidEmail,
+  sendMail,
+  sendTemplate,
+  sendPasswordResetEmail,
+  sendOrderConfirmationEmail,
+  sendCheckoutConfirmationEmail,
+  sendBulkOrderFinalizedEmail,
+  sendSubscriptionReceiptEmail
+};
@@ -0,0 +1,44 @@
+/**
+ * SMTP Transport
+ * Sends mail through any SMTP server (Gmail, SendGrid, Mailgun, Amazon SES, ...) via nodemailer.
+ */
+
+/**
+ * Create an SMTP mail transport
+ * @param {Object} options - { host, port, secure, user, pass }
+ * @returns {Object} Mail transport
+ */
+function createSmtpTransport(options = {}) {
+  const nodemailer = require('nodemailer');
+
+  const host = options.host || process.env.SMTP_HOST;
+  const port = parseInt(options.port || process.env.SMTP_PORT) || 587;
+  const user = options.user || process.env.SMTP_USER;
+  const pass = options.pass || process.env.SMTP_PASS;
+  // Port 465 speaks TLS from the start; other ports upgrade with STARTTLS
+  const secure = options.secure ?? (process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465);
+
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = {
+  createSmtpTransport
+};
@@ -0,0 +1,241 @@
+/**
+ * Email Templates
+ * Each template turns data into { subject, text, html }. The text part carries the
+ * full content for clients that don't render HTML.
+ */
+
+const BRAND_NAME = 'AgriAI Bot';
+
+/**
+ * Escape a value for safe use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an amount in Kenyan shillings
+ * @param {number} amount - Amount
+ * @returns {string} e.g. "KSh 1,250.00"
+ */
+function formatKes(amount) {
+  return `KSh ${Number(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Format a date for Kenyan readers
+ * @param {string|Date} date - Date
+ * @returns {string} e.g. "19 Oct 2026"
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-KE', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'Africa/Nairobi'
+  });
+}
+
+/**
+ * Wrap HTML body content in the shared email layout
+ * @param {string} title - Heading
+ * @param {string} body - Inner HTML
+ * @returns {string} Full HTML document
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,sans-serif;color:#111827;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <h2 style="color:#15803d;margin-top:0;">🌾 ${escapeHtml(title)}</h2>
+    ${body}
+    <p style="color:#6b7280;font-size:12px;margin-top:32px;">${BRAND_NAME} · Smart farming for Kenyan farmers</p>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Render rows as an HTML table
+ * @param {Array<Array<string>>} rows - [label, value] pairs (values are escaped)
+ * @returns {string} HTML table
+ */
+function detailsTable(rows) {
+  const cells = rows
+    .map(([label, value]) => `<tr><td style="padding:4px 12px 4px 0;color:#6b7280;">${escapeHtml(label)}</td><td style="padding:4px 0;"><strong>${escapeHtml(value)}</strong></td></tr>`)
+    .join('');
+  return `<table style="border-collapse:collapse;margin:16px 0;">${cells}</table>`;
+}
+
+/**
+ * Render rows as plain text lines
+ * @param {Array<Array<string>>} rows - [label, value] pairs
+ * @returns {string} Text block
+ */
+function detailsText(rows) {
+  return rows.map(([label, value]) => `${label}: ${value}`).join('\n');
+}
+
+const templates = {
+  /**
+   * @param {Object} data - { name, resetUrl, expiresInMinutes }
+   */
+  password_reset({ name, resetUrl, expiresInMinutes = 60 }) {
+    const greeting = `Hello ${name || 'there'},`;
+    const intro = 'We received a request to reset the password for your AgriAI account.';
+    const expiry = `This link expires in ${expiresInMinutes} minutes and can only be used once.`;
+    const ignore = "If you didn't ask for this, you can ignore this email. Your password won't change.";
+
+    return {
+      subject: 'Reset your AgriAI password',
+      text: `${greeting}\n\n${intro}\n\nReset your password: ${resetUrl}\n\n${expiry}\n\n${ignore}`,
+      html: layout('Reset your password', `
+    <p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(intro)}</p>
+    <p><a href="${escapeHtml(resetUrl)}" style="display:inline-block;background:#15803d;color:#ffffff;padding:10px 20px;border-radius:6px;text-decoration:none;">Reset password</a></p>
+    <p>${escapeHtml(expiry)}</p>
+    <p style="color:#6b7280;">${escapeHtml(ignore)}</p>`)
+    };
+  },
+
+  /**
+   * @param {Object} data - { name, order } (order as returned by createOrder)
+   */
+  order_confirmation({ name, order }) {
+    const product = order.product || {};
+    const rows = [
+      ['Order', `#${String(order.id).slice(0, 8)}`],
+      ['Product', product.name || 'Product'],
+      ['Quantity', `${order.quantity} ${product.unit_type || ''}`.trim()],
+      ['Unit price', formatKes(order.unit_price)],
+      ['Total', formatKes(order.total_amount)],
+      ['Deliver to', order.delivery_address || '-']
+    ];
+    const greeting = `Hello ${name || 'there'},`;
+    const intro = 'Thank you for your order. The wholesaler has been asked to confirm it, and we will keep you updated as it moves along.';
+
+    return {
+      subject: `Order confirmation #${String(order.id).slice(0, 8)}`,
+      text: `${greeting}\n\n${intro}\n\n${detailsText(rows)}`,
+      html: layout('Order received', `
+    <p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(intro)}</p>
+    ${detailsTable(rows)}`)
+    };
+  },
+
+  /**
+   * @param {Object} data - { name, parentOrder } (parent order with sub-orders and their items, as returned by checkoutCart)
+   */
+  checkout_confirmation({ name, parentOrder }) {
+    const reference = `#${String(parentOrder.id).slice(0, 8)}`;
+    const rows = [];
+    for (const order of parentOrder.orders || []) {
+      const seller = order.wholesaler?.name || 'Seller';
+      for (const item of order.items || []) {
+        const product = item.product || {};
+        rows.push([
+          `${product.name || 'Product'} (${seller})`,
+          `${`${item.quantity} ${product.unit_type || ''}`.trim()} x ${formatKes(item.unit_price)} = ${formatKes(item.total_amount)}`
+        ]);
+      }
+    }
+    rows.push(['Total', formatKes(parentOrder.total_amount)]);
+    rows.push(['Deliver to', parentOrder.delivery_address || '-']);
+
+    const greeting = `Hello ${name || 'there'},`;
+    const intro = parentOrder.seller_count > 1
+      ? `Thank you for your order. It has been split into ${parentOrder.seller_count} orders, one per seller, and each seller has been asked to confirm theirs.`
+      : 'Thank you for your order. The wholesaler has been asked to confirm it, and we will keep you updated as it moves along.';
+
+    return {
+      subject: `Order confirmation ${reference}`,
+      text: `${greeting}\n\n${intro}\n\n${detailsText(rows)}`,
+      html: layout('Order received', `
+    <p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(intro)}</p>
+    ${detailsTable(rows)}`)
+    };
+  },
+
+  /**
+   * @param {Object} data - { name, saccoName, productName, unitType, quantity, unitPrice, amount, totalQuantity }
+   */
+  bulk_order_finalized({ name, saccoName, productName, unitType, quantity, unitPrice, amount, totalQuantity }) {
+    const rows = [
+      ['SACCO', saccoName],
+      ['Product', productName],
+      ['Your quantity', `${quantity} ${unitType}`],
+      ['Final unit price', formatKes(unitPrice)],
+      ['Your amount', formatKes(amount)],
+      ['Group total', `${totalQuantity} ${unitType}`]
+    ];
+    const greeting = `Hello ${name || 'there'},`;
+    const intro = `The ${saccoName} bulk order for ${productName} has closed and been sent to the wholesaler.`;
+    const next = 'Your SACCO admin will share payment and collection details.';
+
+    return {
+      subject: `Bulk order finalized: ${productName}`,
+      text: `${greeting}\n\n${intro}\n\n${detailsText(rows)}\n\n${next}`,
+      html: layout('Bulk order finalized', `
+    <p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(intro)}</p>
+    ${detailsTable(rows)}
+    <p>${escapeHtml(next)}</p>`)
+    };
+  },
+
+  /**
+   * @param {Object} data - { name, planName, amount, receiptNumber, startDate, renews }
+   */
+  subscription_receipt({ name, planName, amount, receiptNumber, startDate, renews }) {
+    const rows = [
+      ['Receipt', receiptNumber],
+      ['Plan', planName],
+      ['Amount', `${formatKes(amount)} / month`],
+      ['Start date', formatDate(startDate)],
+      ['Auto-renew', renews ? 'On' : 'Off']
+    ];
+    const greeting = `Hello ${name || 'there'},`;
+    const intro = `Thank you for subscribing to AgriAI ${planName}. Your new limits are active now.`;
+
+    return {
+      subject: `Your AgriAI ${planName} receipt`,
+      text: `${greeting}\n\n${intro}\n\n${detailsText(rows)}`,
+      html: layout('Subscription receipt', `
+    <p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(intro)}</p>
+    ${detailsTable(rows)}`)
+    };
+  }
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, text, html }
+ */
+function renderTemplate(name, data = {}) {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}. Use one of: ${Object.keys(templates).join(', ')}`);
+  }
+
+  return template(data);
+}
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(templates),
+  renderTemplate,
+  escapeHtml,
+  formatKes
+};
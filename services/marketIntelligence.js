@@ -6,6 +6,7 @@ const {
   detectBulkPurchaseOpportunities,
   generatePriceAlerts,
 } = require("./gemini");
+const { getWeatherForecast, getRainOutlook } = require("./weather");
 
 /**
  * Market Intelligence Service
@@ -449,12 +450,30 @@ async function generateUserRecommendations(userId) {
 
     const { data: availableProducts } = await productQuery;
 
+    // Get the rain outlook for the farm so timing advice matches the weather
+    let weatherOutlook = null;
+    if (userProfile.latitude && userProfile.longitude) {
+      try {
+        const forecast = await getWeatherForecast(
+          userProfile.latitude,
+          userProfile.longitude
+        );
+        weatherOutlook = getRainOutlook(forecast, 7) || null;
+      } catch (weatherError) {
+        console.error(
+          "Weather unavailable for recommendations:",
+          weatherError.message
+        );
+      }
+    }
+
     // Generate AI recommendations
     const recommendations = await generatePersonalizedRecommendations(
       userProfile,
       marketData || [],
       saccoData,
-      availableProducts || []
+      availableProducts || [],
+      weatherOutlook
     );
 
     // Store recommendations in database
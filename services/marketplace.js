@@ -1,4 +1,6 @@
 const { supabase } = require("./supabase");
+const { moveStock } = require("./stockLedger");
+const { assertCanList } = require("./sellerVerification");
 
 /**
  * Marketplace Service
@@ -82,6 +84,9 @@ async function createProduct(wholesalerId, productData, useAI = true) {
   }
 
   try {
+    // Unverified sellers are limited in what and how much they can list
+    await assertCanList(wholesalerId, optimizedData);
+
     const { data, error } = await supabase
       .from("products")
       .insert([
@@ -92,7 +97,7 @@ async function createProduct(wholesalerId, productData, useAI = true) {
           category: optimizedData.category?.trim(),
           unit_price: parseFloat(optimizedData.unit_price),
           bulk_pricing: optimizedData.bulk_pricing,
-          stock_quantity: parseInt(optimizedData.stock_quantity),
+          stock_quantity: 0, // opening stock goes through the ledger below
           unit_type: optimizedData.unit_type.trim(),
           location: optimizedData.location?.trim(),
           image_url: optimizedData.image_url?.trim(),
@@ -112,6 +117,15 @@ async function createProduct(wholesalerId, productData, useAI = true) {
       throw new Error("Failed to create product");
     }
 
+    const openingStock = parseInt(optimizedData.stock_quantity) || 0;
+    if (openingStock > 0) {
+      const stocked = await moveStock(data.id, "adjustment", openingStock, {
+        reason: "Opening stock",
+        actorId: wholesalerId,
+      });
+      data.stock_quantity = stocked.stock_quantity;
+    }
+
     // Return product with AI suggestions
     return {
       ...data,
@@ -129,13 +143,19 @@ async function createProduct(wholesalerId, productData, useAI = true) {
  * @param {string} productId - ID of the product to update
  * @param {string} wholesalerId - ID of the wholesaler (for authorization)
  * @param {Object} updates - Fields to update
+ * @param {string} stockReason - Reason recorded in the stock ledger when stock_quantity changes
  * @returns {Object} Updated product
  */
-async function updateProduct(productId, wholesalerId, updates) {
+async function updateProduct(
+  productId,
+  wholesalerId,
+  updates,
+  stockReason = "Stock level updated by seller"
+) {
   // Validate that the product belongs to the wholesaler
   const { data: existingProduct, error: fetchError } = await supabase
     .from("products")
-    .select("id, wholesaler_id")
+    .select("id, wholesaler_id, name, description, category, is_active")
     .eq("id", productId)
     .single();
 
@@ -183,14 +203,40 @@ async function updateProduct(productId, wholesalerId, updates) {
     }
   }
 
-  if (Object.keys(validUpdates).length === 0) {
+  // Changing what a product is or re-listing it is held to the seller's verification
+  const activating = validUpdates.is_active === true && !existingProduct.is_active;
+  const relabelling = ["category", "name", "description"].some(
+    (key) => validUpdates[key] !== undefined
+  );
+  if (relabelling || activating) {
+    await assertCanList(
+      wholesalerId,
+      { ...existingProduct, ...validUpdates },
+      { productId, activating }
+    );
+  }
+
+  // Stock levels change through the ledger so reservations are respected
+  const stockLevel = validUpdates.stock_quantity;
+  delete validUpdates.stock_quantity;
+
+  if (Object.keys(validUpdates).length === 0 && stockLevel === undefined) {
     throw new Error("No valid fields to update");
   }
 
   try {
-    const { data, error } = await supabase
-      .from("products")
-      .update(validUpdates)
+    if (stockLevel !== undefined) {
+      await moveStock(productId, "adjustment", parseInt(stockLevel), {
+        reason: stockReason,
+        actorId: wholesalerId,
+      });
+    }
+
+    const productQuery =
+      Object.keys(validUpdates).length > 0
+        ? supabase.from("products").update(validUpdates)
+        : supabase.from("products").select(); // only the stock level changed
+    const { data, error } = await productQuery
       .eq("id", productId)
       .select(
         `
@@ -224,6 +270,9 @@ async function getProducts(filters = {}) {
     location,
     min_price,
     max_price,
+    min_rating,
+    min_seller_rating,
+    verified_only,
     wholesaler_id,
     is_active = true,
     limit = 50,
@@ -233,9 +282,15 @@ async function getProducts(filters = {}) {
   } = filters;
 
   try {
+    // Filtering on the seller needs an inner join so unmatched products drop out
+    const wholesalerJoin =
+      min_seller_rating || verified_only
+        ? "users!products_wholesaler_id_fkey!inner"
+        : "users!products_wholesaler_id_fkey";
+
     let query = supabase.from("products").select(`
         *,
-        wholesaler:users!products_wholesaler_id_fkey(id, name, location, user_type)
+        wholesaler:${wholesalerJoin}(id, name, location, user_type, seller_rating_average, seller_rating_count, verification_status)
       `);
 
     // Apply filters
@@ -265,6 +320,21 @@ async function getProducts(filters = {}) {
       query = query.lte("unit_price", parseFloat(max_price));
     }
 
+    if (min_rating) {
+      query = query.gte("rating_average", parseFloat(min_rating));
+    }
+
+    if (min_seller_rating) {
+      query = query.gte(
+        "wholesaler.seller_rating_average",
+        parseFloat(min_seller_rating)
+      );
+    }
+
+    if (verified_only) {
+      query = query.eq("wholesaler.verification_status", "verified");
+    }
+
     if (wholesaler_id) {
       query = query.eq("wholesaler_id", wholesaler_id);
     }
@@ -275,13 +345,21 @@ async function getProducts(filters = {}) {
       "name",
       "unit_price",
       "stock_quantity",
+      "rating",
     ];
     const sortField = validSortFields.includes(sort_by)
       ? sort_by
       : "created_at";
     const sortDirection = sort_order === "asc" ? true : false;
 
-    query = query.order(sortField, { ascending: sortDirection });
+    if (sortField === "rating") {
+      // Among equal averages, the product with more reviews ranks first
+      query = query
+        .order("rating_average", { ascending: sortDirection })
+        .order("rating_count", { ascending: false });
+    } else {
+      query = query.order(sortField, { ascending: sortDirection });
+    }
 
     // Apply pagination
     query = query.range(offset, offset + limit - 1);
@@ -312,10 +390,12 @@ async function getProductById(productId) {
       .select(
         `
         *,
-        wholesaler:users!products_wholesaler_id_fkey(id, name, location, user_type, phone, email)
+        wholesaler:users!products_wholesaler_id_fkey(id, name, location, user_type, phone, email, seller_rating_average, seller_rating_count, verification_status, agro_dealer_verified),
+        images:product_images(id, thumbnail_url, medium_url, width, height, position, is_primary)
       `
       )
       .eq("id", productId)
+      .order("position", { referencedTable: "product_images", ascending: true })
       .single();
 
     if (error) {
@@ -334,22 +414,12 @@ async function getProductById(productId) {
 }
 
 /**
- * Calculate bulk price for a product based on quantity
- * @param {string} productId - Product ID
- * @param {number} quantity - Desired quantity
- * @returns {Object} Price calculation details
+ * Unit price for a quantity of a product, using the highest bulk tier it qualifies for
+ * @param {Object} product - Product with unit_price and bulk_pricing
+ * @param {number} quantity - Quantity being bought
+ * @returns {Object} { unit_price, applied_tier: { quantity, price } | null }
  */
-async function calculateBulkPrice(productId, quantity) {
-  const product = await getProductById(productId);
-
-  if (!product) {
-    throw new Error("Product not found");
-  }
-
-  if (quantity <= 0) {
-    throw new Error("Quantity must be greater than 0");
-  }
-
+function getTierPrice(product, quantity) {
   let unitPrice = product.unit_price;
   let appliedTier = null;
 
@@ -372,6 +442,31 @@ async function calculateBulkPrice(productId, quantity) {
     }
   }
 
+  return { unit_price: unitPrice, applied_tier: appliedTier };
+}
+
+/**
+ * Calculate bulk price for a product based on quantity
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Desired quantity
+ * @returns {Object} Price calculation details
+ */
+async function calculateBulkPrice(productId, quantity) {
+  const product = await getProductById(productId);
+
+  if (!product) {
+    throw new Error("Product not found");
+  }
+
+  if (quantity <= 0) {
+    throw new Error("Quantity must be greater than 0");
+  }
+
+  const { unit_price: unitPrice, applied_tier: appliedTier } = getTierPrice(
+    product,
+    quantity
+  );
+
   const totalAmount = unitPrice * quantity;
   const savings = (product.unit_price - unitPrice) * quantity;
 
@@ -431,55 +526,87 @@ async function getBulkPricingTiers(productId) {
  * @param {string} productId - Product ID
  * @param {number} newQuantity - New stock quantity
  * @param {string} wholesalerId - Wholesaler ID for authorization
+ * @param {string} reason - Reason recorded in the stock ledger (e.g. "Restocked from supplier")
  * @returns {Object} Updated product
  */
-async function updateStock(productId, newQuantity, wholesalerId) {
+async function updateStock(productId, newQuantity, wholesalerId, reason) {
   if (newQuantity < 0) {
     throw new Error("Stock quantity cannot be negative");
   }
 
-  return await updateProduct(productId, wholesalerId, {
-    stock_quantity: parseInt(newQuantity),
-  });
+  return await updateProduct(
+    productId,
+    wholesalerId,
+    { stock_quantity: parseInt(newQuantity) },
+    reason || undefined
+  );
+}
+
+/**
+ * Stock that is neither sold nor reserved for an open order
+ * @param {Object} product - Product with stock_quantity and reserved_quantity
+ * @returns {number} Available quantity
+ */
+function getAvailableStock(product) {
+  return (product.stock_quantity || 0) - (product.reserved_quantity || 0);
 }
 
 /**
- * Reduce product stock (for order processing)
+ * Take stock out without a reservation (orders placed before reservations existed)
  * @param {string} productId - Product ID
  * @param {number} quantity - Quantity to reduce
+ * @param {Object} details - { reason, orderId, actorId } for the stock ledger
  * @returns {Object} Updated product
  */
-async function reduceStock(productId, quantity) {
-  const product = await getProductById(productId);
-
-  if (!product) {
-    throw new Error("Product not found");
-  }
-
-  if (product.stock_quantity < quantity) {
-    throw new Error("Insufficient stock available");
-  }
+async function reduceStock(productId, quantity, details = {}) {
+  return await moveStock(productId, "sale", quantity, {
+    reason: "Order confirmed",
+    ...details,
+  });
+}
 
-  const newQuantity = product.stock_quantity - quantity;
+/**
+ * Hold stock for an order until the wholesaler confirms it
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Quantity to reserve
+ * @param {Object} details - { reason, orderId, bulkOrderId, actorId } for the stock ledger
+ * @returns {Object} Updated product
+ */
+async function reserveStock(productId, quantity, details = {}) {
+  return await moveStock(productId, "reserve", quantity, {
+    reason: "Reserved for order",
+    ...details,
+  });
+}
 
-  try {
-    const { data, error } = await supabase
-      .from("products")
-      .update({ stock_quantity: newQuantity })
-      .eq("id", productId)
-      .select()
-      .single();
+/**
+ * Release a stock reservation, optionally deducting it from stock (when the order is confirmed)
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Reserved quantity
+ * @param {Object} options - { consume: true to also reduce stock_quantity, reason, orderId, bulkOrderId, actorId }
+ * @returns {Object} Updated product
+ */
+async function releaseReservedStock(productId, quantity, options = {}) {
+  const { consume = false, ...details } = options;
 
-    if (error) {
-      console.error("Error reducing stock:", error);
-      throw new Error("Failed to update stock");
-    }
+  return await moveStock(productId, consume ? "commit" : "release", quantity, {
+    reason: consume ? "Order confirmed" : "Reservation released",
+    ...details,
+  });
+}
 
-    return data;
-  } catch (error) {
-    console.error("Error in reduceStock:", error);
-    throw error;
-  }
+/**
+ * Put stock back (a confirmed order was cancelled)
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Quantity to return
+ * @param {Object} details - { reason, orderId, actorId } for the stock ledger
+ * @returns {Object} Updated product
+ */
+async function returnStock(productId, quantity, details = {}) {
+  return await moveStock(productId, "return", quantity, {
+    reason: "Order cancelled",
+    ...details,
+  });
 }
 
 /**
@@ -554,10 +681,15 @@ module.exports = {
   updateProduct,
   getProducts,
   getProductById,
+  getTierPrice,
   calculateBulkPrice,
   getBulkPricingTiers,
   updateStock,
   reduceStock,
+  getAvailableStock,
+  reserveStock,
+  releaseReservedStock,
+  returnStock,
   getProductsByCategory,
   getProductsByLocation,
   searchProducts,
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+/**
+ * Africa's Talking SMS Adapter
+ * Receives inbound SMS through the Africa's Talking callback and sends replies
+ * through the messaging API, split into SMS-sized parts.
+ * AT_BASE_URL can point at the sandbox or at scripts/mock-africastalking.js.
+ *
+ * Africa's Talking does not sign its callbacks, so every callback URL (SMS, delivery
+ * reports and USSD) must carry ?secret=<AT_CALLBACK_SECRET>; without a configured
+ * secret the SMS adapter refuses to start and all callbacks are rejected.
+ */
+
+// GSM-7 fits 160 characters in one SMS, 153 per part once a message is split
+const SMS_SINGLE_LENGTH = 160;
+const SMS_PART_LENGTH = 153;
+
+/**
+ * Make text SMS friendly: drop WhatsApp markdown and emoji (which would force
+ * UCS-2 encoding and cut each SMS to 70 characters)
+ * @param {string} text - Message text
+ * @returns {string} Plain text
+ */
+function toSmsText(text) {
+  return String(text || '')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/\*(.+?)\*/g, '$1')
+    .replace(/_(.+?)_/g, '$1')
+    .replace(/[^\x0A\x0D\x20-\x7E£¥èéùìòÇØøÅåÉÄÖÑÜäöñüà€]/g, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into SMS-sized parts, breaking on whitespace where possible
+ * @param {string} text - Plain SMS text
+ * @param {number} maxParts - Maximum number of parts (the last one is truncated)
+ * @returns {Array<string>} Parts, numbered "(1/3)" when there is more than one
+ */
+function chunkSms(text, maxParts = 5) {
+  if (text.length <= SMS_SINGLE_LENGTH) {
+    return [text];
+  }
+
+  // Leave room for the " (1/3)" suffix
+  const partLength = SMS_PART_LENGTH - 6;
+  const parts = [];
+  let remaining = text;
+
+  while (remaining.length > 0 && parts.length < maxParts) {
+    if (remaining.length <= partLength) {
+      parts.push(remaining);
+      remaining = '';
+      break;
+    }
+
+    let cut = remaining.lastIndexOf(' ', partLength);
+    const newline = remaining.lastIndexOf('\n', partLength);
+    cut = Math.max(cut, newline);
+    if (cut < partLength / 2) {
+      cut = partLength;
+    }
+
+    parts.push(remaining.slice(0, cut).trim());
+    remaining = remaining.slice(cut).trim();
+  }
+
+  if (remaining.length > 0) {
+    const last = parts[parts.length - 1];
+    parts[parts.length - 1] = `${last.slice(0, partLength - 3).trim()}...`;
+  }
+
+  return parts.map((part, index) => `${part} (${index + 1}/${parts.length})`);
+}
+
+/**
+ * Check the ?secret= carried by an Africa's Talking callback
+ * @param {string} secret - Secret from the callback URL
+ * @param {string} expected - Configured secret (defaults to AT_CALLBACK_SECRET)
+ * @returns {boolean} True if a secret is configured and matches
+ */
+function isValidCallbackSecret(secret, expected = process.env.AT_CALLBACK_SECRET) {
+  if (!expected || typeof secret !== 'string') {
+    return false;
+  }
+
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const receivedHash = crypto.createHash('sha256').update(secret).digest();
+
+  return crypto.timingSafeEqual(expectedHash, receivedHash);
+}
+
+/**
+ * Create an Africa's Talking SMS adapter
+ * @param {Object} options - { logger, username, apiKey, senderId, baseUrl, maxParts, callbackSecret }
+ * @returns {Object} Messaging adapter
+ */
+function createAfricasTalkingAdapter(options = {}) {
+  const logger = options.logger || console;
+  const username = options.username || process.env.AT_USERNAME;
+  const apiKey = options.apiKey || process.env.AT_API_KEY;
+  const senderId = options.senderId || process.env.AT_SENDER_ID || null;
+  const baseUrl = (options.baseUrl || process.env.AT_BASE_URL || 'https://api.africastalking.com').replace(/\/$/, '');
+  const maxParts = options.maxParts || parseInt(process.env.SMS_MAX_PARTS) || 5;
+  const callbackSecret = options.callbackSecret || process.env.AT_CALLBACK_SECRET || null;
+
+  if (!username || !apiKey) {
+    throw new Error('AT_USERNAME and AT_API_KEY are required for the africastalking adapter');
+  }
+
+  if (!callbackSecret) {
+    throw new Error('AT_CALLBACK_SECRET is required for the africastalking adapter to authenticate callbacks');
+  }
+
+  let onMessage = null;
+  let onStatus = null;
+
+  /**
+   * Send one SMS through the messaging API
+   * @param {string} to - Phone number in international format
+   * @param {string} message - SMS text
+   * @returns {Promise<string|null>} Africa's Talking message ID
+   */
+  async function sendSms(to, message) {
+    const form = new URLSearchParams({ username, to, message });
+    if (senderId) {
+      form.append('from', senderId);
+    }
+
+    const { data } = await axios.post(`${baseUrl}/version1/messaging`, form.toString(), {
+      headers: {
+        apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: 15000
+    });
+
+    const recipient = data?.SMSMessageData?.Recipients?.[0];
+    if (!recipient || !['Success', 'Sent', 'Queued'].some(status => String(recipient.status).startsWith(status))) {
+      throw new Error(`SMS to ${to} was not accepted: ${recipient?.status || data?.SMSMessageData?.Message || 'no recipient in response'}`);
+    }
+
+    return recipient.messageId || null;
+  }
+
+  /**
+   * Send a text message, split into SMS-sized parts
+   * @param {string} recipient - Phone number
+   * @param {string} text - Message text
+   * @returns {Promise<string|null>} Message ID of the first part
+   */
+  async function sendText(recipient, text) {
+    const to = `+${String(recipient).split('@')[0].replace(/\D/g, '')}`;
+    const parts = chunkSms(toSmsText(text), maxParts);
+
+    let firstMessageId = null;
+    for (const part of parts) {
+      const messageId = await sendSms(to, part);
+      firstMessageId = firstMessageId || messageId;
+    }
+
+    return firstMessageId;
+  }
+
+  /**
+   * Reject callbacks that don't carry the shared secret
+   */
+  function verifyCallback(req, res, next) {
+    if (!isValidCallbackSecret(req.query.secret, callbackSecret)) {
+      logger.warn('Rejected SMS callback with a missing or invalid secret');
+      return res.sendStatus(401);
+    }
+    next();
+  }
+
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  // Inbound SMS: from, to, text, date, id, linkId
+  router.post('/', verifyCallback, async (req, res) => {
+    res.sendStatus(200);
+
+    const { from, text, id, date } = req.body || {};
+    if (!onMessage || !from || !text) {
+      return;
+    }
+
+    const phone = String(from).replace(/\D/g, '');
+
+    try {
+      await onMessage({
+        from: phone,
+        chatId: phone,
+        text: String(text).trim(),
+        imageBuffer: null,
+        messageId: id || null,
+        timestamp: date ? new Date(date) : new Date(),
+        raw: req.body
+      });
+    } catch (error) {
+      logger.error('Error handling inbound SMS:', error);
+    }
+  });
+
+  // Delivery reports: id, status (Success, Failed, Rejected, ...), failureReason
+  router.post('/delivery', verifyCallback, async (req, res) => {
+    res.sendStatus(200);
+
+    const { id, status, failureReason } = req.body || {};
+    if (!onStatus || !id) {
+      return;
+    }
+
+    const statusNames = { Success: 'delivered', Failed: 'failed', Rejected: 'failed' };
+    if (!statusNames[status]) {
+      return;
+    }
+
+    try {
+      await onStatus({
+        messageId: id,
+        status: statusNames[status],
+        timestamp: new Date(),
+        error: failureReason || null
+      });
+    } catch (error) {
+      logger.error('Error handling SMS delivery report:', error);
+    }
+  });
+
+  return {
+    name: 'africastalking',
+    router,
+
+    async start(handler, statusHandler) {
+      onMessage = handler;
+      onStatus = statusHandler || null;
+      logger.info(`Africa's Talking SMS adapter ready (${baseUrl}), waiting for callbacks`);
+    },
+
+    sendText,
+
+    async stop() {
+      onMessage = null;
+      onStatus = null;
+    }
+  };
+}
+
+module.exports = {
+  createAfricasTalkingAdapter,
+  isValidCallbackSecret,
+  toSmsText,
+  chunkSms
+};
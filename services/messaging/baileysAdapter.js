@@ -0,0 +1,229 @@
+const fs = require('fs').promises;
+const qrcode = require('qrcode');
+
+/**
+ * Baileys Adapter
+ * Connects to WhatsApp Web through a linked device session (QR code login)
+ */
+
+/**
+ * Create a Baileys messaging adapter
+ * @param {Object} options - { logger, authDir, qrPath }
+ * @returns {Object} Messaging adapter
+ */
+function createBaileysAdapter(options = {}) {
+  const logger = options.logger || console;
+  const authDir = options.authDir || './auth_info';
+  const qrPath = options.qrPath || 'qr.png';
+
+  // Loaded lazily so the bot can run with other adapters when Baileys is not installed
+  const {
+    makeWASocket,
+    DisconnectReason,
+    useMultiFileAuthState,
+    downloadMediaMessage,
+    fetchLatestBaileysVersion
+  } = require('@whiskeysockets/baileys');
+
+  let sock = null;
+  let onMessage = null;
+  let onStatus = null;
+  let stopped = false;
+
+  /**
+   * Convert a phone number or JID to a WhatsApp JID
+   * @param {string} recipient - Phone number or JID
+   * @returns {string} WhatsApp JID
+   */
+  function toJid(recipient) {
+    const value = String(recipient);
+    if (value.includes('@')) {
+      return value;
+    }
+    return `${value.replace(/\D/g, '')}@s.whatsapp.net`;
+  }
+
+  /**
+   * Parse a Baileys message to extract text and image data
+   * @param {Object} msg - Baileys message object
+   * @returns {Promise<Object>} Object containing messageText and imageBuffer
+   */
+  async function parseMessage(msg) {
+    const messageType = Object.keys(msg.message)[0];
+    let messageText = '';
+    let imageBuffer = null;
+
+    try {
+      // Handle image messages
+      if (msg.message.imageMessage) {
+        try {
+          imageBuffer = await downloadMediaMessage(msg, 'buffer', {}, { sock });
+          messageText = msg.message.imageMessage.caption || 'Analyze this agricultural image';
+          logger.info(`Image message received with caption: ${messageText}`);
+        } catch (error) {
+          logger.error('Error downloading image:', error);
+          await sock.sendMessage(msg.key.remoteJid, {
+            text: "❌ Sorry, I couldn't process that image. Please try sending it again or check if the image is too large."
+          });
+          return { messageText: '', imageBuffer: null };
+        }
+      }
+      // Handle text messages
+      else if (messageType === 'conversation') {
+        messageText = msg.message.conversation;
+      }
+      // Handle extended text messages (with formatting, links, etc.)
+      else if (messageType === 'extendedTextMessage') {
+        messageText = msg.message.extendedTextMessage.text;
+      }
+      // Handle other message types
+      else {
+        logger.info(`Unsupported message type: ${messageType}`);
+        return { messageText: '', imageBuffer: null };
+      }
+
+      return { messageText: messageText.trim(), imageBuffer };
+    } catch (error) {
+      logger.error('Error parsing WhatsApp message:', error);
+      return { messageText: '', imageBuffer: null };
+    }
+  }
+
+  /**
+   * Handle a messages.upsert event from Baileys
+   * @param {Object} messageUpdate - Baileys message update
+   */
+  async function handleUpsert(messageUpdate) {
+    const msg = messageUpdate.messages[0];
+
+    // Skip if no message content or if message is from bot itself
+    if (!msg || !msg.message || msg.key.fromMe) {
+      return;
+    }
+
+    const { messageText, imageBuffer } = await parseMessage(msg);
+
+    if (!messageText && !imageBuffer) {
+      return;
+    }
+
+    await onMessage({
+      from: (msg.key.remoteJid || '').split('@')[0],
+      chatId: msg.key.remoteJid,
+      text: messageText,
+      imageBuffer,
+      messageId: msg.key.id,
+      timestamp: msg.messageTimestamp ? new Date(Number(msg.messageTimestamp) * 1000) : new Date(),
+      raw: msg
+    });
+  }
+
+  /**
+   * Open the WhatsApp socket and register event listeners
+   */
+  async function connect() {
+    const { state, saveCreds } = await useMultiFileAuthState(authDir);
+    const { version, isLatest } = await fetchLatestBaileysVersion();
+    logger.info(`using WA v${version.join('.')}, isLatest: ${isLatest}`);
+
+    sock = makeWASocket({
+      logger: options.logger,
+      auth: state,
+      browser: ['AgriAIBot', 'Safari', '1.0.0']
+    });
+
+    sock.ev.on('creds.update', saveCreds);
+
+    sock.ev.on('messages.upsert', async (m) => {
+      try {
+        await handleUpsert(m);
+      } catch (error) {
+        logger.error('Error handling WhatsApp message:', error);
+      }
+    });
+
+    // Delivery receipts for messages we sent (WebMessageInfo.Status: 0 error, 2 server ack, 3 delivered, 4 read, 5 played)
+    sock.ev.on('messages.update', async (updates) => {
+      if (!onStatus) return;
+
+      const statusNames = { 0: 'failed', 2: 'sent', 3: 'delivered', 4: 'read', 5: 'read' };
+
+      for (const { key, update } of updates) {
+        const status = statusNames[update?.status];
+        if (!key?.fromMe || !status) continue;
+
+        try {
+          await onStatus({ messageId: key.id, status, timestamp: new Date(), error: null });
+        } catch (error) {
+          logger.error('Error handling WhatsApp delivery receipt:', error);
+        }
+      }
+    });
+
+    sock.ev.on('connection.update', (update) => {
+      const { connection, lastDisconnect, qr } = update;
+
+      if (qr) {
+        logger.info('📱 WhatsApp QR Code received. Scan it from WhatsApp > Settings > Linked Devices.');
+        qrcode.toFile(qrPath, qr, (err) => {
+          if (err) {
+            logger.error('Error generating QR code image:', err);
+          } else {
+            logger.info(`✅ QR code image saved as ${qrPath}`);
+          }
+        });
+      }
+
+      if (connection === 'close') {
+        const loggedOut = lastDisconnect?.error?.output?.statusCode === DisconnectReason.loggedOut;
+        logger.info('connection closed due to ', lastDisconnect?.error, ', reconnecting ', !loggedOut);
+
+        if (loggedOut) {
+          logger.info('Connection closed due to being logged out. Deleting auth directory.');
+          fs.rm(authDir, { recursive: true, force: true }).catch(error => {
+            logger.error('Error deleting auth directory:', error);
+          });
+        }
+
+        // reconnect if not logged out
+        if (!loggedOut && !stopped) {
+          connect().catch(error => logger.error('WhatsApp reconnect failed:', error));
+        }
+      } else if (connection === 'open') {
+        logger.info('✅ WhatsApp connection established successfully!');
+      }
+    });
+  }
+
+  return {
+    name: 'baileys',
+
+    async start(handler, statusHandler) {
+      onMessage = handler;
+      onStatus = statusHandler || null;
+      stopped = false;
+      await connect();
+    },
+
+    async sendText(recipient, text) {
+      if (!sock) {
+        throw new Error('WhatsApp socket is not connected');
+      }
+
+      const result = await sock.sendMessage(toJid(recipient), { text });
+      return result?.key?.id || null;
+    },
+
+    async stop() {
+      stopped = true;
+      if (sock) {
+        sock.end(undefined);
+        sock = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createBaileysAdapter
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+/**
+ * WhatsApp Cloud API Adapter
+ * Receives messages through the Meta webhook and sends replies through the Graph API.
+ * Every webhook call must carry an X-Hub-Signature-256 header signed with the app
+ * secret; unsigned or forged calls are rejected before they reach the bot.
+ */
+
+/**
+ * Check a webhook body against its X-Hub-Signature-256 header
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signatureHeader - Header value ("sha256=<hex>")
+ * @param {string} appSecret - Meta app secret
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')
+  );
+  const received = Buffer.from(signatureHeader.slice('sha256='.length));
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Create a WhatsApp Cloud API messaging adapter
+ * @param {Object} options - { logger, token, phoneNumberId, verifyToken, appSecret, apiUrl }
+ * @returns {Object} Messaging adapter
+ */
+function createCloudApiAdapter(options = {}) {
+  const logger = options.logger || console;
+  const token = options.token || process.env.WHATSAPP_CLOUD_TOKEN;
+  const phoneNumberId = options.phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID;
+  const verifyToken = options.verifyToken || process.env.WHATSAPP_VERIFY_TOKEN;
+  const appSecret = options.appSecret || process.env.WHATSAPP_APP_SECRET;
+  const apiUrl = options.apiUrl || process.env.WHATSAPP_CLOUD_API_URL || 'https://graph.facebook.com/v19.0';
+
+  if (!token || !phoneNumberId) {
+    throw new Error('WHATSAPP_CLOUD_TOKEN and WHATSAPP_PHONE_NUMBER_ID are required for the cloud_api adapter');
+  }
+
+  if (!appSecret) {
+    throw new Error('WHATSAPP_APP_SECRET is required for the cloud_api adapter to verify webhook signatures');
+  }
+
+  const authHeaders = { Authorization: `Bearer ${token}` };
+  let onMessage = null;
+  let onStatus = null;
+
+  /**
+   * Download media attached to a Cloud API message
+   * @param {string} mediaId - Media ID from the webhook payload
+   * @returns {Promise<Buffer>} Media content
+   */
+  async function downloadMedia(mediaId) {
+    const { data: media } = await axios.get(`${apiUrl}/${mediaId}`, { headers: authHeaders });
+    const response = await axios.get(media.url, {
+      headers: authHeaders,
+      responseType: 'arraybuffer'
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Convert a Cloud API webhook message into a normalized inbound message
+   * @param {Object} message - Message from value.messages
+   * @returns {Promise<Object|null>} Normalized message or null if unsupported
+   */
+  async function normalizeMessage(message) {
+    let text = '';
+    let imageBuffer = null;
+
+    if (message.type === 'text') {
+      text = message.text?.body || '';
+    } else if (message.type === 'image') {
+      try {
+        imageBuffer = await downloadMedia(message.image.id);
+        text = message.image.caption || 'Analyze this agricultural image';
+      } catch (error) {
+        logger.error('Error downloading image:', error);
+        await sendText(message.from, "❌ Sorry, I couldn't process that image. Please try sending it again or check if the image is too large.");
+        return null;
+      }
+    } else {
+      logger.info(`Unsupported message type: ${message.type}`);
+      return null;
+    }
+
+    return {
+      from: message.from,
+      chatId: message.from,
+      text: text.trim(),
+      imageBuffer,
+      messageId: message.id,
+      timestamp: message.timestamp ? new Date(Number(message.timestamp) * 1000) : new Date(),
+      raw: message
+    };
+  }
+
+  /**
+   * Send a text message through the Graph API
+   * @param {string} recipient - Phone number or WhatsApp JID
+   * @param {string} text - Message text
+   * @returns {Promise<string|null>} WhatsApp message ID
+   */
+  async function sendText(recipient, text) {
+    const to = String(recipient).split('@')[0].replace(/\D/g, '');
+
+    const { data } = await axios.post(`${apiUrl}/${phoneNumberId}/messages`, {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to,
+      type: 'text',
+      text: { body: text }
+    }, { headers: authHeaders });
+
+    return data?.messages?.[0]?.id || null;
+  }
+
+  const router = express.Router();
+
+  // Webhook verification handshake
+  router.get('/', (req, res) => {
+    const mode = req.query['hub.mode'];
+    const challenge = req.query['hub.challenge'];
+
+    if (mode === 'subscribe' && verifyToken && req.query['hub.verify_token'] === verifyToken) {
+      return res.status(200).send(challenge);
+    }
+
+    res.sendStatus(403);
+  });
+
+  // Incoming message and delivery status notifications. The signature covers the
+  // exact bytes Meta sent, so the app's JSON parser keeps them on req.rawBody; when
+  // mounted without it, the body is read raw here instead.
+  router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+    const rawBody = req.rawBody || (Buffer.isBuffer(req.body) ? req.body : null);
+
+    if (!verifySignature(rawBody, req.get('X-Hub-Signature-256'), appSecret)) {
+      logger.warn('Rejected Cloud API webhook call with a missing or invalid signature');
+      return res.sendStatus(401);
+    }
+
+    let body = req.body;
+    if (Buffer.isBuffer(body)) {
+      try {
+        body = JSON.parse(body.toString('utf8'));
+      } catch (error) {
+        return res.sendStatus(400);
+      }
+    }
+
+    // Acknowledge immediately so Meta does not retry while we process
+    res.sendStatus(200);
+
+    if (!onMessage || body?.object !== 'whatsapp_business_account') {
+      return;
+    }
+
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
+        for (const status of change.value?.statuses || []) {
+          if (onStatus) {
+            await onStatus({
+              messageId: status.id,
+              status: status.status,
+              timestamp: status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date(),
+              error: status.errors?.[0]?.title || null
+            });
+          }
+        }
+
+        for (const message of change.value?.messages || []) {
+          try {
+            const normalized = await normalizeMessage(message);
+            if (normalized && (normalized.text || normalized.imageBuffer)) {
+              await onMessage(normalized);
+            }
+          } catch (error) {
+            logger.error('Error handling Cloud API message:', error);
+          }
+        }
+      }
+    }
+  });
+
+  return {
+    name: 'cloud_api',
+    router,
+
+    async start(handler, statusHandler) {
+      onMessage = handler;
+      onStatus = statusHandler || null;
+      logger.info('WhatsApp Cloud API adapter ready, waiting for webhook calls');
+    },
+
+    sendText,
+
+    async stop() {
+      onMessage = null;
+      onStatus = null;
+    }
+  };
+}
+
+module.exports = {
+  createCloudApiAdapter,
+  verifySignature
+};
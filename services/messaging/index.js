@@ -0,0 +1,224 @@
+/**
+ * Messaging Gateway
+ * Transport-agnostic layer between the bot and the chat providers it speaks to.
+ *
+ * Adapters are registered per channel (e.g. 'whatsapp') and must implement:
+ * - start(onMessage, onStatus): connect and deliver normalized inbound messages to onMessage,
+ *   and delivery receipts for sent messages to onStatus (if the provider reports them)
+ * - sendText(recipient, text): send a text message, resolves to a provider message ID (if any)
+ * - stop(): optional, disconnect
+ * - router: optional Express router for webhook-based providers
+ *
+ * Normalized inbound messages look like:
+ * { channel, from, chatId, text, imageBuffer, messageId, timestamp, raw }
+ *
+ * Normalized delivery receipts look like:
+ * { channel, messageId, status: 'sent' | 'delivered' | 'read' | 'failed', timestamp, error }
+ */
+
+const DEFAULT_CHANNEL = 'whatsapp';
+const SMS_CHANNEL = 'sms';
+
+const adapterFactories = {
+  baileys: options => require('./baileysAdapter').createBaileysAdapter(options),
+  cloud_api: options => require('./cloudApiAdapter').createCloudApiAdapter(options),
+  africastalking: options => require('./africasTalkingAdapter').createAfricasTalkingAdapter(options),
+  loopback: options => require('./loopbackAdapter').createLoopbackAdapter(options)
+};
+
+const adapters = new Map();
+let messageHandler = null;
+let statusHandler = null;
+
+/**
+ * Create an adapter by type name
+ * @param {string} type - Adapter type ('baileys', 'cloud_api', 'africastalking', 'loopback')
+ * @param {Object} options - Adapter options
+ * @returns {Object} Adapter instance
+ */
+function createAdapter(type, options = {}) {
+  const factory = adapterFactories[type];
+
+  if (!factory) {
+    throw new Error(`Unknown messaging adapter: ${type}. Use one of: ${Object.keys(adapterFactories).join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Register an adapter for a channel, replacing any existing one
+ * @param {string} channel - Channel name
+ * @param {Object} adapter - Adapter instance
+ * @returns {Object} The registered adapter
+ */
+function registerAdapter(channel, adapter) {
+  if (!adapter || typeof adapter.sendText !== 'function') {
+    throw new Error('Messaging adapters must implement sendText');
+  }
+
+  adapters.set(channel, adapter);
+  return adapter;
+}
+
+/**
+ * Get the adapter registered for a channel
+ * @param {string} channel - Channel name
+ * @returns {Object|null} Adapter or null if none configured
+ */
+function getAdapter(channel = DEFAULT_CHANNEL) {
+  return adapters.get(channel) || null;
+}
+
+/**
+ * Configure the gateway from environment variables
+ * MESSAGING_ADAPTER selects the WhatsApp transport and must be set; loopback has to be
+ * chosen explicitly because it drops every outbound message
+ * SMS_ADAPTER enables the SMS channel (africastalking or loopback; unset disables SMS)
+ * @param {Object} options - Options passed to every adapter (e.g. logger)
+ */
+function configureGateway(options = {}) {
+  const type = (process.env.MESSAGING_ADAPTER || '').toLowerCase();
+
+  if (!type) {
+    throw new Error(`MESSAGING_ADAPTER is not set. Use one of: ${Object.keys(adapterFactories).join(', ')}`);
+  }
+
+  registerAdapter(DEFAULT_CHANNEL, createAdapter(type, options));
+
+  const smsType = (process.env.SMS_ADAPTER || '').toLowerCase();
+  if (smsType) {
+    registerAdapter(SMS_CHANNEL, createAdapter(smsType, options));
+  }
+}
+
+/**
+ * Set the handler that receives normalized inbound messages
+ * @param {Function} handler - Async function receiving a normalized message
+ */
+function onMessage(handler) {
+  messageHandler = handler;
+}
+
+/**
+ * Deliver an inbound message from an adapter to the registered handler
+ * @param {Object} message - Normalized inbound message
+ */
+async function handleInbound(message) {
+  if (!messageHandler) {
+    console.warn(`No message handler registered, dropping ${message.channel} message from ${message.from}`);
+    return;
+  }
+
+  try {
+    await messageHandler(message);
+  } catch (error) {
+    console.error(`Error handling inbound ${message.channel} message:`, error);
+  }
+}
+
+/**
+ * Set the handler that receives delivery receipts for sent messages
+ * @param {Function} handler - Async function receiving a normalized receipt
+ */
+function onStatus(handler) {
+  statusHandler = handler;
+}
+
+/**
+ * Deliver a receipt from an adapter to the registered status handler
+ * @param {Object} receipt - Normalized delivery receipt
+ */
+async function handleStatus(receipt) {
+  if (!statusHandler || !receipt.messageId) {
+    return;
+  }
+
+  try {
+    await statusHandler(receipt);
+  } catch (error) {
+    console.error(`Error handling ${receipt.channel} delivery receipt:`, error);
+  }
+}
+
+/**
+ * Start all registered adapters
+ * @returns {Promise<void>}
+ */
+async function startGateway() {
+  for (const [channel, adapter] of adapters.entries()) {
+    if (typeof adapter.start === 'function') {
+      await adapter.start(
+        message => handleInbound({ channel, ...message }),
+        receipt => handleStatus({ channel, ...receipt })
+      );
+    }
+  }
+}
+
+/**
+ * Stop all registered adapters
+ * @returns {Promise<void>}
+ */
+async function stopGateway() {
+  for (const adapter of adapters.values()) {
+    if (typeof adapter.stop === 'function') {
+      await adapter.stop();
+    }
+  }
+}
+
+/**
+ * Send a text message through the configured adapter
+ * @param {string} recipient - Phone number, WhatsApp JID or chat ID
+ * @param {string} text - Message text
+ * @param {Object} options - { channel }
+ * @returns {Promise<string|null>} Provider message ID if available
+ */
+async function sendMessage(recipient, text, options = {}) {
+  const channel = options.channel || DEFAULT_CHANNEL;
+  const adapter = getAdapter(channel);
+
+  if (!adapter) {
+    throw new Error(`No messaging adapter configured for channel: ${channel}`);
+  }
+
+  return adapter.sendText(recipient, text);
+}
+
+/**
+ * Get webhook routers exposed by registered adapters
+ * @returns {Array<Object>} Array of { channel, router }
+ */
+function getWebhookRouters() {
+  return Array.from(adapters.entries())
+    .filter(([, adapter]) => adapter.router)
+    .map(([channel, adapter]) => ({ channel, router: adapter.router }));
+}
+
+/**
+ * Strip provider suffixes and formatting from a recipient to get bare digits
+ * @param {string} recipient - Phone number or WhatsApp JID
+ * @returns {string} Digits-only phone number
+ */
+function toPhoneDigits(recipient) {
+  return String(recipient).split('@')[0].replace(/\D/g, '');
+}
+
+module.exports = {
+  DEFAULT_CHANNEL,
+  SMS_CHANNEL,
+  createAdapter,
+  registerAdapter,
+  getAdapter,
+  configureGateway,
+  onMessage,
+  handleInbound,
+  onStatus,
+  handleStatus,
+  startGateway,
+  stopGateway,
+  sendMessage,
+  getWebhookRouters,
+  toPhoneDigits
+};
@@ -0,0 +1,68 @@
+/**
+ * Loopback Adapter
+ * In-memory transport for tests and local development without a WhatsApp connection.
+ * Outgoing messages are recorded in `sent`; inbound messages are simulated with `inject`.
+ */
+
+/**
+ * Create a loopback messaging adapter
+ * @param {Object} options - { logger }
+ * @returns {Object} Messaging adapter
+ */
+function createLoopbackAdapter(options = {}) {
+  const logger = options.logger || console;
+  const sent = [];
+  let onMessage = null;
+  let counter = 0;
+
+  return {
+    name: 'loopback',
+    sent,
+
+    async start(handler) {
+      onMessage = handler;
+      logger.info('Loopback messaging adapter started (messages are not delivered)');
+    },
+
+    async sendText(recipient, text) {
+      const messageId = `loopback-${++counter}`;
+      sent.push({ messageId, recipient, text, timestamp: new Date() });
+      return messageId;
+    },
+
+    /**
+     * Simulate an inbound message
+     * @param {string} from - Sender phone number
+     * @param {string} text - Message text
+     * @param {Buffer} imageBuffer - Optional image data
+     * @returns {Promise<void>}
+     */
+    async inject(from, text, imageBuffer = null) {
+      if (!onMessage) {
+        throw new Error('Loopback adapter has not been started');
+      }
+
+      await onMessage({
+        from,
+        chatId: from,
+        text: text || '',
+        imageBuffer,
+        messageId: `loopback-in-${++counter}`,
+        timestamp: new Date(),
+        raw: null
+      });
+    },
+
+    reset() {
+      sent.length = 0;
+    },
+
+    async stop() {
+      onMessage = null;
+    }
+  };
+}
+
+module.exports = {
+  createLoopbackAdapter
+};
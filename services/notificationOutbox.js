@@ -0,0 +1,496 @@
+const { supabase } = require('./supabase');
+const { sendMessage, DEFAULT_CHANNEL } = require('./messaging');
+
+/**
+ * Notification Outbox Service
+ * Queues outbound notifications, applies user preferences and quiet hours,
+ * and sends them with per-channel rate limits, retries and delivery receipts.
+ */
+
+const NOTIFICATION_CATEGORIES = ['marketplace', 'sacco', 'price_alerts', 'weather', 'announcements'];
+
+const DEFAULT_PREFERENCES = {
+  marketplace: true,
+  sacco: true,
+  price_alerts: true,
+  weather: true,
+  announcements: true,
+  quiet_hours_start: null,
+  quiet_hours_end: null
+};
+
+// Quiet hours are set in East Africa Time (UTC+3, no DST)
+const EAT_OFFSET_MINUTES = 3 * 60;
+
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Rows left in 'sending' this long (e.g. the process died mid-send) are retried
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+const lastSentAt = new Map();
+
+/**
+ * Messages per minute for each channel
+ * NOTIFICATION_RATE_LIMITS overrides the defaults, e.g. "whatsapp:20,sms:60"
+ * @returns {Object} Map of channel to messages per minute
+ */
+function getRateLimits() {
+  const limits = { whatsapp: 30, sms: 60 };
+
+  for (const pair of (process.env.NOTIFICATION_RATE_LIMITS || '').split(',')) {
+    const [channel, perMinute] = pair.split(':').map(part => part && part.trim());
+    if (channel && parseInt(perMinute) > 0) {
+      limits[channel] = parseInt(perMinute);
+    }
+  }
+
+  return limits;
+}
+
+/**
+ * Wait until the channel's rate limit allows another message
+ * @param {string} channel - Channel name
+ */
+async function waitForRateLimit(channel) {
+  const perMinute = getRateLimits()[channel] || 30;
+  const minInterval = 60000 / perMinute;
+  const waitMs = (lastSentAt.get(channel) || 0) + minInterval - Date.now();
+
+  if (waitMs > 0) {
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+  }
+
+  lastSentAt.set(channel, Date.now());
+}
+
+/**
+ * Retry delay after a failed attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Convert a TIME value ("HH:MM" or "HH:MM:SS") to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number|null} Minutes, or null if not a valid time
+ */
+function parseTimeOfDay(time) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/.exec(String(time || ''));
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+/**
+ * Find when quiet hours end if a time falls inside them
+ * @param {Object} preferences - Notification preferences
+ * @param {Date} now - Time to check
+ * @returns {Date|null} End of the current quiet period, or null if not in quiet hours
+ */
+function getQuietHoursEnd(preferences, now = new Date()) {
+  const start = parseTimeOfDay(preferences?.quiet_hours_start);
+  const end = parseTimeOfDay(preferences?.quiet_hours_end);
+
+  if (start === null || end === null || start === end) {
+    return null;
+  }
+
+  const minutes = (now.getUTCHours() * 60 + now.getUTCMinutes() + EAT_OFFSET_MINUTES) % 1440;
+  const inQuietHours = start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+
+  if (!inQuietHours) {
+    return null;
+  }
+
+  const minutesUntilEnd = (end - minutes + 1440) % 1440;
+  const resume = new Date(now.getTime() + minutesUntilEnd * 60 * 1000);
+  resume.setUTCSeconds(0, 0);
+
+  return resume;
+}
+
+/**
+ * Get a user's notification preferences (defaults if they never set any)
+ * @param {string} userId - User ID
+ * @returns {Object} Preferences
+ */
+async function getNotificationPreferences(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching notification preferences:', error);
+      throw new Error('Failed to fetch notification preferences');
+    }
+
+    return { ...DEFAULT_PREFERENCES, ...(data || {}), user_id: userId };
+  } catch (error) {
+    console.error('Error in getNotificationPreferences:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a user's notification preferences
+ * @param {string} userId - User ID
+ * @param {Object} updates - Category booleans and/or quiet_hours_start / quiet_hours_end ("HH:MM" or null)
+ * @returns {Object} Updated preferences
+ */
+async function updateNotificationPreferences(userId, updates) {
+  const changes = {};
+
+  for (const category of NOTIFICATION_CATEGORIES) {
+    if (updates[category] !== undefined) {
+      if (typeof updates[category] !== 'boolean') {
+        throw new Error(`Invalid value for ${category}: must be true or false`);
+      }
+      changes[category] = updates[category];
+    }
+  }
+
+  for (const field of ['quiet_hours_start', 'quiet_hours_end']) {
+    if (updates[field] !== undefined) {
+      if (updates[field] !== null && parseTimeOfDay(updates[field]) === null) {
+        throw new Error(`Invalid ${field}: use HH:MM (24-hour)`);
+      }
+      changes[field] = updates[field];
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw new Error('No valid preferences to update');
+  }
+
+  try {
+    const current = await getNotificationPreferences(userId);
+    const merged = { ...current, ...changes };
+
+    if ((merged.quiet_hours_start === null) !== (merged.quiet_hours_end === null)) {
+      throw new Error('Invalid quiet hours: set both quiet_hours_start and quiet_hours_end, or neither');
+    }
+
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .upsert({
+        user_id: userId,
+        ...changes,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating notification preferences:', error);
+      throw new Error('Failed to update notification preferences');
+    }
+
+    return { ...DEFAULT_PREFERENCES, ...data };
+  } catch (error) {
+    console.error('Error in updateNotificationPreferences:', error);
+    throw error;
+  }
+}
+
+/**
+ * Queue notifications for delivery. Users who opted out of the category are
+ * skipped; users in quiet hours get the message when quiet hours end.
+ * @param {Array<Object>} notifications - [{ userId, recipient, category, message, channel }]
+ * @returns {Object} { queued, skipped }
+ */
+async function enqueueNotifications(notifications) {
+  try {
+    const valid = (notifications || []).filter(n => n && n.recipient && n.message);
+
+    for (const notification of valid) {
+      if (!NOTIFICATION_CATEGORIES.includes(notification.category)) {
+        throw new Error(`Invalid notification category: ${notification.category}`);
+      }
+    }
+
+    if (valid.length === 0) {
+      return { queued: 0, skipped: 0 };
+    }
+
+    // Load preferences for everyone in one query
+    const userIds = [...new Set(valid.map(n => n.userId).filter(Boolean))];
+    const preferencesByUser = new Map();
+
+    if (userIds.length > 0) {
+      const { data: preferences, error } = await supabase
+        .from('notification_preferences')
+        .select('*')
+        .in('user_id', userIds);
+
+      if (error) {
+        throw new Error(`Failed to get notification preferences: ${error.message}`);
+      }
+
+      for (const preference of preferences || []) {
+        preferencesByUser.set(preference.user_id, preference);
+      }
+    }
+
+    const now = new Date();
+    const rows = [];
+
+    for (const notification of valid) {
+      const preferences = { ...DEFAULT_PREFERENCES, ...(preferencesByUser.get(notification.userId) || {}) };
+
+      if (!preferences[notification.category]) {
+        continue;
+      }
+
+      const quietHoursEnd = getQuietHoursEnd(preferences, now);
+
+      rows.push({
+        user_id: notification.userId || null,
+        channel: notification.channel || DEFAULT_CHANNEL,
+        recipient: notification.recipient,
+        category: notification.category,
+        message: notification.message,
+        status: 'pending',
+        // Keep chunked messages in order by staggering them by a millisecond
+        next_attempt_at: new Date((quietHoursEnd || now).getTime() + rows.length).toISOString()
+      });
+    }
+
+    if (rows.length > 0) {
+      const { error } = await supabase
+        .from('notification_outbox')
+        .insert(rows);
+
+      if (error) {
+        console.error('Error queueing notifications:', error);
+        throw new Error('Failed to queue notifications');
+      }
+    }
+
+    return { queued: rows.length, skipped: valid.length - rows.length };
+  } catch (error) {
+    console.error('Error in enqueueNotifications:', error);
+    throw error;
+  }
+}
+
+/**
+ * Queue a single notification
+ * @param {Object} notification - { userId, recipient, category, message, channel }
+ * @returns {Object} { queued, skipped }
+ */
+async function enqueueNotification(notification) {
+  return enqueueNotifications([notification]);
+}
+
+/**
+ * Send one claimed outbox row and record the outcome
+ * @param {Object} row - Outbox row (already marked 'sending')
+ * @returns {boolean} True if the message was handed to the provider
+ */
+async function deliverOutboxRow(row) {
+  const attempts = row.attempts + 1;
+
+  try {
+    await waitForRateLimit(row.channel);
+    const providerMessageId = await sendMessage(row.recipient, row.message, { channel: row.channel });
+
+    await supabase
+      .from('notification_outbox')
+      .update({
+        status: 'sent',
+        attempts,
+        provider_message_id: providerMessageId || null,
+        sent_at: new Date().toISOString(),
+        last_error: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', row.id);
+
+    return true;
+  } catch (error) {
+    const giveUp = attempts >= row.max_attempts;
+    console.error(`Notification ${row.id} attempt ${attempts} failed${giveUp ? ' (giving up)' : ''}:`, error.message);
+
+    await supabase
+      .from('notification_outbox')
+      .update({
+        status: giveUp ? 'failed' : 'pending',
+        attempts,
+        last_error: error.message,
+        next_attempt_at: new Date(Date.now() + getRetryDelay(attempts)).toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', row.id);
+
+    return false;
+  }
+}
+
+/**
+ * Send due notifications from the outbox
+ * @param {Object} options - { batchSize, timeBudgetMs }
+ * @returns {Object} { processed, sent, failed, remaining }
+ */
+async function processOutbox(options = {}) {
+  const batchSize = options.batchSize || parseInt(process.env.NOTIFICATION_BATCH_SIZE) || 100;
+  // Stop before the next scheduled run would start
+  const timeBudgetMs = options.timeBudgetMs || 50 * 1000;
+  const startedAt = Date.now();
+
+  try {
+    // Release rows stuck in 'sending' by a crashed worker
+    await supabase
+      .from('notification_outbox')
+      .update({ status: 'pending', updated_at: new Date().toISOString() })
+      .eq('status', 'sending')
+      .lt('updated_at', new Date(Date.now() - STALE_SENDING_MS).toISOString());
+
+    const { data: dueRows, error } = await supabase
+      .from('notification_outbox')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(batchSize);
+
+    if (error) {
+      throw new Error(`Failed to get due notifications: ${error.message}`);
+    }
+
+    const result = { processed: 0, sent: 0, failed: 0, remaining: 0 };
+
+    for (const row of dueRows || []) {
+      if (Date.now() - startedAt > timeBudgetMs) {
+        result.remaining = dueRows.length - result.processed;
+        break;
+      }
+
+      // Claim the row so a second worker doesn't send it too
+      const { data: claimed } = await supabase
+        .from('notification_outbox')
+        .update({ status: 'sending', updated_at: new Date().toISOString() })
+        .eq('id', row.id)
+        .eq('status', 'pending')
+        .select('id')
+        .maybeSingle();
+
+      result.processed++;
+
+      if (!claimed) {
+        continue;
+      }
+
+      if (await deliverOutboxRow(row)) {
+        result.sent++;
+      } else {
+        result.failed++;
+      }
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error in processOutbox:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a delivery receipt from the messaging gateway
+ * @param {Object} receipt - { messageId, status, timestamp, error }
+ * @returns {Object|null} Updated outbox row, or null if the message isn't from the outbox
+ */
+async function recordDeliveryReceipt(receipt) {
+  const at = (receipt.timestamp ? new Date(receipt.timestamp) : new Date()).toISOString();
+
+  // Receipts can arrive out of order; only move a row forward
+  const transitions = {
+    delivered: { from: ['sent'], updates: { status: 'delivered', delivered_at: at } },
+    read: { from: ['sent', 'delivered'], updates: { status: 'read', read_at: at } },
+    failed: { from: ['sent', 'delivered'], updates: { status: 'failed', last_error: receipt.error || 'Delivery failed' } }
+  };
+
+  const transition = transitions[receipt.status];
+  if (!transition || !receipt.messageId) {
+    return null;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('notification_outbox')
+      .update({ ...transition.updates, updated_at: new Date().toISOString() })
+      .eq('provider_message_id', receipt.messageId)
+      .in('status', transition.from)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error recording delivery receipt:', error);
+      throw new Error('Failed to record delivery receipt');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in recordDeliveryReceipt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get notifications sent to a user
+ * @param {string} userId - User ID
+ * @param {Object} filters - { category, status, limit, offset }
+ * @returns {Array} Outbox rows, newest first
+ */
+async function getUserNotifications(userId, filters = {}) {
+  const { category, status, limit = 50, offset = 0 } = filters;
+
+  try {
+    let query = supabase
+      .from('notification_outbox')
+      .select('id, channel, category, message, status, attempts, sent_at, delivered_at, read_at, created_at')
+      .eq('user_id', userId);
+
+    if (category) {
+      query = query.eq('category', category);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Error fetching notifications:', error);
+      throw new Error('Failed to fetch notifications');
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getUserNotifications:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  DEFAULT_PREFERENCES,
+  getQuietHoursEnd,
+  getRetryDelay,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  enqueueNotification,
+  enqueueNotifications,
+  processOutbox,
+  recordDeliveryReceipt,
+  getUserNotifications
+};
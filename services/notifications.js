@@ -1,16 +1,18 @@
 const { supabase } = require('./supabase');
+const { enqueueNotifications } = require('./notificationOutbox');
+const { getTierProgress } = require('./bulkOrders');
+const { sendBulkOrderFinalizedEmail } = require('./mail');
 
 /**
  * Send marketplace notification to linked WhatsApp users
  * @param {Object} notification - Notification data
- * @param {Function} sendMessageCallback - Function to send WhatsApp message
  */
-async function sendMarketplaceNotification(notification, sendMessageCallback) {
+async function sendMarketplaceNotification(notification) {
     try {
         // Get all users with linked WhatsApp accounts
         const { data: users, error } = await supabase
             .from('users')
-            .select('whatsapp_phone, name, location, crops_grown')
+            .select('id, whatsapp_phone, name, location, crops_grown')
             .eq('whatsapp_linked', true)
             .not('whatsapp_phone', 'is', null);
             
@@ -26,21 +28,16 @@ async function sendMarketplaceNotification(notification, sendMessageCallback) {
         // Filter users based on notification criteria
         const targetUsers = filterUsersForNotification(users, notification);
         
-        // Send notifications to target users
-        for (const user of targetUsers) {
-            try {
-                const personalizedMessage = createPersonalizedMarketplaceMessage(notification, user);
-                await sendMessageCallback(`${user.whatsapp_phone}@s.whatsapp.net`, personalizedMessage);
-                
-                // Add small delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                
-            } catch (error) {
-                console.error(`Failed to send notification to ${user.whatsapp_phone}:`, error);
-            }
-        }
+        // Queue notifications for target users (preferences and quiet hours are applied by the outbox)
+        const result = await enqueueNotifications(targetUsers.map(user => ({
+            userId: user.id,
+            recipient: user.whatsapp_phone,
+            category: 'marketplace',
+            message: createPersonalizedMarketplaceMessage(notification, user)
+        })));
         
-        console.log(`Marketplace notification sent to ${targetUsers.length} users`);
+        console.log(`Marketplace notification queued for ${result.queued} users (${result.skipped} opted out)`);
+        return result;
         
     } catch (error) {
         console.error('Error sending marketplace notification:', error);
@@ -52,15 +49,15 @@ async function sendMarketplaceNotification(notification, sendMessageCallback) {
  * Send SACCO group update to members
  * @param {string} saccoId - SACCO group ID
  * @param {Object} update - Update data
- * @param {Function} sendMessageCallback - Function to send WhatsApp message
  */
-async function sendSACCOGroupUpdate(saccoId, update, sendMessageCallback) {
+async function sendSACCOGroupUpdate(saccoId, update) {
     try {
         // Get SACCO members with linked WhatsApp accounts
         const { data: members, error } = await supabase
             .from('sacco_memberships')
             .select(`
                 users!inner(
+                    id,
                     whatsapp_phone,
                     name,
                     whatsapp_linked
@@ -85,21 +82,16 @@ async function sendSACCOGroupUpdate(saccoId, update, sendMessageCallback) {
         
         const saccoName = members[0].sacco_groups.name;
         
-        // Send updates to all members
-        for (const member of members) {
-            try {
-                const personalizedMessage = createPersonalizedSACCOMessage(update, member.users, saccoName);
-                await sendMessageCallback(`${member.users.whatsapp_phone}@s.whatsapp.net`, personalizedMessage);
-                
-                // Add small delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                
-            } catch (error) {
-                console.error(`Failed to send SACCO update to ${member.users.whatsapp_phone}:`, error);
-            }
-        }
+        // Queue updates for all members
+        const result = await enqueueNotifications(members.map(member => ({
+            userId: member.users.id,
+            recipient: member.users.whatsapp_phone,
+            category: 'sacco',
+            message: createPersonalizedSACCOMessage(update, member.users, saccoName)
+        })));
         
-        console.log(`SACCO update sent to ${members.length} members`);
+        console.log(`SACCO update queued for ${result.queued} members (${result.skipped} opted out)`);
+        return result;
         
     } catch (error) {
         console.error('Error sending SACCO group update:', error);
@@ -110,10 +102,10 @@ async function sendSACCOGroupUpdate(saccoId, update, sendMessageCallback) {
 /**
  * Send bulk order notification to SACCO members
  * @param {string} bulkOrderId - Bulk order ID
- * @param {string} notificationType - Type of notification (new, deadline, finalized)
- * @param {Function} sendMessageCallback - Function to send WhatsApp message
+ * @param {string} notificationType - Type of notification (new, deadline, finalized, cancelled, ordered, delivered)
+ * @param {Object} options - { participantsOnly: only notify members who joined the order }
  */
-async function sendBulkOrderNotification(bulkOrderId, notificationType, sendMessageCallback) {
+async function sendBulkOrderNotification(bulkOrderId, notificationType, options = {}) {
     try {
         // Get bulk order details with SACCO members
         const { data: bulkOrder, error } = await supabase
@@ -122,16 +114,26 @@ async function sendBulkOrderNotification(bulkOrderId, notificationType, sendMess
                 *,
                 products!inner(
                     name,
-                    unit_type
+                    unit_type,
+                    unit_price,
+                    bulk_pricing
                 ),
-                sacco_groups!inner(
-                    name
+                bulk_order_participations(
+                    quantity,
+                    amount,
+                    user_id
                 ),
-                sacco_memberships!inner(
-                    users!inner(
-                        whatsapp_phone,
-                        name,
-                        whatsapp_linked
+                sacco_groups!inner(
+                    name,
+                    sacco_memberships(
+                        status,
+                        users!inner(
+                            id,
+                            email,
+                            whatsapp_phone,
+                            name,
+                            whatsapp_linked
+                        )
                     )
                 )
             `)
@@ -142,11 +144,22 @@ async function sendBulkOrderNotification(bulkOrderId, notificationType, sendMess
             throw new Error(`Failed to get bulk order: ${error.message}`);
         }
         
-        // Filter for linked WhatsApp users
-        const linkedMembers = bulkOrder.sacco_memberships
+        const participantIds = new Set(
+            (bulkOrder.bulk_order_participations || []).map(p => p.user_id)
+        );
+        
+        // Participants also get the final price by email, whether or not they use WhatsApp
+        if (notificationType === 'finalized') {
+            await emailFinalizedParticipants(bulkOrder);
+        }
+        
+        // Filter for active members with linked WhatsApp accounts
+        const linkedMembers = (bulkOrder.sacco_groups.sacco_memberships || [])
             .filter(membership => 
+                membership.status === 'active' &&
                 membership.users.whatsapp_linked && 
-                membership.users.whatsapp_phone
+                membership.users.whatsapp_phone &&
+                (!options.participantsOnly || participantIds.has(membership.users.id))
             );
             
         if (linkedMembers.length === 0) {
@@ -154,29 +167,16 @@ async function sendBulkOrderNotification(bulkOrderId, notificationType, sendMess
             return;
         }
         
-        // Send notifications based on type
-        for (const membership of linkedMembers) {
-            try {
-                const personalizedMessage = createBulkOrderMessage(
-                    bulkOrder, 
-                    notificationType, 
-                    membership.users
-                );
-                
-                await sendMessageCallback(
-                    `${membership.users.whatsapp_phone}@s.whatsapp.net`, 
-                    personalizedMessage
-                );
-                
-                // Add small delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                
-            } catch (error) {
-                console.error(`Failed to send bulk order notification to ${membership.users.whatsapp_phone}:`, error);
-            }
-        }
+        // Queue notifications based on type
+        const result = await enqueueNotifications(linkedMembers.map(membership => ({
+            userId: membership.users.id,
+            recipient: membership.users.whatsapp_phone,
+            category: 'sacco',
+            message: createBulkOrderMessage(bulkOrder, notificationType, membership.users)
+        })));
         
-        console.log(`Bulk order notification sent to ${linkedMembers.length} members`);
+        console.log(`Bulk order notification queued for ${result.queued} members (${result.skipped} opted out)`);
+        return result;
         
     } catch (error) {
         console.error('Error sending bulk order notification:', error);
@@ -184,8 +184,36 @@ async function sendBulkOrderNotification(bulkOrderId, notificationType, sendMess
     }
 }
 
+/**
+ * Email each participant of a finalized bulk order their quantity and amount
+ * @param {Object} bulkOrder - Bulk order with products, participations and SACCO members
+ */
+async function emailFinalizedParticipants(bulkOrder) {
+    const usersById = new Map(
+        (bulkOrder.sacco_groups.sacco_memberships || []).map(membership => [membership.users.id, membership.users])
+    );
+    const participations = bulkOrder.bulk_order_participations || [];
+    const totalQuantity = participations.reduce((sum, p) => sum + p.quantity, 0);
+    
+    for (const participation of participations) {
+        const user = usersById.get(participation.user_id);
+        if (!user) continue;
+        
+        await sendBulkOrderFinalizedEmail(user, {
+            saccoName: bulkOrder.sacco_groups.name,
+            productName: bulkOrder.products.name,
+            unitType: bulkOrder.products.unit_type,
+            quantity: participation.quantity,
+            unitPrice: bulkOrder.unit_price,
+            amount: participation.amount,
+            totalQuantity
+        });
+    }
+}
+
 /**
  * Filter users based on notification criteria
+ * (opt-outs and quiet hours are applied by the outbox when the notification is queued)
  * @param {Array} users - All users
  * @param {Object} notification - Notification data
  * @returns {Array} Filtered users
@@ -327,6 +355,11 @@ function createBulkOrderMessage(bulkOrder, notificationType, user) {
             message += `📦 Product: ${productName}\n`;
             message += `💰 Unit Price: KSh ${bulkOrder.unit_price}/${bulkOrder.products.unit_type}\n`;
             message += `🎯 Target Quantity: ${bulkOrder.total_quantity} ${bulkOrder.products.unit_type}\n`;
+            
+            const { next_tier: firstTier } = getTierProgress(bulkOrder.products, 0);
+            if (firstTier) {
+                message += `📉 Price drops to KSh ${firstTier.unit_price} once members order ${firstTier.min_quantity} ${bulkOrder.products.unit_type}\n`;
+            }
             if (bulkOrder.deadline) {
                 message += `⏰ Deadline: ${new Date(bulkOrder.deadline).toLocaleDateString()}\n`;
             }
@@ -341,7 +374,14 @@ function createBulkOrderMessage(bulkOrder, notificationType, user) {
             message += `⏰ **Bulk Order Deadline Approaching**\n`;
             message += `📦 Product: ${productName}\n`;
             message += `⏰ Time Left: ${hoursLeft} hours\n`;
-            message += `📊 Current Orders: ${bulkOrder.current_quantity || 0}/${bulkOrder.total_quantity} ${bulkOrder.products.unit_type}\n`;
+            const currentQuantity = bulkOrder.current_quantity ??
+                (bulkOrder.bulk_order_participations || []).reduce((sum, p) => sum + p.quantity, 0);
+            message += `📊 Current Orders: ${currentQuantity}/${bulkOrder.total_quantity} ${bulkOrder.products.unit_type}\n`;
+            
+            const { next_tier: nextTier } = getTierProgress(bulkOrder.products, currentQuantity);
+            if (nextTier) {
+                message += `📉 ${nextTier.quantity_needed} more ${bulkOrder.products.unit_type} drops the price to KSh ${nextTier.unit_price}/${bulkOrder.products.unit_type} (save KSh ${nextTier.savings_per_unit} each)\n`;
+            }
             message += `\n🏃‍♂️ Last chance to join this bulk order!`;
             break;
             
@@ -353,6 +393,22 @@ function createBulkOrderMessage(bulkOrder, notificationType, user) {
             message += `\n📋 Order has been placed with the supplier. Delivery details will follow.`;
             break;
             
+        case 'cancelled':
+            message += `❌ **Bulk Order Cancelled**\n`;
+            message += `📦 Product: ${productName}\n`;
+            if (bulkOrder.cancellation_reason) {
+                message += `📝 Reason: ${bulkOrder.cancellation_reason}\n`;
+            }
+            message += `\n💳 You will not be charged for this order. Any payment already made will be refunded.`;
+            break;
+            
+        case 'ordered':
+            message += `🏭 **Supplier Confirmed Bulk Order**\n`;
+            message += `📦 Product: ${productName}\n`;
+            message += `📊 Quantity: ${bulkOrder.total_quantity} ${bulkOrder.products.unit_type}\n`;
+            message += `\n🚚 The supplier is preparing your order for delivery.`;
+            break;
+            
         case 'delivered':
             message += `🚚 **Bulk Order Delivered**\n`;
             message += `📦 Product: ${productName}\n`;
@@ -371,9 +427,8 @@ function createBulkOrderMessage(bulkOrder, notificationType, user) {
  * Send market intelligence recommendations to users
  * @param {string} userId - User ID (optional, if null sends to all users)
  * @param {Object} recommendation - Recommendation data
- * @param {Function} sendMessageCallback - Function to send WhatsApp message
  */
-async function sendMarketIntelligenceNotification(userId, recommendation, sendMessageCallback) {
+async function sendMarketIntelligenceNotification(userId, recommendation) {
     try {
         let targetUsers = [];
         
@@ -381,7 +436,7 @@ async function sendMarketIntelligenceNotification(userId, recommendation, sendMe
             // Send to specific user
             const { data: user, error } = await supabase
                 .from('users')
-                .select('whatsapp_phone, name, location, crops_grown')
+                .select('id, whatsapp_phone, name, location, crops_grown')
                 .eq('id', userId)
                 .eq('whatsapp_linked', true)
                 .not('whatsapp_phone', 'is', null)
@@ -397,7 +452,7 @@ async function sendMarketIntelligenceNotification(userId, recommendation, sendMe
             // Send to all linked users (for general market alerts)
             const { data: users, error } = await supabase
                 .from('users')
-                .select('whatsapp_phone, name, location, crops_grown')
+                .select('id, whatsapp_phone, name, location, crops_grown')
                 .eq('whatsapp_linked', true)
                 .not('whatsapp_phone', 'is', null);
                 
@@ -413,21 +468,16 @@ async function sendMarketIntelligenceNotification(userId, recommendation, sendMe
             return;
         }
         
-        // Send notifications to target users
-        for (const user of targetUsers) {
-            try {
-                const personalizedMessage = createMarketIntelligenceMessage(recommendation, user);
-                await sendMessageCallback(`${user.whatsapp_phone}@s.whatsapp.net`, personalizedMessage);
-                
-                // Add small delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                
-            } catch (error) {
-                console.error(`Failed to send market intelligence notification to ${user.whatsapp_phone}:`, error);
-            }
-        }
+        // Queue notifications for target users
+        const result = await enqueueNotifications(targetUsers.map(user => ({
+            userId: user.id,
+            recipient: user.whatsapp_phone,
+            category: 'price_alerts',
+            message: createMarketIntelligenceMessage(recommendation, user)
+        })));
         
-        console.log(`Market intelligence notification sent to ${targetUsers.length} users`);
+        console.log(`Market intelligence notification queued for ${result.queued} users (${result.skipped} opted out)`);
+        return result;
         
     } catch (error) {
         console.error('Error sending market intelligence notification:', error);
@@ -439,14 +489,13 @@ async function sendMarketIntelligenceNotification(userId, recommendation, sendMe
  * Send price alerts to users
  * @param {string} userId - User ID
  * @param {Object} priceAlert - Price alert data
- * @param {Function} sendMessageCallback - Function to send WhatsApp message
  */
-async function sendPriceAlertNotification(userId, priceAlert, sendMessageCallback) {
+async function sendPriceAlertNotification(userId, priceAlert) {
     try {
         // Get user with WhatsApp link
         const { data: user, error } = await supabase
             .from('users')
-            .select('whatsapp_phone, name, location, crops_grown')
+            .select('id, whatsapp_phone, name, location, crops_grown')
             .eq('id', userId)
             .eq('whatsapp_linked', true)
             .not('whatsapp_phone', 'is', null)
@@ -457,10 +506,15 @@ async function sendPriceAlertNotification(userId, priceAlert, sendMessageCallbac
             return;
         }
         
-        const personalizedMessage = createPriceAlertMessage(priceAlert, user);
-        await sendMessageCallback(`${user.whatsapp_phone}@s.whatsapp.net`, personalizedMessage);
+        const result = await enqueueNotifications([{
+            userId: user.id,
+            recipient: user.whatsapp_phone,
+            category: 'price_alerts',
+            message: createPriceAlertMessage(priceAlert, user)
+        }]);
         
-        console.log(`Price alert sent to ${user.whatsapp_phone}`);
+        console.log(`Price alert ${result.queued ? 'queued' : 'skipped (opted out)'} for ${user.whatsapp_phone}`);
+        return result;
         
     } catch (error) {
         console.error('Error sending price alert notification:', error);
@@ -468,18 +522,46 @@ async function sendPriceAlertNotification(userId, priceAlert, sendMessageCallbac
     }
 }
 
+/**
+ * Send a weather alert to a farmer
+ * @param {Object} user - User data (id, whatsapp_phone, name)
+ * @param {Object} alert - Alert from services/weatherAlerts.js (type, date, details, cropAdvice)
+ */
+async function sendWeatherAlertNotification(user, alert) {
+    try {
+        if (!user.whatsapp_phone) {
+            console.log('WhatsApp not linked for weather alert');
+            return;
+        }
+        
+        const result = await enqueueNotifications([{
+            userId: user.id,
+            recipient: user.whatsapp_phone,
+            category: 'weather',
+            message: createWeatherAlertMessage(alert, user)
+        }]);
+        
+        console.log(`Weather alert (${alert.type}) ${result.queued ? 'queued' : 'skipped (opted out)'} for ${user.whatsapp_phone}`);
+        return result;
+        
+    } catch (error) {
+        console.error('Error sending weather alert notification:', error);
+        throw error;
+    }
+}
+
 /**
  * Send bulk purchase opportunity alerts to SACCO groups
  * @param {Array} saccoIds - SACCO group IDs (optional, if empty sends to all)
  * @param {Object} opportunity - Bulk purchase opportunity data
- * @param {Function} sendMessageCallback - Function to send WhatsApp message
  */
-async function sendBulkOpportunityNotification(saccoIds, opportunity, sendMessageCallback) {
+async function sendBulkOpportunityNotification(saccoIds, opportunity) {
     try {
         let query = supabase
             .from('sacco_memberships')
             .select(`
                 users!inner(
+                    id,
                     whatsapp_phone,
                     name,
                     whatsapp_linked
@@ -522,23 +604,23 @@ async function sendBulkOpportunityNotification(saccoIds, opportunity, sendMessag
             membersBySacco[saccoId].members.push(member.users);
         });
         
-        // Send notifications to each SACCO group
-        for (const [saccoId, saccoData] of Object.entries(membersBySacco)) {
+        // Queue notifications for each SACCO group
+        const notifications = [];
+        for (const saccoData of Object.values(membersBySacco)) {
             for (const user of saccoData.members) {
-                try {
-                    const personalizedMessage = createBulkOpportunityMessage(opportunity, user, saccoData.sacco);
-                    await sendMessageCallback(`${user.whatsapp_phone}@s.whatsapp.net`, personalizedMessage);
-                    
-                    // Add small delay to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    
-                } catch (error) {
-                    console.error(`Failed to send bulk opportunity notification to ${user.whatsapp_phone}:`, error);
-                }
+                notifications.push({
+                    userId: user.id,
+                    recipient: user.whatsapp_phone,
+                    category: 'sacco',
+                    message: createBulkOpportunityMessage(opportunity, user, saccoData.sacco)
+                });
             }
         }
         
-        console.log(`Bulk opportunity notification sent to ${members.length} SACCO members`);
+        const result = await enqueueNotifications(notifications);
+        
+        console.log(`Bulk opportunity notification queued for ${result.queued} SACCO members (${result.skipped} opted out)`);
+        return result;
         
     } catch (error) {
         console.error('Error sending bulk opportunity notification:', error);
@@ -550,14 +632,13 @@ async function sendBulkOpportunityNotification(saccoIds, opportunity, sendMessag
  * Send personalized recommendations to a user
  * @param {string} userId - User ID
  * @param {Object} recommendations - Personalized recommendations data
- * @param {Function} sendMessageCallback - Function to send WhatsApp message
  */
-async function sendPersonalizedRecommendations(userId, recommendations, sendMessageCallback) {
+async function sendPersonalizedRecommendations(userId, recommendations) {
     try {
         // Get user with WhatsApp link
         const { data: user, error } = await supabase
             .from('users')
-            .select('whatsapp_phone, name, location, crops_grown')
+            .select('id, whatsapp_phone, name, location, crops_grown')
             .eq('id', userId)
             .eq('whatsapp_linked', true)
             .not('whatsapp_phone', 'is', null)
@@ -574,17 +655,16 @@ async function sendPersonalizedRecommendations(userId, recommendations, sendMess
         
         const chunks = splitMessageIntoChunks(message, 1500); // WhatsApp message limit consideration
         
-        for (let i = 0; i < chunks.length; i++) {
-            const chunkMessage = i === 0 ? chunks[i] : `📱 **Continued...**\n\n${chunks[i]}`;
-            await sendMessageCallback(`${user.whatsapp_phone}@s.whatsapp.net`, chunkMessage);
-            
-            // Add delay between chunks
-            if (i < chunks.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-        }
+        // Chunks are queued in order and sent in order by the outbox
+        const result = await enqueueNotifications(chunks.map((chunk, i) => ({
+            userId: user.id,
+            recipient: user.whatsapp_phone,
+            category: 'price_alerts',
+            message: i === 0 ? chunk : `📱 **Continued...**\n\n${chunk}`
+        })));
         
-        console.log(`Personalized recommendations sent to ${user.whatsapp_phone} in ${chunks.length} message(s)`);
+        console.log(`Personalized recommendations queued for ${user.whatsapp_phone} in ${result.queued} message(s)`);
+        return result;
         
     } catch (error) {
         console.error('Error sending personalized recommendations:', error);
@@ -592,6 +672,50 @@ async function sendPersonalizedRecommendations(userId, recommendations, sendMess
     }
 }
 
+/**
+ * Create weather alert message
+ * @param {Object} alert - Alert data
+ * @param {Object} user - User data
+ * @returns {string} Personalized message
+ */
+function createWeatherAlertMessage(alert, user) {
+    const greeting = user.name ? `Hello ${user.name}! 👋` : 'Hello! 👋';
+    const date = new Date(alert.date).toLocaleDateString('en-KE', { weekday: 'long', day: 'numeric', month: 'short' });
+    
+    let message = `🌦️ **Weather Alert for Your Farm**\n\n${greeting}\n\n`;
+    
+    switch (alert.type) {
+        case 'heavy_rain':
+            message += `🌧️ **Heavy Rain Expected**\n`;
+            message += `📅 ${date}: about ${alert.details.precipitation_mm}mm of rain\n`;
+            break;
+            
+        case 'frost':
+            message += `❄️ **Frost Risk**\n`;
+            message += `📅 ${date}: night temperatures down to ${alert.details.min_temperature_c}°C\n`;
+            break;
+            
+        case 'dry_spell':
+            message += `☀️ **Dry Spell Ahead**\n`;
+            message += `📅 Only ${alert.details.total_precipitation_mm}mm of rain expected over the next ${alert.details.days} days\n`;
+            break;
+            
+        default:
+            message += `⚠️ **Weather Warning** for ${date}\n`;
+    }
+    
+    if (alert.cropAdvice && alert.cropAdvice.length > 0) {
+        message += `\n🌱 **What to do:**\n`;
+        alert.cropAdvice.forEach(item => {
+            message += item.crop ? `• *${item.crop}*: ${item.advice}\n` : `• ${item.advice}\n`;
+        });
+    }
+    
+    message += `\n💬 Reply */weather* for the full forecast.`;
+    
+    return message;
+}
+
 /**
  * Create market intelligence notification message
  * @param {Object} recommendation - Recommendation data
@@ -835,10 +959,12 @@ module.exports = {
     sendPriceAlertNotification,
     sendBulkOpportunityNotification,
     sendPersonalizedRecommendations,
+    sendWeatherAlertNotification,
     createPersonalizedMarketplaceMessage,
     createPersonalizedSACCOMessage,
     createBulkOrderMessage,
     createMarketIntelligenceMessage,
     createPriceAlertMessage,
-    createBulkOpportunityMessage
+    createBulkOpportunityMessage,
+    createWeatherAlertMessage
 };
\ No newline at end of file
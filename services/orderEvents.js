@@ -0,0 +1,129 @@
+const { supabase } = require('./supabase');
+
+/**
+ * Order Events Service
+ * The status history of an order: when it was placed, every status and payment
+ * status change, who made it, and any notes or tracking details given.
+ */
+
+const STATUS_DESCRIPTIONS = {
+  pending: 'Order placed and awaiting confirmation',
+  confirmed: 'Order confirmed by seller',
+  shipped: 'Order shipped and in transit',
+  delivered: 'Order delivered successfully',
+  cancelled: 'Order cancelled'
+};
+
+const PAYMENT_DESCRIPTIONS = {
+  pending: 'Payment pending',
+  paid: 'Payment confirmed',
+  failed: 'Payment failed',
+  refunded: 'Payment refunded'
+};
+
+/**
+ * Keep only the tracking fields we store, or null if none were given
+ * @param {Object} tracking - { carrier, tracking_number, estimated_delivery }
+ * @returns {Object|null} Tracking info
+ */
+function normalizeTrackingInfo(tracking) {
+  if (!tracking) {
+    return null;
+  }
+
+  const info = {};
+  for (const field of ['carrier', 'tracking_number', 'estimated_delivery']) {
+    if (tracking[field]) {
+      info[field] = String(tracking[field]).trim();
+    }
+  }
+
+  return Object.keys(info).length > 0 ? info : null;
+}
+
+/**
+ * Record an order event. A failed write is logged rather than thrown: the order
+ * has already changed and the caller needs to see the result.
+ * @param {Object} event - { orderId, eventType, fromStatus, toStatus, actorId, actorRole, notes, tracking }
+ * @returns {Object|null} Saved event, or null if it could not be saved
+ */
+async function recordOrderEvent(event) {
+  try {
+    const { data, error } = await supabase
+      .from('order_events')
+      .insert([{
+        order_id: event.orderId,
+        event_type: event.eventType,
+        from_status: event.fromStatus || null,
+        to_status: event.toStatus,
+        actor_id: event.actorId || null,
+        actor_role: event.actorRole || (event.actorId ? null : 'system'),
+        notes: event.notes ? String(event.notes).trim() || null : null,
+        tracking_info: normalizeTrackingInfo(event.tracking)
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return data;
+  } catch (error) {
+    console.error(`Failed to record ${event.eventType} event for order ${event.orderId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the event stream for an order, oldest first
+ * @param {string} orderId - Order ID
+ * @returns {Array} Events with a human-readable description
+ */
+async function getOrderEvents(orderId) {
+  try {
+    const { data, error } = await supabase
+      .from('order_events')
+      .select('*, actor:users!order_events_actor_id_fkey(id, name)')
+      .eq('order_id', orderId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch order history: ${error.message}`);
+    }
+
+    return (data || []).map(event => ({
+      ...event,
+      status: event.to_status,
+      timestamp: event.created_at,
+      description: describeOrderEvent(event)
+    }));
+  } catch (error) {
+    console.error('Error in getOrderEvents:', error);
+    throw error;
+  }
+}
+
+/**
+ * Human-readable description of an order event
+ * @param {Object} event - Order event row
+ * @returns {string} Description
+ */
+function describeOrderEvent(event) {
+  if (event.event_type === 'created') {
+    return 'Order placed';
+  }
+
+  if (event.event_type === 'payment') {
+    return PAYMENT_DESCRIPTIONS[event.to_status] || 'Payment status updated';
+  }
+
+  return STATUS_DESCRIPTIONS[event.to_status] || 'Status updated';
+}
+
+module.exports = {
+  STATUS_DESCRIPTIONS,
+  recordOrderEvent,
+  getOrderEvents,
+  describeOrderEvent
+};
@@ -1,11 +1,30 @@
 const { supabase } = require('./supabase');
-const { getProductById, reduceStock } = require('./marketplace');
+const {
+  getProductById,
+  getTierPrice,
+  reduceStock,
+  getAvailableStock,
+  reserveStock,
+  releaseReservedStock,
+  returnStock
+} = require('./marketplace');
+const { syncBulkOrderStatus } = require('./bulkOrders');
+const { sendOrderConfirmationEmail } = require('./mail');
+const { recordAuditEvent } = require('./auditLog');
+const { recordOrderEvent, getOrderEvents } = require('./orderEvents');
+const { enqueueNotifications } = require('./notificationOutbox');
 
 /**
  * Order Management Service
  * Handles individual and bulk order processing, status tracking, and delivery coordination
  */
 
+// Unpaid orders hold their stock for this long before it is released
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES) || 60;
+
+// Line items of multi-item (checkout) orders
+const ORDER_ITEMS_SELECT = 'items:order_items(id, product_id, quantity, unit_price, total_amount, bulk_tier_quantity, product:products!order_items_product_id_fkey(id, name, unit_type))';
+
 /**
  * Create a new individual order
  * @param {string} buyerId - ID of the buyer
@@ -37,24 +56,12 @@ async function createOrder(buyerId, orderData) {
       throw new Error('Product is not available for purchase');
     }
 
-    if (product.stock_quantity < quantity) {
-      throw new Error(`Insufficient stock. Only ${product.stock_quantity} ${product.unit_type} available`);
+    if (getAvailableStock(product) < quantity) {
+      throw new Error(`Insufficient stock. Only ${getAvailableStock(product)} ${product.unit_type} available`);
     }
 
     // Calculate pricing (check for bulk pricing)
-    let unitPrice = product.unit_price;
-    if (product.bulk_pricing && typeof product.bulk_pricing === 'object') {
-      const tiers = Object.entries(product.bulk_pricing)
-        .map(([qty, price]) => ({ quantity: parseInt(qty), price: parseFloat(price) }))
-        .sort((a, b) => b.quantity - a.quantity);
-
-      for (const tier of tiers) {
-        if (quantity >= tier.quantity) {
-          unitPrice = tier.price;
-          break;
-        }
-      }
-    }
+    const { unit_price: unitPrice } = getTierPrice(product, quantity);
 
     const totalAmount = unitPrice * quantity;
 
@@ -64,6 +71,7 @@ async function createOrder(buyerId, orderData) {
       .insert([{
         buyer_id: buyerId,
         product_id: product_id,
+        wholesaler_id: product.wholesaler_id,
         quantity: parseInt(quantity),
         unit_price: unitPrice,
         total_amount: totalAmount,
@@ -71,7 +79,9 @@ async function createOrder(buyerId, orderData) {
         sacco_id: sacco_id,
         status: 'pending',
         payment_status: 'pending',
-        delivery_address: delivery_address.trim()
+        delivery_address: delivery_address.trim(),
+        stock_status: 'reserved',
+        reservation_expires_at: getReservationExpiry()
       }])
       .select(`
         *,
@@ -86,6 +96,25 @@ async function createOrder(buyerId, orderData) {
       throw new Error('Failed to create order');
     }
 
+    // The availability check above is only a hint; the reservation is what stops overselling
+    try {
+      await reserveOrderStock(data.id, getOrderLines(data), buyerId);
+    } catch (reserveError) {
+      await supabase.from('orders').delete().eq('id', data.id);
+      throw reserveError;
+    }
+
+    await recordOrderEvent({
+      orderId: data.id,
+      eventType: 'created',
+      toStatus: 'pending',
+      actorId: buyerId,
+      actorRole: 'buyer'
+    });
+
+    // Not awaited: the order stands even if the email is slow or fails
+    sendOrderConfirmationEmail(data);
+
     return data;
   } catch (error) {
     console.error('Error in createOrder:', error);
@@ -93,14 +122,354 @@ async function createOrder(buyerId, orderData) {
   }
 }
 
+/**
+ * Place the orders for a cart checkout: one parent order, and one order per
+ * wholesaler with a line item per product. An order with a single line also
+ * carries its product_id, quantity and unit_price like an individual order.
+ * @param {string} buyerId - ID of the buyer
+ * @param {Array} lines - [{ product, quantity }] with active, in-stock products
+ * @param {string} deliveryAddress - Delivery address for every order
+ * @returns {Object} Parent order with its orders and their items
+ */
+async function createCheckoutOrders(buyerId, lines, deliveryAddress) {
+  if (!lines || lines.length === 0) {
+    throw new Error('Nothing to check out');
+  }
+
+  if (!deliveryAddress || !deliveryAddress.trim()) {
+    throw new Error('Missing required fields: delivery_address is required');
+  }
+
+  try {
+    // Price each line at its bulk tier and group the lines by seller
+    const groups = new Map();
+    for (const { product, quantity } of lines) {
+      const { unit_price: unitPrice, applied_tier: appliedTier } = getTierPrice(product, quantity);
+      const line = {
+        product,
+        quantity,
+        unit_price: unitPrice,
+        total_amount: unitPrice * quantity,
+        bulk_tier_quantity: appliedTier ? appliedTier.quantity : null
+      };
+
+      if (!groups.has(product.wholesaler_id)) {
+        groups.set(product.wholesaler_id, []);
+      }
+      groups.get(product.wholesaler_id).push(line);
+    }
+
+    const allLines = [...groups.values()].flat();
+    const { data: parentOrder, error: parentError } = await supabase
+      .from('parent_orders')
+      .insert([{
+        buyer_id: buyerId,
+        total_amount: allLines.reduce((sum, line) => sum + line.total_amount, 0),
+        item_count: allLines.length,
+        seller_count: groups.size,
+        delivery_address: deliveryAddress.trim()
+      }])
+      .select()
+      .single();
+
+    if (parentError) {
+      console.error('Error creating parent order:', parentError);
+      throw new Error('Failed to create order');
+    }
+
+    const orders = [];
+    try {
+      for (const [wholesalerId, group] of groups) {
+        orders.push(await placeCheckoutOrder(buyerId, wholesalerId, parentOrder.id, group, deliveryAddress));
+      }
+    } catch (placeError) {
+      // All or nothing: undo the orders already placed for this checkout
+      for (const order of orders) {
+        await releaseOrderLines(order.id, getOrderLines(order), 'Checkout failed', buyerId);
+      }
+      await supabase.from('orders').delete().eq('parent_order_id', parentOrder.id);
+      await supabase.from('parent_orders').delete().eq('id', parentOrder.id);
+      throw placeError;
+    }
+
+    return { ...parentOrder, orders };
+  } catch (error) {
+    console.error('Error in createCheckoutOrders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Place one wholesaler's order for a checkout and reserve its stock
+ * @param {string} buyerId - ID of the buyer
+ * @param {string} wholesalerId - ID of the wholesaler
+ * @param {string} parentOrderId - Parent order ID
+ * @param {Array} group - Priced lines for this wholesaler
+ * @param {string} deliveryAddress - Delivery address
+ * @returns {Object} Order with its items
+ */
+async function placeCheckoutOrder(buyerId, wholesalerId, parentOrderId, group, deliveryAddress) {
+  const single = group.length === 1 ? group[0] : null;
+
+  const { data: order, error } = await supabase
+    .from('orders')
+    .insert([{
+      buyer_id: buyerId,
+      wholesaler_id: wholesalerId,
+      parent_order_id: parentOrderId,
+      product_id: single ? single.product.id : null,
+      quantity: group.reduce((sum, line) => sum + line.quantity, 0),
+      unit_price: single ? single.unit_price : null,
+      total_amount: group.reduce((sum, line) => sum + line.total_amount, 0),
+      order_type: 'individual',
+      status: 'pending',
+      payment_status: 'pending',
+      delivery_address: deliveryAddress.trim(),
+      stock_status: 'reserved',
+      reservation_expires_at: getReservationExpiry()
+    }])
+    .select(`
+      *,
+      wholesaler:users!orders_wholesaler_id_fkey(id, name, phone)
+    `)
+    .single();
+
+  if (error) {
+    console.error('Error creating checkout order:', error);
+    throw new Error('Failed to create order');
+  }
+
+  const { data: items, error: itemsError } = await supabase
+    .from('order_items')
+    .insert(group.map(line => ({
+      order_id: order.id,
+      product_id: line.product.id,
+      quantity: line.quantity,
+      unit_price: line.unit_price,
+      total_amount: line.total_amount,
+      bulk_tier_quantity: line.bulk_tier_quantity
+    })))
+    .select('id, product_id, quantity, unit_price, total_amount, bulk_tier_quantity, product:products!order_items_product_id_fkey(id, name, unit_type)');
+
+  if (itemsError) {
+    console.error('Error creating order items:', itemsError);
+    throw new Error('Failed to create order');
+  }
+
+  await reserveOrderStock(order.id, group.map(line => ({ product_id: line.product.id, quantity: line.quantity })), buyerId);
+
+  await recordOrderEvent({
+    orderId: order.id,
+    eventType: 'created',
+    toStatus: 'pending',
+    actorId: buyerId,
+    actorRole: 'buyer'
+  });
+
+  return { ...order, items: items || [] };
+}
+
+/**
+ * When an unpaid order's stock reservation runs out
+ * @returns {string} ISO timestamp
+ */
+function getReservationExpiry() {
+  return new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000).toISOString();
+}
+
+/**
+ * Reserve stock for every line of a new order. If a line cannot be reserved,
+ * the lines already held are released and the error is rethrown.
+ * @param {string} orderId - Order ID
+ * @param {Array} lines - [{ product_id, quantity }]
+ * @param {string} actorId - Buyer placing the order
+ */
+async function reserveOrderStock(orderId, lines, actorId) {
+  const reserved = [];
+
+  try {
+    for (const line of lines) {
+      await reserveStock(line.product_id, line.quantity, { orderId, actorId, reason: 'Reserved for new order' });
+      reserved.push(line);
+    }
+  } catch (error) {
+    await releaseOrderLines(orderId, reserved, 'Order could not be placed', actorId);
+    throw error;
+  }
+}
+
+/**
+ * Release the stock reserved for an order's lines. Failures are logged so the
+ * remaining lines are still released.
+ * @param {string} orderId - Order ID
+ * @param {Array} lines - [{ product_id, quantity }]
+ * @param {string} reason - Reason recorded in the stock ledger
+ * @param {string} actorId - User releasing the stock (omit for system releases)
+ */
+async function releaseOrderLines(orderId, lines, reason, actorId = null) {
+  for (const line of lines) {
+    try {
+      await releaseReservedStock(line.product_id, line.quantity, { orderId, actorId, reason });
+    } catch (error) {
+      console.error(`Failed to release ${line.quantity} of product ${line.product_id} for order ${orderId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Get a checkout's parent order with all of its orders
+ * @param {string} parentOrderId - Parent order ID
+ * @param {string} userId - User ID (must be the buyer)
+ * @returns {Object} Parent order with its orders and their items
+ */
+async function getParentOrder(parentOrderId, userId) {
+  try {
+    const { data: parentOrder, error } = await supabase
+      .from('parent_orders')
+      .select('*')
+      .eq('id', parentOrderId)
+      .single();
+
+    if (error || !parentOrder) {
+      throw new Error('Order not found');
+    }
+
+    if (parentOrder.buyer_id !== userId) {
+      throw new Error('Unauthorized: You can only view your own orders');
+    }
+
+    const { data: orders, error: ordersError } = await supabase
+      .from('orders')
+      .select(`
+        *,
+        wholesaler:users!orders_wholesaler_id_fkey(id, name, phone),
+        ${ORDER_ITEMS_SELECT}
+      `)
+      .eq('parent_order_id', parentOrderId)
+      .order('created_at', { ascending: true });
+
+    if (ordersError) {
+      console.error('Error fetching checkout orders:', ordersError);
+      throw new Error('Failed to fetch order');
+    }
+
+    return { ...parentOrder, orders: orders || [] };
+  } catch (error) {
+    console.error('Error in getParentOrder:', error);
+    throw error;
+  }
+}
+
+/**
+ * The products and quantities an order is for: its line items, or its single product
+ * @param {Object} order - Order, with items for checkout orders
+ * @returns {Array} [{ product_id, quantity }]
+ */
+function getOrderLines(order) {
+  if (order.items && order.items.length > 0) {
+    return order.items.map(item => ({ product_id: item.product_id, quantity: item.quantity }));
+  }
+
+  return order.product_id ? [{ product_id: order.product_id, quantity: order.quantity }] : [];
+}
+
+/**
+ * Where an order's stock stands after a status change (see moveOrderStock)
+ * @param {Object} order - Current order
+ * @param {string} newStatus - Status the order is moving to
+ * @returns {Object} Order fields to update ({} when no stock moves)
+ */
+function getStockUpdate(order, newStatus) {
+  if (newStatus === 'confirmed' && order.stock_status !== 'committed') {
+    return { stock_status: 'committed', reservation_expires_at: null };
+  }
+
+  if (newStatus === 'cancelled' && order.stock_status === 'reserved') {
+    return { stock_status: 'released', reservation_expires_at: null };
+  }
+
+  if (newStatus === 'cancelled' && order.stock_status === 'committed') {
+    return { stock_status: 'released' };
+  }
+
+  return {};
+}
+
+/**
+ * Move an order's stock for a status change: commit the reservation when the
+ * order is confirmed, and release it (or return committed stock) when it is
+ * cancelled. Orders placed before reservations existed have their stock taken
+ * on confirmation instead. If a line fails on confirmation, the lines already
+ * taken are put back so the order can be confirmed again.
+ * @param {Object} order - Current order with items
+ * @param {string} newStatus - Status the order is moving to
+ * @param {string} actorId - User making the change (omit for system changes)
+ * @param {string} reason - Reason recorded in the stock ledger for cancellations
+ * @returns {Object} Order fields to update ({} when no stock moved)
+ */
+async function moveOrderStock(order, newStatus, actorId = null, reason = 'Order cancelled') {
+  const lines = getOrderLines(order);
+  const stockUpdate = getStockUpdate(order, newStatus);
+
+  if (newStatus === 'confirmed' && stockUpdate.stock_status) {
+    const taken = [];
+    try {
+      for (const line of lines) {
+        if (order.stock_status === 'reserved') {
+          await releaseReservedStock(line.product_id, line.quantity, { consume: true, orderId: order.id, actorId, reason: 'Order confirmed' });
+        } else {
+          await reduceStock(line.product_id, line.quantity, { orderId: order.id, actorId, reason: 'Order confirmed' });
+        }
+        taken.push(line);
+      }
+    } catch (error) {
+      await undoConfirmedLines(order, taken, actorId);
+      throw error;
+    }
+  } else if (newStatus === 'cancelled' && order.stock_status === 'reserved') {
+    await releaseOrderLines(order.id, lines, reason, actorId);
+  } else if (newStatus === 'cancelled' && order.stock_status === 'committed') {
+    for (const line of lines) {
+      await returnStock(line.product_id, line.quantity, { orderId: order.id, actorId, reason: `${reason} after confirmation` });
+    }
+  }
+
+  return stockUpdate;
+}
+
+/**
+ * Put back the stock taken for some lines of an order whose confirmation failed,
+ * restoring their reservations. Failures are logged so the remaining lines are
+ * still put back.
+ * @param {Object} order - Order being confirmed
+ * @param {Array} lines - [{ product_id, quantity }] already taken
+ * @param {string} actorId - User confirming the order
+ */
+async function undoConfirmedLines(order, lines, actorId = null) {
+  const reason = 'Order confirmation failed';
+
+  for (const line of lines) {
+    try {
+      await returnStock(line.product_id, line.quantity, { orderId: order.id, actorId, reason });
+      if (order.stock_status === 'reserved') {
+        await reserveStock(line.product_id, line.quantity, { orderId: order.id, actorId, reason });
+      }
+    } catch (error) {
+      console.error(`Failed to put back ${line.quantity} of product ${line.product_id} for order ${order.id}:`, error.message);
+    }
+  }
+}
+
 /**
  * Update order status
  * @param {string} orderId - Order ID
  * @param {string} newStatus - New status
  * @param {string} userId - User ID for authorization (buyer or wholesaler)
+ * @param {Object} requestMetadata - Request details for the audit log (see getRequestMetadata)
+ * @param {Object} eventDetails - { notes, tracking: { carrier, tracking_number, estimated_delivery } } for the order history
  * @returns {Object} Updated order
  */
-async function updateOrderStatus(orderId, newStatus, userId) {
+async function updateOrderStatus(orderId, newStatus, userId, requestMetadata = {}, eventDetails = {}) {
   const validStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
   
   if (!validStatuses.includes(newStatus)) {
@@ -111,10 +480,7 @@ async function updateOrderStatus(orderId, newStatus, userId) {
     // Get current order to validate authorization
     const { data: currentOrder, error: fetchError } = await supabase
       .from('orders')
-      .select(`
-        *,
-        product:products!orders_product_id_fkey(wholesaler_id)
-      `)
+      .select('*, items:order_items(product_id, quantity)')
       .eq('id', orderId)
       .single();
 
@@ -122,9 +488,9 @@ async function updateOrderStatus(orderId, newStatus, userId) {
       throw new Error('Order not found');
     }
 
-    // Check authorization - buyer or wholesaler can update
+    // Check authorization - buyer or wholesaler can update (see the role check below)
     const isAuthorized = currentOrder.buyer_id === userId || 
-                        currentOrder.product.wholesaler_id === userId;
+                        currentOrder.wholesaler_id === userId;
     
     if (!isAuthorized) {
       throw new Error('Unauthorized: You can only update your own orders');
@@ -144,32 +510,122 @@ async function updateOrderStatus(orderId, newStatus, userId) {
       throw new Error(`Cannot change status from ${currentStatus} to ${newStatus}`);
     }
 
-    // If confirming order, reduce stock
-    if (newStatus === 'confirmed' && currentStatus === 'pending') {
-      await reduceStock(currentOrder.product_id, currentOrder.quantity);
+    // Orders with a delivery record are delivered when the buyer enters the delivery code
+    const { data: delivery } = await supabase
+      .from('deliveries')
+      .select('id, status')
+      .eq('order_id', orderId)
+      .maybeSingle();
+
+    if (newStatus === 'delivered' && delivery && delivery.status !== 'delivered') {
+      throw new Error('Cannot change status to delivered until the buyer confirms receipt with the delivery code');
+    }
+
+    // Only the seller moves an order forward. The buyer can cancel it, and marks it
+    // delivered only by entering the delivery code.
+    const buyerMayChange = newStatus === 'cancelled' || (newStatus === 'delivered' && delivery?.status === 'delivered');
+    if (currentOrder.wholesaler_id !== userId && !buyerMayChange) {
+      throw new Error(`Unauthorized: Only the seller can mark an order as ${newStatus}`);
     }
 
-    // Update the order
-    const { data, error } = await supabase
+    // Claim the transition before any stock moves: when two requests race on the
+    // same order, only the one whose update still sees the old status (and stock
+    // status) goes on to move stock
+    let claim = supabase
       .from('orders')
       .update({ 
         status: newStatus,
+        ...getStockUpdate(currentOrder, newStatus),
         ...(newStatus === 'delivered' && { delivered_at: new Date().toISOString() })
       })
       .eq('id', orderId)
+      .eq('status', currentStatus);
+
+    claim = currentOrder.stock_status
+      ? claim.eq('stock_status', currentOrder.stock_status)
+      : claim.is('stock_status', null);
+
+    const { data, error } = await claim
       .select(`
         *,
         product:products!orders_product_id_fkey(id, name, unit_type, wholesaler_id),
         buyer:users!orders_buyer_id_fkey(id, name, phone, email),
-        sacco:sacco_groups!orders_sacco_id_fkey(id, name)
+        sacco:sacco_groups!orders_sacco_id_fkey(id, name),
+        ${ORDER_ITEMS_SELECT}
       `)
-      .single();
+      .maybeSingle();
 
     if (error) {
       console.error('Error updating order status:', error);
       throw new Error('Failed to update order status');
     }
 
+    if (!data) {
+      throw new Error(`Cannot change status from ${currentStatus} to ${newStatus}: the order was changed in the meantime. Please reload it and try again`);
+    }
+
+    // Confirming takes the reserved stock out; cancelling gives it back
+    try {
+      await moveOrderStock(currentOrder, newStatus, userId);
+    } catch (stockError) {
+      // Give the order its previous status back so the change can be retried
+      const { error: rollbackError } = await supabase
+        .from('orders')
+        .update({
+          status: currentStatus,
+          stock_status: currentOrder.stock_status || null,
+          reservation_expires_at: currentOrder.reservation_expires_at || null
+        })
+        .eq('id', orderId)
+        .eq('status', newStatus);
+
+      if (rollbackError) {
+        console.error(`Failed to restore status ${currentStatus} on order ${orderId}:`, rollbackError.message);
+      }
+      throw stockError;
+    }
+
+    // A cancelled order will not be delivered
+    if (newStatus === 'cancelled' && delivery && delivery.status === 'scheduled') {
+      await supabase
+        .from('deliveries')
+        .update({ status: 'failed', updated_at: new Date().toISOString() })
+        .eq('id', delivery.id);
+    }
+
+    const actorRole = currentOrder.buyer_id === userId ? 'buyer' : 'wholesaler';
+
+    await recordOrderEvent({
+      orderId,
+      eventType: 'status',
+      fromStatus: currentStatus,
+      toStatus: newStatus,
+      actorId: userId,
+      actorRole,
+      notes: eventDetails.notes,
+      tracking: eventDetails.tracking
+    });
+
+    await recordAuditEvent({
+      actorId: userId,
+      action: 'order.status_change',
+      targetType: 'order',
+      targetId: orderId,
+      before: { status: currentStatus, delivered_at: currentOrder.delivered_at || null },
+      after: { status: data.status, delivered_at: data.delivered_at || null },
+      details: { role: actorRole },
+      metadata: requestMetadata
+    });
+
+    // Roll the status up to the SACCO bulk order this order was placed for
+    if (data.bulk_order_id) {
+      try {
+        await syncBulkOrderStatus(data);
+      } catch (syncError) {
+        console.error(`Failed to sync bulk order ${data.bulk_order_id}:`, syncError.message);
+      }
+    }
+
     return data;
   } catch (error) {
     console.error('Error in updateOrderStatus:', error);
@@ -178,12 +634,14 @@ async function updateOrderStatus(orderId, newStatus, userId) {
 }
 
 /**
- * Update payment status
+ * Update payment status. Cancelled orders cannot be marked paid: their stock
+ * has already been released.
  * @param {string} orderId - Order ID
  * @param {string} paymentStatus - New payment status
+ * @param {Object} eventDetails - { actorId, actorRole, notes } for the order history (omit for system updates)
  * @returns {Object} Updated order
  */
-async function updatePaymentStatus(orderId, paymentStatus) {
+async function updatePaymentStatus(orderId, paymentStatus, eventDetails = {}) {
   const validPaymentStatuses = ['pending', 'paid', 'failed', 'refunded'];
   
   if (!validPaymentStatuses.includes(paymentStatus)) {
@@ -191,25 +649,58 @@ async function updatePaymentStatus(orderId, paymentStatus) {
   }
 
   try {
-    const { data, error } = await supabase
+    const { data: currentOrder, error: fetchError } = await supabase
+      .from('orders')
+      .select('payment_status')
+      .eq('id', orderId)
+      .single();
+
+    if (fetchError || !currentOrder) {
+      throw new Error('Order not found');
+    }
+
+    let query = supabase
       .from('orders')
       .update({ 
         payment_status: paymentStatus,
-        ...(paymentStatus === 'paid' && { paid_at: new Date().toISOString() })
+        // A paid order keeps its stock until the wholesaler confirms it
+        ...(paymentStatus === 'paid' && { paid_at: new Date().toISOString(), reservation_expires_at: null })
       })
-      .eq('id', orderId)
+      .eq('id', orderId);
+
+    // A cancelled order has already released its stock, so it cannot become paid;
+    // the claim settles a race with expireUnpaidReservations either way
+    if (paymentStatus === 'paid') {
+      query = query.neq('status', 'cancelled');
+    }
+
+    const { data, error } = await query
       .select(`
         *,
         product:products!orders_product_id_fkey(id, name, unit_type),
         buyer:users!orders_buyer_id_fkey(id, name, phone, email)
       `)
-      .single();
+      .maybeSingle();
 
     if (error) {
       console.error('Error updating payment status:', error);
       throw new Error('Failed to update payment status');
     }
 
+    if (!data) {
+      throw new Error('Cannot mark a cancelled order as paid');
+    }
+
+    await recordOrderEvent({
+      orderId,
+      eventType: 'payment',
+      fromStatus: currentOrder.payment_status,
+      toStatus: paymentStatus,
+      actorId: eventDetails.actorId,
+      actorRole: eventDetails.actorRole,
+      notes: eventDetails.notes
+    });
+
     return data;
   } catch (error) {
     console.error('Error in updatePaymentStatus:', error);
@@ -243,7 +734,8 @@ async function getOrdersByUser(userId, filters = {}) {
         *,
         product:products!orders_product_id_fkey(id, name, unit_type, wholesaler_id, location),
         buyer:users!orders_buyer_id_fkey(id, name, phone, email),
-        sacco:sacco_groups!orders_sacco_id_fkey(id, name)
+        sacco:sacco_groups!orders_sacco_id_fkey(id, name),
+        ${ORDER_ITEMS_SELECT}
       `);
 
     // Fetch user type to determine how to filter orders
@@ -253,8 +745,8 @@ async function getOrdersByUser(userId, filters = {}) {
       throw new Error('User not found');
     }
 
-    // Users can see orders where they are either the buyer or the wholesaler of the product
-    query = query.or(`buyer_id.eq.${userId},product.wholesaler_id.eq.${userId}`);
+    // Users can see orders where they are either the buyer or the wholesaler
+    query = query.or(`buyer_id.eq.${userId},wholesaler_id.eq.${userId}`);
 
     // Apply additional filters
     if (status) {
@@ -309,8 +801,10 @@ async function getOrderById(orderId, userId) {
           id, name, description, unit_type, location, image_url,
           wholesaler:users!products_wholesaler_id_fkey(id, name, phone, email, location)
         ),
+        wholesaler:users!orders_wholesaler_id_fkey(id, name, phone, email, location),
         buyer:users!orders_buyer_id_fkey(id, name, phone, email, location),
-        sacco:sacco_groups!orders_sacco_id_fkey(id, name, description)
+        sacco:sacco_groups!orders_sacco_id_fkey(id, name, description),
+        ${ORDER_ITEMS_SELECT}
       `)
       .eq('id', orderId)
       .single();
@@ -325,7 +819,7 @@ async function getOrderById(orderId, userId) {
 
     // Check authorization
     const isAuthorized = data.buyer_id === userId || 
-                        data.product.wholesaler.id === userId;
+                        data.wholesaler_id === userId;
     
     if (!isAuthorized) {
       throw new Error('Unauthorized: You can only view your own orders');
@@ -342,76 +836,25 @@ async function getOrderById(orderId, userId) {
  * Get order history for tracking
  * @param {string} orderId - Order ID
  * @param {string} userId - User ID for authorization
- * @returns {Array} Order status history
+ * @returns {Array} Order events, oldest first
  */
 async function getOrderHistory(orderId, userId) {
-  // First verify user has access to this order
+  // Verify the user has access to this order
   await getOrderById(orderId, userId);
 
-  // For now, return basic order info
-  // In a full implementation, you might have an order_history table
-  const order = await getOrderById(orderId, userId);
-  
-  const history = [
-    {
-      status: 'pending',
-      timestamp: order.created_at,
-      description: 'Order placed'
-    }
-  ];
-
-  if (order.status !== 'pending') {
-    history.push({
-      status: order.status,
-      timestamp: order.updated_at || order.created_at,
-      description: getStatusDescription(order.status)
-    });
-  }
-
-  if (order.payment_status === 'paid' && order.paid_at) {
-    history.push({
-      status: 'paid',
-      timestamp: order.paid_at,
-      description: 'Payment confirmed'
-    });
-  }
-
-  if (order.status === 'delivered' && order.delivered_at) {
-    history.push({
-      status: 'delivered',
-      timestamp: order.delivered_at,
-      description: 'Order delivered'
-    });
-  }
-
-  return history.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-}
-
-/**
- * Get status description for order history
- * @param {string} status - Order status
- * @returns {string} Human-readable description
- */
-function getStatusDescription(status) {
-  const descriptions = {
-    'pending': 'Order placed and awaiting confirmation',
-    'confirmed': 'Order confirmed by seller',
-    'shipped': 'Order shipped and in transit',
-    'delivered': 'Order delivered successfully',
-    'cancelled': 'Order cancelled'
-  };
-  
-  return descriptions[status] || 'Status updated';
+  return getOrderEvents(orderId);
 }
 
 /**
- * Cancel an order
+ * Cancel an order. Its reserved stock is released, or returned to stock if the
+ * order had already been confirmed (see moveOrderStock).
  * @param {string} orderId - Order ID
  * @param {string} userId - User ID for authorization
  * @param {string} reason - Cancellation reason
+ * @param {Object} requestMetadata - Request details for the audit log
  * @returns {Object} Updated order
  */
-async function cancelOrder(orderId, userId, reason = '') {
+async function cancelOrder(orderId, userId, reason = '', requestMetadata = {}) {
   try {
     const order = await getOrderById(orderId, userId);
     
@@ -423,25 +866,106 @@ async function cancelOrder(orderId, userId, reason = '') {
       throw new Error('Order is already cancelled');
     }
 
-    // If order was confirmed, restore stock
-    if (order.status === 'confirmed' || order.status === 'shipped') {
-      // Restore stock by adding back the quantity
-      const { error: stockError } = await supabase
-        .from('products')
-        .update({ 
-          stock_quantity: supabase.raw('stock_quantity + ?', [order.quantity])
-        })
-        .eq('id', order.product_id);
+    return await updateOrderStatus(orderId, 'cancelled', userId, requestMetadata, { notes: reason });
+  } catch (error) {
+    console.error('Error in cancelOrder:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel pending orders whose stock reservation expired before they were paid,
+ * releasing the stock and telling the buyer
+ * @param {Date} now - Current time
+ * @returns {Object} { checked, expired, failed }
+ */
+async function expireUnpaidReservations(now = new Date()) {
+  try {
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select(`
+        *,
+        items:order_items(product_id, quantity),
+        product:products!orders_product_id_fkey(name),
+        buyer:users!orders_buyer_id_fkey(id, phone, whatsapp_phone)
+      `)
+      .eq('status', 'pending')
+      .eq('stock_status', 'reserved')
+      .neq('payment_status', 'paid')
+      .lt('reservation_expires_at', now.toISOString())
+      .limit(200);
+
+    if (error) {
+      throw new Error(`Failed to fetch expired reservations: ${error.message}`);
+    }
+
+    const result = { checked: (orders || []).length, expired: 0, failed: 0 };
+    const reason = 'Reservation expired before payment';
+
+    for (const order of orders || []) {
+      try {
+        // The buyer is paying right now: give the M-Pesa prompt a chance to complete
+        const { data: paymentsInFlight } = await supabase
+          .from('payments')
+          .select('id')
+          .eq('order_id', order.id)
+          .eq('status', 'pending')
+          .gte('created_at', new Date(now.getTime() - 5 * 60 * 1000).toISOString())
+          .limit(1);
+
+        if (paymentsInFlight?.length > 0) {
+          continue;
+        }
 
-      if (stockError) {
-        console.error('Error restoring stock:', stockError);
-        // Continue with cancellation even if stock restore fails
+        // Claim the order first so a payment or cancellation in the meantime wins
+        const { data: claimed, error: claimError } = await supabase
+          .from('orders')
+          .update({ status: 'cancelled', stock_status: 'released', reservation_expires_at: null })
+          .eq('id', order.id)
+          .eq('status', 'pending')
+          .eq('stock_status', 'reserved')
+          .neq('payment_status', 'paid')
+          .select('id');
+
+        if (claimError) {
+          throw new Error(claimError.message);
+        }
+
+        if (!claimed || claimed.length === 0) {
+          continue;
+        }
+
+        await releaseOrderLines(order.id, getOrderLines(order), reason);
+
+        await recordOrderEvent({
+          orderId: order.id,
+          eventType: 'status',
+          fromStatus: 'pending',
+          toStatus: 'cancelled',
+          notes: reason
+        });
+
+        const recipient = order.buyer?.whatsapp_phone || order.buyer?.phone;
+        if (recipient) {
+          await enqueueNotifications([{
+            userId: order.buyer.id,
+            recipient,
+            category: 'marketplace',
+            channel: order.buyer.whatsapp_phone ? 'whatsapp' : 'sms',
+            message: `⌛ Your order #${String(order.id).slice(0, 8)} (${order.product?.name || 'several products'}) was cancelled because it was not paid within ${RESERVATION_TTL_MINUTES} minutes. The stock has been released; you can order again any time.`
+          }]);
+        }
+
+        result.expired++;
+      } catch (orderError) {
+        console.error(`Failed to expire reservation for order ${order.id}:`, orderError.message);
+        result.failed++;
       }
     }
 
-    return await updateOrderStatus(orderId, 'cancelled', userId);
+    return result;
   } catch (error) {
-    console.error('Error in cancelOrder:', error);
+    console.error('Error in expireUnpaidReservations:', error);
     throw error;
   }
 }
@@ -486,16 +1010,20 @@ async function getOrdersByStatus(status, options = {}) {
  * @returns {Object} Delivery information
  */
 async function getDeliveryInfo(orderId, userId) {
+  const { getDeliveryForOrder } = require('./deliveries');
   const order = await getOrderById(orderId, userId);
+  // Multi-item orders ship from the wholesaler rather than a single product's location
+  const originLocation = order.product?.location || order.wholesaler?.location;
   
   return {
     order_id: orderId,
     delivery_address: order.delivery_address,
     buyer_location: order.buyer.location,
-    product_location: order.product.location,
-    estimated_distance: calculateDistance(order.buyer.location, order.product.location),
+    product_location: originLocation,
+    estimated_distance: calculateDistance(order.buyer.location, originLocation),
     delivery_status: order.status,
-    tracking_info: await getOrderHistory(orderId, userId)
+    delivery: await getDeliveryForOrder(orderId, userId),
+    tracking_info: await getOrderEvents(orderId)
   };
 }
 
@@ -556,13 +1084,17 @@ function calculateDistance(location1, location2) {
 
 module.exports = {
   createOrder,
+  createCheckoutOrders,
+  getParentOrder,
   updateOrderStatus,
   updatePaymentStatus,
   getOrdersByUser,
   getOrderById,
   getOrderHistory,
   cancelOrder,
+  expireUnpaidReservations,
   getOrdersByStatus,
   getDeliveryInfo,
+  getOrderLines,
   updateDeliveryAddress
 };
\ No newline at end of file
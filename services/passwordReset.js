@@ -1,10 +1,60 @@
 const crypto = require('crypto');
-const { supabase } = require('./supabase');
+const { supabase, incrementTokenVersion } = require('./supabase');
 const bcrypt = require('bcrypt');
+const { sendPasswordResetEmail } = require('./mail');
 
 // Salt rounds for bcrypt password hashing
 const SALT_ROUNDS = 12;
 
+// How long a reset link stays valid
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+/**
+ * Look up the user a reset is requested for
+ * @param {string} email - User's email
+ * @returns {Promise<Object>} User (id, email, name)
+ */
+async function findUserForReset(email) {
+    const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('id, email, name')
+        .eq('email', email.toLowerCase().trim())
+        .single();
+        
+    if (userError || !user) {
+        throw new Error('User not found');
+    }
+    
+    return user;
+}
+
+/**
+ * Create and store a reset token for a user
+ * @param {Object} user - User with id
+ * @returns {Promise<string>} Reset token
+ */
+async function createResetToken(user) {
+    // Generate secure random token
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60000);
+    
+    // Store reset token in database (create password_reset_tokens table if needed)
+    const { error: tokenError } = await supabase
+        .from('password_reset_tokens')
+        .insert([{
+            user_id: user.id,
+            token: resetToken,
+            expires_at: expiresAt.toISOString(),
+            used: false
+        }]);
+        
+    if (tokenError) {
+        throw new Error(`Failed to create reset token: ${tokenError.message}`);
+    }
+    
+    return resetToken;
+}
+
 /**
  * Generate password reset token
  * @param {string} email - User's email
@@ -12,42 +62,33 @@ const SALT_ROUNDS = 12;
  */
 async function generatePasswordResetToken(email) {
     try {
-        // Check if user exists
-        const { data: user, error: userError } = await supabase
-            .from('users')
-            .select('id, email')
-            .eq('email', email.toLowerCase().trim())
-            .single();
-            
-        if (userError || !user) {
-            throw new Error('User not found');
-        }
-        
-        // Generate secure random token
-        const resetToken = crypto.randomBytes(32).toString('hex');
-        const expiresAt = new Date(Date.now() + 3600000); // 1 hour from now
-        
-        // Store reset token in database (create password_reset_tokens table if needed)
-        const { error: tokenError } = await supabase
-            .from('password_reset_tokens')
-            .insert([{
-                user_id: user.id,
-                token: resetToken,
-                expires_at: expiresAt.toISOString(),
-                used: false
-            }]);
-            
-        if (tokenError) {
-            throw new Error(`Failed to create reset token: ${tokenError.message}`);
-        }
-        
-        return resetToken;
+        const user = await findUserForReset(email);
+        return await createResetToken(user);
     } catch (error) {
         console.error('Error generating password reset token:', error);
         throw error;
     }
 }
 
+/**
+ * Start a password reset: create a token and email the reset link to the user.
+ * The token is never returned, so only the owner of the mailbox can use it.
+ * @param {string} email - User's email
+ * @returns {Promise<boolean>} True when an email was sent
+ */
+async function requestPasswordReset(email) {
+    try {
+        const user = await findUserForReset(email);
+        const resetToken = await createResetToken(user);
+        
+        await sendPasswordResetEmail(user, resetToken, RESET_TOKEN_TTL_MINUTES);
+        return true;
+    } catch (error) {
+        console.error('Error requesting password reset:', error);
+        throw error;
+    }
+}
+
 /**
  * Verify password reset token
  * @param {string} token - Reset token
@@ -122,6 +163,9 @@ async function resetPassword(token, newPassword) {
             // Don't throw error here as password was already updated
         }
         
+        // Sign out every device, in case the account was compromised
+        await incrementTokenVersion(user.id, 'password_changed');
+        
         return true;
     } catch (error) {
         console.error('Error resetting password:', error);
@@ -156,6 +200,7 @@ async function cleanupExpiredTokens() {
 
 module.exports = {
     generatePasswordResetToken,
+    requestPasswordReset,
     verifyPasswordResetToken,
     resetPassword,
     cleanupExpiredTokens
@@ -0,0 +1,733 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { supabase } = require('./supabase');
+const { updatePaymentStatus } = require('./orders');
+const { recordAuditEvent } = require('./auditLog');
+const { enqueueNotifications } = require('./notificationOutbox');
+const { PERMISSIONS, hasPermission } = require('./permissions');
+
+/**
+ * Payments Service
+ * M-Pesa STK Push (Daraja Lipa Na M-Pesa Online) for order payments.
+ * MPESA_BASE_URL can point at a local mock of the Daraja API.
+ *
+ * Daraja callbacks are not signed, so the callback URL carries MPESA_CALLBACK_SECRET
+ * and a successful result is only accepted once an STK push query confirms it and
+ * the paid amount and phone match the payment. Checkout request IDs never leave the server.
+ * A payment that completes after its order was cancelled is flagged for a refund.
+ */
+
+const MPESA_BASE_URL = (process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/$/, '');
+
+// Daraja result code for a successful payment
+const MPESA_SUCCESS_CODE = 0;
+
+// A pending payment older than this is checked with Daraja before a new prompt is sent
+const PENDING_PAYMENT_TIMEOUT_MS = 2 * 60 * 1000;
+
+let cachedToken = null;
+
+/**
+ * Read M-Pesa settings from the environment
+ * @returns {Object} Daraja configuration
+ */
+function getMpesaConfig() {
+  const config = {
+    consumerKey: process.env.MPESA_CONSUMER_KEY,
+    consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+    shortcode: process.env.MPESA_SHORTCODE,
+    passkey: process.env.MPESA_PASSKEY,
+    callbackUrl: process.env.MPESA_CALLBACK_URL,
+    callbackSecret: process.env.MPESA_CALLBACK_SECRET,
+    transactionType: process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline'
+  };
+
+  const missing = ['consumerKey', 'consumerSecret', 'shortcode', 'passkey', 'callbackUrl', 'callbackSecret']
+    .filter(key => !config[key]);
+
+  if (missing.length > 0) {
+    throw new Error('M-Pesa is not configured: set MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET, MPESA_SHORTCODE, MPESA_PASSKEY, MPESA_CALLBACK_URL and MPESA_CALLBACK_SECRET');
+  }
+
+  return config;
+}
+
+/**
+ * Callback URL sent to Daraja, carrying the callback secret
+ * @param {Object} config - Daraja configuration
+ * @returns {string} Callback URL with ?secret=
+ */
+function buildCallbackUrl(config) {
+  const url = new URL(config.callbackUrl);
+  url.searchParams.set('secret', config.callbackSecret);
+  return url.toString();
+}
+
+/**
+ * Check the secret on an incoming Daraja callback. Always false when
+ * MPESA_CALLBACK_SECRET is not configured.
+ * @param {string} secret - ?secret= value from the callback URL
+ * @returns {boolean} True if the secret matches
+ */
+function isValidCallbackSecret(secret) {
+  const expected = process.env.MPESA_CALLBACK_SECRET;
+
+  if (!expected || typeof secret !== 'string') {
+    return false;
+  }
+
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const receivedHash = crypto.createHash('sha256').update(secret).digest();
+
+  return crypto.timingSafeEqual(expectedHash, receivedHash);
+}
+
+/**
+ * Strip Daraja request identifiers and raw callbacks from a payment before it is
+ * returned to a client
+ * @param {Object} payment - Payment row
+ * @returns {Object} Payment safe to send to clients
+ */
+function toClientPayment(payment) {
+  if (!payment) {
+    return payment;
+  }
+
+  const { merchant_request_id, checkout_request_id, callback_payload, ...clientPayment } = payment;
+  return clientPayment;
+}
+
+/**
+ * Normalize a Kenyan phone number to the 2547XXXXXXXX format Daraja expects
+ * @param {string} phone - Phone number (07..., 7..., +2547..., 2547...)
+ * @returns {string} MSISDN
+ */
+function normalizeMsisdn(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+
+  let msisdn = digits;
+  if (digits.startsWith('0')) {
+    msisdn = `254${digits.slice(1)}`;
+  } else if (/^[17]\d{8}$/.test(digits)) {
+    msisdn = `254${digits}`;
+  }
+
+  if (!/^254[17]\d{8}$/.test(msisdn)) {
+    throw new Error('Invalid M-Pesa phone number');
+  }
+
+  return msisdn;
+}
+
+/**
+ * Daraja timestamp (YYYYMMDDHHmmss, East Africa Time)
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp
+ */
+function formatTimestamp(date = new Date()) {
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Get an OAuth access token, reusing it until shortly before it expires
+ * @returns {Promise<string>} Access token
+ */
+async function getAccessToken() {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.token;
+  }
+
+  const { consumerKey, consumerSecret } = getMpesaConfig();
+
+  try {
+    const { data } = await axios.get(`${MPESA_BASE_URL}/oauth/v1/generate`, {
+      params: { grant_type: 'client_credentials' },
+      auth: { username: consumerKey, password: consumerSecret },
+      timeout: 10000
+    });
+
+    const expiresIn = parseInt(data.expires_in, 10) || 3599;
+    cachedToken = {
+      token: data.access_token,
+      expiresAt: Date.now() + (expiresIn - 60) * 1000
+    };
+
+    return cachedToken.token;
+  } catch (error) {
+    console.error('Error getting M-Pesa access token:', error.response?.data || error.message);
+    throw new Error('Failed to authenticate with M-Pesa');
+  }
+}
+
+/**
+ * Build the STK password and timestamp pair
+ * @param {Object} config - Daraja configuration
+ * @returns {Object} { password, timestamp }
+ */
+function buildStkCredentials(config) {
+  const timestamp = formatTimestamp();
+  const password = Buffer.from(`${config.shortcode}${config.passkey}${timestamp}`).toString('base64');
+
+  return { password, timestamp };
+}
+
+/**
+ * Settle a pending payment whose prompt has had time to complete, so the buyer
+ * can try again. Payments whose STK push was never sent are marked failed; the
+ * rest are checked with Daraja.
+ * @param {Object} payment - Pending payment row
+ * @returns {Promise<Object>} The payment, still pending if its outcome is unknown
+ */
+async function resolveStalePayment(payment) {
+  if (Date.now() - new Date(payment.created_at).getTime() < PENDING_PAYMENT_TIMEOUT_MS) {
+    return payment;
+  }
+
+  if (!payment.checkout_request_id) {
+    const { data: failed, error } = await supabase
+      .from('payments')
+      .update({ status: 'failed', result_desc: 'The payment request was not sent', updated_at: new Date().toISOString() })
+      .eq('id', payment.id)
+      .eq('status', 'pending')
+      .is('checkout_request_id', null)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error(`Failed to close unsent payment ${payment.id}:`, error.message);
+    }
+
+    return failed || payment;
+  }
+
+  try {
+    const outcome = await queryStkPush(payment);
+    if (!outcome) {
+      return payment;
+    }
+
+    const { payment: settled } = await settlePayment(payment, outcome);
+    return settled;
+  } catch (error) {
+    console.error(`M-Pesa status query for payment ${payment.id} failed:`, error.response?.data || error.message);
+    return payment;
+  }
+}
+
+/**
+ * Start an STK Push for an order; the buyer confirms it on their phone
+ * @param {string} userId - Buyer's user ID
+ * @param {string} orderId - Order ID
+ * @param {string} phoneNumber - Phone to charge (defaults to the buyer's phone)
+ * @returns {Object} Pending payment record
+ */
+async function initiateOrderPayment(userId, orderId, phoneNumber) {
+  try {
+    const config = getMpesaConfig();
+
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(`
+        id, buyer_id, bulk_order_id, total_amount, status, payment_status,
+        buyer:users!orders_buyer_id_fkey(id, phone)
+      `)
+      .eq('id', orderId)
+      .single();
+
+    if (orderError || !order) {
+      throw new Error('Order not found');
+    }
+
+    if (order.buyer_id !== userId) {
+      throw new Error('Unauthorized: You can only pay for your own orders');
+    }
+
+    if (order.status === 'cancelled') {
+      throw new Error('Cannot pay for a cancelled order');
+    }
+
+    if (order.payment_status === 'paid') {
+      throw new Error('Order is already paid');
+    }
+
+    // Only one STK prompt per order at a time (a unique index backs this up)
+    const { data: pendingPayments, error: pendingError } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('order_id', orderId)
+      .eq('status', 'pending')
+      .limit(1);
+
+    if (pendingError) {
+      throw new Error(`Failed to check pending payments: ${pendingError.message}`);
+    }
+
+    if (pendingPayments?.length > 0) {
+      const previous = await resolveStalePayment(pendingPayments[0]);
+
+      if (previous.status === 'pending') {
+        throw new Error('A payment request for this order is already in progress');
+      }
+      if (previous.status === 'completed') {
+        throw new Error('Order is already paid');
+      }
+    }
+
+    const msisdn = normalizeMsisdn(phoneNumber || order.buyer?.phone);
+    // M-Pesa only accepts whole shillings
+    const amount = Math.ceil(parseFloat(order.total_amount));
+    const accessToken = await getAccessToken();
+
+    const { data: payment, error: insertError } = await supabase
+      .from('payments')
+      .insert({
+        user_id: userId,
+        order_id: orderId,
+        bulk_order_id: order.bulk_order_id || null,
+        amount,
+        payment_method: 'mpesa',
+        phone_number: msisdn,
+        status: 'pending'
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      // A parallel request created the pending payment first
+      if (insertError.code === '23505') {
+        throw new Error('A payment request for this order is already in progress');
+      }
+      console.error('Error creating payment:', insertError);
+      throw new Error('Failed to create payment');
+    }
+
+    const { password, timestamp } = buildStkCredentials(config);
+
+    let stkResponse;
+    try {
+      const { data } = await axios.post(`${MPESA_BASE_URL}/mpesa/stkpush/v1/processrequest`, {
+        BusinessShortCode: config.shortcode,
+        Password: password,
+        Timestamp: timestamp,
+        TransactionType: config.transactionType,
+        Amount: amount,
+        PartyA: msisdn,
+        PartyB: config.shortcode,
+        PhoneNumber: msisdn,
+        CallBackURL: buildCallbackUrl(config),
+        AccountReference: `ORDER-${orderId.slice(0, 8).toUpperCase()}`,
+        TransactionDesc: 'AgriAI order payment'
+      }, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: 15000
+      });
+      stkResponse = data;
+    } catch (error) {
+      const reason = error.response?.data?.errorMessage || error.message;
+      console.error('M-Pesa STK push request failed:', error.response?.data || error.message);
+
+      await supabase
+        .from('payments')
+        .update({ status: 'failed', result_desc: reason, updated_at: new Date().toISOString() })
+        .eq('id', payment.id);
+
+      throw new Error(`M-Pesa request failed: ${reason}`);
+    }
+
+    if (String(stkResponse.ResponseCode) !== '0') {
+      await supabase
+        .from('payments')
+        .update({ status: 'failed', result_desc: stkResponse.ResponseDescription, updated_at: new Date().toISOString() })
+        .eq('id', payment.id);
+
+      throw new Error(`M-Pesa request failed: ${stkResponse.ResponseDescription}`);
+    }
+
+    const { data: updatedPayment, error: updateError } = await supabase
+      .from('payments')
+      .update({
+        merchant_request_id: stkResponse.MerchantRequestID,
+        checkout_request_id: stkResponse.CheckoutRequestID,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', payment.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('Error saving checkout request:', updateError);
+      throw new Error('Failed to save payment request');
+    }
+
+    return {
+      ...toClientPayment(updatedPayment),
+      customer_message: stkResponse.CustomerMessage
+    };
+  } catch (error) {
+    console.error('Error in initiateOrderPayment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pull the named values out of a Daraja CallbackMetadata block
+ * @param {Object} metadata - CallbackMetadata with an Item array
+ * @returns {Object} Map of item name to value
+ */
+function parseCallbackMetadata(metadata) {
+  return (metadata?.Item || []).reduce((values, item) => {
+    values[item.Name] = item.Value;
+    return values;
+  }, {});
+}
+
+/**
+ * Apply a payment outcome once. Payments that are no longer pending are left
+ * untouched, so repeated callbacks or status queries are no-ops.
+ * @param {Object} payment - Payment row
+ * @param {Object} outcome - { resultCode, resultDesc, receiptNumber, amount, payload }
+ * @returns {Object} { payment, duplicate }
+ */
+async function settlePayment(payment, outcome) {
+  if (payment.status !== 'pending') {
+    return { payment, duplicate: true };
+  }
+
+  const { resultCode, resultDesc, receiptNumber, amount, payload } = outcome;
+  let succeeded = resultCode === MPESA_SUCCESS_CODE;
+  let description = resultDesc;
+
+  if (succeeded && amount !== undefined && parseFloat(amount) < parseFloat(payment.amount)) {
+    succeeded = false;
+    description = `Amount paid (${amount}) is less than the amount due (${payment.amount})`;
+  }
+
+  if (succeeded && receiptNumber) {
+    // The same receipt may already have settled this payment through another path
+    const { data: existing } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('transaction_id', receiptNumber)
+      .maybeSingle();
+
+    if (existing) {
+      return { payment: existing, duplicate: true };
+    }
+  }
+
+  const { data: updatedPayment, error } = await supabase
+    .from('payments')
+    .update({
+      status: succeeded ? 'completed' : 'failed',
+      transaction_id: succeeded ? receiptNumber || null : null,
+      result_code: resultCode,
+      result_desc: description,
+      callback_payload: payload || null,
+      completed_at: succeeded ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', payment.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error updating payment:', error);
+    throw new Error('Failed to update payment');
+  }
+
+  // Another callback got there first
+  if (!updatedPayment) {
+    return { payment, duplicate: true };
+  }
+
+  if (updatedPayment.order_id) {
+    if (succeeded) {
+      try {
+        await updatePaymentStatus(updatedPayment.order_id, 'paid', {
+          notes: receiptNumber ? `M-Pesa receipt ${receiptNumber}` : null
+        });
+      } catch (orderError) {
+        if (!orderError.message.includes('cancelled order')) {
+          throw orderError;
+        }
+        // The order expired or was cancelled while the buyer was paying
+        return { payment: await flagForRefund(updatedPayment), duplicate: false };
+      }
+    } else {
+      // A failed retry must not undo an earlier successful payment
+      const { data: order } = await supabase
+        .from('orders')
+        .select('payment_status')
+        .eq('id', updatedPayment.order_id)
+        .single();
+
+      if (order && order.payment_status === 'pending') {
+        await updatePaymentStatus(updatedPayment.order_id, 'failed', { notes: description });
+      }
+    }
+  }
+
+  return { payment: updatedPayment, duplicate: false };
+}
+
+/**
+ * Flag a completed payment for a refund because its order was cancelled before
+ * the money arrived, and alert the admins
+ * @param {Object} payment - Completed payment row
+ * @returns {Promise<Object>} Updated payment
+ */
+async function flagForRefund(payment) {
+  const { data: flagged, error } = await supabase
+    .from('payments')
+    .update({ refund_required: true, updated_at: new Date().toISOString() })
+    .eq('id', payment.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Failed to flag payment ${payment.id} for a refund:`, error.message);
+  }
+
+  console.warn(`Payment ${payment.id} for cancelled order ${payment.order_id} needs a refund`);
+
+  await recordAuditEvent({
+    action: 'payment.refund_required',
+    targetType: 'payment',
+    targetId: payment.id,
+    details: {
+      order_id: payment.order_id,
+      amount: payment.amount,
+      phone_number: payment.phone_number,
+      receipt: payment.transaction_id
+    }
+  });
+
+  try {
+    const { data: admins, error: adminError } = await supabase
+      .from('users')
+      .select('id, phone, whatsapp_phone')
+      .eq('user_type', 'admin');
+
+    if (adminError) {
+      throw new Error(adminError.message);
+    }
+
+    await enqueueNotifications((admins || []).map(admin => ({
+      userId: admin.id,
+      recipient: admin.whatsapp_phone || admin.phone,
+      category: 'marketplace',
+      channel: admin.whatsapp_phone ? 'whatsapp' : 'sms',
+      message: `⚠️ Refund needed: KES ${payment.amount} (M-Pesa ${payment.transaction_id || 'receipt unknown'}) from ${payment.phone_number} was paid for order #${String(payment.order_id).slice(0, 8)} after it was cancelled.`
+    })));
+  } catch (alertError) {
+    console.error(`Failed to alert admins about payment ${payment.id}:`, alertError.message);
+  }
+
+  return flagged || { ...payment, refund_required: true };
+}
+
+/**
+ * Ask Daraja for the outcome of a payment's STK push
+ * @param {Object} payment - Payment row with checkout_request_id
+ * @returns {Promise<Object|null>} { resultCode, resultDesc }, or null while the customer hasn't responded
+ */
+async function queryStkPush(payment) {
+  const config = getMpesaConfig();
+  const { password, timestamp } = buildStkCredentials(config);
+  const accessToken = await getAccessToken();
+
+  const { data } = await axios.post(`${MPESA_BASE_URL}/mpesa/stkpushquery/v1/query`, {
+    BusinessShortCode: config.shortcode,
+    Password: password,
+    Timestamp: timestamp,
+    CheckoutRequestID: payment.checkout_request_id
+  }, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: 15000
+  });
+
+  // ResultCode is absent while the customer hasn't responded
+  if (data.ResultCode === undefined || data.ResultCode === null) {
+    return null;
+  }
+
+  return {
+    resultCode: Number(data.ResultCode),
+    resultDesc: data.ResultDesc
+  };
+}
+
+/**
+ * Handle the Daraja STK callback. The route has already checked the callback secret.
+ * @param {Object} body - Callback body ({ Body: { stkCallback } })
+ * @returns {Object} { payment, duplicate }
+ */
+async function handleStkCallback(body) {
+  try {
+    const callback = body?.Body?.stkCallback;
+
+    if (!callback || !callback.CheckoutRequestID) {
+      throw new Error('Invalid M-Pesa callback payload');
+    }
+
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('checkout_request_id', callback.CheckoutRequestID)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching payment for callback:', error);
+      throw new Error('Failed to fetch payment');
+    }
+
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    const metadata = parseCallbackMetadata(callback.CallbackMetadata);
+    const resultCode = Number(callback.ResultCode);
+
+    if (resultCode !== MPESA_SUCCESS_CODE || payment.status !== 'pending') {
+      return await settlePayment(payment, {
+        resultCode,
+        resultDesc: callback.ResultDesc,
+        payload: body
+      });
+    }
+
+    // A success must describe this payment and be confirmed by Daraja itself
+    if (metadata.Amount === undefined || !metadata.MpesaReceiptNumber) {
+      throw new Error('M-Pesa callback is missing the amount or receipt');
+    }
+
+    if (metadata.PhoneNumber !== undefined && String(metadata.PhoneNumber) !== payment.phone_number) {
+      throw new Error('M-Pesa callback phone number does not match the payment');
+    }
+
+    const confirmed = await queryStkPush(payment).catch(queryError => {
+      console.error('M-Pesa status query failed:', queryError.response?.data || queryError.message);
+      return null;
+    });
+
+    // Leave the payment pending; getPaymentStatus queries again later
+    if (!confirmed) {
+      throw new Error('Could not confirm the M-Pesa payment');
+    }
+
+    if (confirmed.resultCode !== MPESA_SUCCESS_CODE) {
+      return await settlePayment(payment, { ...confirmed, payload: body });
+    }
+
+    return await settlePayment(payment, {
+      resultCode,
+      resultDesc: callback.ResultDesc,
+      receiptNumber: metadata.MpesaReceiptNumber,
+      amount: metadata.Amount,
+      payload: body
+    });
+  } catch (error) {
+    console.error('Error in handleStkCallback:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a payment, asking Daraja for the outcome if the callback hasn't arrived yet
+ * @param {string} paymentId - Payment ID
+ * @param {Object} user - Requesting user (owner, or holds payments.view_all)
+ * @returns {Object} Payment record
+ */
+async function getPaymentStatus(paymentId, user) {
+  try {
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('id', paymentId)
+      .single();
+
+    if (error || !payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (payment.user_id !== user.id && !(await hasPermission(user, PERMISSIONS.PAYMENTS_VIEW_ALL))) {
+      throw new Error('Unauthorized: You can only view your own payments');
+    }
+
+    // Give the callback a moment before querying Daraja
+    const ageMs = Date.now() - new Date(payment.created_at).getTime();
+    if (payment.status !== 'pending' || !payment.checkout_request_id || ageMs < 30000) {
+      return toClientPayment(payment);
+    }
+
+    try {
+      const outcome = await queryStkPush(payment);
+
+      if (!outcome) {
+        return toClientPayment(payment);
+      }
+
+      const { payment: settled } = await settlePayment(payment, outcome);
+
+      return toClientPayment(settled);
+    } catch (queryError) {
+      console.error('M-Pesa status query failed:', queryError.response?.data || queryError.message);
+      return toClientPayment(payment);
+    }
+  } catch (error) {
+    console.error('Error in getPaymentStatus:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get payments made by a user
+ * @param {string} userId - User ID
+ * @param {Object} filters - { order_id, status, limit, offset }
+ * @returns {Array} Payments, newest first
+ */
+async function getUserPayments(userId, filters = {}) {
+  const { order_id, status, limit = 50, offset = 0 } = filters;
+
+  try {
+    let query = supabase
+      .from('payments')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (order_id) {
+      query = query.eq('order_id', order_id);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Error fetching payments:', error);
+      throw new Error('Failed to fetch payments');
+    }
+
+    return (data || []).map(toClientPayment);
+  } catch (error) {
+    console.error('Error in getUserPayments:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  MPESA_BASE_URL,
+  normalizeMsisdn,
+  formatTimestamp,
+  isValidCallbackSecret,
+  initiateOrderPayment,
+  handleStkCallback,
+  getPaymentStatus,
+  getUserPayments
+};
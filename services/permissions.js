@@ -0,0 +1,307 @@
+const { supabase } = require('./supabase');
+
+/**
+ * Permission Service
+ * Maps roles to permissions. A user's permissions come from three places:
+ * - user_type 'admin' holds every permission
+ * - platform roles granted in user_roles (support agent, content moderator)
+ * - their role in a SACCO (chair, treasurer, secretary, member), which only
+ *   counts for permissions checked against that SACCO
+ */
+
+const PERMISSIONS = {
+    // SACCO-scoped
+    SACCO_VIEW_MEMBERS: 'sacco.view_members',
+    SACCO_UPDATE_SETTINGS: 'sacco.update_settings',
+    SACCO_ASSIGN_ROLES: 'sacco.assign_roles',
+    SACCO_TRANSFER_CHAIR: 'sacco.transfer_chair',
+    BULK_ORDERS_VIEW: 'bulk_orders.view',
+    BULK_ORDERS_CREATE: 'bulk_orders.create',
+    BULK_ORDERS_FINALIZE: 'bulk_orders.finalize',
+
+    // Platform-wide
+    USERS_VIEW: 'users.view',
+    USERS_MANAGE: 'users.manage',
+    ROLES_MANAGE: 'roles.manage',
+    ORDERS_VIEW_ALL: 'orders.view_all',
+    ORDERS_MANAGE: 'orders.manage',
+    PAYMENTS_VIEW_ALL: 'payments.view_all',
+    NOTIFICATIONS_VIEW: 'notifications.view',
+    NOTIFICATIONS_MANAGE: 'notifications.manage',
+    SUBSCRIPTIONS_MANAGE: 'subscriptions.manage',
+    BROADCAST_SEND: 'broadcast.send',
+    AUDIT_VIEW: 'audit.view',
+    CONTENT_MODERATE: 'content.moderate',
+    SELLERS_VERIFY: 'sellers.verify',
+    JOBS_MANAGE: 'jobs.manage',
+    MARKET_DATA_COLLECT: 'market_data.collect'
+};
+
+const SACCO_ROLES = ['chair', 'treasurer', 'secretary', 'member'];
+const PLATFORM_ROLES = ['support_agent', 'content_moderator'];
+
+const MEMBER_PERMISSIONS = [
+    PERMISSIONS.SACCO_VIEW_MEMBERS,
+    PERMISSIONS.BULK_ORDERS_VIEW,
+    PERMISSIONS.BULK_ORDERS_CREATE
+];
+
+const SACCO_ROLE_PERMISSIONS = {
+    member: MEMBER_PERMISSIONS,
+    secretary: [...MEMBER_PERMISSIONS, PERMISSIONS.SACCO_UPDATE_SETTINGS],
+    treasurer: [...MEMBER_PERMISSIONS, PERMISSIONS.BULK_ORDERS_FINALIZE],
+    chair: [
+        ...MEMBER_PERMISSIONS,
+        PERMISSIONS.SACCO_UPDATE_SETTINGS,
+        PERMISSIONS.SACCO_ASSIGN_ROLES,
+        PERMISSIONS.SACCO_TRANSFER_CHAIR,
+        PERMISSIONS.BULK_ORDERS_FINALIZE
+    ]
+};
+
+// Platform roles apply to every SACCO, e.g. support agents can look into any group
+const PLATFORM_ROLE_PERMISSIONS = {
+    support_agent: [
+        PERMISSIONS.USERS_VIEW,
+        PERMISSIONS.ORDERS_VIEW_ALL,
+        PERMISSIONS.PAYMENTS_VIEW_ALL,
+        PERMISSIONS.NOTIFICATIONS_VIEW,
+        PERMISSIONS.SACCO_VIEW_MEMBERS,
+        PERMISSIONS.BULK_ORDERS_VIEW
+    ],
+    content_moderator: [
+        PERMISSIONS.CONTENT_MODERATE
+    ]
+};
+
+/**
+ * Get the platform roles granted to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} Role names
+ */
+async function getPlatformRoles(userId) {
+    const { data: roles, error } = await supabase
+        .from('user_roles')
+        .select('role')
+        .eq('user_id', userId);
+
+    if (error) {
+        throw new Error(`Failed to fetch user roles: ${error.message}`);
+    }
+
+    return (roles || []).map(row => row.role);
+}
+
+/**
+ * Get a user's role in a SACCO
+ * @param {string} userId - User ID
+ * @param {string} saccoId - SACCO group ID
+ * @returns {Promise<string|null>} Role, or null if not an active member
+ */
+async function getSaccoRole(userId, saccoId) {
+    const { data: membership, error } = await supabase
+        .from('sacco_memberships')
+        .select('role')
+        .eq('sacco_id', saccoId)
+        .eq('user_id', userId)
+        .eq('status', 'active')
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch SACCO role: ${error.message}`);
+    }
+
+    return membership ? membership.role || 'member' : null;
+}
+
+/**
+ * Load the fields permission checks need when only a user ID is at hand
+ * @param {Object|string} user - User object or user ID
+ * @returns {Promise<Object>} { id, user_type }
+ */
+async function resolveUser(user) {
+    if (user && typeof user === 'object') {
+        return user;
+    }
+
+    const { data, error } = await supabase
+        .from('users')
+        .select('id, user_type')
+        .eq('id', user)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch user: ${error.message}`);
+    }
+
+    if (!data) {
+        throw new Error('User not found');
+    }
+
+    return data;
+}
+
+/**
+ * Work out everything a user may do, optionally within one SACCO
+ * @param {Object|string} user - User object (with id and user_type) or user ID
+ * @param {Object} scope - { saccoId }
+ * @returns {Promise<Object>} { permissions: Set, platformRoles, saccoRole, isAdmin }
+ */
+async function getUserPermissions(user, scope = {}) {
+    const resolved = await resolveUser(user);
+    const isAdmin = resolved.user_type === 'admin';
+
+    const platformRoles = await getPlatformRoles(resolved.id);
+    const saccoRole = scope.saccoId ? await getSaccoRole(resolved.id, scope.saccoId) : null;
+
+    const permissions = new Set(isAdmin ? Object.values(PERMISSIONS) : []);
+    for (const role of platformRoles) {
+        (PLATFORM_ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+    }
+    if (saccoRole) {
+        (SACCO_ROLE_PERMISSIONS[saccoRole] || []).forEach(permission => permissions.add(permission));
+    }
+
+    return { permissions, platformRoles, saccoRole, isAdmin };
+}
+
+/**
+ * Check a single permission
+ * @param {Object|string} user - User object or user ID
+ * @param {string} permission - Permission name (see PERMISSIONS)
+ * @param {Object} scope - { saccoId } for SACCO-scoped permissions
+ * @returns {Promise<boolean>} True if allowed
+ */
+async function hasPermission(user, permission, scope = {}) {
+    const { permissions } = await getUserPermissions(user, scope);
+    return permissions.has(permission);
+}
+
+/**
+ * Throw unless the user holds a permission. Services call this so checks hold
+ * for every channel (web, WhatsApp, USSD), not just the HTTP routes.
+ * @param {Object|string} user - User object or user ID
+ * @param {string} permission - Permission name
+ * @param {Object} scope - { saccoId }
+ */
+async function assertPermission(user, permission, scope = {}) {
+    if (!(await hasPermission(user, permission, scope))) {
+        throw new Error(`Permission denied: ${permission}`);
+    }
+}
+
+/**
+ * Give a SACCO member a different role. The chair is handed over with
+ * transferSACCOAdmin instead, so the group always has exactly one.
+ * @param {string} actorId - User assigning the role
+ * @param {string} saccoId - SACCO group ID
+ * @param {string} memberId - Member receiving the role
+ * @param {string} role - 'treasurer', 'secretary' or 'member'
+ * @returns {Promise<Object>} Updated membership
+ */
+async function assignSaccoRole(actorId, saccoId, memberId, role) {
+    try {
+        if (!SACCO_ROLES.includes(role) || role === 'chair') {
+            throw new Error('Invalid role. Use one of: treasurer, secretary, member');
+        }
+
+        await assertPermission(actorId, PERMISSIONS.SACCO_ASSIGN_ROLES, { saccoId });
+
+        const currentRole = await getSaccoRole(memberId, saccoId);
+        if (!currentRole) {
+            throw new Error('User is not an active member of this SACCO group');
+        }
+
+        if (currentRole === 'chair') {
+            throw new Error('The chair cannot be reassigned. Transfer the chair first.');
+        }
+
+        const { data: membership, error } = await supabase
+            .from('sacco_memberships')
+            .update({ role })
+            .eq('sacco_id', saccoId)
+            .eq('user_id', memberId)
+            .select('id, role, joined_at, status, user:users(id, name, phone)')
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to assign role: ${error.message}`);
+        }
+
+        return membership;
+    } catch (error) {
+        console.error('Error in assignSaccoRole:', error);
+        throw error;
+    }
+}
+
+/**
+ * Grant a platform role
+ * @param {string} userId - User receiving the role
+ * @param {string} role - 'support_agent' or 'content_moderator'
+ * @param {string} grantedBy - Admin granting it
+ * @returns {Promise<Array<string>>} The user's platform roles afterwards
+ */
+async function grantPlatformRole(userId, role, grantedBy) {
+    try {
+        if (!PLATFORM_ROLES.includes(role)) {
+            throw new Error(`Invalid role. Use one of: ${PLATFORM_ROLES.join(', ')}`);
+        }
+
+        await resolveUser(userId);
+
+        const { error } = await supabase
+            .from('user_roles')
+            .upsert([{ user_id: userId, role, granted_by: grantedBy }], { onConflict: 'user_id,role', ignoreDuplicates: true });
+
+        if (error) {
+            throw new Error(`Failed to grant role: ${error.message}`);
+        }
+
+        return await getPlatformRoles(userId);
+    } catch (error) {
+        console.error('Error in grantPlatformRole:', error);
+        throw error;
+    }
+}
+
+/**
+ * Take away a platform role
+ * @param {string} userId - User ID
+ * @param {string} role - Role to remove
+ * @returns {Promise<Array<string>>} The user's platform roles afterwards
+ */
+async function revokePlatformRole(userId, role) {
+    try {
+        const { error } = await supabase
+            .from('user_roles')
+            .delete()
+            .eq('user_id', userId)
+            .eq('role', role);
+
+        if (error) {
+            throw new Error(`Failed to revoke role: ${error.message}`);
+        }
+
+        return await getPlatformRoles(userId);
+    } catch (error) {
+        console.error('Error in revokePlatformRole:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    PERMISSIONS,
+    SACCO_ROLES,
+    PLATFORM_ROLES,
+    SACCO_ROLE_PERMISSIONS,
+    PLATFORM_ROLE_PERMISSIONS,
+    getPlatformRoles,
+    getSaccoRole,
+    getUserPermissions,
+    hasPermission,
+    assertPermission,
+    assignSaccoRole,
+    grantPlatformRole,
+    revokePlatformRole
+};
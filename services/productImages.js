@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { supabase } = require('./supabase');
+const { getStorage } = require('./storage');
+
+/**
+ * Product Images Service
+ * Turns uploaded product photos into WebP thumbnail and medium renditions and
+ * keeps them in the configured storage backend. Renditions are re-encoded from
+ * the decoded pixels, so EXIF and other metadata (including GPS) never reach
+ * storage; the uploaded original is discarded.
+ */
+
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_BYTES = (parseFloat(process.env.PRODUCT_IMAGE_MAX_MB) || 5) * 1024 * 1024;
+const MAX_IMAGES_PER_PRODUCT = 8;
+
+// Guards against decompression bombs: a small file that decodes to a huge image
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const RENDITIONS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  medium: { width: 800, height: 800, fit: 'inside', withoutEnlargement: true }
+};
+
+const WEBP_QUALITY = 80;
+
+// sharp's format names for the allowed MIME types
+const SHARP_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Check that the product exists and belongs to the wholesaler
+ * @param {string} productId - Product ID
+ * @param {string} wholesalerId - Wholesaler ID
+ * @returns {Object} Product
+ */
+async function assertProductOwner(productId, wholesalerId) {
+  const { data: product, error } = await supabase
+    .from('products')
+    .select('id, wholesaler_id, image_url')
+    .eq('id', productId)
+    .single();
+
+  if (error || !product) {
+    throw new Error('Product not found');
+  }
+
+  if (product.wholesaler_id !== wholesalerId) {
+    throw new Error('Unauthorized: You can only manage images for your own products');
+  }
+
+  return product;
+}
+
+/**
+ * Validate an uploaded image and produce its renditions
+ * @param {Object} file - Uploaded file { originalname, mimetype, size, buffer }
+ * @returns {Object} { thumbnail: Buffer, medium: { data, info }, size }
+ */
+async function processImage(file) {
+  const name = file.originalname || 'image';
+
+  if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+    throw new Error(`Unsupported image type for ${name}. Use JPEG, PNG or WebP`);
+  }
+
+  if (file.size > MAX_IMAGE_BYTES) {
+    throw new Error(`${name} is larger than ${MAX_IMAGE_BYTES / 1024 / 1024}MB`);
+  }
+
+  // The declared MIME type comes from the client, so check the actual contents too
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new Error(`${name} is not a valid image`);
+  }
+
+  if (!SHARP_FORMATS.includes(metadata.format)) {
+    throw new Error(`Unsupported image type for ${name}. Use JPEG, PNG or WebP`);
+  }
+
+  try {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const source = sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+    const [thumbnail, medium] = await Promise.all([
+      source.clone().resize(RENDITIONS.thumbnail).webp({ quality: WEBP_QUALITY }).toBuffer(),
+      source.clone().resize(RENDITIONS.medium).webp({ quality: WEBP_QUALITY }).toBuffer({ resolveWithObject: true })
+    ]);
+
+    return { thumbnail, medium, size: file.size };
+  } catch (error) {
+    console.error('Error processing image:', error);
+    throw new Error(`${name} could not be processed`);
+  }
+}
+
+/**
+ * Get a product's images in display order
+ * @param {string} productId - Product ID
+ * @returns {Array} Product images
+ */
+async function getProductImages(productId) {
+  try {
+    const { data, error } = await supabase
+      .from('product_images')
+      .select('*')
+      .eq('product_id', productId)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch product images: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getProductImages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make an image the product's primary image and mirror it to products.image_url
+ * @param {string} productId - Product ID
+ * @param {Object} image - Product image row
+ */
+async function markPrimary(productId, image) {
+  // Clear the old primary first; the unique index allows only one per product
+  const { error: clearError } = await supabase
+    .from('product_images')
+    .update({ is_primary: false })
+    .eq('product_id', productId)
+    .eq('is_primary', true);
+
+  if (clearError) {
+    throw new Error(`Failed to update primary image: ${clearError.message}`);
+  }
+
+  const { data, error } = await supabase
+    .from('product_images')
+    .update({ is_primary: true })
+    .eq('id', image.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update primary image: ${error.message}`);
+  }
+
+  const { error: productError } = await supabase
+    .from('products')
+    .update({ image_url: image.medium_url })
+    .eq('id', productId);
+
+  if (productError) {
+    throw new Error(`Failed to update product image: ${productError.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Upload images for a product (wholesaler only, own products)
+ * All files are validated and processed before anything is stored, so one bad
+ * file rejects the whole upload.
+ * @param {string} productId - Product ID
+ * @param {string} wholesalerId - Wholesaler ID
+ * @param {Array} files - Uploaded files { originalname, mimetype, size, buffer }
+ * @returns {Array} Created product images
+ */
+async function addProductImages(productId, wholesalerId, files) {
+  try {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new Error('At least one image is required');
+    }
+
+    await assertProductOwner(productId, wholesalerId);
+
+    const existing = await getProductImages(productId);
+    if (existing.length + files.length > MAX_IMAGES_PER_PRODUCT) {
+      throw new Error(`A product can have at most ${MAX_IMAGES_PER_PRODUCT} images (${existing.length} already uploaded)`);
+    }
+
+    const processed = [];
+    for (const file of files) {
+      processed.push(await processImage(file));
+    }
+
+    const storage = getStorage();
+    const storedKeys = [];
+    const rows = [];
+    let position = existing.reduce((max, image) => Math.max(max, image.position + 1), 0);
+    let saved;
+
+    try {
+      for (const image of processed) {
+        const baseKey = `products/${productId}/${crypto.randomUUID()}`;
+
+        const thumbnail = await storage.put(`${baseKey}-thumb.webp`, image.thumbnail, 'image/webp');
+        storedKeys.push(thumbnail.key);
+
+        const medium = await storage.put(`${baseKey}-medium.webp`, image.medium.data, 'image/webp');
+        storedKeys.push(medium.key);
+
+        rows.push({
+          product_id: productId,
+          thumbnail_key: thumbnail.key,
+          thumbnail_url: thumbnail.url,
+          medium_key: medium.key,
+          medium_url: medium.url,
+          width: image.medium.info.width,
+          height: image.medium.info.height,
+          original_size_bytes: image.size,
+          position: position++,
+          is_primary: false,
+          uploaded_by: wholesalerId
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('product_images')
+        .insert(rows)
+        .select();
+
+      if (error) {
+        throw new Error(`Failed to save product images: ${error.message}`);
+      }
+
+      saved = data || [];
+    } catch (error) {
+      // Don't leave orphaned files behind when the upload fails part-way
+      await Promise.all(storedKeys.map(key => storage.delete(key).catch(deleteError => {
+        console.error(`Failed to clean up stored image ${key}:`, deleteError);
+      })));
+      throw error;
+    }
+
+    const images = saved.sort((a, b) => a.position - b.position);
+
+    if (!existing.some(image => image.is_primary) && images.length > 0) {
+      images[0] = await markPrimary(productId, images[0]);
+    }
+
+    return images;
+  } catch (error) {
+    console.error('Error in addProductImages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one of a product's images, checking the wholesaler owns the product
+ * @param {string} productId - Product ID
+ * @param {string} imageId - Product image ID
+ * @param {string} wholesalerId - Wholesaler ID
+ * @returns {Object} Product image
+ */
+async function getOwnedImage(productId, imageId, wholesalerId) {
+  await assertProductOwner(productId, wholesalerId);
+
+  const { data: image, error } = await supabase
+    .from('product_images')
+    .select('*')
+    .eq('id', imageId)
+    .eq('product_id', productId)
+    .single();
+
+  if (error || !image) {
+    throw new Error('Image not found');
+  }
+
+  return image;
+}
+
+/**
+ * Make an image the product's primary image (wholesaler only, own products)
+ * @param {string} productId - Product ID
+ * @param {string} imageId - Product image ID
+ * @param {string} wholesalerId - Wholesaler ID
+ * @returns {Object} Updated product image
+ */
+async function setPrimaryImage(productId, imageId, wholesalerId) {
+  try {
+    const image = await getOwnedImage(productId, imageId, wholesalerId);
+
+    if (image.is_primary) {
+      return image;
+    }
+
+    return await markPrimary(productId, image);
+  } catch (error) {
+    console.error('Error in setPrimaryImage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a product image and its stored renditions (wholesaler only, own products)
+ * When the primary image is deleted the next image takes its place.
+ * @param {string} productId - Product ID
+ * @param {string} imageId - Product image ID
+ * @param {string} wholesalerId - Wholesaler ID
+ * @returns {boolean} Success status
+ */
+async function deleteProductImage(productId, imageId, wholesalerId) {
+  try {
+    const image = await getOwnedImage(productId, imageId, wholesalerId);
+
+    const { error } = await supabase
+      .from('product_images')
+      .delete()
+      .eq('id', image.id);
+
+    if (error) {
+      throw new Error(`Failed to delete product image: ${error.message}`);
+    }
+
+    const storage = getStorage();
+    await Promise.all([image.thumbnail_key, image.medium_key].map(key => storage.delete(key).catch(deleteError => {
+      console.error(`Failed to delete stored image ${key}:`, deleteError);
+    })));
+
+    if (image.is_primary) {
+      const [next] = await getProductImages(productId);
+
+      if (next) {
+        await markPrimary(productId, next);
+      } else {
+        const { error: productError } = await supabase
+          .from('products')
+          .update({ image_url: null })
+          .eq('id', productId);
+
+        if (productError) {
+          throw new Error(`Failed to update product image: ${productError.message}`);
+        }
+      }
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error in deleteProductImage:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_PRODUCT,
+  getProductImages,
+  addProductImages,
+  setPrimaryImage,
+  deleteProductImage
+};
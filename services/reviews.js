@@ -0,0 +1,594 @@
+const { supabase } = require('./supabase');
+const { getOrderById, getOrderLines } = require('./orders');
+const { recordAuditEvent } = require('./auditLog');
+
+/**
+ * Reviews Service
+ * Verified-purchase product reviews. Buyers rate each product of a paid, delivered
+ * order once; the wholesaler can reply. Reviews can be reported, and enough open
+ * reports take a review down until a content moderator hides it for good or
+ * restores it. Product ratings and the wholesaler's seller score are kept up to
+ * date by a database trigger over published reviews.
+ */
+
+const REVIEW_STATUSES = ['published', 'flagged', 'hidden'];
+const REPORT_REASONS = ['abusive', 'spam', 'off_topic', 'fake', 'other'];
+
+// Open reports that take a review down until a moderator looks at it
+const AUTO_FLAG_REPORTS = parseInt(process.env.REVIEW_AUTO_FLAG_REPORTS) || 3;
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_REPLY_LENGTH = 1000;
+
+const REVIEW_SELECT = `
+  *,
+  reviewer:users!product_reviews_reviewer_id_fkey(id, name),
+  product:products!product_reviews_product_id_fkey(id, name, unit_type)
+`;
+
+/**
+ * Validate and clean the editable fields of a review
+ * @param {Object} input - { rating, title, comment }
+ * @param {boolean} partial - Whether fields may be left out (edits)
+ * @returns {Object} Fields to save
+ */
+function parseReviewFields(input = {}, partial = false) {
+  const fields = {};
+
+  if (input.rating !== undefined || !partial) {
+    const rating = Number(input.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new Error('Rating must be a whole number from 1 to 5');
+    }
+    fields.rating = rating;
+  }
+
+  if (input.title !== undefined) {
+    const title = input.title ? String(input.title).trim() : '';
+    if (title.length > MAX_TITLE_LENGTH) {
+      throw new Error(`Review title must be ${MAX_TITLE_LENGTH} characters or fewer`);
+    }
+    fields.title = title || null;
+  }
+
+  if (input.comment !== undefined) {
+    const comment = input.comment ? String(input.comment).trim() : '';
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      throw new Error(`Review comment must be ${MAX_COMMENT_LENGTH} characters or fewer`);
+    }
+    fields.comment = comment || null;
+  }
+
+  return fields;
+}
+
+/**
+ * Get a review by ID
+ * @param {string} reviewId - Review ID
+ * @returns {Object} Review
+ */
+async function getReview(reviewId) {
+  const { data, error } = await supabase
+    .from('product_reviews')
+    .select(REVIEW_SELECT)
+    .eq('id', reviewId)
+    .single();
+
+  if (error || !data) {
+    throw new Error('Review not found');
+  }
+
+  return data;
+}
+
+/**
+ * Review a product from a paid, delivered order (buyer only). Orders are marked
+ * delivered by the seller or by the buyer's delivery code, never by the buyer alone.
+ * @param {string} buyerId - Buyer ID
+ * @param {Object} reviewData - { order_id, product_id, rating, title, comment }
+ * @returns {Object} Created review
+ */
+async function createReview(buyerId, reviewData) {
+  try {
+    const { order_id: orderId, product_id: productId } = reviewData;
+
+    if (!orderId || !productId) {
+      throw new Error('Order ID and product ID are required');
+    }
+
+    const fields = parseReviewFields(reviewData);
+    const order = await getOrderById(orderId, buyerId);
+
+    if (order.buyer_id !== buyerId) {
+      throw new Error('Unauthorized: Only the buyer can review an order');
+    }
+
+    if (order.status !== 'delivered') {
+      throw new Error('Only delivered orders can be reviewed');
+    }
+
+    if (order.payment_status !== 'paid') {
+      throw new Error('Only paid orders can be reviewed');
+    }
+
+    if (!getOrderLines(order).some(line => line.product_id === productId)) {
+      throw new Error('Product not found in this order');
+    }
+
+    const { data, error } = await supabase
+      .from('product_reviews')
+      .insert([{
+        ...fields,
+        product_id: productId,
+        wholesaler_id: order.wholesaler_id,
+        order_id: orderId,
+        reviewer_id: buyerId
+      }])
+      .select(REVIEW_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('You have already reviewed this product for this order');
+      }
+      throw new Error(`Failed to create review: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in createReview:', error);
+    throw error;
+  }
+}
+
+/**
+ * Edit a review (its author only). Hidden reviews stay hidden.
+ * @param {string} reviewerId - Reviewer ID
+ * @param {string} reviewId - Review ID
+ * @param {Object} updates - { rating, title, comment }
+ * @returns {Object} Updated review
+ */
+async function updateReview(reviewerId, reviewId, updates) {
+  try {
+    const review = await getReview(reviewId);
+
+    if (review.reviewer_id !== reviewerId) {
+      throw new Error('Unauthorized: You can only edit your own reviews');
+    }
+
+    if (review.status === 'hidden') {
+      throw new Error('This review was removed by a moderator and cannot be edited');
+    }
+
+    const fields = parseReviewFields(updates, true);
+    if (Object.keys(fields).length === 0) {
+      throw new Error('Nothing to update');
+    }
+
+    const { data, error } = await supabase
+      .from('product_reviews')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', reviewId)
+      .select(REVIEW_SELECT)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update review: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in updateReview:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a review (its author only)
+ * @param {string} reviewerId - Reviewer ID
+ * @param {string} reviewId - Review ID
+ * @returns {boolean} Success status
+ */
+async function deleteReview(reviewerId, reviewId) {
+  try {
+    const review = await getReview(reviewId);
+
+    if (review.reviewer_id !== reviewerId) {
+      throw new Error('Unauthorized: You can only delete your own reviews');
+    }
+
+    const { error } = await supabase
+      .from('product_reviews')
+      .delete()
+      .eq('id', reviewId);
+
+    if (error) {
+      throw new Error(`Failed to delete review: ${error.message}`);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error in deleteReview:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count reviews per star rating
+ * @param {string} column - product_id or wholesaler_id
+ * @param {string} id - Product or wholesaler ID
+ * @returns {Object} { 1: n, 2: n, 3: n, 4: n, 5: n }
+ */
+async function getRatingDistribution(column, id) {
+  const { data, error } = await supabase
+    .from('product_reviews')
+    .select('rating')
+    .eq(column, id)
+    .eq('status', 'published');
+
+  if (error) {
+    throw new Error(`Failed to fetch ratings: ${error.message}`);
+  }
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  (data || []).forEach(row => {
+    distribution[row.rating] += 1;
+  });
+
+  return distribution;
+}
+
+/**
+ * List published reviews matching a column
+ * @param {string} column - product_id or wholesaler_id
+ * @param {string} id - Product or wholesaler ID
+ * @param {Object} options - { rating, limit, offset }
+ * @returns {Array} Reviews, newest first
+ */
+async function listPublishedReviews(column, id, options = {}) {
+  const { rating, limit = 20, offset = 0 } = options;
+
+  let query = supabase
+    .from('product_reviews')
+    .select(REVIEW_SELECT)
+    .eq(column, id)
+    .eq('status', 'published');
+
+  if (rating) {
+    query = query.eq('rating', parseInt(rating));
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new Error(`Failed to fetch reviews: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Get a product's published reviews with its rating summary
+ * @param {string} productId - Product ID
+ * @param {Object} options - { rating, limit, offset }
+ * @returns {Object} { summary: { average, count, distribution }, reviews }
+ */
+async function getProductReviews(productId, options = {}) {
+  try {
+    const { data: product, error } = await supabase
+      .from('products')
+      .select('id, rating_average, rating_count')
+      .eq('id', productId)
+      .single();
+
+    if (error || !product) {
+      throw new Error('Product not found');
+    }
+
+    const [distribution, reviews] = await Promise.all([
+      getRatingDistribution('product_id', productId),
+      listPublishedReviews('product_id', productId, options)
+    ]);
+
+    return {
+      summary: {
+        average: Number(product.rating_average) || 0,
+        count: product.rating_count || 0,
+        distribution
+      },
+      reviews
+    };
+  } catch (error) {
+    console.error('Error in getProductReviews:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a wholesaler's seller score and published reviews across their products
+ * @param {string} wholesalerId - Wholesaler ID
+ * @param {Object} options - { rating, limit, offset }
+ * @returns {Object} { summary: { average, count, distribution }, reviews }
+ */
+async function getWholesalerReviews(wholesalerId, options = {}) {
+  try {
+    const { data: wholesaler, error } = await supabase
+      .from('users')
+      .select('id, name, user_type, seller_rating_average, seller_rating_count')
+      .eq('id', wholesalerId)
+      .single();
+
+    if (error || !wholesaler || wholesaler.user_type !== 'wholesaler') {
+      throw new Error('Wholesaler not found');
+    }
+
+    const [distribution, reviews] = await Promise.all([
+      getRatingDistribution('wholesaler_id', wholesalerId),
+      listPublishedReviews('wholesaler_id', wholesalerId, options)
+    ]);
+
+    return {
+      wholesaler: { id: wholesaler.id, name: wholesaler.name },
+      summary: {
+        average: Number(wholesaler.seller_rating_average) || 0,
+        count: wholesaler.seller_rating_count || 0,
+        distribution
+      },
+      reviews
+    };
+  } catch (error) {
+    console.error('Error in getWholesalerReviews:', error);
+    throw error;
+  }
+}
+
+/**
+ * Reply to a review of one of the wholesaler's products. Replying again
+ * replaces the earlier reply; an empty reply removes it.
+ * @param {string} wholesalerId - Wholesaler ID
+ * @param {string} reviewId - Review ID
+ * @param {string} reply - Reply text
+ * @returns {Object} Updated review
+ */
+async function replyToReview(wholesalerId, reviewId, reply) {
+  try {
+    const review = await getReview(reviewId);
+
+    if (review.wholesaler_id !== wholesalerId) {
+      throw new Error('Unauthorized: You can only reply to reviews of your own products');
+    }
+
+    const text = reply ? String(reply).trim() : '';
+    if (text.length > MAX_REPLY_LENGTH) {
+      throw new Error(`Replies must be ${MAX_REPLY_LENGTH} characters or fewer`);
+    }
+
+    const { data, error } = await supabase
+      .from('product_reviews')
+      .update({
+        reply: text || null,
+        replied_at: text ? new Date().toISOString() : null
+      })
+      .eq('id', reviewId)
+      .select(REVIEW_SELECT)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save reply: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in replyToReview:', error);
+    throw error;
+  }
+}
+
+/**
+ * Report a review for moderation. Once a review has AUTO_FLAG_REPORTS open
+ * reports it is taken down until a moderator decides.
+ * @param {string} reporterId - Reporting user ID
+ * @param {string} reviewId - Review ID
+ * @param {Object} report - { reason, details }
+ * @returns {Object} { report, review_status }
+ */
+async function reportReview(reporterId, reviewId, report = {}) {
+  try {
+    if (!REPORT_REASONS.includes(report.reason)) {
+      throw new Error(`Invalid report reason. Use one of: ${REPORT_REASONS.join(', ')}`);
+    }
+
+    const review = await getReview(reviewId);
+
+    if (review.reviewer_id === reporterId) {
+      throw new Error('You cannot report your own review');
+    }
+
+    if (review.status === 'hidden') {
+      throw new Error('This review has already been removed');
+    }
+
+    const { data: created, error } = await supabase
+      .from('review_reports')
+      .insert([{
+        review_id: reviewId,
+        reporter_id: reporterId,
+        reason: report.reason,
+        details: report.details ? String(report.details).trim().slice(0, MAX_COMMENT_LENGTH) : null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('You have already reported this review');
+      }
+      throw new Error(`Failed to report review: ${error.message}`);
+    }
+
+    const { data: openReports, error: countError } = await supabase
+      .from('review_reports')
+      .select('id')
+      .eq('review_id', reviewId)
+      .eq('status', 'open');
+
+    if (countError) {
+      throw new Error(`Failed to count reports: ${countError.message}`);
+    }
+
+    const reportCount = (openReports || []).length;
+    const updates = { report_count: reportCount };
+
+    if (review.status === 'published' && reportCount >= AUTO_FLAG_REPORTS) {
+      updates.status = 'flagged';
+    }
+
+    const { error: updateError } = await supabase
+      .from('product_reviews')
+      .update(updates)
+      .eq('id', reviewId);
+
+    if (updateError) {
+      throw new Error(`Failed to update review: ${updateError.message}`);
+    }
+
+    return { report: created, review_status: updates.status || review.status };
+  } catch (error) {
+    console.error('Error in reportReview:', error);
+    throw error;
+  }
+}
+
+/**
+ * Reviews waiting for a moderator: flagged ones, and published ones with open
+ * reports, most reported first
+ * @param {Object} filters - { status, limit, offset }
+ * @returns {Array} Reviews with their reports
+ */
+async function getModerationQueue(filters = {}) {
+  const { status, limit = 50, offset = 0 } = filters;
+
+  try {
+    let query = supabase
+      .from('product_reviews')
+      .select(`
+        ${REVIEW_SELECT},
+        reports:review_reports(id, reporter_id, reason, details, status, created_at)
+      `);
+
+    if (status) {
+      if (!REVIEW_STATUSES.includes(status)) {
+        throw new Error(`Invalid review status. Use one of: ${REVIEW_STATUSES.join(', ')}`);
+      }
+      query = query.eq('status', status);
+    } else {
+      query = query.or('status.eq.flagged,report_count.gt.0');
+    }
+
+    const { data, error } = await query
+      .order('report_count', { ascending: false })
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch moderation queue: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getModerationQueue:', error);
+    throw error;
+  }
+}
+
+/**
+ * Hide a review or put it back (content moderators). Its open reports are
+ * closed: actioned when hidden, dismissed when the review is restored.
+ * @param {string} moderatorId - Moderator ID
+ * @param {string} reviewId - Review ID
+ * @param {Object} decision - { action: 'hide' | 'restore', reason }
+ * @param {Object} requestMetadata - Request metadata for the audit log
+ * @returns {Object} Updated review
+ */
+async function moderateReview(moderatorId, reviewId, decision = {}, requestMetadata = {}) {
+  try {
+    const { action } = decision;
+    const reason = decision.reason ? String(decision.reason).trim() : '';
+
+    if (!['hide', 'restore'].includes(action)) {
+      throw new Error('Moderation action must be hide or restore');
+    }
+
+    if (action === 'hide' && !reason) {
+      throw new Error('A reason is required to hide a review');
+    }
+
+    const review = await getReview(reviewId);
+    const now = new Date().toISOString();
+    const status = action === 'hide' ? 'hidden' : 'published';
+
+    const { data, error } = await supabase
+      .from('product_reviews')
+      .update({
+        status,
+        report_count: 0,
+        moderated_by: moderatorId,
+        moderated_at: now,
+        moderation_reason: reason || null
+      })
+      .eq('id', reviewId)
+      .select(REVIEW_SELECT)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to moderate review: ${error.message}`);
+    }
+
+    const { error: reportError } = await supabase
+      .from('review_reports')
+      .update({
+        status: action === 'hide' ? 'actioned' : 'dismissed',
+        resolved_by: moderatorId,
+        resolved_at: now
+      })
+      .eq('review_id', reviewId)
+      .eq('status', 'open');
+
+    if (reportError) {
+      console.error(`Failed to close reports for review ${reviewId}:`, reportError.message);
+    }
+
+    await recordAuditEvent({
+      actorId: moderatorId,
+      action: `review.${action}`,
+      targetType: 'product_review',
+      targetId: reviewId,
+      before: { status: review.status },
+      after: { status },
+      details: { reason: reason || null, report_count: review.report_count },
+      metadata: requestMetadata
+    });
+
+    return data;
+  } catch (error) {
+    console.error('Error in moderateReview:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REPORT_REASONS,
+  createReview,
+  updateReview,
+  deleteReview,
+  getProductReviews,
+  getWholesalerReviews,
+  replyToReview,
+  reportReview,
+  getModerationQueue,
+  moderateReview
+};
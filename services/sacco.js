@@ -1,4 +1,6 @@
 const { supabase } = require('./supabase');
+const { PERMISSIONS, assertPermission, getSaccoRole } = require('./permissions');
+const { recordAuditEvent } = require('./auditLog');
 
 /**
  * SACCO Group Management Service
@@ -13,7 +15,7 @@ const { supabase } = require('./supabase');
  */
 async function createSACCO(creatorId, saccoData) {
     try {
-        const { name, description, region, member_limit } = saccoData;
+        const { name, description, region, member_limit, min_bulk_order_quantity } = saccoData;
         
         // Validate required fields
         if (!name || !region) {
@@ -40,7 +42,8 @@ async function createSACCO(creatorId, saccoData) {
                 description: description?.trim() || null,
                 region: region.trim(),
                 admin_id: creatorId,
-                member_limit: member_limit || 50
+                member_limit: member_limit || 50,
+                min_bulk_order_quantity: min_bulk_order_quantity || null
             })
             .select()
             .single();
@@ -50,8 +53,8 @@ async function createSACCO(creatorId, saccoData) {
             throw new Error('Failed to create SACCO group');
         }
         
-        // Automatically add creator as first member
-        await joinSACCO(creatorId, newSACCO.id);
+        // Automatically add creator as first member, chairing the group
+        await joinSACCO(creatorId, newSACCO.id, 'chair');
         
         return newSACCO;
         
@@ -134,6 +137,7 @@ async function getSACCOById(saccoId) {
                     id,
                     joined_at,
                     status,
+                    role,
                     user:users(id, name, phone, location, farm_size, crops_grown)
                 )
             `)
@@ -157,9 +161,10 @@ async function getSACCOById(saccoId) {
  * Join a SACCO group
  * @param {string} userId - ID of the user joining
  * @param {string} saccoId - ID of the SACCO group
+ * @param {string} role - Role in the group (only createSACCO joins as 'chair')
  * @returns {Object} Membership record
  */
-async function joinSACCO(userId, saccoId) {
+async function joinSACCO(userId, saccoId, role = 'member') {
     try {
         // Check if SACCO exists and get member limit
         const { data: sacco, error: saccoError } = await supabase
@@ -205,6 +210,7 @@ async function joinSACCO(userId, saccoId) {
             .insert({
                 sacco_id: saccoId,
                 user_id: userId,
+                role,
                 status: 'active' // Direct join for now, can be changed to 'pending' for approval workflow
             })
             .select(`
@@ -247,15 +253,9 @@ async function leaveSACCO(userId, saccoId) {
             throw new Error('User is not a member of this SACCO group');
         }
         
-        // Check if user is the admin
-        const { data: sacco } = await supabase
-            .from('sacco_groups')
-            .select('admin_id')
-            .eq('id', saccoId)
-            .single();
-            
-        if (sacco && sacco.admin_id === userId) {
-            throw new Error('SACCO admin cannot leave the group. Please transfer admin rights first.');
+        // The chair has to hand over before leaving
+        if (await getSaccoRole(userId, saccoId) === 'chair') {
+            throw new Error('SACCO chair cannot leave the group. Please transfer the chair first.');
         }
         
         // Remove membership
@@ -291,6 +291,7 @@ async function getUserSACCOs(userId) {
                 id,
                 joined_at,
                 status,
+                role,
                 sacco:sacco_groups(
                     id,
                     name,
@@ -314,7 +315,8 @@ async function getUserSACCOs(userId) {
             ...membership.sacco,
             membership_id: membership.id,
             joined_at: membership.joined_at,
-            membership_status: membership.status
+            membership_status: membership.status,
+            role: membership.role
         }));
         
     } catch (error) {
@@ -336,6 +338,7 @@ async function getSACCOMembers(saccoId) {
                 id,
                 joined_at,
                 status,
+                role,
                 user:users(id, name, phone, location, farm_size, crops_grown, user_type)
             `)
             .eq('sacco_id', saccoId)
@@ -412,25 +415,27 @@ async function getSACCOStats(saccoId) {
 }
 
 /**
- * Transfer SACCO admin rights
- * @param {string} currentAdminId - Current admin user ID
+ * Transfer SACCO admin rights (the chair). The outgoing chair stays on as a member.
+ * @param {string} currentAdminId - User handing over (the chair, or a platform admin)
  * @param {string} newAdminId - New admin user ID
  * @param {string} saccoId - SACCO group ID
+ * @param {Object} requestMetadata - Request details for the audit log
  * @returns {Object} Updated SACCO group
  */
-async function transferSACCOAdmin(currentAdminId, newAdminId, saccoId) {
+async function transferSACCOAdmin(currentAdminId, newAdminId, saccoId, requestMetadata = {}) {
     try {
-        // Verify current admin
         const { data: sacco } = await supabase
             .from('sacco_groups')
             .select('admin_id')
             .eq('id', saccoId)
             .single();
             
-        if (!sacco || sacco.admin_id !== currentAdminId) {
-            throw new Error('Only the current admin can transfer admin rights');
+        if (!sacco) {
+            throw new Error('SACCO group not found');
         }
         
+        await assertPermission(currentAdminId, PERMISSIONS.SACCO_TRANSFER_CHAIR, { saccoId });
+        
         // Verify new admin is a member
         const { data: membership } = await supabase
             .from('sacco_memberships')
@@ -457,6 +462,31 @@ async function transferSACCOAdmin(currentAdminId, newAdminId, saccoId) {
             throw new Error('Failed to transfer admin rights');
         }
         
+        // Keep the membership roles in step with admin_id
+        if (sacco.admin_id && sacco.admin_id !== newAdminId) {
+            await supabase
+                .from('sacco_memberships')
+                .update({ role: 'member' })
+                .eq('sacco_id', saccoId)
+                .eq('user_id', sacco.admin_id);
+        }
+        
+        await supabase
+            .from('sacco_memberships')
+            .update({ role: 'chair' })
+            .eq('sacco_id', saccoId)
+            .eq('user_id', newAdminId);
+        
+        await recordAuditEvent({
+            actorId: currentAdminId,
+            action: 'sacco.transfer_chair',
+            targetType: 'sacco',
+            targetId: saccoId,
+            before: { admin_id: sacco.admin_id },
+            after: { admin_id: updatedSACCO.admin_id },
+            metadata: requestMetadata
+        });
+        
         return updatedSACCO;
         
     } catch (error) {
@@ -465,6 +495,52 @@ async function transferSACCOAdmin(currentAdminId, newAdminId, saccoId) {
     }
 }
 
+/**
+ * Update SACCO group settings (chair or secretary)
+ * @param {string} adminId - User ID making the change
+ * @param {string} saccoId - SACCO group ID
+ * @param {Object} settings - { description, member_limit, min_bulk_order_quantity }
+ * @returns {Object} Updated SACCO group
+ */
+async function updateSACCOSettings(adminId, saccoId, settings) {
+    try {
+        const { data: sacco } = await supabase
+            .from('sacco_groups')
+            .select('id')
+            .eq('id', saccoId)
+            .single();
+            
+        if (!sacco) {
+            throw new Error('SACCO group not found');
+        }
+        
+        await assertPermission(adminId, PERMISSIONS.SACCO_UPDATE_SETTINGS, { saccoId });
+        
+        const updates = {};
+        if (settings.description !== undefined) updates.description = settings.description?.trim() || null;
+        if (settings.member_limit !== undefined) updates.member_limit = settings.member_limit;
+        if (settings.min_bulk_order_quantity !== undefined) updates.min_bulk_order_quantity = settings.min_bulk_order_quantity || null;
+        
+        const { data: updatedSACCO, error } = await supabase
+            .from('sacco_groups')
+            .update(updates)
+            .eq('id', saccoId)
+            .select()
+            .single();
+            
+        if (error) {
+            console.error('Error updating SACCO settings:', error);
+            throw new Error('Failed to update SACCO settings');
+        }
+        
+        return updatedSACCO;
+        
+    } catch (error) {
+        console.error('Error in updateSACCOSettings:', error);
+        throw error;
+    }
+}
+
 module.exports = {
     createSACCO,
     getSACCOGroups,
@@ -475,5 +551,6 @@ module.exports = {
     getUserSACCOs,
     getSACCOMembers,
     getSACCOStats,
-    transferSACCOAdmin
+    transferSACCOAdmin,
+    updateSACCOSettings
 };
\ No newline at end of file
@@ -0,0 +1,514 @@
+const os = require('os');
+const { supabase } = require('./supabase');
+
+/**
+ * Job Scheduler Service
+ * In-process scheduler for background jobs with cron-like schedules.
+ * Last-run state and run history are persisted in scheduled_jobs / job_runs.
+ * A lock row prevents the same job from running twice at once, and each scheduled
+ * minute is claimed once, so instances that tick later in the same minute skip it.
+ */
+
+const TICK_MS = 60 * 1000;
+const DEFAULT_LOCK_MS = 30 * 60 * 1000; // 30 minutes
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 6 }
+];
+
+const jobs = new Map();
+const running = new Set();
+let timer = null;
+
+/**
+ * Parse one field of a cron expression into the set of values it matches
+ * Supports *, n, a-b, lists (a,b) and steps (*\/n, a-b/n)
+ * @param {string} field - Field text
+ * @param {Object} range - { name, min, max }
+ * @returns {Set<number>} Matching values
+ */
+function parseCronField(field, range) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [base, stepText] = part.split('/');
+    const step = stepText ? parseInt(stepText) : 1;
+    let start = range.min;
+    let end = range.max;
+
+    if (base !== '*') {
+      const [from, to] = base.split('-').map(value => parseInt(value));
+      start = from;
+      end = to !== undefined ? to : (stepText ? range.max : from);
+    }
+
+    if (isNaN(start) || isNaN(end) || isNaN(step) || step < 1 || start < range.min || end > range.max || start > end) {
+      throw new Error(`Invalid cron ${range.name} field: ${field}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - Cron expression, e.g. '0 *\/6 * * *'
+ * @returns {Object} Parsed fields keyed by name
+ */
+function parseCronExpression(expression) {
+  const parts = expression.trim().split(/\s+/);
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((range, index) => {
+    parsed[range.name] = parseCronField(parts[index], range);
+  });
+
+  // Standard cron: if both day fields are restricted, either may match
+  parsed.restrictDayOfMonth = parts[2] !== '*';
+  parsed.restrictDayOfWeek = parts[4] !== '*';
+
+  return parsed;
+}
+
+/**
+ * Check whether a date (to the minute, server local time) matches a parsed cron expression
+ * @param {Object} parsed - Result of parseCronExpression
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the job is due at this minute
+ */
+function cronMatches(parsed, date) {
+  if (!parsed.minute.has(date.getMinutes()) ||
+      !parsed.hour.has(date.getHours()) ||
+      !parsed.month.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  const dayOfMonthMatches = parsed.dayOfMonth.has(date.getDate());
+  const dayOfWeekMatches = parsed.dayOfWeek.has(date.getDay());
+
+  if (parsed.restrictDayOfMonth && parsed.restrictDayOfWeek) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+/**
+ * Find the next time a parsed cron expression is due after a given date
+ * @param {Object} parsed - Result of parseCronExpression
+ * @param {Date} from - Start date (exclusive)
+ * @returns {Date|null} Next run time, or null if none within a year
+ */
+function getNextRun(parsed, from = new Date()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (cronMatches(parsed, date)) {
+      return date;
+    }
+    date.setMinutes(date.getMinutes() + 1);
+  }
+
+  return null;
+}
+
+/**
+ * Truncate a date to the start of its minute
+ * @param {Date} date - Date
+ * @returns {Date} New date with seconds and milliseconds cleared
+ */
+function startOfMinute(date) {
+  const minute = new Date(date);
+  minute.setSeconds(0, 0);
+  return minute;
+}
+
+/**
+ * Register a background job
+ * @param {Object} job - { name, schedule, description, run, lockMs }
+ * @returns {Object} Registered job
+ */
+function registerJob(job) {
+  if (!job || !job.name || !job.schedule || typeof job.run !== 'function') {
+    throw new Error('Jobs must have a name, a schedule and a run function');
+  }
+
+  const registered = {
+    ...job,
+    cron: parseCronExpression(job.schedule),
+    lockMs: job.lockMs || DEFAULT_LOCK_MS
+  };
+
+  jobs.set(job.name, registered);
+  return registered;
+}
+
+/**
+ * Persist registered job definitions (schedule/description only, the enabled flag is kept)
+ */
+async function syncJobDefinitions() {
+  const rows = Array.from(jobs.values()).map(job => ({
+    name: job.name,
+    schedule: job.schedule,
+    description: job.description || null,
+    next_run_at: getNextRun(job.cron)?.toISOString() || null,
+    updated_at: new Date().toISOString()
+  }));
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('scheduled_jobs')
+    .upsert(rows, { onConflict: 'name' });
+
+  if (error) {
+    throw new Error(`Failed to save job definitions: ${error.message}`);
+  }
+}
+
+/**
+ * Take the job's lock row. Fails if another run holds an unexpired lock or, for
+ * scheduled runs, if the job is disabled or its scheduled minute was already claimed.
+ * @param {Object} job - Registered job
+ * @param {Date|null} scheduledFor - Cron minute being run (scheduled runs only)
+ * @returns {Promise<boolean>} True if the lock was acquired
+ */
+async function acquireLock(job, scheduledFor = null) {
+  const now = new Date();
+  const claim = {
+    locked_by: INSTANCE_ID,
+    locked_until: new Date(now.getTime() + job.lockMs).toISOString()
+  };
+
+  if (scheduledFor) {
+    claim.last_scheduled_for = scheduledFor.toISOString();
+  }
+
+  let query = supabase
+    .from('scheduled_jobs')
+    .update(claim)
+    .eq('name', job.name)
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`);
+
+  if (scheduledFor) {
+    query = query
+      .eq('enabled', true)
+      .lt('last_scheduled_for', scheduledFor.toISOString());
+  }
+
+  const { data, error } = await query.select('name');
+
+  if (error) {
+    throw new Error(`Failed to lock job ${job.name}: ${error.message}`);
+  }
+
+  return data && data.length > 0;
+}
+
+/**
+ * Release this instance's lock on a job without touching its run state
+ * @param {string} name - Job name
+ */
+async function releaseLock(name) {
+  const { error } = await supabase
+    .from('scheduled_jobs')
+    .update({ locked_by: null, locked_until: null })
+    .eq('name', name)
+    .eq('locked_by', INSTANCE_ID);
+
+  if (error) {
+    console.error(`Failed to release lock for job ${name}:`, error);
+  }
+}
+
+/**
+ * Run a job now, recording the run and releasing the lock afterwards
+ * @param {string} name - Job name
+ * @param {Object} options - { trigger: 'schedule' | 'manual', triggeredBy, scheduledFor (cron minute of scheduled runs) }
+ * @returns {Promise<Object>} Job run record, or { status: 'skipped', reason } if not run
+ */
+async function runJob(name, options = {}) {
+  const job = jobs.get(name);
+  const trigger = options.trigger || 'manual';
+
+  if (!job) {
+    throw new Error(`Job not found: ${name}`);
+  }
+
+  if (running.has(name)) {
+    return { job_name: name, status: 'skipped', reason: 'Job is already running' };
+  }
+
+  const scheduledFor = trigger === 'schedule' ? startOfMinute(options.scheduledFor || new Date()) : null;
+
+  running.add(name);
+  let lockReleased = true;
+  try {
+    const locked = await acquireLock(job, scheduledFor);
+    if (!locked) {
+      return { job_name: name, status: 'skipped', reason: 'Job is disabled, already running or already ran this minute' };
+    }
+    lockReleased = false;
+
+    const startedAt = new Date();
+    const { data: run, error: runError } = await supabase
+      .from('job_runs')
+      .insert({
+        job_name: name,
+        trigger,
+        triggered_by: options.triggeredBy || null,
+        status: 'running',
+        started_at: startedAt.toISOString()
+      })
+      .select()
+      .single();
+
+    if (runError) {
+      throw new Error(`Failed to record job run: ${runError.message}`);
+    }
+
+    let status = 'success';
+    let result = null;
+    let errorMessage = null;
+
+    try {
+      result = await job.run();
+    } catch (jobError) {
+      status = 'failed';
+      errorMessage = jobError.message;
+      console.error(`Job ${name} failed:`, jobError);
+    }
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt - startedAt;
+
+    const { data: finishedRun, error: updateError } = await supabase
+      .from('job_runs')
+      .update({
+        status,
+        finished_at: finishedAt.toISOString(),
+        duration_ms: durationMs,
+        result: result === undefined ? null : result,
+        error: errorMessage
+      })
+      .eq('id', run.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error(`Failed to update run record for job ${name}:`, updateError);
+    }
+
+    const { error: stateError } = await supabase
+      .from('scheduled_jobs')
+      .update({
+        last_run_at: startedAt.toISOString(),
+        last_status: status,
+        last_duration_ms: durationMs,
+        last_error: errorMessage,
+        next_run_at: getNextRun(job.cron)?.toISOString() || null,
+        locked_by: null,
+        locked_until: null,
+        updated_at: finishedAt.toISOString()
+      })
+      .eq('name', name);
+
+    if (stateError) {
+      console.error(`Failed to save run state for job ${name}:`, stateError);
+    } else {
+      lockReleased = true;
+    }
+
+    return finishedRun || { ...run, status, error: errorMessage, result };
+  } catch (error) {
+    console.error('Error in runJob:', error);
+    throw error;
+  } finally {
+    // Don't leave the job locked until the timeout when recording the run fails
+    if (!lockReleased) {
+      await releaseLock(name);
+    }
+    running.delete(name);
+  }
+}
+
+/**
+ * Run every job that is due at the given minute
+ * @param {Date} now - Current time
+ */
+async function tick(now = new Date()) {
+  for (const job of jobs.values()) {
+    if (cronMatches(job.cron, now)) {
+      runJob(job.name, { trigger: 'schedule', scheduledFor: now }).catch(error => {
+        console.error(`Scheduled run of ${job.name} failed:`, error.message);
+      });
+    }
+  }
+}
+
+/**
+ * Start the scheduler; ticks are aligned to the start of each minute
+ * @returns {Promise<void>}
+ */
+async function startScheduler() {
+  if (timer) {
+    return;
+  }
+
+  await syncJobDefinitions();
+
+  const msToNextMinute = TICK_MS - (Date.now() % TICK_MS);
+  timer = setTimeout(() => {
+    tick();
+    timer = setInterval(tick, TICK_MS);
+  }, msToNextMinute);
+
+  console.log(`Job scheduler started with ${jobs.size} jobs: ${Array.from(jobs.keys()).join(', ')}`);
+}
+
+/**
+ * Stop the scheduler (running jobs are allowed to finish)
+ */
+function stopScheduler() {
+  if (timer) {
+    clearTimeout(timer);
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Get registered jobs with their persisted state
+ * @returns {Promise<Array>} Job statuses
+ */
+async function getJobStatuses() {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_jobs')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw new Error('Failed to fetch job state');
+    }
+
+    const state = new Map((data || []).map(row => [row.name, row]));
+
+    return Array.from(jobs.values()).map(job => {
+      const row = state.get(job.name) || {};
+      return {
+        name: job.name,
+        schedule: job.schedule,
+        description: job.description || null,
+        enabled: row.enabled !== false,
+        running: running.has(job.name) || (row.locked_until && new Date(row.locked_until) > new Date()),
+        last_run_at: row.last_run_at || null,
+        last_status: row.last_status || null,
+        last_duration_ms: row.last_duration_ms || null,
+        last_error: row.last_error || null,
+        next_run_at: getNextRun(job.cron)?.toISOString() || null
+      };
+    });
+  } catch (error) {
+    console.error('Error in getJobStatuses:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get job run history, most recent first
+ * @param {Object} filters - { jobName, status, limit, offset }
+ * @returns {Promise<Array>} Job runs
+ */
+async function getJobRuns(filters = {}) {
+  try {
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const offset = parseInt(filters.offset) || 0;
+
+    let query = supabase
+      .from('job_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (filters.jobName) {
+      query = query.eq('job_name', filters.jobName);
+    }
+
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error('Failed to fetch job runs');
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getJobRuns:', error);
+    throw error;
+  }
+}
+
+/**
+ * Enable or disable scheduled runs of a job (manual runs are still allowed)
+ * @param {string} name - Job name
+ * @param {boolean} enabled - Enabled flag
+ * @returns {Promise<Object>} Updated job state
+ */
+async function setJobEnabled(name, enabled) {
+  try {
+    if (!jobs.has(name)) {
+      throw new Error(`Job not found: ${name}`);
+    }
+
+    const { data, error } = await supabase
+      .from('scheduled_jobs')
+      .update({ enabled: !!enabled, updated_at: new Date().toISOString() })
+      .eq('name', name)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error('Failed to update job');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in setJobEnabled:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  parseCronExpression,
+  cronMatches,
+  getNextRun,
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobStatuses,
+  getJobRuns,
+  setJobEnabled
+};
@@ -1,4 +1,6 @@
 const { supabase } = require('./supabase');
+const { recordAuditEvent } = require('./auditLog');
+const { assertCanList } = require('./sellerVerification');
 const { 
     generateProductOptimizations,
     generateInventoryInsights,
@@ -357,9 +359,10 @@ async function getInventoryRecommendations(sellerId) {
  * @param {string} sellerId - Seller's user ID
  * @param {string} productId - Product ID
  * @param {Object} suggestions - AI suggestions to apply
+ * @param {Object} requestMetadata - Request details for the audit log
  * @returns {Promise<Object>} Updated product
  */
-async function applyAISuggestions(sellerId, productId, suggestions) {
+async function applyAISuggestions(sellerId, productId, suggestions, requestMetadata = {}) {
     try {
         // Verify product ownership
         const { data: product, error: productError } = await supabase
@@ -388,6 +391,11 @@ async function applyAISuggestions(sellerId, productId, suggestions) {
             updates.category = suggestions.optimized_category;
         }
 
+        // A suggested category or description still has to describe something the seller may list
+        if (updates.category || updates.description) {
+            await assertCanList(sellerId, { ...product, ...updates }, { productId, activating: false });
+        }
+
         if (suggestions.suggested_price) {
             updates.unit_price = parseFloat(suggestions.suggested_price);
         }
@@ -402,6 +410,19 @@ async function applyAISuggestions(sellerId, productId, suggestions) {
 
         if (updateError) throw updateError;
 
+        const appliedFields = Object.keys(updates);
+        const pick = (record) => Object.fromEntries(appliedFields.map(field => [field, record[field]]));
+
+        await recordAuditEvent({
+            actorId: sellerId,
+            action: 'product.apply_ai_suggestions',
+            targetType: 'product',
+            targetId: productId,
+            before: pick(product),
+            after: pick(updatedProduct),
+            metadata: requestMetadata
+        });
+
         return {
             success: true,
             data: {
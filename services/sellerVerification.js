@@ -0,0 +1,557 @@
+const crypto = require('crypto');
+const { supabase } = require('./supabase');
+const { getStorage } = require('./storage');
+const { enqueueNotifications } = require('./notificationOutbox');
+
+/**
+ * Seller Verification Service
+ * KYC for wholesalers. A wholesaler applies with their business permit and KRA
+ * PIN (plus an agro-dealer registration to sell pesticides); the documents go to
+ * private storage and an admin approves or rejects the application. Routes are
+ * responsible for admin permission checks and audit logging.
+ *
+ * Until they are verified, sellers cannot list seed, fertilizer or crop-protection
+ * products and can only have a few active listings. Crop-protection products also
+ * need an approved agro-dealer registration.
+ */
+
+const VERIFICATION_STATUSES = ['unverified', 'pending', 'verified', 'rejected'];
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+const DOCUMENT_TYPES = {
+  business_permit: 'Business permit',
+  kra_pin_certificate: 'KRA PIN certificate',
+  agro_dealer_certificate: 'Agro-dealer registration certificate'
+};
+
+const ALLOWED_DOCUMENT_TYPES = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+const MAX_DOCUMENT_BYTES = (parseFloat(process.env.KYC_DOCUMENT_MAX_MB) || 10) * 1024 * 1024;
+
+// Active listings an unverified seller may have
+const UNVERIFIED_PRODUCT_LIMIT = parseInt(process.env.UNVERIFIED_PRODUCT_LIMIT) || 5;
+
+// Products where counterfeits do the most damage (with common Swahili names and
+// fertilizer grades). Categories are free text, so these are matched against the
+// product's category, name and description together.
+const VERIFIED_ONLY_CATEGORY = /seed(?!less)|fertili[sz]er|\b(npk|dap|urea)\b|mbegu|mbolea|pesticide|herbicide|fungicide|insecticide|acaricide|nematicide|rodenticide|agro-?chemical|dawa ya (kuua )?wadudu|viuatilifu/i;
+const AGRO_DEALER_CATEGORY = /pesticide|herbicide|fungicide|insecticide|acaricide|nematicide|rodenticide|agro-?chemical|dawa ya (kuua )?wadudu|viuatilifu/i;
+
+// KRA PINs are a letter (A for individuals, P for companies), nine digits and a letter
+const KRA_PIN_PATTERN = /^[AP]\d{9}[A-Z]$/;
+
+const APPLICATION_SELECT = `
+  *,
+  wholesaler:users!seller_verifications_wholesaler_id_fkey(id, name, email, phone, location, verification_status, agro_dealer_verified, created_at),
+  reviewer:users!seller_verifications_reviewed_by_fkey(id, name),
+  documents:seller_verification_documents(id, document_type, file_name, content_type, size_bytes, created_at)
+`;
+
+/**
+ * Check that a file's contents match its declared type
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimetype - Declared MIME type
+ * @returns {boolean} Whether the file starts with the type's signature
+ */
+function hasMatchingSignature(buffer, mimetype) {
+  if (!buffer || buffer.length < 4) {
+    return false;
+  }
+
+  switch (mimetype) {
+    case 'application/pdf':
+      return buffer.subarray(0, 4).toString('latin1') === '%PDF';
+    case 'image/jpeg':
+      return buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+    case 'image/png':
+      return buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate an uploaded verification document
+ * @param {string} documentType - Key of DOCUMENT_TYPES
+ * @param {Object} file - Uploaded file { originalname, mimetype, size, buffer }
+ */
+function validateDocument(documentType, file) {
+  const label = DOCUMENT_TYPES[documentType];
+
+  if (!ALLOWED_DOCUMENT_TYPES[file.mimetype] || !hasMatchingSignature(file.buffer, file.mimetype)) {
+    throw new Error(`${label} must be a PDF, JPEG or PNG file`);
+  }
+
+  if (file.size > MAX_DOCUMENT_BYTES) {
+    throw new Error(`${label} must be ${MAX_DOCUMENT_BYTES / 1024 / 1024}MB or smaller`);
+  }
+}
+
+/**
+ * Get a wholesaler's verification fields
+ * @param {string} wholesalerId - Wholesaler ID
+ * @returns {Object} { id, name, user_type, verification_status, verified_at, agro_dealer_verified }
+ */
+async function getSeller(wholesalerId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, name, phone, whatsapp_phone, user_type, verification_status, verified_at, agro_dealer_verified')
+    .eq('id', wholesalerId)
+    .single();
+
+  if (error || !data) {
+    throw new Error('User not found');
+  }
+
+  return data;
+}
+
+/**
+ * What a seller may list given their verification
+ * @param {Object} seller - User with verification_status and agro_dealer_verified
+ * @returns {Object} { verified, agro_dealer_verified, max_active_products, restricted }
+ */
+function getListingPolicy(seller) {
+  const verified = seller.verification_status === 'verified';
+
+  return {
+    verified,
+    agro_dealer_verified: verified && Boolean(seller.agro_dealer_verified),
+    max_active_products: verified ? null : UNVERIFIED_PRODUCT_LIMIT,
+    restricted: verified
+      ? (seller.agro_dealer_verified ? [] : ['crop protection (pesticides, herbicides, fungicides)'])
+      : ['seeds', 'fertilizers', 'crop protection (pesticides, herbicides, fungicides)']
+  };
+}
+
+/**
+ * Text a listing is screened on for restricted products, with accents and
+ * punctuation inside words (s.e.e.d, fertilizer's) taken out
+ * @param {Object} listing - { category, name, description }
+ * @returns {string} Normalized text
+ */
+function getListingText(listing) {
+  return [listing.category, listing.name, listing.description]
+    .filter(Boolean)
+    .join(' ')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/(?<=\w)[._'*]+(?=\w)/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Check that a seller may list (or re-activate) a product
+ * @param {string} wholesalerId - Wholesaler ID
+ * @param {Object} listing - Product as it will be listed { category, name, description }
+ * @param {Object} options - { productId (when editing), activating (counts toward the listing cap) }
+ */
+async function assertCanList(wholesalerId, listing, options = {}) {
+  const { productId = null, activating = true } = options;
+  const seller = await getSeller(wholesalerId);
+  const policy = getListingPolicy(seller);
+  const text = getListingText(listing);
+
+  if (VERIFIED_ONLY_CATEGORY.test(text) && !policy.verified) {
+    throw new Error('Verification required: only verified sellers can list seeds, fertilizers and crop-protection products');
+  }
+
+  if (AGRO_DEALER_CATEGORY.test(text) && !policy.agro_dealer_verified) {
+    throw new Error('Verification required: crop-protection products need an approved agro-dealer registration');
+  }
+
+  if (policy.verified || !activating) {
+    return;
+  }
+
+  let query = supabase
+    .from('products')
+    .select('id', { count: 'exact', head: true })
+    .eq('wholesaler_id', wholesalerId)
+    .eq('is_active', true);
+
+  if (productId) {
+    query = query.neq('id', productId);
+  }
+
+  const { count, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to check listing limit: ${error.message}`);
+  }
+
+  if ((count || 0) >= UNVERIFIED_PRODUCT_LIMIT) {
+    throw new Error(`Verification required: unverified sellers can have at most ${UNVERIFIED_PRODUCT_LIMIT} active products`);
+  }
+}
+
+/**
+ * Get a wholesaler's verification status, listing policy and latest application
+ * @param {string} wholesalerId - Wholesaler ID
+ * @returns {Object} { status, verified_at, agro_dealer_verified, policy, application }
+ */
+async function getVerificationStatus(wholesalerId) {
+  try {
+    const seller = await getSeller(wholesalerId);
+
+    const { data: applications, error } = await supabase
+      .from('seller_verifications')
+      .select(`
+        id, business_name, business_permit_number, kra_pin, agro_dealer_number, status,
+        agro_dealer_approved, reviewed_at, review_notes, created_at,
+        documents:seller_verification_documents(id, document_type, file_name, content_type, size_bytes, created_at)
+      `)
+      .eq('wholesaler_id', wholesalerId)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to fetch verification: ${error.message}`);
+    }
+
+    return {
+      status: seller.verification_status,
+      verified_at: seller.verified_at,
+      agro_dealer_verified: seller.agro_dealer_verified,
+      policy: getListingPolicy(seller),
+      application: applications?.[0] || null
+    };
+  } catch (error) {
+    console.error('Error in getVerificationStatus:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply for verification (wholesalers). A rejected seller can apply again, and a
+ * verified seller can apply to add an agro-dealer registration.
+ * @param {string} wholesalerId - Wholesaler ID
+ * @param {Object} details - { business_name, business_permit_number, kra_pin, agro_dealer_number }
+ * @param {Object} files - { business_permit, kra_pin_certificate, agro_dealer_certificate } uploaded files
+ * @returns {Object} Created application
+ */
+async function submitVerification(wholesalerId, details = {}, files = {}) {
+  try {
+    const seller = await getSeller(wholesalerId);
+
+    if (seller.user_type !== 'wholesaler') {
+      throw new Error('Only wholesalers can apply for seller verification');
+    }
+
+    const businessName = String(details.business_name || '').trim();
+    const permitNumber = String(details.business_permit_number || '').trim();
+    const kraPin = String(details.kra_pin || '').trim().toUpperCase();
+    const agroDealerNumber = String(details.agro_dealer_number || '').trim();
+
+    if (!businessName || !permitNumber || !kraPin) {
+      throw new Error('Business name, business permit number and KRA PIN are required');
+    }
+
+    if (!KRA_PIN_PATTERN.test(kraPin)) {
+      throw new Error('Invalid KRA PIN. It should look like A123456789B');
+    }
+
+    if (!files.business_permit || !files.kra_pin_certificate) {
+      throw new Error('Business permit and KRA PIN certificate documents are required');
+    }
+
+    if (Boolean(agroDealerNumber) !== Boolean(files.agro_dealer_certificate)) {
+      throw new Error('Agro-dealer registration needs both the registration number and the certificate');
+    }
+
+    if (seller.verification_status === 'pending') {
+      throw new Error('Your verification is already under review');
+    }
+
+    if (seller.verification_status === 'verified' && (seller.agro_dealer_verified || !agroDealerNumber)) {
+      throw new Error('Your business is already verified');
+    }
+
+    const documents = Object.keys(DOCUMENT_TYPES)
+      .filter(type => files[type])
+      .map(type => ({ type, file: files[type] }));
+
+    documents.forEach(({ type, file }) => validateDocument(type, file));
+
+    const { data: application, error } = await supabase
+      .from('seller_verifications')
+      .insert([{
+        wholesaler_id: wholesalerId,
+        business_name: businessName,
+        business_permit_number: permitNumber,
+        kra_pin: kraPin,
+        agro_dealer_number: agroDealerNumber || null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('Your verification is already under review');
+      }
+      throw new Error(`Failed to submit verification: ${error.message}`);
+    }
+
+    const storage = getStorage('private');
+    const storedKeys = [];
+
+    try {
+      const rows = [];
+
+      for (const { type, file } of documents) {
+        const key = `seller-verifications/${wholesalerId}/${application.id}/${type}-${crypto.randomUUID()}.${ALLOWED_DOCUMENT_TYPES[file.mimetype]}`;
+        await storage.put(key, file.buffer, file.mimetype);
+        storedKeys.push(key);
+
+        rows.push({
+          verification_id: application.id,
+          document_type: type,
+          storage_key: key,
+          file_name: file.originalname ? String(file.originalname).slice(0, 255) : null,
+          content_type: file.mimetype,
+          size_bytes: file.size
+        });
+      }
+
+      const { error: documentError } = await supabase
+        .from('seller_verification_documents')
+        .insert(rows);
+
+      if (documentError) {
+        throw new Error(`Failed to save verification documents: ${documentError.message}`);
+      }
+
+      // Verified sellers adding an agro-dealer registration stay verified meanwhile
+      if (seller.verification_status !== 'verified') {
+        const { error: userError } = await supabase
+          .from('users')
+          .update({ verification_status: 'pending' })
+          .eq('id', wholesalerId);
+
+        if (userError) {
+          throw new Error(`Failed to update verification status: ${userError.message}`);
+        }
+      }
+    } catch (error) {
+      await Promise.all(storedKeys.map(key => storage.delete(key).catch(deleteError => {
+        console.error(`Failed to clean up verification document ${key}:`, deleteError);
+      })));
+      await supabase.from('seller_verifications').delete().eq('id', application.id);
+      throw error;
+    }
+
+    return await getApplication(application.id);
+  } catch (error) {
+    console.error('Error in submitVerification:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a verification application with the wholesaler and document list
+ * @param {string} applicationId - Application ID
+ * @returns {Object} Application
+ */
+async function getApplication(applicationId) {
+  const { data, error } = await supabase
+    .from('seller_verifications')
+    .select(APPLICATION_SELECT)
+    .eq('id', applicationId)
+    .single();
+
+  if (error || !data) {
+    throw new Error('Verification application not found');
+  }
+
+  return data;
+}
+
+/**
+ * List verification applications for admins, oldest first
+ * @param {Object} filters - { status, limit, offset }
+ * @returns {Object} { applications, total }
+ */
+async function listApplications(filters = {}) {
+  const { status = 'pending', limit = 50, offset = 0 } = filters;
+
+  try {
+    if (!APPLICATION_STATUSES.includes(status)) {
+      throw new Error(`Invalid application status. Use one of: ${APPLICATION_STATUSES.join(', ')}`);
+    }
+
+    const { data, error, count } = await supabase
+      .from('seller_verifications')
+      .select(APPLICATION_SELECT, { count: 'exact' })
+      .eq('status', status)
+      .order('created_at', { ascending: status === 'pending' })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch verification applications: ${error.message}`);
+    }
+
+    return { applications: data || [], total: count || 0 };
+  } catch (error) {
+    console.error('Error in listApplications:', error);
+    throw error;
+  }
+}
+
+/**
+ * Read one of an application's documents from private storage
+ * @param {string} applicationId - Application ID
+ * @param {string} documentId - Document ID
+ * @returns {Object} { document, body }
+ */
+async function getApplicationDocument(applicationId, documentId) {
+  try {
+    const { data: document, error } = await supabase
+      .from('seller_verification_documents')
+      .select('*')
+      .eq('id', documentId)
+      .eq('verification_id', applicationId)
+      .single();
+
+    if (error || !document) {
+      throw new Error('Document not found');
+    }
+
+    const body = await getStorage('private').get(document.storage_key);
+
+    return { document, body };
+  } catch (error) {
+    console.error('Error in getApplicationDocument:', error);
+    throw error;
+  }
+}
+
+/**
+ * Approve or reject a verification application (admins)
+ * @param {string} adminId - Reviewing admin
+ * @param {string} applicationId - Application ID
+ * @param {Object} review - { decision: 'approve' | 'reject', notes, approve_agro_dealer }
+ * @returns {Object} { application, previousStatus, status }
+ */
+async function reviewApplication(adminId, applicationId, review = {}) {
+  try {
+    const { decision } = review;
+    const notes = review.notes ? String(review.notes).trim() : '';
+
+    if (!['approve', 'reject'].includes(decision)) {
+      throw new Error('Invalid decision. Use approve or reject');
+    }
+
+    if (decision === 'reject' && !notes) {
+      throw new Error('A reason is required to reject an application');
+    }
+
+    const application = await getApplication(applicationId);
+
+    if (application.status !== 'pending') {
+      throw new Error(`This application was already ${application.status} and cannot be reviewed again`);
+    }
+
+    const seller = await getSeller(application.wholesaler_id);
+    const approved = decision === 'approve';
+    const agroDealerApproved = approved && Boolean(application.agro_dealer_number) && review.approve_agro_dealer !== false;
+    const now = new Date().toISOString();
+
+    // Only a still-pending application is updated, so two admins cannot both decide
+    const { data: claimed, error } = await supabase
+      .from('seller_verifications')
+      .update({
+        status: approved ? 'approved' : 'rejected',
+        agro_dealer_approved: agroDealerApproved,
+        reviewed_by: adminId,
+        reviewed_at: now,
+        review_notes: notes || null
+      })
+      .eq('id', applicationId)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to review application: ${error.message}`);
+    }
+
+    if (!claimed || claimed.length === 0) {
+      throw new Error('This application was already reviewed and cannot be reviewed again');
+    }
+
+    // A rejected agro-dealer add-on leaves an already verified seller verified
+    const wasVerified = seller.verification_status === 'verified';
+    const userUpdates = approved
+      ? {
+          verification_status: 'verified',
+          verified_at: wasVerified ? seller.verified_at : now,
+          agro_dealer_verified: seller.agro_dealer_verified || agroDealerApproved
+        }
+      : { verification_status: wasVerified ? 'verified' : 'rejected' };
+
+    const { error: userError } = await supabase
+      .from('users')
+      .update(userUpdates)
+      .eq('id', application.wholesaler_id);
+
+    if (userError) {
+      throw new Error(`Failed to update seller status: ${userError.message}`);
+    }
+
+    const recipient = seller.whatsapp_phone || seller.phone;
+    if (recipient) {
+      let message;
+      if (approved) {
+        message = `✅ Your seller verification for ${application.business_name} was approved. Your listings now show a verified badge.`;
+        if (application.agro_dealer_number && !agroDealerApproved) {
+          message += ` Your agro-dealer registration was not approved${notes ? `: ${notes}` : ''}.`;
+        }
+      } else if (wasVerified) {
+        message = `❌ Your agro-dealer registration for ${application.business_name} was not approved: ${notes}. Your business stays verified; you can apply again.`;
+      } else {
+        message = `❌ Your seller verification for ${application.business_name} was not approved: ${notes}. You can correct this and apply again.`;
+      }
+
+      try {
+        await enqueueNotifications([{
+          userId: seller.id,
+          recipient,
+          category: 'marketplace',
+          channel: seller.whatsapp_phone ? 'whatsapp' : 'sms',
+          message
+        }]);
+      } catch (notifyError) {
+        console.error(`Failed to notify seller ${seller.id} of verification decision:`, notifyError.message);
+      }
+    }
+
+    return {
+      application: await getApplication(applicationId),
+      previousStatus: seller.verification_status,
+      status: userUpdates.verification_status
+    };
+  } catch (error) {
+    console.error('Error in reviewApplication:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  VERIFICATION_STATUSES,
+  APPLICATION_STATUSES,
+  DOCUMENT_TYPES,
+  ALLOWED_DOCUMENT_TYPES,
+  MAX_DOCUMENT_BYTES,
+  UNVERIFIED_PRODUCT_LIMIT,
+  getListingPolicy,
+  assertCanList,
+  getVerificationStatus,
+  submitVerification,
+  listApplications,
+  getApplication,
+  getApplicationDocument,
+  reviewApplication
+};
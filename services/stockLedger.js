@@ -0,0 +1,105 @@
+const { supabase } = require('./supabase');
+
+/**
+ * Stock Ledger Service
+ * Moves product stock through the apply_stock_movement database function, which
+ * locks the product row so concurrent orders cannot oversell, and records every
+ * movement with its reason.
+ *
+ * Movement types:
+ * - reserve: hold units for an order (reserved +n)
+ * - release: give a reservation back (reserved -n)
+ * - commit: ship reserved units (stock -n, reserved -n)
+ * - sale: take units out of stock without a reservation (stock -n)
+ * - return: put units back into stock (stock +n)
+ * - adjustment: the seller sets the stock level (quantity is the new level)
+ */
+
+const MOVEMENT_TYPES = ['adjustment', 'reserve', 'release', 'commit', 'sale', 'return'];
+
+/**
+ * Apply a stock movement
+ * @param {string} productId - Product ID
+ * @param {string} movementType - One of MOVEMENT_TYPES
+ * @param {number} quantity - Units moved (the new stock level for 'adjustment')
+ * @param {Object} details - { reason, orderId, bulkOrderId, actorId }
+ * @returns {Object} Updated product
+ */
+async function moveStock(productId, movementType, quantity, details = {}) {
+  if (!MOVEMENT_TYPES.includes(movementType)) {
+    throw new Error(`Invalid stock movement: ${movementType}`);
+  }
+
+  if (!details.reason) {
+    throw new Error('Stock movements need a reason');
+  }
+
+  try {
+    const { data, error } = await supabase.rpc('apply_stock_movement', {
+      p_product_id: productId,
+      p_movement_type: movementType,
+      p_quantity: parseInt(quantity),
+      p_reason: details.reason,
+      p_order_id: details.orderId || null,
+      p_bulk_order_id: details.bulkOrderId || null,
+      p_actor_id: details.actorId || null
+    });
+
+    if (error) {
+      if (error.message.includes('INSUFFICIENT_STOCK')) {
+        throw new Error(movementType === 'adjustment'
+          ? 'Stock cannot be set below the quantity reserved for open orders'
+          : 'Insufficient stock available');
+      }
+      if (error.message.includes('RESERVATION_EXCEEDED')) {
+        throw new Error('Cannot release more stock than is reserved');
+      }
+      if (error.message.includes('PRODUCT_NOT_FOUND')) {
+        throw new Error('Product not found');
+      }
+      if (error.message.includes('INVALID_QUANTITY')) {
+        throw new Error('Stock quantity must be a positive whole number');
+      }
+      throw new Error(`Failed to update stock: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in moveStock:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a product's stock movements, newest first
+ * @param {string} productId - Product ID
+ * @param {Object} options - { limit, offset }
+ * @returns {Array} Stock movements
+ */
+async function getStockMovements(productId, options = {}) {
+  const { limit = 50, offset = 0 } = options;
+
+  try {
+    const { data, error } = await supabase
+      .from('stock_movements')
+      .select('*, actor:users!stock_movements_actor_id_fkey(id, name)')
+      .eq('product_id', productId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch stock movements: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getStockMovements:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  moveStock,
+  getStockMovements
+};
@@ -0,0 +1,72 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Disk Storage
+ * Keeps uploaded files under a local directory that the server serves at
+ * /uploads. The default backend; fine for a single instance. Private storage
+ * (seller verification documents) lives in a separate directory that is never
+ * served; its files are only read back through get().
+ */
+
+/**
+ * Create a disk storage backend
+ * @param {Object} options - { directory, publicPath, private }
+ * @returns {Object} Storage backend
+ */
+function createDiskStorage(options = {}) {
+  const isPrivate = Boolean(options.private);
+  const defaultDirectory = isPrivate
+    ? process.env.PRIVATE_UPLOAD_DIR || 'private_uploads'
+    : process.env.UPLOAD_DIR || 'uploads';
+  const directory = path.resolve(options.directory || defaultDirectory);
+  const publicPath = (options.publicPath || '/uploads').replace(/\/$/, '');
+
+  /**
+   * Resolve a key inside the storage directory, refusing keys that escape it
+   * @param {string} key - Object key
+   * @returns {string} Absolute file path
+   */
+  function resolveKey(key) {
+    const file = path.resolve(directory, key);
+
+    if (!file.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return file;
+  }
+
+  return {
+    name: 'disk',
+    directory,
+
+    async put(key, body) {
+      const file = resolveKey(key);
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+
+      return { key, url: isPrivate ? null : `${publicPath}/${key}` };
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`Stored file not found: ${key}`);
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+module.exports = {
+  createDiskStorage
+};
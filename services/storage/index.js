@@ -0,0 +1,92 @@
+/**
+ * Storage Service
+ * Where uploaded files (product images) are kept, over a pluggable backend.
+ *
+ * Backends must implement:
+ * - put(key, body, contentType): resolves to { key, url } (url is null for private storage)
+ * - get(key): resolves to the file contents as a Buffer
+ * - delete(key): resolves once the object is gone (missing objects are not an error)
+ *
+ * STORAGE_BACKEND selects the backend: disk (default, files under UPLOAD_DIR served
+ * at /uploads) or s3 (any S3-compatible bucket).
+ *
+ * There are two scopes: public (product images, served to anyone) and private
+ * (seller verification documents, under PRIVATE_UPLOAD_DIR or S3_PRIVATE_BUCKET,
+ * only read back by the server).
+ */
+
+const backendFactories = {
+  disk: options => require('./diskStorage').createDiskStorage(options),
+  s3: options => require('./s3Storage').createS3Storage(options)
+};
+
+const STORAGE_SCOPES = ['public', 'private'];
+
+const storages = {};
+
+/**
+ * Create a storage backend by type name
+ * @param {string} type - Backend type ('disk', 's3')
+ * @param {Object} options - Backend options
+ * @returns {Object} Storage backend
+ */
+function createStorage(type, options = {}) {
+  const factory = backendFactories[type];
+
+  if (!factory) {
+    throw new Error(`Unknown storage backend: ${type}. Use one of: ${Object.keys(backendFactories).join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Check a storage scope name
+ * @param {string} scope - 'public' or 'private'
+ */
+function assertScope(scope) {
+  if (!STORAGE_SCOPES.includes(scope)) {
+    throw new Error(`Unknown storage scope: ${scope}. Use one of: ${STORAGE_SCOPES.join(', ')}`);
+  }
+}
+
+/**
+ * Use a specific storage backend (e.g. a temporary directory in tests)
+ * @param {Object} backend - Storage backend
+ * @param {string} scope - 'public' (default) or 'private'
+ * @returns {Object} The backend
+ */
+function setStorage(backend, scope = 'public') {
+  assertScope(scope);
+
+  if (!backend || typeof backend.put !== 'function' || typeof backend.get !== 'function' || typeof backend.delete !== 'function') {
+    throw new Error('Storage backends must implement put, get and delete');
+  }
+
+  storages[scope] = backend;
+  return backend;
+}
+
+/**
+ * Get the configured storage backend, creating it from the environment on first use
+ * @param {string} scope - 'public' (default) or 'private'
+ * @returns {Object} Storage backend
+ */
+function getStorage(scope = 'public') {
+  assertScope(scope);
+
+  if (!storages[scope]) {
+    storages[scope] = createStorage((process.env.STORAGE_BACKEND || 'disk').toLowerCase(), {
+      private: scope === 'private'
+    });
+  }
+
+  return storages[scope];
+}
+
+module.exports = {
+  STORAGE_SCOPES,
+  createStorage,
+  setStorage,
+  getStorage
+};
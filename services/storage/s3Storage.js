@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * S3 Storage
+ * Stores uploaded files in an S3 bucket or any S3-compatible service (MinIO,
+ * Cloudflare R2, DigitalOcean Spaces) using path-style requests signed with
+ * AWS Signature Version 4. The bucket must allow public reads of uploaded
+ * objects, or S3_PUBLIC_URL must point at a CDN in front of it. Private storage
+ * uses S3_PRIVATE_BUCKET, which must not be public; its objects have no URL and
+ * are only read back through get().
+ */
+
+/**
+ * SHA-256 of a string or buffer
+ * @param {string|Buffer} data - Data to hash
+ * @returns {string} Hex digest
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * HMAC-SHA256
+ * @param {string|Buffer} key - Key
+ * @param {string} data - Data to sign
+ * @returns {Buffer} Digest
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI-encode an object key the way Signature Version 4 expects (slashes kept)
+ * @param {string} key - Object key
+ * @returns {string} Encoded key
+ */
+function encodeKey(key) {
+  return key
+    .split('/')
+    .map(part => encodeURIComponent(part).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join('/');
+}
+
+/**
+ * Create an S3 storage backend
+ * @param {Object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl, private }
+ * @returns {Object} Storage backend
+ */
+function createS3Storage(options = {}) {
+  const isPrivate = Boolean(options.private);
+  const bucket = options.bucket || (isPrivate ? process.env.S3_PRIVATE_BUCKET : process.env.S3_BUCKET);
+  const region = options.region || process.env.S3_REGION || 'us-east-1';
+  const endpoint = (options.endpoint || process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+  const accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+  const publicUrl = (options.publicUrl || process.env.S3_PUBLIC_URL || `${endpoint}/${bucket}`).replace(/\/$/, '');
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error(`${isPrivate ? 'S3_PRIVATE_BUCKET' : 'S3_BUCKET'}, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for the s3 storage backend`);
+  }
+
+  /**
+   * Send a signed request for an object
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {Buffer} body - Request body (PUT only)
+   * @param {Object} extraHeaders - Unsigned headers (Content-Type, Cache-Control)
+   * @param {Object} axiosOptions - Extra axios options (responseType)
+   * @returns {Object} axios response
+   */
+  async function request(method, key, body = Buffer.alloc(0), extraHeaders = {}, axiosOptions = {}) {
+    const url = new URL(`${endpoint}/${bucket}/${encodeKey(key)}`);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const payloadHash = sha256(body);
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      `host:${url.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+      'host;x-amz-content-sha256;x-amz-date',
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return axios({
+      ...axiosOptions,
+      method,
+      url: url.toString(),
+      data: method === 'PUT' ? body : undefined,
+      headers: {
+        ...extraHeaders,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=${signature}`
+      },
+      maxBodyLength: Infinity,
+      timeout: 30000
+    });
+  }
+
+  return {
+    name: 's3',
+    bucket,
+
+    async put(key, body, contentType = 'application/octet-stream') {
+      await request('PUT', key, body, {
+        'Content-Type': contentType,
+        // Keys are never reused, so renditions can be cached forever
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      });
+
+      return { key, url: isPrivate ? null : `${publicUrl}/${encodeKey(key)}` };
+    },
+
+    async get(key) {
+      try {
+        const response = await request('GET', key, undefined, {}, { responseType: 'arraybuffer' });
+        return Buffer.from(response.data);
+      } catch (error) {
+        if (error.response?.status === 404) {
+          throw new Error(`Stored file not found: ${key}`);
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await request('DELETE', key);
+    }
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
@@ -1,4 +1,6 @@
-const { supabase } = require('./supabase');
+const { supabase, getUserById } = require('./supabase');
+const { sendSubscriptionReceiptEmail } = require('./mail');
+const { recordAuditEvent } = require('./auditLog');
 
 /**
  * Subscription Management Service
@@ -342,10 +344,13 @@ async function getUserUsageStats(userId) {
  * Upgrade user subscription
  * @param {string} userId - User ID
  * @param {string} planId - New plan ID
+ * @param {Object} requestMetadata - Request details for the audit log
  * @returns {Object} Updated subscription
  */
-async function upgradeSubscription(userId, planId) {
+async function upgradeSubscription(userId, planId, requestMetadata = {}) {
   try {
+    const previous = await getUserSubscription(userId);
+
     // Cancel current subscription
     await supabase
       .from('user_subscriptions')
@@ -373,6 +378,27 @@ async function upgradeSubscription(userId, planId) {
       throw new Error('Failed to upgrade subscription');
     }
 
+    await recordAuditEvent({
+      actorId: userId,
+      action: 'subscription.change_plan',
+      targetType: 'user',
+      targetId: userId,
+      before: { plan_id: previous?.plan_id || null, subscription_id: previous?.id || null },
+      after: { plan_id: data.plan_id, subscription_id: data.id },
+      details: { plan_name: data.plan?.name || null, price_monthly: data.plan?.price_monthly ?? null },
+      metadata: requestMetadata
+    });
+
+    // Paid plans get an emailed receipt
+    if (parseFloat(data.plan?.price_monthly) > 0) {
+      try {
+        const user = await getUserById(userId);
+        await sendSubscriptionReceiptEmail(user, data);
+      } catch (receiptError) {
+        console.error('Failed to send subscription receipt:', receiptError.message);
+      }
+    }
+
     return data;
   } catch (error) {
     console.error('Error in upgradeSubscription:', error);
@@ -380,6 +406,55 @@ async function upgradeSubscription(userId, planId) {
   }
 }
 
+/**
+ * Put a user on a plan without payment (admin override). The active subscription
+ * is switched in place so no receipt is sent and nothing is billed.
+ * @param {string} userId - User ID
+ * @param {string} planId - Plan ID
+ * @param {Object} options - { endDate } when the override should lapse (null = open-ended)
+ * @returns {Object} Updated subscription with plan
+ */
+async function overrideSubscription(userId, planId, options = {}) {
+  try {
+    await getPlanById(planId);
+
+    const changes = {
+      plan_id: planId,
+      end_date: options.endDate || null,
+      auto_renew: false,
+      payment_method: 'admin_override',
+      updated_at: new Date().toISOString()
+    };
+
+    const current = await getUserSubscription(userId);
+
+    const query = current
+      ? supabase.from('user_subscriptions').update(changes).eq('id', current.id)
+      : supabase.from('user_subscriptions').insert({
+        user_id: userId,
+        status: 'active',
+        start_date: new Date().toISOString(),
+        ...changes
+      });
+
+    const { data, error } = await query
+      .select(`
+        *,
+        plan:subscription_plans(*)
+      `)
+      .single();
+
+    if (error) {
+      throw new Error('Failed to override subscription');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in overrideSubscription:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   getPlanById,
   getAllPlans,
@@ -389,6 +464,7 @@ module.exports = {
   assignFreePlanToUser,
   incrementUsage,
   getUserUsageStats,
-  upgradeSubscription
+  upgradeSubscription,
+  overrideSubscription
 };
 
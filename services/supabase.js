@@ -245,11 +245,12 @@ async function authenticateUser(email, password) {
     try {
         const { data: user, error } = await supabase
             .from('users')
-            .select('id, email, phone, name, user_type, location, farm_size, crops_grown, whatsapp_linked, password_hash')
+            .select('id, email, phone, name, user_type, status, location, farm_size, crops_grown, whatsapp_linked, password_hash')
             .eq('email', email)
             .single();
             
-        if (error || !user) {
+        // Accounts created on WhatsApp have no password until they are claimed
+        if (error || !user || !user.password_hash) {
             throw new Error('Invalid email or password');
         }
         
@@ -259,6 +260,10 @@ async function authenticateUser(email, password) {
             throw new Error('Invalid email or password');
         }
         
+        if (user.status === 'suspended') {
+            throw new Error('Account suspended');
+        }
+        
         // Update last_seen
         await supabase
             .from('users')
@@ -283,7 +288,7 @@ async function getUserById(userId) {
     try {
         const { data: user, error } = await supabase
             .from('users')
-            .select('id, email, phone, name, user_type, location, farm_size, crops_grown, whatsapp_linked, whatsapp_phone, created_at, last_seen')
+            .select('id, email, phone, name, user_type, status, location, latitude, longitude, farm_size, crops_grown, whatsapp_linked, whatsapp_phone, token_version, created_at, last_seen')
             .eq('id', userId)
             .single();
             
@@ -307,7 +312,7 @@ async function getUserById(userId) {
 async function updateUserProfile(userId, updates) {
     try {
         // Remove sensitive fields that shouldn't be updated directly
-        const { password, password_hash, id, created_at, ...allowedUpdates } = updates;
+        const { password, password_hash, token_version, id, created_at, ...allowedUpdates } = updates;
         
         const { data: updatedUser, error } = await supabase
             .from('users')
@@ -316,7 +321,7 @@ async function updateUserProfile(userId, updates) {
                 last_seen: new Date().toISOString()
             })
             .eq('id', userId)
-            .select('id, email, phone, name, user_type, location, farm_size, crops_grown, whatsapp_linked, whatsapp_phone')
+            .select('id, email, phone, name, user_type, location, latitude, longitude, farm_size, crops_grown, whatsapp_linked, whatsapp_phone')
             .single();
             
         if (error) {
@@ -330,6 +335,121 @@ async function updateUserProfile(userId, updates) {
     }
 }
 
+/**
+ * Claim a phone-only account (created on WhatsApp) for the web by adding an email
+ * and password. The caller must already have proven the phone number, e.g. with a
+ * login code.
+ * @param {string} userId - User's UUID
+ * @param {Object} credentials - { email, password, name }
+ * @returns {Promise<Object>} Updated user object
+ */
+async function claimAccount(userId, { email, password, name }) {
+    try {
+        const { data: user, error: getUserError } = await supabase
+            .from('users')
+            .select('id, name, password_hash')
+            .eq('id', userId)
+            .single();
+            
+        if (getUserError || !user) {
+            throw new Error('User not found');
+        }
+        
+        if (user.password_hash) {
+            throw new Error('Account already has a password');
+        }
+        
+        const normalizedEmail = email.toLowerCase().trim();
+        
+        const { data: existingUser } = await supabase
+            .from('users')
+            .select('id')
+            .eq('email', normalizedEmail)
+            .neq('id', userId)
+            .maybeSingle();
+            
+        if (existingUser) {
+            throw new Error('User with this email already exists');
+        }
+        
+        const password_hash = await bcrypt.hash(password, SALT_ROUNDS);
+        
+        const { data: updatedUser, error } = await supabase
+            .from('users')
+            .update({
+                email: normalizedEmail,
+                password_hash,
+                name: name?.trim() || user.name,
+                last_seen: new Date().toISOString()
+            })
+            .eq('id', userId)
+            .is('password_hash', null)
+            .select('id, email, phone, name, user_type, location, farm_size, crops_grown, whatsapp_linked, whatsapp_phone, created_at')
+            .maybeSingle();
+            
+        if (error) {
+            throw new Error(`Failed to claim account: ${error.message}`);
+        }
+        
+        if (!updatedUser) {
+            throw new Error('Account already has a password');
+        }
+        
+        return updatedUser;
+    } catch (error) {
+        console.error('Error in claimAccount:', error);
+        throw error;
+    }
+}
+
+/**
+ * Invalidate all of a user's sessions: bumps users.token_version, which access and
+ * refresh tokens are checked against, and marks open sessions as revoked
+ * @param {string} userId - User's UUID
+ * @param {string} reason - Why the sessions were revoked (e.g. 'password_changed')
+ * @returns {Promise<number>} New token version
+ */
+async function incrementTokenVersion(userId, reason = 'revoked') {
+    try {
+        const { data: user, error: getUserError } = await supabase
+            .from('users')
+            .select('token_version')
+            .eq('id', userId)
+            .single();
+            
+        if (getUserError || !user) {
+            throw new Error('User not found');
+        }
+        
+        const tokenVersion = (user.token_version || 0) + 1;
+        
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ token_version: tokenVersion })
+            .eq('id', userId);
+            
+        if (updateError) {
+            throw new Error(`Failed to update token version: ${updateError.message}`);
+        }
+        
+        const { error: revokeError } = await supabase
+            .from('auth_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+            .eq('user_id', userId)
+            .is('revoked_at', null);
+            
+        if (revokeError) {
+            // Sessions are already unusable because of the version bump
+            console.error('Error revoking sessions:', revokeError);
+        }
+        
+        return tokenVersion;
+    } catch (error) {
+        console.error('Error in incrementTokenVersion:', error);
+        throw error;
+    }
+}
+
 /**
  * Update user password
  * @param {string} userId - User's UUID
@@ -369,6 +489,9 @@ async function updateUserPassword(userId, currentPassword, newPassword) {
             throw new Error(`Failed to update password: ${updateError.message}`);
         }
         
+        // Sign out every device that used the old password
+        await incrementTokenVersion(userId, 'password_changed');
+        
         return true;
     } catch (error) {
         console.error('Error in updateUserPassword:', error);
@@ -477,6 +600,8 @@ module.exports = {
     getUserById,
     updateUserProfile,
     updateUserPassword,
+    claimAccount,
+    incrementTokenVersion,
     linkWhatsAppAccount,
     findUserByWhatsApp,
     getUserProfileByWhatsApp
@@ -0,0 +1,249 @@
+const { findOrCreateUser } = require('./supabase');
+const { searchProducts } = require('./marketplace');
+const { getOrdersByUser } = require('./orders');
+const { getUserSACCOs } = require('./sacco');
+const {
+  getSACCOBulkOrders,
+  addMemberToOrder,
+  getUserBulkOrderParticipations
+} = require('./bulkOrders');
+
+/**
+ * USSD Service
+ * Menu-driven access for feature phones, following the Africa's Talking USSD
+ * contract: each request carries the whole input so far ("1*2*10") and the
+ * reply starts with "CON " (wait for more input) or "END " (close the session).
+ *
+ * Menus are rebuilt from the input on every request, so no session state is kept.
+ */
+
+// Most handsets show about 182 characters per USSD screen
+const USSD_MAX_LENGTH = 182;
+const MAX_MENU_ITEMS = 5;
+
+const MAIN_MENU = [
+  'AgriAI Bot',
+  '1. Check prices',
+  '2. Join bulk order',
+  '3. My orders'
+].join('\n');
+
+/**
+ * Continue the session with a screen
+ * @param {string} text - Screen text
+ * @returns {string} USSD response
+ */
+function con(text) {
+  return `CON ${fitScreen(text)}`;
+}
+
+/**
+ * End the session with a screen
+ * @param {string} text - Screen text
+ * @returns {string} USSD response
+ */
+function end(text) {
+  return `END ${fitScreen(text)}`;
+}
+
+/**
+ * Trim a screen to what handsets can display
+ * @param {string} text - Screen text
+ * @returns {string} Text within USSD_MAX_LENGTH
+ */
+function fitScreen(text) {
+  return text.length <= USSD_MAX_LENGTH - 4 ? text : `${text.slice(0, USSD_MAX_LENGTH - 7)}...`;
+}
+
+/**
+ * Split the accumulated input into steps. "0" goes back one step and "00" returns
+ * to the main menu.
+ * @param {string} text - Accumulated input, e.g. "2*1*10"
+ * @returns {Array<string>} Steps after navigation is applied
+ */
+function parseInput(text) {
+  const steps = [];
+
+  for (const step of String(text || '').split('*').map(s => s.trim())) {
+    if (step === '') continue;
+    if (step === '00') {
+      steps.length = 0;
+    } else if (step === '0') {
+      steps.pop();
+    } else {
+      steps.push(step);
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Prices menu: ask for a product, then show the cheapest listings
+ * @param {Array<string>} steps - Steps after the menu choice
+ * @returns {Promise<string>} USSD response
+ */
+async function handlePrices(steps) {
+  if (steps.length === 0) {
+    return con('Enter crop or product name (e.g. maize):\n0. Back');
+  }
+
+  const products = await searchProducts(steps[0], {
+    limit: 3,
+    sort_by: 'unit_price',
+    sort_order: 'asc'
+  });
+
+  if (products.length === 0) {
+    return end(`No listings found for "${steps[0]}".`);
+  }
+
+  const lines = products.map((product, index) =>
+    `${index + 1}. ${product.name}: KSh ${product.unit_price}/${product.unit_type}`);
+
+  return end(`Prices for ${steps[0]}:\n${lines.join('\n')}`);
+}
+
+/**
+ * Collecting bulk orders in the user's SACCOs, in a stable order so menu numbers
+ * mean the same thing on every request of the session
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Open bulk orders
+ */
+async function getOpenBulkOrders(userId) {
+  const saccos = await getUserSACCOs(userId);
+  const orders = [];
+
+  for (const sacco of saccos) {
+    const saccoOrders = await getSACCOBulkOrders(sacco.id, { status: 'collecting' });
+    orders.push(...saccoOrders.filter(order => new Date(order.deadline) > new Date()));
+  }
+
+  return orders
+    .sort((a, b) => new Date(a.deadline) - new Date(b.deadline) || a.id.localeCompare(b.id))
+    .slice(0, MAX_MENU_ITEMS);
+}
+
+/**
+ * Bulk order menu: pick an order, enter a quantity, confirm
+ * @param {Object} user - User record
+ * @param {Array<string>} steps - Steps after the menu choice
+ * @returns {Promise<string>} USSD response
+ */
+async function handleJoinBulkOrder(user, steps) {
+  const orders = await getOpenBulkOrders(user.id);
+
+  if (orders.length === 0) {
+    return end('No open bulk orders in your SACCOs. Join a SACCO on the AgriAI website or WhatsApp.');
+  }
+
+  if (steps.length === 0) {
+    const lines = orders.map((order, index) => {
+      const product = order.product || {};
+      const unitPrice = order.pricing?.unit_price ?? order.unit_price;
+      return `${index + 1}. ${product.name} KSh ${unitPrice}/${product.unit_type}`;
+    });
+    return con(`Select bulk order:\n${lines.join('\n')}\n0. Back`);
+  }
+
+  const order = orders[parseInt(steps[0]) - 1];
+  if (!order) {
+    return end('Invalid choice. Please dial again.');
+  }
+
+  const unit = order.product?.unit_type || 'units';
+
+  if (steps.length === 1) {
+    const remaining = order.participation_stats?.remaining_quantity;
+    return con(`${order.product?.name}\n${remaining} ${unit} left\nEnter quantity (${unit}):\n0. Back`);
+  }
+
+  const quantity = parseInt(steps[1]);
+  if (!quantity || quantity <= 0 || String(quantity) !== steps[1]) {
+    return end('Invalid quantity. Please dial again.');
+  }
+
+  if (steps.length === 2) {
+    const pricing = order.pricing || { unit_price: order.unit_price };
+    return con(`Join with ${quantity} ${unit} of ${order.product?.name} at about KSh ${pricing.unit_price * quantity}?\n1. Confirm\n2. Cancel`);
+  }
+
+  if (steps[2] !== '1') {
+    return end('Cancelled. Nothing was ordered.');
+  }
+
+  try {
+    const participation = await addMemberToOrder(order.id, user.id, quantity);
+    return end(`Joined! ${quantity} ${unit} of ${order.product?.name}. Current amount KSh ${participation.amount}. The price drops as more members join.`);
+  } catch (error) {
+    // Business rule failures (already joined, not enough left, deadline passed) are shown as-is
+    return end(error.message);
+  }
+}
+
+/**
+ * Orders menu: recent marketplace orders and bulk order participations
+ * @param {Object} user - User record
+ * @returns {Promise<string>} USSD response
+ */
+async function handleMyOrders(user) {
+  const [orders, participations] = await Promise.all([
+    getOrdersByUser(user.id, { limit: 3 }),
+    getUserBulkOrderParticipations(user.id)
+  ]);
+
+  const lines = [
+    ...orders.map(order => `${order.product?.name || 'Order'} x${order.quantity}: ${order.status}, ${order.payment_status}`),
+    ...(participations || []).slice(0, 3).map(p => `Bulk ${p.bulk_order?.product?.name || ''} x${p.quantity}: ${p.bulk_order?.status}`)
+  ];
+
+  if (lines.length === 0) {
+    return end('You have no orders yet.');
+  }
+
+  return end(`Your orders:\n${lines.join('\n')}`);
+}
+
+/**
+ * Handle one USSD request
+ * @param {Object} request - { sessionId, phoneNumber, serviceCode, text }
+ * @returns {Promise<string>} Response starting with "CON " or "END "
+ */
+async function handleUssdRequest(request) {
+  const phone = String(request.phoneNumber || '').replace(/\D/g, '');
+
+  if (!phone) {
+    return end('Unable to identify your phone number.');
+  }
+
+  try {
+    const steps = parseInput(request.text);
+
+    if (steps.length === 0) {
+      return con(MAIN_MENU);
+    }
+
+    const user = await findOrCreateUser(phone);
+    const [choice, ...rest] = steps;
+
+    switch (choice) {
+      case '1':
+        return await handlePrices(rest);
+      case '2':
+        return await handleJoinBulkOrder(user, rest);
+      case '3':
+        return await handleMyOrders(user);
+      default:
+        return con(`Invalid choice.\n${MAIN_MENU}`);
+    }
+  } catch (error) {
+    console.error('Error in handleUssdRequest:', error);
+    return end('Sorry, something went wrong. Please try again later.');
+  }
+}
+
+module.exports = {
+  USSD_MAX_LENGTH,
+  parseInput,
+  handleUssdRequest
+};
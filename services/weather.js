@@ -1,7 +1,66 @@
 const axios = require('axios');
 
+// Forecasts are cached per grid cell so nearby farms share one upstream request
+const GRID_CELL_DEGREES = 0.1; // ~11km at the equator
+const CACHE_TTL_MS = parseInt(process.env.WEATHER_CACHE_TTL_MS) || 60 * 60 * 1000; // 1 hour
+const forecastCache = new Map();
+
+// Questions mentioning these activities get the short-range forecast added to the prompt
+const WEATHER_SENSITIVE_KEYWORDS = [
+  'plant', 'sow', 'transplant',
+  'spray', 'pesticide', 'herbicide', 'fungicide', 'fertiliz', 'fertilis', 'top dress', 'topdress',
+  'harvest', 'drying',
+  // Swahili
+  'panda', 'nyunyiz', 'vuna', 'mbolea'
+];
+
+/**
+ * Snap coordinates to the centre of their cache grid cell.
+ * @param {number} latitude - The latitude of the location.
+ * @param {number} longitude - The longitude of the location.
+ * @returns {Object} { latitude, longitude, key } for the grid cell.
+ */
+function toGridCell(latitude, longitude) {
+  const snap = (value) => Number((Math.round(Number(value) / GRID_CELL_DEGREES) * GRID_CELL_DEGREES).toFixed(2));
+  const cellLatitude = snap(latitude);
+  const cellLongitude = snap(longitude);
+
+  return {
+    latitude: cellLatitude,
+    longitude: cellLongitude,
+    key: `${cellLatitude},${cellLongitude}`
+  };
+}
+
+/**
+ * Validates farm coordinates sent in a profile update.
+ * Both values must be sent together; null for both clears the saved location.
+ * @param {*} latitude - Latitude from the request body.
+ * @param {*} longitude - Longitude from the request body.
+ * @returns {Object} { latitude, longitude } or { error } describing the problem.
+ */
+function validateCoordinates(latitude, longitude) {
+  if (latitude === null && longitude === null) {
+    return { latitude: null, longitude: null };
+  }
+
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+
+  if (isNaN(lat) || isNaN(lon)) {
+    return { error: 'Latitude and longitude must both be provided as numbers' };
+  }
+
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return { error: 'Latitude must be between -90 and 90 and longitude between -180 and 180' };
+  }
+
+  return { latitude: lat, longitude: lon };
+}
+
 /**
  * Fetches the 7-day weather forecast for a given latitude and longitude.
+ * Results are cached per grid cell for CACHE_TTL_MS.
  * @param {number} latitude - The latitude of the location.
  * @param {number} longitude - The longitude of the location.
  * @returns {Promise<Object>} A promise that resolves to the weather forecast data.
@@ -11,10 +70,16 @@ async function getWeatherForecast(latitude, longitude) {
     throw new Error('Latitude and longitude are required to fetch weather data.');
   }
 
+  const cell = toGridCell(latitude, longitude);
+  const cached = forecastCache.get(cell.key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.data;
+  }
+
   const url = `https://api.open-meteo.com/v1/forecast`;
   const params = {
-    latitude,
-    longitude,
+    latitude: cell.latitude,
+    longitude: cell.longitude,
     hourly: 'temperature_2m,precipitation_probability,weathercode',
     daily: 'weathercode,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max',
     timezone: 'auto' // Automatically adjust to the location's timezone
@@ -22,6 +87,7 @@ async function getWeatherForecast(latitude, longitude) {
 
   try {
     const response = await axios.get(url, { params });
+    forecastCache.set(cell.key, { data: response.data, expiresAt: Date.now() + CACHE_TTL_MS });
     return response.data;
   } catch (error) {
     console.error('Error fetching weather forecast from Open-Meteo:', error.response ? error.response.data : error.message);
@@ -59,7 +125,74 @@ function getReadableForecast(forecastData) {
   return summary;
 }
 
+/**
+ * Summarises rainfall for the coming days, one line per day.
+ * @param {Object} forecastData - The raw forecast data from Open-Meteo.
+ * @param {number} days - Number of days to include (default 3).
+ * @returns {string} Rain outlook text, or an empty string if data is missing.
+ */
+function getRainOutlook(forecastData, days = 3) {
+  if (!forecastData || !forecastData.daily) {
+    return '';
+  }
+
+  const { daily } = forecastData;
+  const lines = [];
+  let totalRain = 0;
+
+  for (let i = 0; i < Math.min(days, daily.time.length); i++) {
+    const rain = daily.precipitation_sum ? daily.precipitation_sum[i] || 0 : 0;
+    totalRain += rain;
+    lines.push(`- ${daily.time[i]}: ${daily.temperature_2m_min[i]}°C to ${daily.temperature_2m_max[i]}°C, ` +
+      `${daily.precipitation_probability_max[i]}% chance of rain, ${rain}mm expected`);
+  }
+
+  return `${lines.join('\n')}\nTotal rain expected over ${lines.length} days: ${Math.round(totalRain * 10) / 10}mm`;
+}
+
+/**
+ * Checks whether a message asks about a weather-sensitive activity
+ * (planting, spraying, fertilising or harvesting).
+ * @param {string} message - The user's message.
+ * @returns {boolean} True if the forecast is relevant to the answer.
+ */
+function isWeatherSensitiveQuestion(message) {
+  if (!message) {
+    return false;
+  }
+
+  const text = message.toLowerCase();
+  return WEATHER_SENSITIVE_KEYWORDS.some(keyword => text.includes(keyword));
+}
+
+/**
+ * Builds the 3-day forecast for a prompt when the message concerns planting,
+ * spraying or harvesting and the user has saved farm coordinates.
+ * @param {string} message - The user's message.
+ * @param {Object} user - User with latitude and longitude.
+ * @returns {Promise<string|null>} Forecast text, or null when not applicable.
+ */
+async function getWeatherContextForMessage(message, user) {
+  if (!user || !user.latitude || !user.longitude || !isWeatherSensitiveQuestion(message)) {
+    return null;
+  }
+
+  try {
+    const forecast = await getWeatherForecast(user.latitude, user.longitude);
+    return getRainOutlook(forecast, 3) || null;
+  } catch (error) {
+    // Advice without the forecast is better than no advice
+    console.error('Error getting weather context:', error.message);
+    return null;
+  }
+}
+
 module.exports = {
+  validateCoordinates,
+  toGridCell,
   getWeatherForecast,
-  getReadableForecast
+  getReadableForecast,
+  getRainOutlook,
+  isWeatherSensitiveQuestion,
+  getWeatherContextForMessage
 };
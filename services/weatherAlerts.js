@@ -0,0 +1,243 @@
+const { supabase } = require('./supabase');
+const { getWeatherForecast, toGridCell } = require('./weather');
+const { sendWeatherAlertNotification } = require('./notifications');
+
+/**
+ * Weather Alerts Service
+ * Scans farmers with saved coordinates, evaluates threshold rules against the
+ * Open-Meteo daily forecast and pushes crop-specific warnings.
+ */
+
+const HEAVY_RAIN_MM = parseFloat(process.env.WEATHER_ALERT_HEAVY_RAIN_MM) || 30;
+const FROST_TEMP_C = parseFloat(process.env.WEATHER_ALERT_FROST_TEMP_C) || 3;
+const HIGHLAND_ELEVATION_M = parseFloat(process.env.WEATHER_ALERT_HIGHLAND_ELEVATION_M) || 1800;
+const DRY_SPELL_DAYS = 7;
+const DRY_SPELL_TOTAL_MM = 5;
+const DEDUP_WINDOW_HOURS = parseInt(process.env.WEATHER_ALERT_DEDUP_HOURS) || 72;
+
+// Crop-specific advice per alert type; matched against users.crops_grown by substring
+const CROP_ADVICE = {
+  heavy_rain: {
+    maize: 'Clear drainage channels around maize rows and hold off top-dressing until the rain passes.',
+    beans: 'Beans rot in waterlogged soil - open up furrows so water drains away from the plants.',
+    potato: 'Earth up potatoes and watch for late blight; spray a protective fungicide before the rain if you can.',
+    tomato: 'Stake tomatoes and remove lower leaves to reduce blight splash from the soil.',
+    tea: 'Keep plucking rounds regular and check that drains on slopes are clear.',
+    coffee: 'Watch for coffee berry disease after the rains and avoid spraying just before a downpour.',
+    default: 'Avoid spraying or applying fertiliser before the rain - it will wash off. Clear drainage channels.'
+  },
+  frost: {
+    potato: 'Cover potato seedlings overnight or irrigate lightly in the evening to reduce frost damage.',
+    tea: 'Frost can scorch young tea shoots - delay pruning until the cold spell passes.',
+    beans: 'Young bean plants are frost-sensitive; mulch heavily and avoid planting until it warms up.',
+    maize: 'Delay planting maize until night temperatures rise.',
+    vegetable: 'Cover vegetable nurseries with grass, sacks or shade net overnight.',
+    default: 'Cover nurseries and young plants overnight and irrigate lightly in the evening.'
+  },
+  dry_spell: {
+    maize: 'Mulch maize and prioritise water for plants at tasselling - that is when drought hurts yield most.',
+    beans: 'Beans at flowering need moisture; mulch and water early in the morning if possible.',
+    tomato: 'Use drip or furrow irrigation for tomatoes to avoid blossom-end rot from irregular watering.',
+    kale: 'Water sukuma wiki in the evening and mulch to keep the soil moist.',
+    sukuma: 'Water sukuma wiki in the evening and mulch to keep the soil moist.',
+    default: 'Mulch to conserve soil moisture and delay planting until rain is forecast.'
+  }
+};
+
+/**
+ * Evaluate alert rules against a forecast
+ * @param {Object} forecast - Raw Open-Meteo forecast (daily + elevation)
+ * @returns {Array} Alerts: [{ type, date, details }]
+ */
+function evaluateAlertRules(forecast) {
+  const alerts = [];
+  const daily = forecast && forecast.daily;
+
+  if (!daily || !daily.time) {
+    return alerts;
+  }
+
+  // Heavy rain within the next 3 days
+  for (let i = 0; i < Math.min(3, daily.time.length); i++) {
+    const rain = daily.precipitation_sum[i] || 0;
+    if (rain >= HEAVY_RAIN_MM) {
+      alerts.push({
+        type: 'heavy_rain',
+        date: daily.time[i],
+        details: { precipitation_mm: rain, probability: daily.precipitation_probability_max[i] }
+      });
+      break;
+    }
+  }
+
+  // Frost risk only matters in highland areas
+  if (forecast.elevation >= HIGHLAND_ELEVATION_M) {
+    for (let i = 0; i < Math.min(3, daily.time.length); i++) {
+      if (daily.temperature_2m_min[i] <= FROST_TEMP_C) {
+        alerts.push({
+          type: 'frost',
+          date: daily.time[i],
+          details: { min_temperature_c: daily.temperature_2m_min[i], elevation_m: forecast.elevation }
+        });
+        break;
+      }
+    }
+  }
+
+  // Dry spell: very little rain and no likely rain day across the week
+  const days = Math.min(DRY_SPELL_DAYS, daily.time.length);
+  if (days === DRY_SPELL_DAYS) {
+    let totalRain = 0;
+    let maxProbability = 0;
+    for (let i = 0; i < days; i++) {
+      totalRain += daily.precipitation_sum[i] || 0;
+      maxProbability = Math.max(maxProbability, daily.precipitation_probability_max[i] || 0);
+    }
+
+    if (totalRain < DRY_SPELL_TOTAL_MM && maxProbability < 40) {
+      alerts.push({
+        type: 'dry_spell',
+        date: daily.time[0],
+        details: { total_precipitation_mm: Math.round(totalRain * 10) / 10, days }
+      });
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Pick advice lines for the user's crops
+ * @param {string} alertType - Alert type
+ * @param {Array} crops - User's crops_grown
+ * @returns {Array} Advice lines [{ crop, advice }]
+ */
+function getCropAdvice(alertType, crops = []) {
+  const adviceTable = CROP_ADVICE[alertType] || {};
+  const advice = [];
+
+  (crops || []).forEach(crop => {
+    const cropName = crop.toLowerCase();
+    const key = Object.keys(adviceTable).find(name => name !== 'default' && cropName.includes(name));
+    if (key && !advice.some(item => item.advice === adviceTable[key])) {
+      advice.push({ crop, advice: adviceTable[key] });
+    }
+  });
+
+  if (advice.length === 0 && adviceTable.default) {
+    advice.push({ crop: null, advice: adviceTable.default });
+  }
+
+  return advice;
+}
+
+/**
+ * Check whether the same alert type was sent to a user within the dedup window
+ * @param {string} userId - User ID
+ * @param {string} alertType - Alert type
+ * @returns {Promise<boolean>} True if a recent alert exists
+ */
+async function wasAlertSentRecently(userId, alertType) {
+  const since = new Date(Date.now() - DEDUP_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('weather_alerts')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('alert_type', alertType)
+    .gte('sent_at', since)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to check weather alert history: ${error.message}`);
+  }
+
+  return data && data.length > 0;
+}
+
+/**
+ * Record a sent alert
+ * @param {string} userId - User ID
+ * @param {Object} alert - Alert that was sent
+ * @param {string} gridCell - Grid cell key
+ */
+async function recordAlert(userId, alert, gridCell) {
+  const { error } = await supabase
+    .from('weather_alerts')
+    .insert({
+      user_id: userId,
+      alert_type: alert.type,
+      alert_date: alert.date,
+      grid_cell: gridCell,
+      details: alert.details
+    });
+
+  if (error) {
+    throw new Error(`Failed to record weather alert: ${error.message}`);
+  }
+}
+
+/**
+ * Scan users with saved coordinates and send any triggered weather alerts
+ * @returns {Promise<Object>} Run statistics
+ */
+async function runWeatherAlerts() {
+  const stats = {
+    usersChecked: 0,
+    alertsSent: 0,
+    duplicatesSkipped: 0,
+    errors: 0
+  };
+
+  try {
+    const { data: users, error } = await supabase
+      .from('users')
+      .select('id, name, latitude, longitude, crops_grown, whatsapp_phone')
+      .eq('whatsapp_linked', true)
+      .not('whatsapp_phone', 'is', null)
+      .not('latitude', 'is', null)
+      .not('longitude', 'is', null);
+
+    if (error) {
+      throw new Error(`Failed to get users for weather alerts: ${error.message}`);
+    }
+
+    for (const user of users || []) {
+      stats.usersChecked++;
+
+      try {
+        // Forecasts are cached per grid cell, so neighbouring farms share a request
+        const forecast = await getWeatherForecast(user.latitude, user.longitude);
+        const gridCell = toGridCell(user.latitude, user.longitude).key;
+        const alerts = evaluateAlertRules(forecast);
+
+        for (const alert of alerts) {
+          if (await wasAlertSentRecently(user.id, alert.type)) {
+            stats.duplicatesSkipped++;
+            continue;
+          }
+
+          alert.cropAdvice = getCropAdvice(alert.type, user.crops_grown);
+          await sendWeatherAlertNotification(user, alert);
+          await recordAlert(user.id, alert, gridCell);
+          stats.alertsSent++;
+        }
+      } catch (userError) {
+        stats.errors++;
+        console.error(`Weather alert check failed for user ${user.id}:`, userError.message);
+      }
+    }
+
+    console.log(`Weather alerts: checked ${stats.usersChecked} users, sent ${stats.alertsSent}, skipped ${stats.duplicatesSkipped} duplicates`);
+    return stats;
+  } catch (error) {
+    console.error('Error in runWeatherAlerts:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  evaluateAlertRules,
+  getCropAdvice,
+  runWeatherAlerts
+};
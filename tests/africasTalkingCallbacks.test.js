@@ -0,0 +1,124 @@
+const mockHandleUssdRequest = jest.fn();
+
+jest.mock('../services/ussd', () => ({
+  handleUssdRequest: (...args) => mockHandleUssdRequest(...args)
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { createAfricasTalkingAdapter, isValidCallbackSecret } = require('../services/messaging/africasTalkingAdapter');
+const ussdRoutes = require('../routes/ussd');
+
+const SECRET = 'at-callback-secret';
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+const originalSecret = process.env.AT_CALLBACK_SECRET;
+
+beforeEach(() => {
+  process.env.AT_CALLBACK_SECRET = SECRET;
+  mockHandleUssdRequest.mockReset();
+  mockHandleUssdRequest.mockResolvedValue('CON Welcome to AgriAI');
+});
+
+afterAll(() => {
+  if (originalSecret === undefined) {
+    delete process.env.AT_CALLBACK_SECRET;
+  } else {
+    process.env.AT_CALLBACK_SECRET = originalSecret;
+  }
+});
+
+describe('isValidCallbackSecret', () => {
+  test('fails closed when no secret is configured', () => {
+    delete process.env.AT_CALLBACK_SECRET;
+    expect(isValidCallbackSecret(undefined)).toBe(false);
+    expect(isValidCallbackSecret('')).toBe(false);
+    expect(isValidCallbackSecret('anything')).toBe(false);
+  });
+
+  test('accepts only the configured secret', () => {
+    expect(isValidCallbackSecret(SECRET)).toBe(true);
+    expect(isValidCallbackSecret(`${SECRET}x`)).toBe(false);
+  });
+});
+
+describe('SMS callbacks', () => {
+  function createApp(received) {
+    const adapter = createAfricasTalkingAdapter({ logger: silentLogger, username: 'sandbox', apiKey: 'key' });
+    adapter.start(async message => received.push(message));
+
+    const app = express();
+    app.use('/webhooks/sms', adapter.router);
+    return app;
+  }
+
+  test('refuses to create the adapter without a callback secret', () => {
+    delete process.env.AT_CALLBACK_SECRET;
+    expect(() => createAfricasTalkingAdapter({ logger: silentLogger, username: 'sandbox', apiKey: 'key' }))
+      .toThrow('AT_CALLBACK_SECRET');
+  });
+
+  test('rejects inbound SMS without the secret', async () => {
+    const received = [];
+    const app = createApp(received);
+
+    await request(app)
+      .post('/webhooks/sms')
+      .type('form')
+      .send({ from: '+254712345678', text: '!broadcast hello' })
+      .expect(401);
+
+    await request(app)
+      .post('/webhooks/sms?secret=guess')
+      .type('form')
+      .send({ from: '+254712345678', text: '!broadcast hello' })
+      .expect(401);
+
+    expect(received).toHaveLength(0);
+  });
+
+  test('delivers inbound SMS that carry the secret', async () => {
+    const received = [];
+    const app = createApp(received);
+
+    await request(app)
+      .post(`/webhooks/sms?secret=${SECRET}`)
+      .type('form')
+      .send({ from: '+254712345678', text: 'prices maize' })
+      .expect(200);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(received).toEqual([expect.objectContaining({ from: '254712345678', text: 'prices maize' })]);
+  });
+});
+
+describe('POST /api/ussd', () => {
+  const app = express();
+  app.use('/api/ussd', ussdRoutes);
+
+  const ussdRequest = { sessionId: 'session-1', serviceCode: '*384#', phoneNumber: '+254712345678', text: '' };
+
+  test('rejects requests when no secret is configured', async () => {
+    delete process.env.AT_CALLBACK_SECRET;
+
+    const response = await request(app).post('/api/ussd').type('form').send(ussdRequest).expect(401);
+
+    expect(response.text).toBe('END Unauthorized');
+    expect(mockHandleUssdRequest).not.toHaveBeenCalled();
+  });
+
+  test('rejects requests with a wrong secret', async () => {
+    await request(app).post('/api/ussd?secret=wrong').type('form').send(ussdRequest).expect(401);
+    expect(mockHandleUssdRequest).not.toHaveBeenCalled();
+  });
+
+  test('handles requests that carry the secret', async () => {
+    const response = await request(app)
+      .post(`/api/ussd?secret=${SECRET}`)
+      .type('form')
+      .send(ussdRequest)
+      .expect(200);
+
+    expect(response.text).toBe('CON Welcome to AgriAI');
+    expect(mockHandleUssdRequest).toHaveBeenCalledWith(expect.objectContaining({ phoneNumber: '+254712345678' }));
+  });
+});
@@ -0,0 +1,68 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const mockDb = createFakeSupabase();
+
+jest.mock('../services/supabase', () => ({ supabase: mockDb.supabase }));
+
+const { toCsvCell, exportAuditEventsCsv } = require('../services/auditLog');
+
+describe('toCsvCell', () => {
+  test('writes empty values as empty cells', () => {
+    expect(toCsvCell(null)).toBe('');
+    expect(toCsvCell(undefined)).toBe('');
+  });
+
+  test('leaves plain values alone', () => {
+    expect(toCsvCell('order.status_change')).toBe('order.status_change');
+    expect(toCsvCell(42)).toBe('42');
+  });
+
+  test('quotes commas, quotes and line breaks', () => {
+    expect(toCsvCell('Kamau, John')).toBe('"Kamau, John"');
+    expect(toCsvCell('the "big" farm')).toBe('"the ""big"" farm"');
+    expect(toCsvCell('line one\nline two')).toBe('"line one\nline two"');
+  });
+
+  test('writes objects as quoted JSON', () => {
+    expect(toCsvCell({ status: { from: 'pending', to: 'paid' } }))
+      .toBe('"{""status"":{""from"":""pending"",""to"":""paid""}}"');
+  });
+
+  test.each([
+    ['=HYPERLINK("http://evil")', '"\'=HYPERLINK(""http://evil"")"'],
+    ['+254712345678', "'+254712345678"],
+    ['-1+1', "'-1+1"],
+    ['@SUM(A1:A2)', "'@SUM(A1:A2)"],
+    ['  =1+1', "'  =1+1"],
+    ['\t=1+1', "'\t=1+1"],
+    ['\rcmd', '"\'\rcmd"']
+  ])('stops %j running as a formula', (value, expected) => {
+    expect(toCsvCell(value)).toBe(expected);
+  });
+});
+
+describe('exportAuditEventsCsv', () => {
+  test('escapes every cell of the export', async () => {
+    mockDb.tables.audit_log = [{
+      id: 'entry-1',
+      created_at: '2026-01-01T00:00:00.000Z',
+      action: 'user.suspend',
+      actor_id: 'admin-1',
+      actor: { name: '=cmd|"/c calc"!A1' },
+      target_type: 'user',
+      target_id: 'user-1',
+      changes: null,
+      details: { reason: 'spam, repeated' },
+      ip_address: '127.0.0.1',
+      metadata: { channel: 'api', userAgent: 'jest' }
+    }];
+
+    const { csv, count } = await exportAuditEventsCsv();
+    const [header, row] = csv.split('\r\n');
+
+    expect(count).toBe(1);
+    expect(header.split(',')[3]).toBe('actor_name');
+    expect(row).toContain('"\'=cmd|""/c calc""!A1"');
+    expect(row).toContain('"{""reason"":""spam, repeated""}"');
+  });
+});
@@ -0,0 +1,89 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const mockDb = createFakeSupabase();
+
+jest.mock('../services/supabase', () => ({
+  supabase: mockDb.supabase,
+  getUserById: async (id) => mockDb.tables.users.find(user => user.id === id) || null
+}));
+
+const { createSession, rotateRefreshToken, isSessionActive } = require('../services/authSessions');
+
+beforeEach(() => {
+  mockDb.tables.users = [{ id: 'user-1', token_version: 0 }];
+  mockDb.tables.auth_sessions = [];
+});
+
+function sessionRow() {
+  return mockDb.tables.auth_sessions[0];
+}
+
+describe('refresh token rotation', () => {
+  test('stores only a hash and rotates the token on every use', async () => {
+    const { session, refreshToken } = await createSession('user-1', { userAgent: 'jest' });
+    const [sessionId, secret] = refreshToken.split('.');
+
+    expect(sessionId).toBe(session.id);
+    expect(JSON.stringify(sessionRow())).not.toContain(secret);
+
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(rotated.refreshToken.startsWith(`${session.id}.`)).toBe(true);
+    expect(rotated.user).toMatchObject({ id: 'user-1' });
+
+    const again = await rotateRefreshToken(rotated.refreshToken);
+    expect(again.refreshToken).not.toBe(rotated.refreshToken);
+  });
+
+  test('revokes the session when a rotated token is used again', async () => {
+    const { session, refreshToken } = await createSession('user-1');
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    await expect(rotateRefreshToken(refreshToken)).rejects.toThrow('Refresh token reuse detected');
+
+    expect(sessionRow()).toMatchObject({ revoked_reason: 'refresh_token_reuse' });
+    expect(await isSessionActive(session.id)).toBe(false);
+
+    // The legitimate holder is signed out too
+    await expect(rotateRefreshToken(rotated.refreshToken)).rejects.toThrow('Invalid refresh token');
+  });
+
+  test('only one of two parallel rotations of the same token succeeds', async () => {
+    const { refreshToken } = await createSession('user-1');
+
+    const results = await Promise.allSettled([
+      rotateRefreshToken(refreshToken),
+      rotateRefreshToken(refreshToken)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('Invalid refresh token');
+  });
+
+  test('rejects tokens with the wrong secret without revoking the session', async () => {
+    const { session, refreshToken } = await createSession('user-1');
+
+    await expect(rotateRefreshToken(`${session.id}.${'0'.repeat(64)}`)).rejects.toThrow('Invalid refresh token');
+    await expect(rotateRefreshToken('not-a-token')).rejects.toThrow('Invalid refresh token');
+
+    expect(sessionRow().revoked_at).toBeUndefined();
+    await expect(rotateRefreshToken(refreshToken)).resolves.toHaveProperty('refreshToken');
+  });
+
+  test('rejects expired sessions', async () => {
+    const { refreshToken } = await createSession('user-1');
+    sessionRow().expires_at = new Date(Date.now() - 1000).toISOString();
+
+    await expect(rotateRefreshToken(refreshToken)).rejects.toThrow('Refresh token expired');
+  });
+
+  test('revokes sessions started before a password change', async () => {
+    const { session, refreshToken } = await createSession('user-1');
+    mockDb.tables.users[0].token_version = 1;
+
+    await expect(rotateRefreshToken(refreshToken)).rejects.toThrow('Session has been revoked');
+    expect(sessionRow()).toMatchObject({ revoked_reason: 'password_changed' });
+    expect(await isSessionActive(session.id)).toBe(false);
+  });
+});
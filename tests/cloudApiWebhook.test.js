@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { createCloudApiAdapter, verifySignature } = require('../services/messaging/cloudApiAdapter');
+
+const APP_SECRET = 'test-app-secret';
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+function sign(body, secret = APP_SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function textMessagePayload(from, text) {
+  return JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [{
+      changes: [{
+        value: {
+          messages: [{ from, id: 'wamid.1', timestamp: '1700000000', type: 'text', text: { body: text } }]
+        }
+      }]
+    }]
+  });
+}
+
+function createAdapter(overrides = {}) {
+  return createCloudApiAdapter({
+    logger: silentLogger,
+    token: 'token',
+    phoneNumberId: '123',
+    verifyToken: 'verify',
+    appSecret: APP_SECRET,
+    ...overrides
+  });
+}
+
+describe('verifySignature', () => {
+  const body = Buffer.from('{"object":"whatsapp_business_account"}');
+
+  test('accepts a signature made with the app secret', () => {
+    expect(verifySignature(body, sign(body), APP_SECRET)).toBe(true);
+  });
+
+  test('rejects other secrets, tampered bodies and malformed headers', () => {
+    expect(verifySignature(body, sign(body, 'other-secret'), APP_SECRET)).toBe(false);
+    expect(verifySignature(Buffer.from('{}'), sign(body), APP_SECRET)).toBe(false);
+    expect(verifySignature(body, sign(body).replace('sha256=', ''), APP_SECRET)).toBe(false);
+    expect(verifySignature(body, 'sha256=abc', APP_SECRET)).toBe(false);
+    expect(verifySignature(body, undefined, APP_SECRET)).toBe(false);
+  });
+});
+
+describe('Cloud API webhook', () => {
+  const originalSecret = process.env.WHATSAPP_APP_SECRET;
+
+  afterEach(() => {
+    if (originalSecret === undefined) {
+      delete process.env.WHATSAPP_APP_SECRET;
+    } else {
+      process.env.WHATSAPP_APP_SECRET = originalSecret;
+    }
+  });
+
+  test('refuses to create the adapter without an app secret', () => {
+    delete process.env.WHATSAPP_APP_SECRET;
+    expect(() => createAdapter({ appSecret: undefined })).toThrow('WHATSAPP_APP_SECRET');
+  });
+
+  describe.each([
+    ['mounted on its own', app => app],
+    ['behind the app JSON parser', app => app.use(express.json({
+      verify: (req, res, buf) => { req.rawBody = buf; }
+    }))]
+  ])('%s', (label, withParsers) => {
+    let adapter;
+    let app;
+    let received;
+
+    beforeEach(async () => {
+      received = [];
+      adapter = createAdapter();
+      await adapter.start(async message => received.push(message));
+      app = withParsers(express());
+      app.use('/webhooks/whatsapp', adapter.router);
+    });
+
+    test('delivers messages from a correctly signed call', async () => {
+      const body = textMessagePayload('254700000001', 'hello');
+
+      await request(app)
+        .post('/webhooks/whatsapp')
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', sign(body))
+        .send(body)
+        .expect(200);
+
+      await new Promise(resolve => setImmediate(resolve));
+      expect(received).toHaveLength(1);
+      expect(received[0]).toMatchObject({ from: '254700000001', text: 'hello' });
+    });
+
+    test('rejects unsigned and forged calls without delivering them', async () => {
+      const body = textMessagePayload('254700000001', '!broadcast pay here');
+
+      await request(app)
+        .post('/webhooks/whatsapp')
+        .set('Content-Type', 'application/json')
+        .send(body)
+        .expect(401);
+
+      await request(app)
+        .post('/webhooks/whatsapp')
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', sign(body, 'guessed-secret'))
+        .send(body)
+        .expect(401);
+
+      expect(received).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const mockDb = createFakeSupabase();
+const mockUpdateOrderStatus = jest.fn();
+
+jest.mock('../services/supabase', () => ({ supabase: mockDb.supabase }));
+jest.mock('../services/orders', () => ({
+  updateOrderStatus: (...args) => mockUpdateOrderStatus(...args)
+}));
+jest.mock('../services/notificationOutbox', () => ({ enqueueNotifications: jest.fn() }));
+
+const { MAX_CONFIRMATION_ATTEMPTS, dispatchDelivery, confirmDelivery } = require('../services/deliveries');
+
+const BUYER = 'buyer-1';
+const WHOLESALER = 'wholesaler-1';
+const CODE = '123456';
+
+function seed({ orderStatus = 'shipped', deliveryStatus = 'in_transit', attempts = 0 } = {}) {
+  mockDb.tables.orders = [{
+    id: 'order-1',
+    buyer_id: BUYER,
+    wholesaler_id: WHOLESALER,
+    status: orderStatus,
+    quantity: 2,
+    product: { id: 'product-1', name: 'Maize', unit_type: 'bag' },
+    buyer: { id: BUYER, phone: '254712345678' }
+  }];
+  mockDb.tables.deliveries = [{
+    id: 'delivery-1',
+    order_id: 'order-1',
+    wholesaler_id: WHOLESALER,
+    status: deliveryStatus,
+    confirmation_code: CODE,
+    confirmation_attempts: attempts,
+    dispatched_at: null
+  }];
+}
+
+beforeEach(() => {
+  mockUpdateOrderStatus.mockReset();
+  mockUpdateOrderStatus.mockResolvedValue({});
+});
+
+describe('confirmDelivery', () => {
+  test('marks the delivery and the order delivered with the right code', async () => {
+    seed();
+
+    const delivery = await confirmDelivery(BUYER, 'order-1', CODE);
+
+    expect(delivery.status).toBe('delivered');
+    expect(mockUpdateOrderStatus).toHaveBeenCalledWith('order-1', 'delivered', BUYER, {}, expect.any(Object));
+  });
+
+  test('counts wrong codes and locks at the limit', async () => {
+    seed({ attempts: MAX_CONFIRMATION_ATTEMPTS - 1 });
+
+    await expect(confirmDelivery(BUYER, 'order-1', '000000')).rejects.toThrow('Too many incorrect codes');
+    await expect(confirmDelivery(BUYER, 'order-1', CODE)).rejects.toThrow('Too many incorrect codes');
+    expect(mockDb.tables.deliveries[0]).toMatchObject({ status: 'in_transit', confirmation_attempts: MAX_CONFIRMATION_ATTEMPTS });
+  });
+
+  test('parallel guesses cannot get past the attempt limit', async () => {
+    seed();
+
+    const guesses = Array.from({ length: 20 }, (_, i) => String(100000 + i + 50));
+    guesses.push(CODE);
+
+    const results = await Promise.allSettled(guesses.map(guess => confirmDelivery(BUYER, 'order-1', guess)));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(0);
+    expect(mockDb.tables.deliveries[0]).toMatchObject({ status: 'in_transit', confirmation_attempts: MAX_CONFIRMATION_ATTEMPTS });
+  });
+});
+
+describe('dispatchDelivery', () => {
+  test('claims the delivery and marks the order shipped', async () => {
+    seed({ orderStatus: 'confirmed', deliveryStatus: 'scheduled' });
+
+    const delivery = await dispatchDelivery(WHOLESALER, 'order-1', { method: 'rider', rider_name: 'Otieno' });
+
+    expect(delivery.status).toBe('in_transit');
+    expect(mockUpdateOrderStatus).toHaveBeenCalledWith('order-1', 'shipped', WHOLESALER, {}, expect.any(Object));
+  });
+
+  test('puts the delivery back when the order cannot be marked shipped', async () => {
+    seed({ orderStatus: 'confirmed', deliveryStatus: 'scheduled' });
+    mockUpdateOrderStatus.mockRejectedValue(new Error('Failed to update order status'));
+
+    await expect(dispatchDelivery(WHOLESALER, 'order-1')).rejects.toThrow('Failed to update order status');
+    expect(mockDb.tables.deliveries[0]).toMatchObject({ status: 'scheduled', dispatched_at: null });
+  });
+
+  test('leaves the order alone when another dispatch claimed the delivery first', async () => {
+    seed({ orderStatus: 'confirmed', deliveryStatus: 'scheduled' });
+
+    const results = await Promise.allSettled([
+      dispatchDelivery(WHOLESALER, 'order-1'),
+      dispatchDelivery(WHOLESALER, 'order-1')
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(mockUpdateOrderStatus).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * In-memory stand-in for the Supabase client, covering the query builder calls
+ * the services use. Rows live in plain arrays keyed by table name so tests can
+ * seed and inspect them; rpc functions and unique indexes are registered per test.
+ *
+ * Embedded selects (relations) are not resolved: seed the joined data on the row.
+ */
+
+let idCounter = 0;
+
+/**
+ * Compare a row value against a filter value the way PostgREST would for simple operators
+ * @param {string} op - eq, neq, is, gt, gte, lt, lte, in
+ * @param {*} actual - Row value
+ * @param {*} expected - Filter value
+ * @returns {boolean} Whether the row matches
+ */
+function matches(op, actual, expected) {
+  const value = actual === undefined ? null : actual;
+
+  switch (op) {
+    case 'eq': return value !== null && value === expected;
+    case 'neq': return value !== null && value !== expected;
+    case 'is': return value === expected;
+    case 'gt': return value !== null && value > expected;
+    case 'gte': return value !== null && value >= expected;
+    case 'lt': return value !== null && value < expected;
+    case 'lte': return value !== null && value <= expected;
+    case 'in': return expected.includes(value);
+    default: throw new Error(`fakeSupabase does not support the ${op} filter`);
+  }
+}
+
+/**
+ * Parse a PostgREST or() filter such as "locked_until.is.null,locked_until.lt.2024-01-01"
+ * or "phone.in.(0712345678,254712345678),whatsapp_phone.eq.254712345678"
+ * @param {string} expression - Comma-separated column.operator.value conditions
+ * @returns {Function} Row predicate
+ */
+function parseOr(expression) {
+  const parts = expression.match(/[^,(]+(\([^)]*\))?/g);
+  const conditions = parts.map(part => {
+    const [column, op, ...rest] = part.split('.');
+    let value = rest.join('.');
+    if (op === 'in') value = value.slice(1, -1).split(',').map(item => item.replace(/^"|"$/g, ''));
+    else if (value === 'null') value = null;
+    else if (value === 'true') value = true;
+    else if (value === 'false') value = false;
+    return row => matches(op, row[column], value);
+  });
+
+  return row => conditions.some(condition => condition(row));
+}
+
+/**
+ * Create a fake client
+ * @param {Object} tables - Initial rows keyed by table name
+ * @returns {Object} { supabase, tables, rpcs, uniqueIndexes }
+ */
+function createFakeSupabase(tables = {}) {
+  const rpcs = {};
+  // Keyed by table: [{ columns: ['order_id'], where: row => row.status === 'pending' }]
+  const uniqueIndexes = {};
+
+  function from(table) {
+    const rows = tables[table] = tables[table] || [];
+    const filters = [];
+    let operation = 'select';
+    let payload = null;
+    let options = {};
+    let returning = false;
+    let singleMode = null;
+    let limitCount = null;
+
+    const builder = {
+      select(columns, selectOptions = {}) {
+        if (operation !== 'select') {
+          returning = true;
+        }
+        options = { ...options, ...selectOptions };
+        return builder;
+      },
+      insert(values) {
+        operation = 'insert';
+        payload = Array.isArray(values) ? values : [values];
+        return builder;
+      },
+      upsert(values, upsertOptions = {}) {
+        operation = 'upsert';
+        payload = Array.isArray(values) ? values : [values];
+        options = { ...options, ...upsertOptions };
+        return builder;
+      },
+      update(values) {
+        operation = 'update';
+        payload = values;
+        return builder;
+      },
+      delete() {
+        operation = 'delete';
+        return builder;
+      },
+      eq: (column, value) => addFilter('eq', column, value),
+      neq: (column, value) => addFilter('neq', column, value),
+      is: (column, value) => addFilter('is', column, value),
+      gt: (column, value) => addFilter('gt', column, value),
+      gte: (column, value) => addFilter('gte', column, value),
+      lt: (column, value) => addFilter('lt', column, value),
+      lte: (column, value) => addFilter('lte', column, value),
+      in: (column, values) => addFilter('in', column, values),
+      or(expression) {
+        filters.push(parseOr(expression));
+        return builder;
+      },
+      order: () => builder,
+      range: () => builder,
+      limit(count) {
+        limitCount = count;
+        return builder;
+      },
+      single() {
+        singleMode = 'single';
+        return builder;
+      },
+      maybeSingle() {
+        singleMode = 'maybe';
+        return builder;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(execute).then(resolve, reject);
+      }
+    };
+
+    function violatesUniqueIndex(newRows) {
+      return (uniqueIndexes[table] || []).some(({ columns, where = () => true }) => {
+        const key = row => JSON.stringify(columns.map(column => row[column]));
+        const taken = new Set(rows.filter(where).map(key));
+        return newRows.filter(where).some(row => {
+          if (taken.has(key(row))) {
+            return true;
+          }
+          taken.add(key(row));
+          return false;
+        });
+      });
+    }
+
+    function addFilter(op, column, value) {
+      filters.push(row => matches(op, row[column], value));
+      return builder;
+    }
+
+    function execute() {
+      let result;
+
+      if (operation === 'insert' && violatesUniqueIndex(payload)) {
+        return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+      }
+
+      if (operation === 'insert' || operation === 'upsert') {
+        result = payload.map(values => {
+          const key = options.onConflict;
+          const existing = operation === 'upsert' && key ? rows.find(row => row[key] === values[key]) : null;
+          if (existing) {
+            Object.assign(existing, values);
+            return existing;
+          }
+          const row = { id: `${table}-${++idCounter}`, created_at: new Date().toISOString(), ...values };
+          rows.push(row);
+          return row;
+        });
+      } else {
+        result = rows.filter(row => filters.every(filter => filter(row)));
+
+        if (operation === 'update') {
+          result.forEach(row => Object.assign(row, payload));
+        } else if (operation === 'delete') {
+          result.forEach(row => rows.splice(rows.indexOf(row), 1));
+        }
+      }
+
+      if (limitCount !== null) {
+        result = result.slice(0, limitCount);
+      }
+
+      const data = result.map(row => ({ ...row }));
+
+      if (options.head) {
+        return { data: null, count: data.length, error: null };
+      }
+
+      if (operation !== 'select' && !returning && !singleMode) {
+        return { data: null, error: null };
+      }
+
+      if (singleMode) {
+        if (data.length === 1) {
+          return { data: data[0], error: null };
+        }
+        if (data.length === 0 && singleMode === 'maybe') {
+          return { data: null, error: null };
+        }
+        return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+      }
+
+      return { data, count: data.length, error: null };
+    }
+
+    return builder;
+  }
+
+  async function rpc(name, params) {
+    if (!rpcs[name]) {
+      return { data: null, error: { message: `Could not find the function ${name}` } };
+    }
+
+    try {
+      return { data: await rpcs[name](params, tables), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message } };
+    }
+  }
+
+  return { supabase: { from, rpc }, tables, rpcs, uniqueIndexes };
+}
+
+module.exports = {
+  createFakeSupabase
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const mockDb = createFakeSupabase();
+const mockGetUserById = jest.fn();
+
+jest.mock('../services/supabase', () => ({
+  supabase: mockDb.supabase,
+  getUserById: (...args) => mockGetUserById(...args)
+}));
+jest.mock('../services/messaging', () => ({
+  sendMessage: jest.fn(),
+  getAdapter: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { sendMessage, getAdapter } = require('../services/messaging');
+const { requestLoginOtp, verifyLoginOtp } = require('../services/loginOtp');
+const authRoutes = require('../routes/auth');
+
+const PHONE = '254712345678';
+const CODE = '123456';
+const MAX_ATTEMPTS = 5;
+
+function hashCode(phone, code) {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`${phone}:${code}`).digest('hex');
+}
+
+function seedOtp(overrides = {}) {
+  const otp = {
+    id: 'otp-1',
+    phone: PHONE,
+    user_id: 'user-1',
+    code_hash: hashCode(PHONE, CODE),
+    attempts: 0,
+    consumed_at: null,
+    expires_at: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+    created_at: new Date().toISOString(),
+    ...overrides
+  };
+  mockDb.tables.login_otps = [otp];
+  return otp;
+}
+
+beforeEach(() => {
+  mockDb.tables.login_otps = [];
+  mockDb.tables.users = [{ id: 'user-1', phone: PHONE }];
+  mockGetUserById.mockReset();
+  mockGetUserById.mockResolvedValue({ id: 'user-1', phone: PHONE, status: 'active', token_version: 0 });
+});
+
+describe('requestLoginOtp', () => {
+  beforeEach(() => {
+    getAdapter.mockReturnValue({});
+    sendMessage.mockReset();
+  });
+
+  test('sends the code for the account that messages from the number', async () => {
+    mockDb.tables.users = [
+      { id: 'web-1', phone: '0712345678', whatsapp_phone: null, password_hash: 'hash', created_at: '2026-01-01T00:00:00.000Z' },
+      { id: 'whatsapp-1', phone: null, whatsapp_phone: PHONE, created_at: '2026-02-01T00:00:00.000Z' }
+    ];
+
+    await requestLoginOtp('0712345678');
+
+    expect(mockDb.tables.login_otps[0].user_id).toBe('whatsapp-1');
+    expect(sendMessage).toHaveBeenCalledWith(PHONE, expect.any(String), { channel: 'whatsapp' });
+  });
+
+  test('falls back to a number typed on the web', async () => {
+    mockDb.tables.users = [{ id: 'web-1', phone: '0712345678', whatsapp_phone: null, created_at: '2026-01-01T00:00:00.000Z' }];
+
+    await requestLoginOtp(PHONE);
+
+    expect(mockDb.tables.login_otps[0].user_id).toBe('web-1');
+  });
+});
+
+describe('verifyLoginOtp', () => {
+  test('signs in with the right code and consumes it', async () => {
+    seedOtp();
+
+    const user = await verifyLoginOtp('0712345678', CODE);
+
+    expect(user).toEqual({ id: 'user-1', phone: PHONE, status: 'active' });
+    expect(mockDb.tables.login_otps[0].consumed_at).not.toBeNull();
+    await expect(verifyLoginOtp(PHONE, CODE)).rejects.toThrow('Invalid or expired code');
+  });
+
+  test('counts every wrong guess and locks the code at the limit', async () => {
+    seedOtp();
+
+    for (let i = 1; i < MAX_ATTEMPTS; i++) {
+      await expect(verifyLoginOtp(PHONE, '000000')).rejects.toThrow('Invalid or expired code');
+      expect(mockDb.tables.login_otps[0].attempts).toBe(i);
+    }
+
+    await expect(verifyLoginOtp(PHONE, '000000')).rejects.toThrow('Too many attempts');
+    expect(mockDb.tables.login_otps[0].consumed_at).not.toBeNull();
+
+    // The right code no longer works once the code is locked
+    await expect(verifyLoginOtp(PHONE, CODE)).rejects.toThrow('Invalid or expired code');
+  });
+
+  test('parallel guesses cannot get past the attempt limit', async () => {
+    seedOtp();
+
+    const guesses = Array.from({ length: 20 }, (_, i) => String(100000 + i));
+    guesses.push(CODE);
+
+    const results = await Promise.allSettled(guesses.map(guess => verifyLoginOtp(PHONE, guess)));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(0);
+    expect(mockDb.tables.login_otps[0].attempts).toBe(MAX_ATTEMPTS);
+    expect(mockDb.tables.login_otps[0].consumed_at).not.toBeNull();
+  });
+
+  test('the last allowed guess can still be the right one', async () => {
+    seedOtp({ attempts: MAX_ATTEMPTS - 1 });
+
+    await expect(verifyLoginOtp(PHONE, CODE)).resolves.toMatchObject({ id: 'user-1' });
+  });
+
+  test('rejects expired codes without counting an attempt', async () => {
+    seedOtp({ expires_at: new Date(Date.now() - 1000).toISOString() });
+
+    await expect(verifyLoginOtp(PHONE, CODE)).rejects.toThrow('Invalid or expired code');
+    expect(mockDb.tables.login_otps[0].attempts).toBe(0);
+  });
+});
+
+describe('POST /api/auth/otp/verify', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  test('limits guesses per phone number across codes', async () => {
+    const responses = [];
+    for (let i = 0; i < 11; i++) {
+      if (i % MAX_ATTEMPTS === 0) {
+        seedOtp({ id: `otp-${i}` });
+      }
+      responses.push(await request(app)
+        .post('/api/auth/otp/verify')
+        .send({ phone: i % 2 ? PHONE : '0712345678', code: '000000' }));
+    }
+
+    const limited = 'Too many login attempts for this number. Please try again later.';
+    expect(responses.slice(0, 10).map(response => response.body.message)).not.toContain(limited);
+    expect(responses[10].status).toBe(429);
+    expect(responses[10].body.message).toBe(limited);
+  });
+});
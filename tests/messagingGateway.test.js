@@ -0,0 +1,36 @@
+const gateway = require('../services/messaging');
+
+describe('configureGateway', () => {
+  const originalAdapter = process.env.MESSAGING_ADAPTER;
+  const originalSms = process.env.SMS_ADAPTER;
+
+  beforeEach(() => {
+    delete process.env.SMS_ADAPTER;
+  });
+
+  afterAll(() => {
+    for (const [name, value] of [['MESSAGING_ADAPTER', originalAdapter], ['SMS_ADAPTER', originalSms]]) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  test('fails loudly when MESSAGING_ADAPTER is not set', () => {
+    delete process.env.MESSAGING_ADAPTER;
+    expect(() => gateway.configureGateway({ logger: console })).toThrow('MESSAGING_ADAPTER is not set');
+  });
+
+  test('uses the loopback adapter only when chosen explicitly', async () => {
+    process.env.MESSAGING_ADAPTER = 'loopback';
+    gateway.configureGateway({ logger: { info: () => {} } });
+
+    const adapter = gateway.getAdapter();
+    expect(adapter.name).toBe('loopback');
+
+    await gateway.sendMessage('254700000001', 'hello');
+    expect(adapter.sent).toEqual([expect.objectContaining({ recipient: '254700000001', text: 'hello' })]);
+  });
+});
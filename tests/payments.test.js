@@ -0,0 +1,299 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const mockDb = createFakeSupabase();
+const mockUpdatePaymentStatus = jest.fn();
+const mockEnqueueNotifications = jest.fn();
+
+jest.mock('../services/supabase', () => ({ supabase: mockDb.supabase }));
+jest.mock('../services/orders', () => ({
+  updatePaymentStatus: (...args) => mockUpdatePaymentStatus(...args)
+}));
+jest.mock('../services/notificationOutbox', () => ({
+  enqueueNotifications: (...args) => mockEnqueueNotifications(...args)
+}));
+jest.mock('axios');
+
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const {
+  isValidCallbackSecret,
+  initiateOrderPayment,
+  handleStkCallback,
+  getPaymentStatus,
+  getUserPayments
+} = require('../services/payments');
+const paymentRoutes = require('../routes/payments');
+
+const MPESA_ENV = {
+  MPESA_CONSUMER_KEY: 'key',
+  MPESA_CONSUMER_SECRET: 'secret',
+  MPESA_SHORTCODE: '174379',
+  MPESA_PASSKEY: 'passkey',
+  MPESA_CALLBACK_URL: 'https://example.com/api/payments/mpesa/callback',
+  MPESA_CALLBACK_SECRET: 'callback-secret'
+};
+
+function stkCallback(checkoutRequestId, overrides = {}) {
+  const { resultCode = 0, amount = 500, phone = 254712345678, receipt = 'QK123ABC' } = overrides;
+
+  return {
+    Body: {
+      stkCallback: {
+        MerchantRequestID: 'merchant-1',
+        CheckoutRequestID: checkoutRequestId,
+        ResultCode: resultCode,
+        ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+        CallbackMetadata: resultCode === 0 ? {
+          Item: [
+            { Name: 'Amount', Value: amount },
+            { Name: 'MpesaReceiptNumber', Value: receipt },
+            { Name: 'PhoneNumber', Value: phone }
+          ]
+        } : undefined
+      }
+    }
+  };
+}
+
+function mockDarajaQuery(resultCode) {
+  axios.get.mockResolvedValue({ data: { access_token: 'token', expires_in: '3599' } });
+  axios.post.mockResolvedValue({
+    data: resultCode === undefined ? {} : { ResultCode: String(resultCode), ResultDesc: 'Query result' }
+  });
+}
+
+beforeEach(() => {
+  Object.assign(process.env, MPESA_ENV);
+  mockDb.tables.payments = [{
+    id: 'payment-1',
+    user_id: 'buyer-1',
+    order_id: 'order-1',
+    amount: 500,
+    phone_number: '254712345678',
+    status: 'pending',
+    merchant_request_id: 'merchant-1',
+    checkout_request_id: 'ws_CO_1',
+    created_at: new Date().toISOString()
+  }];
+  mockDb.tables.orders = [{ id: 'order-1', buyer_id: 'buyer-1', payment_status: 'pending' }];
+  mockDb.tables.audit_log = [];
+  mockDb.tables.user_roles = [];
+  mockDb.uniqueIndexes.payments = [{ columns: ['order_id'], where: row => row.status === 'pending' }];
+  axios.get.mockReset();
+  axios.post.mockReset();
+  mockUpdatePaymentStatus.mockReset();
+  mockEnqueueNotifications.mockReset();
+});
+
+describe('isValidCallbackSecret', () => {
+  test('matches only the configured secret', () => {
+    expect(isValidCallbackSecret('callback-secret')).toBe(true);
+    expect(isValidCallbackSecret('wrong')).toBe(false);
+    expect(isValidCallbackSecret(undefined)).toBe(false);
+  });
+
+  test('rejects everything when no secret is configured', () => {
+    delete process.env.MPESA_CALLBACK_SECRET;
+    expect(isValidCallbackSecret('')).toBe(false);
+    expect(isValidCallbackSecret(undefined)).toBe(false);
+  });
+});
+
+describe('initiateOrderPayment', () => {
+  function seedUnpaidOrder() {
+    mockDb.tables.orders.push({
+      id: 'order-2',
+      buyer_id: 'buyer-1',
+      total_amount: 750,
+      status: 'pending',
+      payment_status: 'pending',
+      buyer: { id: 'buyer-1', phone: '0712345678' }
+    });
+  }
+
+  function mockStkPush() {
+    axios.get.mockResolvedValue({ data: { access_token: 'token', expires_in: '3599' } });
+    axios.post.mockImplementation(async (url) => ({
+      data: url.includes('stkpushquery')
+        ? { ResultCode: '1032', ResultDesc: 'Request cancelled by user' }
+        : { ResponseCode: '0', MerchantRequestID: 'merchant-2', CheckoutRequestID: `ws_CO_${Math.random()}`, CustomerMessage: 'Success' }
+    }));
+  }
+
+  const stkPushes = () => axios.post.mock.calls.filter(([url]) => url.includes('processrequest'));
+
+  test('refuses to start an STK push without a callback secret', async () => {
+    delete process.env.MPESA_CALLBACK_SECRET;
+
+    await expect(initiateOrderPayment('buyer-1', 'order-1')).rejects.toThrow('MPESA_CALLBACK_SECRET');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('sends one STK push when two requests race for the same order', async () => {
+    seedUnpaidOrder();
+    mockStkPush();
+
+    const results = await Promise.allSettled([
+      initiateOrderPayment('buyer-1', 'order-2'),
+      initiateOrderPayment('buyer-1', 'order-2')
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('A payment request for this order is already in progress');
+    expect(stkPushes()).toHaveLength(1);
+    expect(mockDb.tables.payments.filter(payment => payment.order_id === 'order-2')).toHaveLength(1);
+  });
+
+  test('refuses a second prompt while the first is recent', async () => {
+    seedUnpaidOrder();
+    mockStkPush();
+    await initiateOrderPayment('buyer-1', 'order-2');
+
+    await expect(initiateOrderPayment('buyer-1', 'order-2')).rejects.toThrow('already in progress');
+    expect(stkPushes()).toHaveLength(1);
+  });
+
+  test('settles a stale prompt with Daraja before sending a new one', async () => {
+    seedUnpaidOrder();
+    mockStkPush();
+    mockDb.tables.payments.push({
+      id: 'payment-stale',
+      user_id: 'buyer-1',
+      order_id: 'order-2',
+      amount: 750,
+      phone_number: '254712345678',
+      status: 'pending',
+      checkout_request_id: 'ws_CO_stale',
+      created_at: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+    });
+
+    await initiateOrderPayment('buyer-1', 'order-2');
+
+    expect(mockDb.tables.payments.find(payment => payment.id === 'payment-stale').status).toBe('failed');
+    expect(stkPushes()).toHaveLength(1);
+  });
+});
+
+describe('POST /api/payments/mpesa/callback', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/payments', paymentRoutes);
+
+  test('rejects callbacks without the secret and leaves the payment pending', async () => {
+    await request(app)
+      .post('/api/payments/mpesa/callback')
+      .send(stkCallback('ws_CO_1'))
+      .expect(401);
+
+    delete process.env.MPESA_CALLBACK_SECRET;
+    await request(app)
+      .post('/api/payments/mpesa/callback?secret=')
+      .send(stkCallback('ws_CO_1'))
+      .expect(401);
+
+    expect(mockDb.tables.payments[0].status).toBe('pending');
+    expect(mockUpdatePaymentStatus).not.toHaveBeenCalled();
+  });
+
+  test('settles a callback carrying the secret once Daraja confirms it', async () => {
+    mockDarajaQuery(0);
+
+    await request(app)
+      .post('/api/payments/mpesa/callback?secret=callback-secret')
+      .send(stkCallback('ws_CO_1'))
+      .expect(200);
+
+    expect(mockDb.tables.payments[0]).toMatchObject({ status: 'completed', transaction_id: 'QK123ABC' });
+    expect(mockUpdatePaymentStatus).toHaveBeenCalledWith('order-1', 'paid', expect.any(Object));
+  });
+});
+
+describe('handleStkCallback', () => {
+  test('does not mark the order paid when Daraja reports a different outcome', async () => {
+    mockDarajaQuery(1032);
+
+    const { payment } = await handleStkCallback(stkCallback('ws_CO_1'));
+
+    expect(payment.status).toBe('failed');
+    expect(mockUpdatePaymentStatus).not.toHaveBeenCalledWith('order-1', 'paid', expect.anything());
+  });
+
+  test('leaves the payment pending when Daraja cannot confirm it yet', async () => {
+    mockDarajaQuery(undefined);
+
+    await expect(handleStkCallback(stkCallback('ws_CO_1'))).rejects.toThrow('Could not confirm');
+    expect(mockDb.tables.payments[0].status).toBe('pending');
+  });
+
+  test('rejects a success for a different phone number', async () => {
+    mockDarajaQuery(0);
+
+    await expect(handleStkCallback(stkCallback('ws_CO_1', { phone: 254700000000 })))
+      .rejects.toThrow('phone number does not match');
+    expect(mockDb.tables.payments[0].status).toBe('pending');
+  });
+
+  test('fails a payment whose amount is short', async () => {
+    mockDarajaQuery(0);
+
+    const { payment } = await handleStkCallback(stkCallback('ws_CO_1', { amount: 1 }));
+
+    expect(payment.status).toBe('failed');
+    expect(payment.result_desc).toMatch('less than the amount due');
+  });
+
+  test('flags a payment for a refund when its order was cancelled in the meantime', async () => {
+    mockDarajaQuery(0);
+    mockDb.tables.users = [{ id: 'admin-1', user_type: 'admin', phone: '254700000001', whatsapp_phone: null }];
+    mockUpdatePaymentStatus.mockRejectedValueOnce(new Error('Cannot mark a cancelled order as paid'));
+
+    const { payment } = await handleStkCallback(stkCallback('ws_CO_1'));
+
+    expect(payment).toMatchObject({ status: 'completed', refund_required: true });
+    expect(mockDb.tables.audit_log).toEqual([expect.objectContaining({ action: 'payment.refund_required', target_id: 'payment-1' })]);
+    expect(mockEnqueueNotifications).toHaveBeenCalledWith([
+      expect.objectContaining({ userId: 'admin-1', recipient: '254700000001', channel: 'sms', message: expect.stringContaining('Refund needed') })
+    ]);
+  });
+
+  test('ignores repeated callbacks for a settled payment', async () => {
+    mockDarajaQuery(0);
+    await handleStkCallback(stkCallback('ws_CO_1'));
+    mockUpdatePaymentStatus.mockClear();
+
+    const { duplicate } = await handleStkCallback(stkCallback('ws_CO_1'));
+
+    expect(duplicate).toBe(true);
+    expect(mockUpdatePaymentStatus).not.toHaveBeenCalled();
+  });
+});
+
+describe('getPaymentStatus', () => {
+  test('lets the payer and holders of payments.view_all see a payment', async () => {
+    mockDb.tables.user_roles = [{ user_id: 'agent-1', role: 'support_agent' }];
+
+    await expect(getPaymentStatus('payment-1', { id: 'buyer-1', user_type: 'farmer' }))
+      .resolves.toMatchObject({ id: 'payment-1' });
+    await expect(getPaymentStatus('payment-1', { id: 'agent-1', user_type: 'farmer' }))
+      .resolves.toMatchObject({ id: 'payment-1' });
+    await expect(getPaymentStatus('payment-1', { id: 'admin-1', user_type: 'admin' }))
+      .resolves.toMatchObject({ id: 'payment-1' });
+  });
+
+  test('refuses other users', async () => {
+    await expect(getPaymentStatus('payment-1', { id: 'buyer-2', user_type: 'wholesaler' }))
+      .rejects.toThrow('You can only view your own payments');
+  });
+});
+
+describe('getUserPayments', () => {
+  test('never returns Daraja request identifiers', async () => {
+    const [payment] = await getUserPayments('buyer-1');
+
+    expect(payment.id).toBe('payment-1');
+    expect(payment).not.toHaveProperty('checkout_request_id');
+    expect(payment).not.toHaveProperty('merchant_request_id');
+    expect(payment).not.toHaveProperty('callback_payload');
+  });
+});
@@ -0,0 +1,92 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const mockDb = createFakeSupabase();
+
+jest.mock('../services/supabase', () => ({ supabase: mockDb.supabase }));
+jest.mock('../services/bulkOrders', () => ({ syncBulkOrderStatus: jest.fn() }));
+jest.mock('../services/mail', () => ({ sendOrderConfirmationEmail: jest.fn() }));
+jest.mock('../services/auditLog', () => ({ recordAuditEvent: jest.fn() }));
+jest.mock('../services/orderEvents', () => ({ recordOrderEvent: jest.fn(), getOrderEvents: jest.fn() }));
+jest.mock('../services/notificationOutbox', () => ({ enqueueNotifications: jest.fn() }));
+
+const { updateOrderStatus } = require('../services/orders');
+const { createReview } = require('../services/reviews');
+
+const BUYER = 'buyer-1';
+const WHOLESALER = 'wholesaler-1';
+
+function seedOrder(overrides = {}) {
+  mockDb.tables.orders = [{
+    id: 'order-1',
+    buyer_id: BUYER,
+    wholesaler_id: WHOLESALER,
+    status: 'pending',
+    payment_status: 'pending',
+    stock_status: 'committed',
+    product_id: 'product-1',
+    quantity: 2,
+    items: [],
+    ...overrides
+  }];
+}
+
+beforeEach(() => {
+  mockDb.tables.orders = [];
+  mockDb.tables.deliveries = [];
+  mockDb.tables.product_reviews = [];
+});
+
+describe('who can move an order forward', () => {
+  test.each([
+    ['pending', 'confirmed'],
+    ['confirmed', 'shipped'],
+    ['shipped', 'delivered']
+  ])('the buyer cannot change %s to %s', async (from, to) => {
+    seedOrder({ status: from });
+
+    await expect(updateOrderStatus('order-1', to, BUYER)).rejects.toThrow('Unauthorized: Only the seller');
+    expect(mockDb.tables.orders[0].status).toBe(from);
+  });
+
+  test('the seller can', async () => {
+    seedOrder({ status: 'shipped' });
+
+    await expect(updateOrderStatus('order-1', 'delivered', WHOLESALER)).resolves.toMatchObject({ status: 'delivered' });
+  });
+
+  test('the buyer marks an order delivered only with a confirmed delivery code', async () => {
+    seedOrder({ status: 'shipped' });
+    mockDb.tables.deliveries = [{ id: 'delivery-1', order_id: 'order-1', status: 'delivered' }];
+
+    await expect(updateOrderStatus('order-1', 'delivered', BUYER)).resolves.toMatchObject({ status: 'delivered' });
+  });
+
+  test('the buyer can still cancel', async () => {
+    seedOrder({ status: 'confirmed', stock_status: null });
+
+    await expect(updateOrderStatus('order-1', 'cancelled', BUYER)).resolves.toMatchObject({ status: 'cancelled' });
+  });
+});
+
+describe('createReview', () => {
+  const review = { order_id: 'order-1', product_id: 'product-1', rating: 5, comment: 'Good seed' };
+
+  test('rejects orders that were not paid', async () => {
+    seedOrder({ status: 'delivered', payment_status: 'pending' });
+
+    await expect(createReview(BUYER, review)).rejects.toThrow('Only paid orders can be reviewed');
+    expect(mockDb.tables.product_reviews).toHaveLength(0);
+  });
+
+  test('rejects orders that were not delivered', async () => {
+    seedOrder({ status: 'shipped', payment_status: 'paid' });
+
+    await expect(createReview(BUYER, review)).rejects.toThrow('Only delivered orders can be reviewed');
+  });
+
+  test('accepts a paid, delivered order', async () => {
+    seedOrder({ status: 'delivered', payment_status: 'paid' });
+
+    await expect(createReview(BUYER, review)).resolves.toMatchObject({ rating: 5, reviewer_id: BUYER, wholesaler_id: WHOLESALER });
+  });
+});
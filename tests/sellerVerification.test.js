@@ -0,0 +1,68 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const mockDb = createFakeSupabase();
+
+jest.mock('../services/supabase', () => ({ supabase: mockDb.supabase }));
+jest.mock('../services/storage', () => ({ getStorage: jest.fn() }));
+jest.mock('../services/notificationOutbox', () => ({ enqueueNotifications: jest.fn() }));
+
+const { assertCanList } = require('../services/sellerVerification');
+
+function seedSeller(overrides = {}) {
+  mockDb.tables.users = [{
+    id: 'seller-1',
+    user_type: 'wholesaler',
+    verification_status: 'unverified',
+    agro_dealer_verified: false,
+    ...overrides
+  }];
+}
+
+beforeEach(() => {
+  mockDb.tables.products = [];
+  seedSeller();
+});
+
+describe('assertCanList', () => {
+  test('lets unverified sellers list ordinary produce', async () => {
+    await expect(assertCanList('seller-1', { category: 'Fruits', name: 'Seedless watermelon', description: 'Sweet and fresh' }))
+      .resolves.toBeUndefined();
+  });
+
+  test.each([
+    ['the category', { category: 'Certified seeds', name: 'Maize H614' }],
+    ['the name', { category: 'Farm inputs', name: 'Hybrid maize seed 2kg' }],
+    ['the description', { category: 'Inputs', name: 'Planting pack', description: 'DAP 50kg bag for planting' }],
+    ['punctuation inside a word', { category: 'Other', name: 'F.e.r.t.i.l.i.z.e.r' }],
+    ['accents', { category: 'Other', name: 'Fértilizer blend' }],
+    ['Swahili names', { category: 'Pembejeo', name: 'Mbolea ya kupandia' }]
+  ])('stops unverified sellers listing restricted products named in %s', async (_, listing) => {
+    await expect(assertCanList('seller-1', listing))
+      .rejects.toThrow('only verified sellers can list seeds, fertilizers and crop-protection products');
+  });
+
+  test('needs an agro-dealer registration for crop protection however it is described', async () => {
+    seedSeller({ verification_status: 'verified' });
+
+    await expect(assertCanList('seller-1', { category: 'General', name: 'Crop spray', description: 'Broad-spectrum insecticide' }))
+      .rejects.toThrow('need an approved agro-dealer registration');
+    await expect(assertCanList('seller-1', { category: 'General', name: 'Dawa ya kuua wadudu' }))
+      .rejects.toThrow('need an approved agro-dealer registration');
+    await expect(assertCanList('seller-1', { category: 'Seeds', name: 'Bean seed' })).resolves.toBeUndefined();
+  });
+
+  test('lets agro-dealers list crop protection', async () => {
+    seedSeller({ verification_status: 'verified', agro_dealer_verified: true });
+
+    await expect(assertCanList('seller-1', { category: 'Pesticides', name: 'Fungicide 1L' })).resolves.toBeUndefined();
+  });
+
+  test('caps the active listings of unverified sellers', async () => {
+    mockDb.tables.products = Array.from({ length: 5 }, (_, i) => ({ id: `product-${i}`, wholesaler_id: 'seller-1', is_active: true }));
+
+    await expect(assertCanList('seller-1', { category: 'Vegetables', name: 'Kale' }))
+      .rejects.toThrow('at most 5 active products');
+    await expect(assertCanList('seller-1', { category: 'Vegetables', name: 'Kale' }, { productId: 'product-0' }))
+      .resolves.toBeUndefined();
+  });
+});
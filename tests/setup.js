@@ -0,0 +1,21 @@
+/**
+ * Jest setup
+ * Tests never talk to Supabase, Safaricom or Africa's Talking; services that need
+ * them are given an in-memory Supabase double (tests/helpers/fakeSupabase.js) and
+ * configuration through these environment defaults.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+
+// Services log every handled error; keep test output to the results
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
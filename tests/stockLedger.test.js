@@ -0,0 +1,229 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const mockDb = createFakeSupabase();
+
+jest.mock('../services/supabase', () => ({ supabase: mockDb.supabase }));
+jest.mock('../services/bulkOrders', () => ({ syncBulkOrderStatus: jest.fn() }));
+jest.mock('../services/mail', () => ({ sendOrderConfirmationEmail: jest.fn() }));
+jest.mock('../services/auditLog', () => ({ recordAuditEvent: jest.fn() }));
+jest.mock('../services/orderEvents', () => ({ recordOrderEvent: jest.fn(), getOrderEvents: jest.fn() }));
+jest.mock('../services/notificationOutbox', () => ({ enqueueNotifications: jest.fn() }));
+
+const { moveStock } = require('../services/stockLedger');
+const { updateOrderStatus, updatePaymentStatus, expireUnpaidReservations } = require('../services/orders');
+
+const BUYER = 'buyer-1';
+const WHOLESALER = 'wholesaler-1';
+
+/**
+ * apply_stock_movement from migrations/add_stock_ledger.sql, over the fake tables
+ */
+function applyStockMovement(params, tables) {
+  const { p_product_id, p_movement_type, p_quantity, p_reason, p_order_id } = params;
+
+  if (p_quantity == null || Number.isNaN(p_quantity) || p_quantity < 0 || (p_quantity === 0 && p_movement_type !== 'adjustment')) {
+    throw new Error('INVALID_QUANTITY');
+  }
+
+  const product = (tables.products || []).find(row => row.id === p_product_id);
+  if (!product) {
+    throw new Error('PRODUCT_NOT_FOUND');
+  }
+
+  let stockChange = 0;
+  let reservedChange = 0;
+
+  switch (p_movement_type) {
+    case 'reserve':
+      reservedChange = p_quantity;
+      break;
+    case 'release':
+    case 'commit':
+      if (p_quantity > product.reserved_quantity) {
+        throw new Error('RESERVATION_EXCEEDED');
+      }
+      reservedChange = -p_quantity;
+      stockChange = p_movement_type === 'commit' ? -p_quantity : 0;
+      break;
+    case 'sale':
+      stockChange = -p_quantity;
+      break;
+    case 'return':
+      stockChange = p_quantity;
+      break;
+    case 'adjustment':
+      stockChange = p_quantity - product.stock_quantity;
+      break;
+    default:
+      throw new Error('INVALID_MOVEMENT_TYPE');
+  }
+
+  const stockAfter = product.stock_quantity + stockChange;
+  const reservedAfter = product.reserved_quantity + reservedChange;
+  if (stockAfter < 0 || stockAfter - reservedAfter < 0) {
+    throw new Error('INSUFFICIENT_STOCK');
+  }
+
+  product.stock_quantity = stockAfter;
+  product.reserved_quantity = reservedAfter;
+  tables.stock_movements.push({ product_id: p_product_id, movement_type: p_movement_type, quantity: p_quantity, reason: p_reason, order_id: p_order_id });
+
+  return { ...product };
+}
+
+function seedOrder(overrides = {}) {
+  const order = {
+    id: 'order-1',
+    buyer_id: BUYER,
+    wholesaler_id: WHOLESALER,
+    status: 'pending',
+    payment_status: 'paid',
+    stock_status: 'reserved',
+    reservation_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    product_id: 'product-1',
+    quantity: 3,
+    items: [],
+    ...overrides
+  };
+  mockDb.tables.orders = [order];
+  return order;
+}
+
+beforeEach(() => {
+  mockDb.tables.products = [
+    { id: 'product-1', stock_quantity: 10, reserved_quantity: 3 },
+    { id: 'product-2', stock_quantity: 1, reserved_quantity: 0 }
+  ];
+  mockDb.tables.orders = [];
+  mockDb.tables.deliveries = [];
+  mockDb.tables.stock_movements = [];
+  mockDb.rpcs.apply_stock_movement = applyStockMovement;
+});
+
+describe('moveStock', () => {
+  test('commits a reservation', async () => {
+    const product = await moveStock('product-1', 'commit', 3, { reason: 'Order confirmed' });
+
+    expect(product).toMatchObject({ stock_quantity: 7, reserved_quantity: 0 });
+  });
+
+  test('refuses to release more than is reserved', async () => {
+    await expect(moveStock('product-1', 'release', 4, { reason: 'Reservation released' }))
+      .rejects.toThrow('Cannot release more stock than is reserved');
+    await expect(moveStock('product-1', 'commit', 4, { reason: 'Order confirmed' }))
+      .rejects.toThrow('Cannot release more stock than is reserved');
+
+    expect(mockDb.tables.products[0]).toMatchObject({ stock_quantity: 10, reserved_quantity: 3 });
+    expect(mockDb.tables.stock_movements).toHaveLength(0);
+  });
+
+  test('maps database errors to messages', async () => {
+    await expect(moveStock('product-1', 'reserve', 8, { reason: 'Reserved for order' }))
+      .rejects.toThrow('Insufficient stock available');
+    await expect(moveStock('product-1', 'adjustment', 2, { reason: 'Stock count' }))
+      .rejects.toThrow('Stock cannot be set below the quantity reserved for open orders');
+    await expect(moveStock('missing', 'sale', 1, { reason: 'Sold' }))
+      .rejects.toThrow('Product not found');
+    await expect(moveStock('product-1', 'sale', 0, { reason: 'Sold' }))
+      .rejects.toThrow('Stock quantity must be a positive whole number');
+  });
+
+  test('needs a known movement type and a reason', async () => {
+    await expect(moveStock('product-1', 'steal', 1, { reason: 'x' })).rejects.toThrow('Invalid stock movement');
+    await expect(moveStock('product-1', 'sale', 1)).rejects.toThrow('Stock movements need a reason');
+  });
+});
+
+describe('updateOrderStatus stock transitions', () => {
+  test('confirming commits the reservation once', async () => {
+    seedOrder();
+
+    const order = await updateOrderStatus('order-1', 'confirmed', WHOLESALER);
+
+    expect(order).toMatchObject({ status: 'confirmed', stock_status: 'committed', reservation_expires_at: null });
+    expect(mockDb.tables.products[0]).toMatchObject({ stock_quantity: 7, reserved_quantity: 0 });
+
+    await expect(updateOrderStatus('order-1', 'confirmed', WHOLESALER)).rejects.toThrow('Cannot change status from confirmed to confirmed');
+    expect(mockDb.tables.stock_movements).toHaveLength(1);
+  });
+
+  test('only one of two parallel confirmations moves stock', async () => {
+    seedOrder();
+
+    const results = await Promise.allSettled([
+      updateOrderStatus('order-1', 'confirmed', WHOLESALER),
+      updateOrderStatus('order-1', 'confirmed', WHOLESALER)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.message).toMatch('changed in the meantime');
+    expect(mockDb.tables.products[0]).toMatchObject({ stock_quantity: 7, reserved_quantity: 0 });
+    expect(mockDb.tables.stock_movements).toHaveLength(1);
+  });
+
+  test('a confirmation racing a cancellation moves stock for only one of them', async () => {
+    seedOrder();
+
+    const results = await Promise.allSettled([
+      updateOrderStatus('order-1', 'confirmed', WHOLESALER),
+      updateOrderStatus('order-1', 'cancelled', BUYER)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(mockDb.tables.stock_movements).toHaveLength(1);
+    expect(mockDb.tables.products[0]).toMatchObject(mockDb.tables.orders[0].status === 'confirmed'
+      ? { stock_quantity: 7, reserved_quantity: 0 }
+      : { stock_quantity: 10, reserved_quantity: 0 });
+  });
+
+  test('cancelling a confirmed order returns its stock', async () => {
+    seedOrder({ status: 'confirmed', stock_status: 'committed', reservation_expires_at: null });
+    mockDb.tables.products[0] = { id: 'product-1', stock_quantity: 7, reserved_quantity: 0 };
+
+    const order = await updateOrderStatus('order-1', 'cancelled', BUYER);
+
+    expect(order).toMatchObject({ status: 'cancelled', stock_status: 'released' });
+    expect(mockDb.tables.products[0]).toMatchObject({ stock_quantity: 10, reserved_quantity: 0 });
+  });
+
+  test('a failed confirmation puts back the lines already taken and the previous status', async () => {
+    mockDb.tables.products[1].reserved_quantity = 0;
+    seedOrder({
+      stock_status: null,
+      reservation_expires_at: null,
+      product_id: null,
+      items: [
+        { product_id: 'product-1', quantity: 2 },
+        { product_id: 'product-2', quantity: 5 }
+      ]
+    });
+
+    await expect(updateOrderStatus('order-1', 'confirmed', WHOLESALER)).rejects.toThrow('Insufficient stock available');
+
+    expect(mockDb.tables.orders[0]).toMatchObject({ status: 'pending', stock_status: null });
+    expect(mockDb.tables.products[0]).toMatchObject({ stock_quantity: 10, reserved_quantity: 3 });
+    expect(mockDb.tables.products[1]).toMatchObject({ stock_quantity: 1, reserved_quantity: 0 });
+  });
+});
+
+describe('late payments', () => {
+  test('a cancelled order whose stock was released cannot be marked paid', async () => {
+    seedOrder({ payment_status: 'pending', reservation_expires_at: new Date(Date.now() - 1000).toISOString() });
+    mockDb.tables.payments = [];
+
+    const result = await expireUnpaidReservations();
+    expect(result.expired).toBe(1);
+    expect(mockDb.tables.products[0]).toMatchObject({ stock_quantity: 10, reserved_quantity: 0 });
+
+    await expect(updatePaymentStatus('order-1', 'paid')).rejects.toThrow('Cannot mark a cancelled order as paid');
+    expect(mockDb.tables.orders[0]).toMatchObject({ status: 'cancelled', payment_status: 'pending' });
+  });
+
+  test('an open order is marked paid and keeps its reservation', async () => {
+    seedOrder({ payment_status: 'pending' });
+
+    const order = await updatePaymentStatus('order-1', 'paid');
+
+    expect(order).toMatchObject({ payment_status: 'paid', reservation_expires_at: null });
+  });
+});
@@ -19,8 +19,34 @@ document.addEventListener('DOMContentLoaded', async () => {
 let currentUser = null;
 let currentUsers = [];
 let currentPage = 0;
+let usersTotal = 0;
+let currentStats = null;
+let auditPage = 0;
+let auditTotal = 0;
+let currentVerifications = [];
 let isLoading = false;
 
+const USERS_PAGE_SIZE = 50;
+const AUDIT_PAGE_SIZE = 50;
+
+// Calls the admin API and throws the server's message on failure
+async function adminRequest(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+        }
+    });
+    
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.message || 'Request failed');
+    }
+    
+    return data;
+}
+
 async function initializeAdminPanel() {
     try {
         showLoading();
@@ -65,8 +91,8 @@ async function initializeAdminPanel() {
 
 function setupEventListeners() {
     // Navigation
-    document.getElementById('logoutBtn').addEventListener('click', () => {
-        localStorage.removeItem('authToken');
+    document.getElementById('logoutBtn').addEventListener('click', async () => {
+        await window.agriSession.logout();
         window.location.href = 'login.html';
     });
     
@@ -74,22 +100,80 @@ function setupEventListeners() {
     document.getElementById('usersTab').addEventListener('click', () => switchTab('users'));
     document.getElementById('systemTab').addEventListener('click', () => switchTab('system'));
     document.getElementById('analyticsTab').addEventListener('click', () => switchTab('analytics'));
+    document.getElementById('auditTab').addEventListener('click', () => switchTab('audit'));
+    document.getElementById('verificationsTab').addEventListener('click', () => switchTab('verifications'));
     
     // User management
     document.getElementById('refreshBtn').addEventListener('click', loadDashboardData);
     document.getElementById('createUserBtn').addEventListener('click', showCreateUserModal);
+    document.getElementById('broadcastBtn').addEventListener('click', sendBroadcast);
+    document.getElementById('exportBtn').addEventListener('click', exportAuditLog);
     
-    // User search and filters
+    // User search and filters start again from the first page
     let searchTimeout;
     document.getElementById('userSearch').addEventListener('input', (e) => {
         clearTimeout(searchTimeout);
         searchTimeout = setTimeout(() => {
+            currentPage = 0;
             loadUsers();
         }, 500);
     });
     
-    document.getElementById('userTypeFilter').addEventListener('change', loadUsers);
-    document.getElementById('statusFilter').addEventListener('change', loadUsers);
+    document.getElementById('userTypeFilter').addEventListener('change', () => {
+        currentPage = 0;
+        loadUsers();
+    });
+    document.getElementById('statusFilter').addEventListener('change', () => {
+        currentPage = 0;
+        loadUsers();
+    });
+    
+    // Pagination
+    document.getElementById('usersPrevBtn').addEventListener('click', () => {
+        if (currentPage > 0) {
+            currentPage--;
+            loadUsers();
+        }
+    });
+    document.getElementById('usersNextBtn').addEventListener('click', () => {
+        if ((currentPage + 1) * USERS_PAGE_SIZE < usersTotal) {
+            currentPage++;
+            loadUsers();
+        }
+    });
+    
+    // Audit log filters and pagination
+    ['auditTargetFilter', 'auditFromFilter', 'auditToFilter'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            auditPage = 0;
+            loadAuditLog();
+        });
+    });
+    
+    let auditSearchTimeout;
+    document.getElementById('auditActionFilter').addEventListener('input', () => {
+        clearTimeout(auditSearchTimeout);
+        auditSearchTimeout = setTimeout(() => {
+            auditPage = 0;
+            loadAuditLog();
+        }, 500);
+    });
+    
+    document.getElementById('auditPrevBtn').addEventListener('click', () => {
+        if (auditPage > 0) {
+            auditPage--;
+            loadAuditLog();
+        }
+    });
+    document.getElementById('auditNextBtn').addEventListener('click', () => {
+        if ((auditPage + 1) * AUDIT_PAGE_SIZE < auditTotal) {
+            auditPage++;
+            loadAuditLog();
+        }
+    });
+    
+    // Seller verification
+    document.getElementById('verificationStatusFilter').addEventListener('change', loadVerifications);
     
     // Select all users
     document.getElementById('selectAllUsers').addEventListener('change', toggleSelectAllUsers);
@@ -107,8 +191,9 @@ async function loadDashboardData() {
         showLoading();
         
         // Load stats in parallel
-        const [users, systemHealth] = await Promise.allSettled([
+        const [users, stats, systemHealth] = await Promise.allSettled([
             loadUsers(),
+            loadStats(),
             loadSystemHealth()
         ]);
         
@@ -137,24 +222,14 @@ async function loadUsers() {
         if (search) queryParams.append('search', search);
         if (userType) queryParams.append('user_type', userType);
         if (status) queryParams.append('status', status);
-        queryParams.append('limit', '50');
-        queryParams.append('offset', '0');
-        
-        const response = await fetch(`/api/users?${queryParams}`, {
-            headers: {
-                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-            }
-        });
+        queryParams.append('limit', String(USERS_PAGE_SIZE));
+        queryParams.append('offset', String(currentPage * USERS_PAGE_SIZE));
         
-        if (!response.ok) {
-            throw new Error('Failed to load users');
-        }
-        
-        const data = await response.json();
-        currentUsers = data.users || [];
+        const data = await adminRequest(`/api/admin/users?${queryParams}`);
+        currentUsers = data.data || [];
+        usersTotal = data.pagination ? data.pagination.total : currentUsers.length;
         
         displayUsers();
-        updateStatsDisplay();
         
     } catch (error) {
         console.error('Error loading users:', error);
@@ -162,6 +237,7 @@ async function loadUsers() {
         
         // Show fallback data if API fails
         currentUsers = [];
+        usersTotal = 0;
         displayUsers();
     } finally {
         isLoading = false;
@@ -185,8 +261,10 @@ function displayUsers() {
     
     tbody.innerHTML = currentUsers.map(user => {
         const userTypeClass = `type-${user.user_type}`;
-        const statusClass = user.last_seen && isRecentlyActive(user.last_seen) ? 'status-active' : 'status-inactive';
-        const statusText = user.last_seen && isRecentlyActive(user.last_seen) ? 'Active' : 'Inactive';
+        const isSuspended = user.status === 'suspended';
+        const isRecent = user.last_seen && isRecentlyActive(user.last_seen);
+        const statusClass = isSuspended ? 'bg-red-100 text-red-800' : (isRecent ? 'status-active' : 'status-inactive');
+        const statusText = isSuspended ? 'Suspended' : (isRecent ? 'Active' : 'Inactive');
         
         return `
             <tr class="hover:bg-gray-50">
@@ -233,14 +311,9 @@ function displayUsers() {
                         <button onclick="editUser('${user.id}')" class="text-green-600 hover:text-green-900">
                             <i class="fas fa-edit"></i>
                         </button>
-                        ${user.user_type !== 'admin' ? 
-                            `<button onclick="toggleUserStatus('${user.id}')" class="text-yellow-600 hover:text-yellow-900">
-                                <i class="fas fa-user-slash"></i>
-                            </button>` : ''
-                        }
-                        ${user.user_type !== 'admin' ? 
-                            `<button onclick="deleteUser('${user.id}')" class="text-red-600 hover:text-red-900">
-                                <i class="fas fa-trash"></i>
+                        ${user.id !== currentUser.id ? 
+                            `<button onclick="toggleUserStatus('${user.id}')" title="${isSuspended ? 'Reactivate' : 'Suspend'}" class="${isSuspended ? 'text-green-600 hover:text-green-900' : 'text-yellow-600 hover:text-yellow-900'}">
+                                <i class="fas ${isSuspended ? 'fa-user-check' : 'fa-user-slash'}"></i>
                             </button>` : ''
                         }
                     </div>
@@ -251,7 +324,19 @@ function displayUsers() {
     
     // Update pagination info
     document.getElementById('usersShowing').textContent = currentUsers.length;
-    document.getElementById('usersTotal').textContent = currentUsers.length;
+    document.getElementById('usersTotal').textContent = usersTotal;
+    document.getElementById('usersPrevBtn').disabled = currentPage === 0;
+    document.getElementById('usersNextBtn').disabled = (currentPage + 1) * USERS_PAGE_SIZE >= usersTotal;
+}
+
+async function loadStats() {
+    try {
+        const data = await adminRequest('/api/admin/stats');
+        currentStats = data.data;
+        updateStatsDisplay();
+    } catch (error) {
+        console.error('Error loading stats:', error);
+    }
 }
 
 async function loadSystemHealth() {
@@ -318,19 +403,12 @@ async function loadSystemHealth() {
 }
 
 function updateStatsDisplay() {
-    // Update total users
-    document.getElementById('totalUsers').textContent = currentUsers.length;
+    if (!currentStats) return;
     
-    // Update farmers count
-    const farmersCount = currentUsers.filter(user => user.user_type === 'farmer').length;
-    document.getElementById('activeFarmers').textContent = farmersCount;
-    
-    // Update wholesalers count
-    const wholesalersCount = currentUsers.filter(user => user.user_type === 'wholesaler').length;
-    document.getElementById('totalWholesalers').textContent = wholesalersCount;
-    
-    // Update today's queries (placeholder)
-    document.getElementById('todayQueries').textContent = Math.floor(Math.random() * 100);
+    document.getElementById('totalUsers').textContent = currentStats.totalUsers;
+    document.getElementById('activeFarmers').textContent = currentStats.farmers;
+    document.getElementById('totalWholesalers').textContent = currentStats.wholesalers;
+    document.getElementById('todayQueries').textContent = currentStats.queriesToday;
 }
 
 function switchTab(tabName) {
@@ -353,6 +431,234 @@ function switchTab(tabName) {
         loadSystemHealth();
     } else if (tabName === 'analytics') {
         loadAnalytics();
+    } else if (tabName === 'audit') {
+        loadAuditLog();
+    } else if (tabName === 'verifications') {
+        loadVerifications();
+    }
+}
+
+// Audit log filters as query parameters (shared by the table and the CSV export)
+function getAuditQueryParams() {
+    const queryParams = new URLSearchParams();
+    
+    const targetType = document.getElementById('auditTargetFilter').value;
+    const action = document.getElementById('auditActionFilter').value.trim();
+    const from = document.getElementById('auditFromFilter').value;
+    const to = document.getElementById('auditToFilter').value;
+    
+    if (targetType) queryParams.append('target_type', targetType);
+    if (action) queryParams.append('action', action);
+    if (from) queryParams.append('from', `${from}T00:00:00`);
+    if (to) queryParams.append('to', `${to}T23:59:59`);
+    
+    return queryParams;
+}
+
+async function loadAuditLog() {
+    try {
+        const queryParams = getAuditQueryParams();
+        queryParams.append('limit', String(AUDIT_PAGE_SIZE));
+        queryParams.append('offset', String(auditPage * AUDIT_PAGE_SIZE));
+        
+        const data = await adminRequest(`/api/admin/audit-log?${queryParams}`);
+        auditTotal = data.pagination.total;
+        displayAuditLog(data.data || []);
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+function displayAuditLog(entries) {
+    const tbody = document.getElementById('auditTableBody');
+    
+    if (entries.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="5" class="px-6 py-8 text-center text-gray-500">
+                    <i class="fas fa-clipboard-list text-4xl mb-4"></i>
+                    <p>No audit entries found</p>
+                </td>
+            </tr>
+        `;
+    } else {
+        tbody.innerHTML = entries.map(entry => {
+            const changes = Object.entries(entry.changes || {})
+                .map(([field, change]) => `<div><span class="font-medium">${escapeHtml(field)}</span>: ${escapeHtml(formatAuditValue(change.from))} → ${escapeHtml(formatAuditValue(change.to))}</div>`)
+                .join('');
+            const actor = entry.actor
+                ? escapeHtml(entry.actor.name || entry.actor.email || entry.actor.id)
+                : (entry.metadata?.channel === 'whatsapp' ? 'WhatsApp admin' : 'System');
+            
+            return `
+                <tr class="hover:bg-gray-50 align-top">
+                    <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${formatDate(entry.created_at)}</td>
+                    <td class="px-6 py-4 text-sm text-gray-900">${actor}</td>
+                    <td class="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-900">${escapeHtml(entry.action)}</td>
+                    <td class="px-6 py-4 text-sm text-gray-500">${escapeHtml(entry.target_type || '-')}${entry.target_id ? `<div class="font-mono text-xs">${escapeHtml(entry.target_id)}</div>` : ''}</td>
+                    <td class="px-6 py-4 text-sm text-gray-700">${changes || '<span class="text-gray-400">-</span>'}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    document.getElementById('auditShowing').textContent = entries.length;
+    document.getElementById('auditTotal').textContent = auditTotal;
+    document.getElementById('auditPrevBtn').disabled = auditPage === 0;
+    document.getElementById('auditNextBtn').disabled = (auditPage + 1) * AUDIT_PAGE_SIZE >= auditTotal;
+}
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined) return 'none';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+const DOCUMENT_LABELS = {
+    business_permit: 'Business permit',
+    kra_pin_certificate: 'KRA PIN certificate',
+    agro_dealer_certificate: 'Agro-dealer certificate'
+};
+
+async function loadVerifications() {
+    try {
+        const status = document.getElementById('verificationStatusFilter').value;
+        const data = await adminRequest(`/api/admin/verifications?status=${status}`);
+        currentVerifications = data.data || [];
+        displayVerifications(currentVerifications);
+    } catch (error) {
+        console.error('Error loading verification applications:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+function displayVerifications(applications) {
+    const tbody = document.getElementById('verificationsTableBody');
+    
+    if (applications.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="5" class="px-6 py-8 text-center text-gray-500">
+                    <i class="fas fa-id-card text-4xl mb-4"></i>
+                    <p>No applications</p>
+                </td>
+            </tr>
+        `;
+        return;
+    }
+    
+    tbody.innerHTML = applications.map(application => {
+        const documents = (application.documents || [])
+            .map(doc => `<div><button onclick="openVerificationDocument('${application.id}', '${doc.id}')" class="text-blue-600 hover:text-blue-800"><i class="fas fa-file-alt mr-1"></i>${DOCUMENT_LABELS[doc.document_type] || escapeHtml(doc.document_type)}</button></div>`)
+            .join('');
+        const decision = application.status === 'pending'
+            ? `<button onclick="reviewVerification('${application.id}', 'approve')" class="text-green-600 hover:text-green-800 mr-3" title="Approve"><i class="fas fa-check"></i></button>
+               <button onclick="reviewVerification('${application.id}', 'reject')" class="text-red-600 hover:text-red-800" title="Reject"><i class="fas fa-times"></i></button>`
+            : `<span class="text-sm">${escapeHtml(application.status)}${application.reviewer ? ` by ${escapeHtml(application.reviewer.name)}` : ''}</span>${application.review_notes ? `<div class="text-xs text-gray-500">${escapeHtml(application.review_notes)}</div>` : ''}`;
+        
+        return `
+            <tr class="hover:bg-gray-50 align-top">
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${formatDate(application.created_at)}</td>
+                <td class="px-6 py-4 text-sm text-gray-900">${escapeHtml(application.wholesaler?.name || '-')}<div class="text-xs text-gray-500">${escapeHtml(application.wholesaler?.email || application.wholesaler?.phone || '')}</div></td>
+                <td class="px-6 py-4 text-sm text-gray-700">
+                    <div class="font-medium">${escapeHtml(application.business_name)}</div>
+                    <div class="text-xs">Permit: ${escapeHtml(application.business_permit_number)}</div>
+                    <div class="text-xs">KRA PIN: ${escapeHtml(application.kra_pin)}</div>
+                    ${application.agro_dealer_number ? `<div class="text-xs">Agro-dealer: ${escapeHtml(application.agro_dealer_number)}</div>` : ''}
+                </td>
+                <td class="px-6 py-4 text-sm">${documents || '<span class="text-gray-400">-</span>'}</td>
+                <td class="px-6 py-4 whitespace-nowrap">${decision}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Documents need the auth header, so they are fetched and opened as a blob
+async function openVerificationDocument(applicationId, documentId) {
+    try {
+        const response = await fetch(`/api/admin/verifications/${applicationId}/documents/${documentId}`, {
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || 'Failed to open document');
+        }
+        
+        const url = URL.createObjectURL(await response.blob());
+        window.open(url, '_blank');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        console.error('Error opening verification document:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function reviewVerification(applicationId, decision) {
+    const body = { decision };
+    
+    if (decision === 'reject') {
+        const notes = prompt('Reason for rejecting (shown to the wholesaler):');
+        if (!notes) return;
+        body.notes = notes;
+    } else {
+        const application = currentVerifications.find(item => item.id === applicationId);
+        if (application?.agro_dealer_number) {
+            body.approve_agro_dealer = confirm('Also approve the agro-dealer registration (allows pesticide listings)?');
+        }
+        if (!confirm('Approve this seller?')) return;
+    }
+    
+    try {
+        await adminRequest(`/api/admin/verifications/${applicationId}`, {
+            method: 'PUT',
+            body: JSON.stringify(body)
+        });
+        showNotification(decision === 'approve' ? 'Seller verified' : 'Verification rejected', 'success');
+        loadVerifications();
+    } catch (error) {
+        console.error('Error reviewing verification:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+async function exportAuditLog() {
+    try {
+        showLoading();
+        
+        const response = await fetch(`/api/admin/audit-log/export?${getAuditQueryParams()}`, {
+            headers: {
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            }
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || 'Export failed');
+        }
+        
+        const blob = await response.blob();
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || 'audit-log.csv';
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+        
+        if (response.headers.get('X-Audit-Log-Truncated') === 'true') {
+            showNotification('Export was capped. Narrow the date range to get every entry.', 'warning');
+        }
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        hideLoading();
     }
 }
 
@@ -370,20 +676,140 @@ async function editUser(userId) {
     showUserModal(user, 'edit');
 }
 
-async function deleteUser(userId) {
-    if (!confirm('Are you sure you want to delete this user? This action cannot be undone.')) {
+async function toggleUserStatus(userId) {
+    const user = currentUsers.find(u => u.id === userId);
+    if (!user) return;
+    
+    const suspending = user.status !== 'suspended';
+    let reason = null;
+    
+    if (suspending) {
+        reason = prompt(`Suspend ${user.name || user.phone}? They will be signed out everywhere.\n\nReason:`);
+        if (reason === null) return;
+    } else if (!confirm(`Reactivate ${user.name || user.phone}?`)) {
+        return;
+    }
+    
+    try {
+        showLoading();
+        
+        const data = await adminRequest(`/api/admin/users/${userId}/status`, {
+            method: 'PUT',
+            body: JSON.stringify({ status: suspending ? 'suspended' : 'active', reason })
+        });
+        
+        showNotification(data.message, 'success');
+        closeUserModal();
+        await Promise.all([loadUsers(), loadStats()]);
+    } catch (error) {
+        console.error('Error updating user status:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function saveUser(userId) {
+    const user = currentUsers.find(u => u.id === userId);
+    const userType = document.getElementById('editUserType').value;
+    
+    if (!user || userType === user.user_type) {
+        closeUserModal();
+        return;
+    }
+    
+    try {
+        showLoading();
+        
+        const data = await adminRequest(`/api/admin/users/${userId}/user-type`, {
+            method: 'PUT',
+            body: JSON.stringify({ user_type: userType })
+        });
+        
+        showNotification(data.message, 'success');
+        closeUserModal();
+        await Promise.all([loadUsers(), loadStats()]);
+    } catch (error) {
+        console.error('Error saving user:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function forcePasswordReset(userId) {
+    if (!confirm('Sign this user out on every device and send them a password reset link?')) {
         return;
     }
     
     try {
         showLoading();
         
-        // For now, just show a message since we don't have a delete endpoint
-        showNotification('User deletion functionality coming soon', 'info');
+        const data = await adminRequest(`/api/admin/users/${userId}/force-password-reset`, { method: 'POST' });
+        showNotification(data.message, 'success');
+    } catch (error) {
+        console.error('Error forcing password reset:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function overridePlan(userId) {
+    try {
+        const plansResponse = await fetch('/api/subscriptions/plans');
+        const plansData = await plansResponse.json();
+        const plans = plansData.data || [];
+        
+        const choice = prompt(
+            'Move this user to which plan? Enter the number:\n\n' +
+            plans.map((plan, index) => `${index + 1}. ${plan.name} (KES ${plan.price_monthly}/month)`).join('\n')
+        );
+        if (choice === null) return;
+        
+        const plan = plans[parseInt(choice) - 1];
+        if (!plan) {
+            showNotification('Invalid plan choice', 'error');
+            return;
+        }
+        
+        const reason = prompt('Reason for the override (optional):') || null;
+        
+        showLoading();
+        const data = await adminRequest(`/api/admin/users/${userId}/subscription`, {
+            method: 'PUT',
+            body: JSON.stringify({ plan_id: plan.id, reason })
+        });
+        showNotification(data.message, 'success');
+    } catch (error) {
+        console.error('Error overriding plan:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function sendBroadcast() {
+    const message = prompt('Announcement to send to all active users on WhatsApp:');
+    if (!message || !message.trim()) return;
+    
+    const userType = document.getElementById('userTypeFilter').value;
+    const audience = userType ? `all ${userType}s` : 'all users';
+    if (!confirm(`Send this announcement to ${audience}?\n\n"${message.trim()}"`)) {
+        return;
+    }
+    
+    try {
+        showLoading();
         
+        const data = await adminRequest('/api/admin/broadcast', {
+            method: 'POST',
+            body: JSON.stringify({ message, user_type: userType || undefined, channel: 'whatsapp' })
+        });
+        showNotification(data.message, 'success');
     } catch (error) {
-        console.error('Error deleting user:', error);
-        showNotification('Failed to delete user', 'error');
+        console.error('Error sending broadcast:', error);
+        showNotification(error.message, 'error');
     } finally {
         hideLoading();
     }
@@ -410,25 +836,25 @@ function showUserModal(user, mode = 'view') {
                 <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-2">Name</label>
-                        <input type="text" value="${user.name || ''}" ${isEditing ? '' : 'readonly'} 
-                               class="w-full px-3 py-2 border border-gray-300 rounded-lg ${isEditing ? 'focus:outline-none focus:ring-2 focus:ring-green-500' : 'bg-gray-50'}">
+                        <input type="text" value="${user.name || ''}" readonly 
+                               class="w-full px-3 py-2 border border-gray-300 rounded-lg bg-gray-50">
                     </div>
                     
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-2">Email</label>
-                        <input type="email" value="${user.email || ''}" ${isEditing ? '' : 'readonly'} 
-                               class="w-full px-3 py-2 border border-gray-300 rounded-lg ${isEditing ? 'focus:outline-none focus:ring-2 focus:ring-green-500' : 'bg-gray-50'}">
+                        <input type="email" value="${user.email || ''}" readonly 
+                               class="w-full px-3 py-2 border border-gray-300 rounded-lg bg-gray-50">
                     </div>
                     
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-2">Phone</label>
-                        <input type="tel" value="${user.phone || ''}" ${isEditing ? '' : 'readonly'} 
-                               class="w-full px-3 py-2 border border-gray-300 rounded-lg ${isEditing ? 'focus:outline-none focus:ring-2 focus:ring-green-500' : 'bg-gray-50'}">
+                        <input type="tel" value="${user.phone || ''}" readonly 
+                               class="w-full px-3 py-2 border border-gray-300 rounded-lg bg-gray-50">
                     </div>
                     
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-2">User Type</label>
-                        <select ${isEditing ? '' : 'disabled'} 
+                        <select id="editUserType" ${isEditing ? '' : 'disabled'} 
                                 class="w-full px-3 py-2 border border-gray-300 rounded-lg ${isEditing ? 'focus:outline-none focus:ring-2 focus:ring-green-500' : 'bg-gray-50'}">
                             <option value="farmer" ${user.user_type === 'farmer' ? 'selected' : ''}>Farmer</option>
                             <option value="wholesaler" ${user.user_type === 'wholesaler' ? 'selected' : ''}>Wholesaler</option>
@@ -438,21 +864,21 @@ function showUserModal(user, mode = 'view') {
                     
                     <div class="md:col-span-2">
                         <label class="block text-sm font-medium text-gray-700 mb-2">Location</label>
-                        <input type="text" value="${user.location || ''}" ${isEditing ? '' : 'readonly'} 
-                               class="w-full px-3 py-2 border border-gray-300 rounded-lg ${isEditing ? 'focus:outline-none focus:ring-2 focus:ring-green-500' : 'bg-gray-50'}">
+                        <input type="text" value="${user.location || ''}" readonly 
+                               class="w-full px-3 py-2 border border-gray-300 rounded-lg bg-gray-50">
                     </div>
                     
                     ${user.user_type === 'farmer' ? `
                         <div>
                             <label class="block text-sm font-medium text-gray-700 mb-2">Farm Size (acres)</label>
-                            <input type="number" value="${user.farm_size || ''}" ${isEditing ? '' : 'readonly'} 
-                                   class="w-full px-3 py-2 border border-gray-300 rounded-lg ${isEditing ? 'focus:outline-none focus:ring-2 focus:ring-green-500' : 'bg-gray-50'}">
+                            <input type="number" value="${user.farm_size || ''}" readonly 
+                                   class="w-full px-3 py-2 border border-gray-300 rounded-lg bg-gray-50">
                         </div>
                         
                         <div>
                             <label class="block text-sm font-medium text-gray-700 mb-2">Crops Grown</label>
-                            <input type="text" value="${user.crops_grown ? user.crops_grown.join(', ') : ''}" ${isEditing ? '' : 'readonly'} 
-                                   class="w-full px-3 py-2 border border-gray-300 rounded-lg ${isEditing ? 'focus:outline-none focus:ring-2 focus:ring-green-500' : 'bg-gray-50'}">
+                            <input type="text" value="${user.crops_grown ? user.crops_grown.join(', ') : ''}" readonly 
+                                   class="w-full px-3 py-2 border border-gray-300 rounded-lg bg-gray-50">
                         </div>
                     ` : ''}
                     
@@ -469,6 +895,23 @@ function showUserModal(user, mode = 'view') {
                     </div>
                 </div>
                 
+                ${!isEditing && user.id !== currentUser.id ? `
+                    <div class="flex flex-wrap gap-3 mt-6 pt-6 border-t border-gray-200">
+                        <button onclick="toggleUserStatus('${user.id}')" 
+                                class="bg-yellow-100 hover:bg-yellow-200 text-yellow-800 py-2 px-4 rounded-lg text-sm">
+                            <i class="fas ${user.status === 'suspended' ? 'fa-user-check' : 'fa-user-slash'} mr-2"></i>${user.status === 'suspended' ? 'Reactivate' : 'Suspend'}
+                        </button>
+                        <button onclick="forcePasswordReset('${user.id}')" 
+                                class="bg-red-100 hover:bg-red-200 text-red-800 py-2 px-4 rounded-lg text-sm">
+                            <i class="fas fa-key mr-2"></i>Force Password Reset
+                        </button>
+                        <button onclick="overridePlan('${user.id}')" 
+                                class="bg-blue-100 hover:bg-blue-200 text-blue-800 py-2 px-4 rounded-lg text-sm">
+                            <i class="fas fa-crown mr-2"></i>Change Plan
+                        </button>
+                    </div>
+                ` : ''}
+                
                 <div class="flex space-x-3 mt-6">
                     <button onclick="closeUserModal()" 
                             class="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-700 py-2 px-4 rounded-lg transition-colors">
@@ -515,19 +958,23 @@ function toggleSelectAllUsers() {
 async function loadAnalytics() {
     const activityStats = document.getElementById('activityStats');
     
-    if (activityStats) {
+    if (!currentStats) {
+        await loadStats();
+    }
+    
+    if (activityStats && currentStats) {
         activityStats.innerHTML = `
             <div class="flex items-center justify-between p-3 bg-white rounded-lg">
-                <span class="font-medium">Total Queries</span>
-                <span class="text-lg font-bold text-green-600">${Math.floor(Math.random() * 1000)}</span>
+                <span class="font-medium">Queries Today</span>
+                <span class="text-lg font-bold text-green-600">${currentStats.queriesToday}</span>
             </div>
             <div class="flex items-center justify-between p-3 bg-white rounded-lg">
-                <span class="font-medium">Active Sessions</span>
-                <span class="text-lg font-bold text-blue-600">${Math.floor(Math.random() * 50)}</span>
+                <span class="font-medium">Suspended Accounts</span>
+                <span class="text-lg font-bold text-red-600">${currentStats.suspended}</span>
             </div>
             <div class="flex items-center justify-between p-3 bg-white rounded-lg">
                 <span class="font-medium">New Users Today</span>
-                <span class="text-lg font-bold text-purple-600">${Math.floor(Math.random() * 10)}</span>
+                <span class="text-lg font-bold text-purple-600">${currentStats.newToday}</span>
             </div>
         `;
     }
@@ -551,6 +998,12 @@ function formatDate(dateString) {
     });
 }
 
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+}
+
 function showLoading() {
     document.getElementById('loadingIndicator').classList.remove('hidden');
 }
@@ -765,6 +765,10 @@ class AgriAIApp {
               </p>
             </div>
             <div class="mt-4 md:mt-0 flex space-x-3">
+              <button id="cartToggle" class="relative bg-gray-200 hover:bg-gray-300 px-4 py-2 rounded-lg transition-colors">
+                <i class="fas fa-shopping-cart mr-2"></i>Cart
+                <span id="cartCount" class="hidden absolute -top-2 -right-2 bg-green-600 text-white text-xs rounded-full w-5 h-5 flex items-center justify-center">0</span>
+              </button>
               <button id="filterToggle" class="md:hidden bg-gray-200 hover:bg-gray-300 px-4 py-2 rounded-lg transition-colors">
                 <i class="fas fa-filter mr-2"></i>Filters
               </button>
@@ -1860,14 +1864,222 @@ class AgriAIApp {
         this.loadMarketplaceProducts();
       });
     }
+
+    const cartToggle = document.getElementById("cartToggle");
+    if (cartToggle) {
+      cartToggle.addEventListener("click", () => this.openCart());
+    }
+
+    const closeCartBtn = document.getElementById("closeCart");
+    if (closeCartBtn) {
+      closeCartBtn.addEventListener("click", () => this.closeCart());
+    }
+
+    const clearCartBtn = document.getElementById("clearCartBtn");
+    if (clearCartBtn) {
+      clearCartBtn.addEventListener("click", () => this.clearCart());
+    }
+
+    const checkoutBtn = document.getElementById("checkoutBtn");
+    if (checkoutBtn) {
+      checkoutBtn.addEventListener("click", () => this.checkoutCart());
+    }
+
+    this.loadCart();
   }
 
   viewProduct(productId) {
     this.showNotification("Product details view coming soon", "info");
   }
 
-  addToCart(productId, quantity) {
-    this.showNotification(`Added ${quantity} item(s) to cart`, "success");
+  async cartRequest(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${localStorage.getItem("authToken")}`,
+      },
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Cart request failed");
+    }
+
+    return data;
+  }
+
+  async loadCart() {
+    try {
+      const data = await this.cartRequest("/api/cart");
+      this.renderCart(data.data);
+    } catch (error) {
+      console.error("Error loading cart:", error);
+    }
+  }
+
+  renderCart(cart) {
+    const itemsContainer = document.getElementById("cartItems");
+    const footer = document.getElementById("cartFooter");
+    const total = document.getElementById("cartTotal");
+    const count = document.getElementById("cartCount");
+
+    if (count) {
+      count.textContent = cart.item_count;
+      count.classList.toggle("hidden", cart.item_count === 0);
+    }
+
+    if (!itemsContainer) return;
+
+    if (cart.item_count === 0) {
+      itemsContainer.innerHTML = `
+        <div class="text-center text-gray-500 py-8">
+          <i class="fas fa-shopping-cart text-4xl mb-4"></i>
+          <p>Your cart is empty</p>
+          <p class="text-sm">Add some products to get started</p>
+        </div>
+      `;
+      if (footer) footer.classList.add("hidden");
+      return;
+    }
+
+    // One block per seller: checkout places a separate order with each
+    itemsContainer.innerHTML = cart.sellers
+      .map(
+        (seller) => `
+        <div class="mb-6">
+          <p class="text-sm font-semibold text-gray-700 mb-2">
+            <i class="fas fa-store mr-2 text-green-600"></i>${seller.wholesaler.name || "Seller"}
+          </p>
+          ${seller.items
+            .map(
+              (item) => `
+            <div class="border border-gray-200 rounded-lg p-3 mb-2 ${item.available ? "" : "bg-red-50"}">
+              <div class="flex justify-between items-start">
+                <div>
+                  <p class="font-medium text-gray-800">${item.product.name}</p>
+                  <p class="text-sm text-gray-600">KES ${item.unit_price.toLocaleString()}/${item.product.unit_type}${
+                    item.applied_tier
+                      ? ` <span class="text-green-600">(bulk price from ${item.applied_tier.quantity})</span>`
+                      : ""
+                  }</p>
+                  ${
+                    item.available
+                      ? ""
+                      : `<p class="text-xs text-red-600">Only ${item.available_quantity} ${item.product.unit_type} available</p>`
+                  }
+                </div>
+                <button onclick="window.agriApp.removeFromCart('${item.product_id}')" class="text-gray-400 hover:text-red-600">
+                  <i class="fas fa-trash"></i>
+                </button>
+              </div>
+              <div class="flex justify-between items-center mt-2">
+                <input type="number" min="0" value="${item.quantity}"
+                       onchange="window.agriApp.updateCartQuantity('${item.product_id}', this.value)"
+                       class="w-20 px-2 py-1 border border-gray-300 rounded text-sm">
+                <span class="font-semibold text-gray-800">KES ${item.total_amount.toLocaleString()}</span>
+              </div>
+            </div>
+          `
+            )
+            .join("")}
+          <p class="text-right text-sm text-gray-600">Subtotal: KES ${seller.subtotal.toLocaleString()}</p>
+        </div>
+      `
+      )
+      .join("");
+
+    if (total) {
+      total.textContent = `KES ${cart.total_amount.toLocaleString()}`;
+    }
+    if (footer) footer.classList.remove("hidden");
+  }
+
+  openCart() {
+    const sidebar = document.getElementById("cartSidebar");
+    if (sidebar) {
+      sidebar.classList.remove("translate-x-full");
+      this.loadCart();
+    }
+  }
+
+  closeCart() {
+    const sidebar = document.getElementById("cartSidebar");
+    if (sidebar) {
+      sidebar.classList.add("translate-x-full");
+    }
+  }
+
+  async addToCart(productId, quantity) {
+    try {
+      const data = await this.cartRequest("/api/cart/items", {
+        method: "POST",
+        body: JSON.stringify({ product_id: productId, quantity }),
+      });
+      this.renderCart(data.data);
+      this.showNotification(`Added ${quantity} item(s) to cart`, "success");
+    } catch (error) {
+      this.showNotification(error.message, "error");
+    }
+  }
+
+  async updateCartQuantity(productId, quantity) {
+    try {
+      const data = await this.cartRequest(`/api/cart/items/${productId}`, {
+        method: "PUT",
+        body: JSON.stringify({ quantity: parseInt(quantity) || 0 }),
+      });
+      this.renderCart(data.data);
+    } catch (error) {
+      this.showNotification(error.message, "error");
+      this.loadCart();
+    }
+  }
+
+  async removeFromCart(productId) {
+    try {
+      const data = await this.cartRequest(`/api/cart/items/${productId}`, {
+        method: "DELETE",
+      });
+      this.renderCart(data.data);
+    } catch (error) {
+      this.showNotification(error.message, "error");
+    }
+  }
+
+  async clearCart() {
+    if (!confirm("Remove everything from your cart?")) return;
+
+    try {
+      await this.cartRequest("/api/cart", { method: "DELETE" });
+      this.loadCart();
+    } catch (error) {
+      this.showNotification(error.message, "error");
+    }
+  }
+
+  async checkoutCart() {
+    const deliveryAddress = prompt(
+      "Delivery address:",
+      this.currentUser?.location || ""
+    );
+    if (!deliveryAddress || !deliveryAddress.trim()) return;
+
+    try {
+      this.showGlobalLoading();
+      const data = await this.cartRequest("/api/cart/checkout", {
+        method: "POST",
+        body: JSON.stringify({ delivery_address: deliveryAddress.trim() }),
+      });
+      this.showNotification(data.message, "success");
+      this.closeCart();
+      this.loadCart();
+    } catch (error) {
+      this.showNotification(error.message, "error");
+      this.loadCart();
+    } finally {
+      this.hideGlobalLoading();
+    }
   }
 
   async initializeProfilePage() {
@@ -2293,14 +2505,29 @@ class AgriAIApp {
           headers.Authorization = `Bearer ${token}`;
         }
 
+        // Continue the stored conversation, or start a new one after the chat was cleared
+        const sessionId = localStorage.getItem("chatSessionId");
+
         const response = await fetch("/api/chat", {
           method: "POST",
           headers: headers,
-          body: JSON.stringify({ message: userText, user: currentUser }),
+          body: JSON.stringify({
+            message: userText,
+            user: currentUser,
+            session_id: sessionId || undefined,
+            new_session: !sessionId,
+          }),
         });
 
         const data = await response.json();
 
+        // Keep follow-up messages in the same conversation
+        if (data.session_id) {
+          localStorage.setItem("chatSessionId", data.session_id);
+        } else if (response.status === 404) {
+          localStorage.removeItem("chatSessionId");
+        }
+
         chatbox.removeChild(typingIndicator);
         
         // Handle authentication errors
@@ -2347,6 +2574,16 @@ To use the AI assistant, you need to be logged in. This helps us:
     if (clearChat) {
       clearChat.addEventListener("click", () => {
         if (confirm("Are you sure you want to clear the chat?")) {
+          const sessionId = localStorage.getItem("chatSessionId");
+          const token = localStorage.getItem("authToken");
+          if (sessionId && token) {
+            fetch(`/api/chat/sessions/${sessionId}`, {
+              method: "DELETE",
+              headers: { Authorization: `Bearer ${token}` },
+            }).catch((error) => console.error("Error clearing conversation:", error));
+          }
+          localStorage.removeItem("chatSessionId");
+
           chatbox.innerHTML = `
                         <div class="flex items-start space-x-3 bot-message">
                             <div class="w-8 h-8 bg-green-500 rounded-full flex items-center justify-center flex-shrink-0">
@@ -2405,8 +2642,9 @@ To use the AI assistant, you need to be logged in. This helps us:
     return formatted;
   }
 
-  logout() {
-    localStorage.removeItem("authToken");
+  async logout() {
+    await window.agriSession.logout();
+    localStorage.removeItem("chatSessionId");
     this.currentUser = null;
     this.isAuthenticated = false;
     this.navigateTo("welcome");
@@ -2498,7 +2736,7 @@ To use the AI assistant, you need to be logged in. This helps us:
       }
 
       // Store token and user info
-      localStorage.setItem("authToken", data.token);
+      window.agriSession.storeTokens(data);
       this.currentUser = data.user;
       this.isAuthenticated = true;
 
@@ -2598,7 +2836,7 @@ To use the AI assistant, you need to be logged in. This helps us:
       }
 
       // Store token and user info
-      localStorage.setItem("authToken", data.token);
+      window.agriSession.storeTokens(data);
       this.currentUser = data.user;
       this.isAuthenticated = true;
 
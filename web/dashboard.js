@@ -335,8 +335,8 @@ async function loadNotifications() {
 
 function setupEventListeners() {
     // Logout button
-    document.getElementById('logoutBtn').addEventListener('click', () => {
-        localStorage.removeItem('authToken');
+    document.getElementById('logoutBtn').addEventListener('click', async () => {
+        await window.agriSession.logout();
         window.location.href = 'login.html';
     });
     
@@ -16,6 +16,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Set up event listeners
     setupEventListeners();
+    
+    // Opened from a password reset email
+    handleResetTokenFromLink();
 });
 
 function setupEventListeners() {
@@ -35,6 +38,9 @@ function setupEventListeners() {
     
     // Forgot password
     document.getElementById('forgotPasswordLink').addEventListener('click', handleForgotPassword);
+    
+    // Phone login code
+    document.getElementById('phoneLoginLink').addEventListener('click', handlePhoneLogin);
 }
 
 async function handleLogin(e) {
@@ -66,7 +72,7 @@ async function handleLogin(e) {
         }
         
         // Store token and user info
-        localStorage.setItem('authToken', data.token);
+        window.agriSession.storeTokens(data);
         
         showSuccess('Login successful! Redirecting...');
         
@@ -160,7 +166,7 @@ async function handleRegistration(e) {
         }
         
         // Store token and user info
-        localStorage.setItem('authToken', data.token);
+        window.agriSession.storeTokens(data);
         
         showSuccess('Registration successful! Welcome to AgriAI Bot!');
         
@@ -236,7 +242,7 @@ function handleForgotPassword(e) {
         return;
     }
     
-    // Send password reset request
+    // Send password reset request; the reset link arrives by email
     fetch('/api/auth/forgot-password', {
         method: 'POST',
         headers: {
@@ -244,41 +250,157 @@ function handleForgotPassword(e) {
         },
         body: JSON.stringify({ email })
     })
-    .then(response => response.json())
-    .then(data => {
-        if (data.resetToken) {
-            // In a real application, this would be sent via email
-            const newPassword = prompt(`Password reset token: ${data.resetToken}\n\nEnter your new password:`);
-            if (newPassword && newPassword.length >= 8) {
-                return fetch('/api/auth/reset-password', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({ 
-                        token: data.resetToken, 
-                        newPassword 
-                    })
-                });
-            }
+    .then(response => response.json().then(data => ({ ok: response.ok, data })))
+    .then(({ ok, data }) => {
+        if (!ok) {
+            throw new Error(data.message || 'Password reset request failed');
         }
-        throw new Error('Password reset cancelled');
+        showSuccess('If an account exists for that email, we have sent a password reset link. Check your inbox.');
     })
-    .then(response => {
-        if (response) {
-            return response.json();
+    .catch(error => {
+        console.error('Password reset error:', error);
+        showError(error.message || 'Password reset failed. Please try again.');
+    });
+}
+
+/**
+ * Log in with a one-time code sent to the phone over WhatsApp (or SMS), for
+ * farmers who started on WhatsApp and have no email or password
+ */
+async function handlePhoneLogin(e) {
+    e.preventDefault();
+    
+    const phone = prompt('Enter the phone number you use with AgriAI on WhatsApp (e.g. 0712345678):');
+    if (!phone) return;
+    
+    const useSms = confirm('Send the code by WhatsApp? Press Cancel to get it by SMS instead.') === false;
+    
+    try {
+        showLoading();
+        
+        const requestResponse = await fetch('/api/auth/otp/request', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ phone, channel: useSms ? 'sms' : 'whatsapp' })
+        });
+        const requestData = await requestResponse.json();
+        
+        if (!requestResponse.ok) {
+            throw new Error(requestData.message || 'Could not send a login code');
         }
+        
+        hideLoading();
+        
+        const code = prompt(`${requestData.message}.\n\nEnter the 6-digit code:`);
+        if (!code) return;
+        
+        showLoading();
+        
+        const verifyResponse = await fetch('/api/auth/otp/verify', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ phone, code })
+        });
+        const data = await verifyResponse.json();
+        
+        if (!verifyResponse.ok) {
+            throw new Error(data.message || 'Login failed');
+        }
+        
+        window.agriSession.storeTokens(data);
+        
+        if (data.canClaimAccount) {
+            hideLoading();
+            await offerClaimAccount();
+        }
+        
+        showSuccess('Login successful! Redirecting...');
+        
+        setTimeout(() => {
+            window.location.href = data.user.user_type === 'wholesaler' ? 'wholesaler.html' : 'dashboard.html';
+        }, 1000);
+        
+    } catch (error) {
+        console.error('Phone login error:', error);
+        showError(error.message);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * After a phone login, let a WhatsApp-only farmer add an email and password
+ */
+async function offerClaimAccount() {
+    if (!confirm('Would you like to add an email and password so you can also log in without a code?')) {
+        return;
+    }
+    
+    const email = prompt('Email address:');
+    if (!email) return;
+    
+    const password = prompt('Choose a password (at least 8 characters):');
+    if (!password) return;
+    
+    const response = await fetch('/api/auth/claim-account', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+        },
+        body: JSON.stringify({ email, password })
+    });
+    const data = await response.json();
+    
+    if (!response.ok) {
+        showError(data.message || 'Could not save your email and password');
+        return;
+    }
+    
+    showSuccess(data.message);
+}
+
+/**
+ * Finish a password reset when the page is opened from the emailed link
+ * (login.html?reset_token=...)
+ */
+function handleResetTokenFromLink() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('reset_token');
+    if (!token) return;
+    
+    // Don't leave the token in the address bar or browser history
+    window.history.replaceState({}, document.title, window.location.pathname);
+    
+    const newPassword = prompt('Enter your new password (at least 8 characters):');
+    if (!newPassword) return;
+    
+    if (newPassword.length < 8) {
+        showError('New password must be at least 8 characters long');
+        return;
+    }
+    
+    fetch('/api/auth/reset-password', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ token, newPassword })
     })
-    .then(data => {
-        if (data) {
-            showSuccess('Password reset successful! You can now login with your new password.');
+    .then(response => response.json().then(data => ({ ok: response.ok, data })))
+    .then(({ ok, data }) => {
+        if (!ok) {
+            throw new Error(data.message || 'Password reset failed');
         }
+        showSuccess('Password reset successful! You can now login with your new password.');
     })
     .catch(error => {
         console.error('Password reset error:', error);
-        if (error.message !== 'Password reset cancelled') {
-            showError('Password reset failed. Please try again.');
-        }
+        showError(error.message || 'Password reset failed. Please try again.');
     });
 }
 
@@ -24,6 +24,7 @@ let currentProducts = [];
 let currentPage = 0;
 let isLoading = false;
 let shoppingCart = [];
+let cartTotal = 0;
 let currentView = 'grid';
 
 async function initializeMarketplace() {
@@ -45,13 +46,6 @@ async function initializeMarketplace() {
         // Update user name display
         document.getElementById('userName').textContent = currentUser.name;
         
-        // Load cart from localStorage
-        const savedCart = localStorage.getItem('shoppingCart');
-        if (savedCart) {
-            shoppingCart = JSON.parse(savedCart);
-            updateCartBadge();
-        }
-        
     } catch (error) {
         console.error('Error initializing marketplace:', error);
         // Redirect to login if authentication fails
@@ -64,9 +58,8 @@ async function initializeMarketplace() {
 
 function setupEventListeners() {
     // Navigation
-    document.getElementById('logoutBtn').addEventListener('click', () => {
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('shoppingCart');
+    document.getElementById('logoutBtn').addEventListener('click', async () => {
+        await window.agriSession.logout();
         window.location.href = 'login.html';
     });
     
@@ -92,7 +85,7 @@ function setupEventListeners() {
     });
     
     // Filter change events
-    ['categoryFilter', 'locationFilter', 'minPrice', 'maxPrice', 'bulkPricingFilter', 'sortBy'].forEach(id => {
+    ['categoryFilter', 'locationFilter', 'minPrice', 'maxPrice', 'minRatingFilter', 'verifiedSellerFilter', 'bulkPricingFilter', 'sortBy'].forEach(id => {
         document.getElementById(id).addEventListener('change', applyFilters);
     });
     
@@ -211,6 +204,12 @@ function getActiveFilters() {
     const maxPrice = document.getElementById('maxPrice').value;
     if (maxPrice) filters.max_price = maxPrice;
     
+    const minRating = document.getElementById('minRatingFilter').value;
+    if (minRating) filters.min_rating = minRating;
+    
+    const verifiedOnly = document.getElementById('verifiedSellerFilter').checked;
+    if (verifiedOnly) filters.verified_only = true;
+    
     const bulkPricing = document.getElementById('bulkPricingFilter').checked;
     if (bulkPricing) filters.has_bulk_pricing = true;
     
@@ -270,6 +269,14 @@ function createProductCard(product) {
                     </button>
                 </div>
                 
+                ${product.rating_count > 0 ?
+                    `<div class="flex items-center space-x-1 mb-2 text-sm">
+                        <i class="fas fa-star text-yellow-400"></i>
+                        <span class="font-medium text-gray-700">${Number(product.rating_average).toFixed(1)}</span>
+                        <span class="text-gray-500">(${product.rating_count} review${product.rating_count === 1 ? '' : 's'})</span>
+                    </div>` : ''
+                }
+                
                 <p class="text-gray-600 text-sm mb-3 line-clamp-2">${product.description || 'No description available'}</p>
                 
                 <div class="flex items-center justify-between mb-3">
@@ -291,7 +298,12 @@ function createProductCard(product) {
                     ${product.wholesaler ? 
                         `<div class="text-right">
                             <p class="text-xs text-gray-500">Sold by</p>
-                            <p class="text-sm font-medium text-gray-700">${product.wholesaler.name}</p>
+                            <p class="text-sm font-medium text-gray-700">${product.wholesaler.name}${product.wholesaler.verification_status === 'verified' ?
+                                ' <i class="fas fa-check-circle text-blue-500" title="Verified seller"></i>' : ''
+                            }</p>
+                            ${product.wholesaler.seller_rating_count > 0 ?
+                                `<p class="text-xs text-gray-500"><i class="fas fa-star text-yellow-400"></i> ${Number(product.wholesaler.seller_rating_average).toFixed(1)} seller rating</p>` : ''
+                            }
                         </div>` : ''
                     }
                 </div>
@@ -511,27 +523,36 @@ function decreaseQuantity() {
     }
 }
 
-function addToCart(productId, quantity = 1) {
-    const product = currentProducts.find(p => p.id === productId);
-    if (!product) return;
+async function cartRequest(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+        }
+    });
+    const data = await response.json();
     
-    // Check if product already in cart
-    const existingItem = shoppingCart.find(item => item.product_id === productId);
+    if (!response.ok) {
+        throw new Error(data.message || 'Cart request failed');
+    }
     
-    if (existingItem) {
-        existingItem.quantity += quantity;
-    } else {
-        shoppingCart.push({
-            product_id: productId,
-            product: product,
-            quantity: quantity,
-            unit_price: product.unit_price
+    return data;
+}
+
+async function addToCart(productId, quantity = 1) {
+    const product = currentProducts.find(p => p.id === productId);
+    
+    try {
+        const data = await cartRequest('/api/cart/items', {
+            method: 'POST',
+            body: JSON.stringify({ product_id: productId, quantity })
         });
+        setCart(data.data);
+        showSuccess(`${product ? product.name : 'Product'} added to cart`);
+    } catch (error) {
+        showError(error.message);
     }
-    
-    saveCart();
-    updateCartBadge();
-    showSuccess(`${product.name} added to cart`);
 }
 
 function addToCartFromModal(productId) {
@@ -540,35 +561,41 @@ function addToCartFromModal(productId) {
     closeProductModal();
 }
 
-function removeFromCart(productId) {
-    shoppingCart = shoppingCart.filter(item => item.product_id !== productId);
-    saveCart();
-    updateCartBadge();
-    updateCartDisplay();
+async function removeFromCart(productId) {
+    try {
+        const data = await cartRequest(`/api/cart/items/${productId}`, { method: 'DELETE' });
+        setCart(data.data);
+    } catch (error) {
+        showError(error.message);
+    }
 }
 
-function updateCartQuantity(productId, newQuantity) {
-    const item = shoppingCart.find(item => item.product_id === productId);
-    if (item) {
-        if (newQuantity <= 0) {
-            removeFromCart(productId);
-        } else {
-            item.quantity = newQuantity;
-            saveCart();
-            updateCartDisplay();
-        }
+async function updateCartQuantity(productId, newQuantity) {
+    try {
+        const data = await cartRequest(`/api/cart/items/${productId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ quantity: Math.max(newQuantity, 0) })
+        });
+        setCart(data.data);
+    } catch (error) {
+        showError(error.message);
     }
 }
 
-function saveCart() {
-    localStorage.setItem('shoppingCart', JSON.stringify(shoppingCart));
+// The cart lives on the server; shoppingCart holds its priced lines
+function setCart(cart) {
+    shoppingCart = cart.items;
+    cartTotal = cart.total_amount;
+    updateCartBadge();
+    updateCartDisplay();
 }
 
-function loadShoppingCart() {
-    const savedCart = localStorage.getItem('shoppingCart');
-    if (savedCart) {
-        shoppingCart = JSON.parse(savedCart);
-        updateCartBadge();
+async function loadShoppingCart() {
+    try {
+        const data = await cartRequest('/api/cart');
+        setCart(data.data);
+    } catch (error) {
+        console.error('Error loading cart:', error);
     }
 }
 
@@ -596,7 +623,7 @@ function toggleCart() {
 function openCart() {
     const sidebar = document.getElementById('cartSidebar');
     sidebar.classList.remove('translate-x-full');
-    updateCartDisplay();
+    loadShoppingCart();
 }
 
 function closeCart() {
@@ -621,8 +648,6 @@ function updateCartDisplay() {
         return;
     }
     
-    const total = shoppingCart.reduce((sum, item) => sum + (item.quantity * item.unit_price), 0);
-    
     itemsContainer.innerHTML = shoppingCart.map(item => `
         <div class="border-b border-gray-200 pb-4 mb-4">
             <div class="flex items-start space-x-3">
@@ -634,7 +659,14 @@ function updateCartDisplay() {
                 </div>
                 <div class="flex-1 min-w-0">
                     <h4 class="font-medium text-gray-800 truncate">${item.product.name}</h4>
+                    <p class="text-xs text-gray-500 truncate">Sold by ${item.product.wholesaler?.name || 'Unknown'}</p>
                     <p class="text-sm text-gray-600">KES ${item.unit_price.toLocaleString()} per ${item.product.unit_type}</p>
+                    ${item.applied_tier ? 
+                        `<p class="text-xs text-green-600">Bulk price from ${item.applied_tier.quantity} ${item.product.unit_type}</p>` : ''
+                    }
+                    ${item.available ? '' : 
+                        `<p class="text-xs text-red-600">Only ${item.available_quantity} ${item.product.unit_type} available</p>`
+                    }
                     <div class="flex items-center justify-between mt-2">
                         <div class="flex items-center space-x-2">
                             <button onclick="updateCartQuantity('${item.product_id}', ${item.quantity - 1})" 
@@ -655,22 +687,24 @@ function updateCartDisplay() {
                 </div>
             </div>
             <div class="text-right mt-2">
-                <span class="font-bold text-green-600">KES ${(item.quantity * item.unit_price).toLocaleString()}</span>
+                <span class="font-bold text-green-600">KES ${item.total_amount.toLocaleString()}</span>
             </div>
         </div>
     `).join('');
     
-    totalElement.textContent = `KES ${total.toLocaleString()}`;
+    totalElement.textContent = `KES ${cartTotal.toLocaleString()}`;
     footer.classList.remove('hidden');
 }
 
-function clearCart() {
+async function clearCart() {
     if (confirm('Are you sure you want to clear your cart?')) {
-        shoppingCart = [];
-        saveCart();
-        updateCartBadge();
-        updateCartDisplay();
-        showSuccess('Cart cleared');
+        try {
+            await cartRequest('/api/cart', { method: 'DELETE' });
+            setCart({ items: [], total_amount: 0 });
+            showSuccess('Cart cleared');
+        } catch (error) {
+            showError(error.message);
+        }
     }
 }
 
@@ -680,9 +714,26 @@ async function proceedToCheckout() {
         return;
     }
     
-    // For now, redirect to a checkout page or show a modal
-    // In a full implementation, this would handle the checkout process
-    showSuccess('Checkout functionality coming soon!');
+    const deliveryAddress = prompt('Delivery address:', currentUser?.location || '');
+    if (!deliveryAddress || !deliveryAddress.trim()) {
+        return;
+    }
+    
+    try {
+        showLoading();
+        // One order is placed with each seller in the cart
+        const data = await cartRequest('/api/cart/checkout', {
+            method: 'POST',
+            body: JSON.stringify({ delivery_address: deliveryAddress.trim() })
+        });
+        closeCart();
+        showSuccess(data.message);
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        hideLoading();
+        loadShoppingCart();
+    }
 }
 
 async function loadMoreProducts() {
@@ -699,6 +750,8 @@ function clearAllFilters() {
     document.getElementById('locationFilter').value = '';
     document.getElementById('minPrice').value = '';
     document.getElementById('maxPrice').value = '';
+    document.getElementById('minRatingFilter').value = '';
+    document.getElementById('verifiedSellerFilter').checked = false;
     document.getElementById('bulkPricingFilter').checked = false;
     document.getElementById('sortBy').value = 'created_at:desc';
     
@@ -21,6 +21,7 @@ function checkAuthentication() {
 // Setup event listeners
 function setupEventListeners() {
     document.getElementById('profileForm').addEventListener('submit', updateProfile);
+    document.getElementById('useMyLocation').addEventListener('click', useMyLocation);
     document.getElementById('unlinkBtn').addEventListener('click', unlinkWhatsApp);
     document.getElementById('logoutBtn').addEventListener('click', logout);
 }
@@ -51,6 +52,8 @@ async function loadUserProfile() {
         document.getElementById('email').value = currentUser.email || '';
         document.getElementById('phone').value = currentUser.phone || '';
         document.getElementById('location').value = currentUser.location || '';
+        document.getElementById('latitude').value = currentUser.latitude ?? '';
+        document.getElementById('longitude').value = currentUser.longitude ?? '';
         document.getElementById('farmSize').value = currentUser.farm_size || '';
         document.getElementById('cropsGrown').value = currentUser.crops_grown ? currentUser.crops_grown.join(', ') : '';
         
@@ -229,6 +232,34 @@ async function unlinkWhatsApp() {
     }
 }
 
+// Read farm coordinates from the form; both empty clears the saved location
+function getCoordinates() {
+    const latitude = document.getElementById('latitude').value;
+    const longitude = document.getElementById('longitude').value;
+    
+    if (!latitude && !longitude) {
+        return { latitude: null, longitude: null };
+    }
+    
+    return { latitude, longitude };
+}
+
+// Fill the coordinates from the browser's location
+function useMyLocation() {
+    if (!navigator.geolocation) {
+        showNotification('Location is not supported by this browser', 'error');
+        return;
+    }
+    
+    navigator.geolocation.getCurrentPosition(
+        (position) => {
+            document.getElementById('latitude').value = position.coords.latitude.toFixed(6);
+            document.getElementById('longitude').value = position.coords.longitude.toFixed(6);
+        },
+        () => showNotification('Could not get your location', 'error')
+    );
+}
+
 // Update user profile
 async function updateProfile(event) {
     event.preventDefault();
@@ -240,6 +271,7 @@ async function updateProfile(event) {
             name: document.getElementById('name').value,
             phone: document.getElementById('phone').value,
             location: document.getElementById('location').value,
+            ...getCoordinates(),
             farm_size: document.getElementById('farmSize').value || null,
             crops_grown: document.getElementById('cropsGrown').value.split(',').map(crop => crop.trim()).filter(crop => crop)
         };
@@ -275,8 +307,8 @@ async function updateProfile(event) {
 }
 
 // Logout function
-function logout() {
-    localStorage.removeItem('authToken');
+async function logout() {
+    await window.agriSession.logout();
     window.location.href = 'login.html';
 }
 
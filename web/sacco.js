@@ -126,8 +126,8 @@ function displayUserSACCOs() {
         <div class="bg-white rounded-lg shadow-md p-6 border-l-4 border-green-500">
             <div class="flex justify-between items-start mb-3">
                 <h3 class="text-lg font-semibold text-gray-800">${sacco.name}</h3>
-                ${sacco.admin && sacco.admin.id === window.agriApp.currentUser.id ? 
-                    '<span class="bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full">Admin</span>' : 
+                ${sacco.role && sacco.role !== 'member' ? 
+                    `<span class="bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full capitalize">${sacco.role}</span>` : 
                     '<span class="bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">Member</span>'
                 }
             </div>
@@ -396,8 +396,8 @@ function showSuccess(message) {
     }, 5000);
 }
 
-function logout() {
-    localStorage.removeItem('authToken');
+async function logout() {
+    await window.agriSession.logout();
     window.location.href = '/profile.html';
 }
 
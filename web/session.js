@@ -0,0 +1,102 @@
+// Session handling shared by every page: keeps the short-lived access token fresh
+// using the refresh token, and ends the session on the server at logout.
+// Load before the page script.
+(function () {
+    const originalFetch = window.fetch.bind(window);
+    let refreshInFlight = null;
+
+    function storeTokens(data) {
+        if (data && data.token) {
+            localStorage.setItem('authToken', data.token);
+        }
+        if (data && data.refreshToken) {
+            localStorage.setItem('refreshToken', data.refreshToken);
+        }
+    }
+
+    function clearTokens() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+    }
+
+    // One refresh at a time: parallel requests that all got a 401 wait for the same
+    // rotation instead of each presenting the (soon rotated) refresh token
+    function refreshTokens() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) {
+            return Promise.resolve(false);
+        }
+
+        if (!refreshInFlight) {
+            refreshInFlight = originalFetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            })
+                .then(response => response.json().then(data => ({ ok: response.ok, data })))
+                .then(({ ok, data }) => {
+                    if (!ok) {
+                        clearTokens();
+                        return false;
+                    }
+                    storeTokens(data);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    refreshInFlight = null;
+                });
+        }
+
+        return refreshInFlight;
+    }
+
+    function isApiRequest(url) {
+        const path = typeof url === 'string' ? url : (url && url.url) || '';
+        return path.startsWith('/api/') || path.startsWith(`${window.location.origin}/api/`);
+    }
+
+    function withFreshToken(init) {
+        const headers = new Headers((init && init.headers) || {});
+        headers.set('Authorization', `Bearer ${localStorage.getItem('authToken')}`);
+        return { ...(init || {}), headers };
+    }
+
+    window.fetch = async function (url, init) {
+        const response = await originalFetch(url, init);
+
+        const sentToken = init && init.headers && new Headers(init.headers).get('Authorization');
+        const path = typeof url === 'string' ? url : '';
+        if (response.status !== 401 || !sentToken || !isApiRequest(url) || path.includes('/api/auth/refresh')) {
+            return response;
+        }
+
+        if (await refreshTokens()) {
+            return originalFetch(url, withFreshToken(init));
+        }
+
+        return response;
+    };
+
+    window.agriSession = {
+        storeTokens,
+        clearTokens,
+        refreshTokens,
+
+        // End this device's session on the server, then forget the tokens
+        async logout() {
+            const token = localStorage.getItem('authToken');
+            if (token) {
+                try {
+                    await window.fetch('/api/auth/logout', {
+                        method: 'POST',
+                        headers: { 'Authorization': `Bearer ${token}` }
+                    });
+                } catch (error) {
+                    console.error('Logout request failed:', error);
+                }
+            }
+            clearTokens();
+        }
+    };
+})();
@@ -30,6 +30,8 @@ document.addEventListener("DOMContentLoaded", async () => {
     // Update user name display
     document.getElementById("userName").textContent = currentUser.name;
 
+    await loadVerificationStatus();
+
     // Initialize wholesaler dashboard
     await initializeWholesalerDashboard();
 
@@ -87,6 +89,135 @@ async function initializeWholesalerDashboard() {
   }
 }
 
+async function loadVerificationStatus() {
+  try {
+    const response = await fetch("/api/verification", {
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem("authToken")}`,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error("Failed to load verification status");
+    }
+
+    const data = await response.json();
+    renderVerificationBanner(data.data);
+  } catch (error) {
+    console.error("Error loading verification status:", error);
+  }
+}
+
+function renderVerificationBanner(verification) {
+  const banner = document.getElementById("verificationBanner");
+  const { status, policy, application } = verification;
+  const applyButton = (label) =>
+    `<button onclick="showVerificationModal()" class="ml-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm">${label}</button>`;
+
+  let content;
+  let classes;
+
+  if (status === "verified") {
+    classes = "bg-green-50 border border-green-200";
+    content = `
+      <p class="text-green-800"><i class="fas fa-check-circle mr-2"></i>Your business is verified. Buyers see a verified badge on your listings.</p>
+      ${
+        !policy.agro_dealer_verified && application?.status !== "pending"
+          ? applyButton("Add agro-dealer registration")
+          : ""
+      }`;
+  } else if (status === "pending") {
+    classes = "bg-blue-50 border border-blue-200";
+    content = `<p class="text-blue-800"><i class="fas fa-hourglass-half mr-2"></i>Your verification documents are being reviewed.</p>`;
+  } else {
+    classes = "bg-yellow-50 border border-yellow-200";
+    const rejection =
+      status === "rejected" && application?.review_notes
+        ? `<p class="text-sm text-yellow-700 mt-1">Last application was not approved: ${application.review_notes}</p>`
+        : "";
+    content = `
+      <div>
+        <p class="text-yellow-800"><i class="fas fa-exclamation-triangle mr-2"></i>Get verified to sell ${policy.restricted.join(", ")} and list more than ${policy.max_active_products} active products.</p>
+        ${rejection}
+      </div>
+      ${applyButton(status === "rejected" ? "Apply again" : "Get verified")}`;
+  }
+
+  banner.className = `rounded-xl mb-6 p-4 fade-in flex items-center justify-between ${classes}`;
+  banner.innerHTML = content;
+}
+
+function showVerificationModal() {
+  const modal = document.getElementById("verificationModal");
+  document.getElementById("verificationForm").reset();
+  modal.classList.remove("hidden");
+  modal.classList.add("flex");
+}
+
+function closeVerificationModal() {
+  const modal = document.getElementById("verificationModal");
+  modal.classList.add("hidden");
+  modal.classList.remove("flex");
+}
+
+async function handleVerificationSubmit(e) {
+  e.preventDefault();
+
+  try {
+    showLoading();
+
+    const body = new FormData();
+    body.append(
+      "business_name",
+      document.getElementById("verificationBusinessName").value.trim()
+    );
+    body.append(
+      "business_permit_number",
+      document.getElementById("verificationPermitNumber").value.trim()
+    );
+    body.append(
+      "kra_pin",
+      document.getElementById("verificationKraPin").value.trim()
+    );
+    body.append(
+      "agro_dealer_number",
+      document.getElementById("verificationAgroDealerNumber").value.trim()
+    );
+
+    const files = {
+      business_permit: "verificationPermitFile",
+      kra_pin_certificate: "verificationKraFile",
+      agro_dealer_certificate: "verificationAgroDealerFile",
+    };
+    Object.entries(files).forEach(([field, inputId]) => {
+      const file = document.getElementById(inputId).files[0];
+      if (file) body.append(field, file);
+    });
+
+    const response = await fetch("/api/verification", {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem("authToken")}`,
+      },
+      body,
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to submit verification");
+    }
+
+    showSuccess(data.message);
+    closeVerificationModal();
+    await loadVerificationStatus();
+  } catch (error) {
+    console.error("Error submitting verification:", error);
+    showError(error.message);
+  } finally {
+    hideLoading();
+  }
+}
+
 function setupEventListeners() {
   // Navigation
   document.getElementById("logoutBtn").addEventListener("click", () => {
@@ -122,6 +253,17 @@ function setupEventListeners() {
     .getElementById("productForm")
     .addEventListener("submit", handleProductSubmit);
 
+  // Seller verification
+  document
+    .getElementById("closeVerificationModal")
+    .addEventListener("click", closeVerificationModal);
+  document
+    .getElementById("cancelVerificationBtn")
+    .addEventListener("click", closeVerificationModal);
+  document
+    .getElementById("verificationForm")
+    .addEventListener("submit", handleVerificationSubmit);
+
   // Product search and filters
   let searchTimeout;
   document.getElementById("productSearch").addEventListener("input", (e) => {
@@ -659,6 +801,25 @@ function removeBulkPricingRow(button) {
   button.parentElement.remove();
 }
 
+async function uploadProductImages(productId, files) {
+  const body = new FormData();
+  Array.from(files).forEach((file) => body.append("images", file));
+
+  // No Content-Type header: the browser sets the multipart boundary
+  const response = await fetch(`/api/marketplace/products/${productId}/images`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem("authToken")}`,
+    },
+    body,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.message || "Failed to upload images");
+  }
+}
+
 async function handleProductSubmit(e) {
   e.preventDefault();
 
@@ -724,6 +885,12 @@ async function handleProductSubmit(e) {
       throw new Error(errorData.message || "Failed to save product");
     }
 
+    const savedProduct = (await response.json()).data;
+    const imageFiles = document.getElementById("productImages").files;
+    if (savedProduct && imageFiles.length > 0) {
+      await uploadProductImages(savedProduct.id, imageFiles);
+    }
+
     showSuccess(
       editingProductId
         ? "Product updated successfully"
@@ -798,15 +965,70 @@ function toggleSelectAllProducts() {
 
 async function updateOrderStatus(orderId, newStatus) {
   try {
-    // Placeholder for order status update
-    showSuccess(`Order status updated to ${newStatus}`);
+    // Shipping goes through a delivery so the buyer can confirm receipt with a code
+    if (newStatus === "shipped") {
+      await dispatchOrder(orderId);
+      return;
+    }
+
+    const response = await fetch(`/api/orders/${orderId}/status`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${localStorage.getItem("authToken")}`,
+      },
+      body: JSON.stringify({ status: newStatus }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to update order status");
+    }
+
+    showSuccess(data.message);
     await loadOrders();
   } catch (error) {
     console.error("Error updating order status:", error);
-    showError("Failed to update order status");
+    showError(error.message || "Failed to update order status");
   }
 }
 
+async function dispatchOrder(orderId) {
+  const riderName = prompt("Rider or carrier name (leave empty if the buyer will pick up):");
+  if (riderName === null) return;
+
+  const details = riderName.trim()
+    ? {
+        method: "rider",
+        rider_name: riderName.trim(),
+        rider_phone: (prompt("Rider phone number (optional):") || "").trim() || null,
+      }
+    : {
+        method: "pickup",
+        pickup_point: (prompt("Pickup point:") || "").trim() || null,
+      };
+
+  const response = await fetch(`/api/orders/${orderId}/delivery/dispatch`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${localStorage.getItem("authToken")}`,
+    },
+    body: JSON.stringify(details),
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || "Failed to dispatch order");
+  }
+
+  alert(
+    `Order dispatched.\n\nDelivery code: ${data.data.confirmation_code}\n\n` +
+      "Give this code with the goods. The buyer enters it to confirm receipt."
+  );
+  await loadOrders();
+}
+
 function viewOrder(orderId) {
   // Placeholder for order details view
   showSuccess("Order details view coming soon");